@@ -1,25 +1,958 @@
 // server.js
 const WebSocket = require('ws');
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
+const { upgrades, multiplayer, difficultyPresets, getDifficulty } = require('./src/shared/GameData.js');
+const { Simulation } = require('./src/shared/simulation/Simulation.js');
+const { maps, defaultMap, getMap, getMapPath, getMapWaves, validateMap } = require('./src/shared/Maps.js');
+const { getTowerStats, getTowerSellValue, checkTowerPlacement } = require('./src/shared/Towers.js');
+const { sanitizeTalents, applyTalents } = require('./src/shared/Profile.js');
+const { heroLeveling, getEnemyXp, getHeroLevelForXp, applyHeroLevel } = require('./src/shared/HeroLeveling.js');
+const { getItem, getItemSellValue, checkItemPurchase, getItemStats } = require('./src/shared/Items.js');
+const { augmentRules, getAugment, checkAugment, getAugmentStats } = require('./src/shared/Augments.js');
+const { getHeroClassStats, getAbilityLevelStats, sanitizeHeroClassStats } = require('./src/shared/HeroStats.js');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
-// Global game state
-const gameState = {
-  wave: 1,
-  enemies: [],
-  nextEnemyId: 1,
-  players: {},
-  serverHealth: 500, // Server health instead of hero health
-  gameActive: false,
-  countdown: 0,
-  resetTimeout: null,
-  waveTimeout: null
+// Rooms keyed by room ID, each with its own game state
+const rooms = new Map();
+
+// Registered players keyed by player ID
+const players = {};
+
+// Maximum players per room
+const MAX_PLAYERS_PER_ROOM = multiplayer.maxPlayers;
+
+// How often rooms are updated and enemy positions broadcast (ms)
+const ROOM_UPDATE_INTERVAL = 100;
+
+// Limits applied when validating player attacks and movement
+const COMBAT_RULES = {
+  maxBuffDamageMultiplier: 1.3, // Battle Shout
+  baseCritMultiplier: 1.5,
+  rangeTolerance: 1,            // Extra units to absorb position sync lag
+  cooldownTolerance: 0.75,      // Fraction of the cooldown that must have passed (network jitter)
+  manaTolerance: 0.75,          // Fraction of an ability's mana cost the hero must have (regen drift)
+  abilityCastWindow: 1000,      // How long after a cast its heals can arrive (ms)
+  abilityHitWindow: 5000,       // How long after a cast its projectiles can still hit (ms); zones add their duration
+  zoneStatusDuration: 2000,     // Zones reapply their status every second, for two (see CombatSystem.applyEffectToArea)
+  healShareTolerance: 0.001,    // Rounding between the client's and server's ability scaling
+  heroMoveSpeed: 5,             // Units per second (matches Hero.update)
+  moveSpeedTolerance: 1.5,
+  allyHealRange: 4,             // Furthest a hero can heal another from (Cleric's Holy Light)
+  abilityReachMultiplier: 4,    // Projectiles, chains and zones land well past the attack range
+  maxAbilityHitsPerSecond: 30   // Area abilities hit many enemies at once
 };
 
+// Starting position of every hero (matches Hero constructor)
+const HERO_SPAWN_POSITION = { x: 0, y: 0.5, z: 8 };
+
+// Where finished runs are recorded, and how many are kept and returned
+const LEADERBOARD_FILE = process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.json');
+const LEADERBOARD_MAX_RUNS = 1000;
+const LEADERBOARD_PAGE_SIZE = 20;
+
+// Finished runs, best first (see compareRuns)
+let leaderboard = [];
+
+/**
+ * Create a new room with a fresh game state
+ * @param {string} name - Display name for the room
+ * @param {string} mapId - Map to play (unknown maps fall back to the default)
+ * @param {string} difficulty - Difficulty preset (unknown ones fall back to the default)
+ * @returns {Object} The created room
+ */
+function createRoom(name, mapId, difficulty) {
+  let roomId;
+  do {
+    roomId = Math.random().toString(36).substring(2, 8).toUpperCase();
+  } while (rooms.has(roomId));
+
+  const room = {
+    id: roomId,
+    name: name || `Room ${roomId}`,
+    mapId: getMap(mapId) ? mapId : defaultMap,
+    difficulty: getDifficulty(difficulty).id,
+    wave: 1,
+    simulation: null, // Shared simulation, created when the game starts
+    players: {},
+    serverHealth: 500, // Server health instead of hero health
+    gameActive: false,
+    countdown: 0,
+    countdownInterval: null,
+    resetTimeout: null,
+    goldSpawned: getDifficulty(difficulty).startingGold, // Starting gold plus spawned enemy value - no player can have earned more
+    towers: {},     // Towers keyed by tower ID
+    nextTowerId: 1,
+    enemiesDefeated: 0,
+    startedAt: 0    // When the current game started, for the leaderboard
+  };
+
+  rooms.set(roomId, room);
+  console.log(`Room created: ${roomId}`);
+
+  return room;
+}
+
+/**
+ * Add a player to a room, leaving any room they are already in
+ * @param {string} playerId - Player ID
+ * @param {Object} room - Room to join
+ * @returns {boolean} True if the player joined
+ */
+function joinRoom(playerId, room) {
+  const player = players[playerId];
+  if (!player) return false;
+
+  if (player.roomId === room.id) return true;
+
+  if (Object.keys(room.players).length >= MAX_PLAYERS_PER_ROOM) {
+    sendToPlayer(playerId, {
+      type: 'error',
+      message: `Room ${room.id} is full`
+    });
+    return false;
+  }
+
+  if (player.roomId) {
+    leaveRoom(playerId);
+  }
+
+  room.players[playerId] = player;
+  player.roomId = room.id;
+  player.hero = createHeroState();
+
+  if (room.simulation) {
+    addSimulationHero(room, playerId);
+  }
+
+  sendToPlayer(playerId, {
+    type: 'room_joined',
+    roomId: room.id,
+    name: room.name,
+    mapId: room.mapId,
+    mapName: getMap(room.mapId).name,
+    difficulty: room.difficulty,
+    playerCount: Object.keys(room.players).length,
+    towers: Object.values(room.towers).map(getTowerMessage)
+  });
+
+  // Notify all players in the room
+  broadcastToRoom(room, {
+    type: 'player_joined',
+    playerId: playerId,
+    playerCount: Object.keys(room.players).length
+  }, []);
+
+  // Send current game state to new player
+  sendToPlayer(playerId, {
+    type: 'game_state',
+    state: {
+      wave: room.wave,
+      serverHealth: room.serverHealth,
+      gameActive: room.gameActive,
+      countdown: room.countdown
+    }
+  });
+
+  // Start game if not already running
+  if (!room.gameActive && Object.keys(room.players).length === 1) {
+    startGame(room);
+  }
+
+  return true;
+}
+
+/**
+ * Remove a player from their current room
+ * @param {string} playerId - Player ID
+ * @param {string} notification - Message type sent to the remaining players
+ */
+function leaveRoom(playerId, notification = 'player_left') {
+  const player = players[playerId];
+  if (!player || !player.roomId) return;
+
+  const room = rooms.get(player.roomId);
+  player.roomId = null;
+  if (!room) return;
+
+  delete room.players[playerId];
+
+  // Nobody is left to fire the player's towers
+  Object.values(room.towers)
+    .filter(tower => tower.ownerId === playerId)
+    .forEach(tower => {
+      delete room.towers[tower.id];
+      broadcastToRoom(room, { type: 'tower_removed', towerId: tower.id }, []);
+    });
+
+  if (room.simulation) {
+    room.simulation.removeHero(playerId);
+    room.simulation.playerCount = Math.max(1, Object.keys(room.players).length);
+  }
+
+  // Notify remaining players
+  broadcastToRoom(room, {
+    type: notification,
+    playerId: playerId,
+    playerCount: Object.keys(room.players).length
+  }, []);
+
+  // Close the room once everyone has left
+  if (Object.keys(room.players).length === 0) {
+    resetGame(room, true); // Reset but don't start until a player joins
+    rooms.delete(room.id);
+    console.log(`Room closed: ${room.id}`);
+  }
+}
+
+/**
+ * Check whether a name is one of the hero classes in shared/HeroStats.js
+ * Own properties only, so names like 'constructor' are not classes.
+ * @param {string} heroClass - Hero class name
+ * @returns {boolean} True for known classes
+ */
+function isHeroClass(heroClass) {
+  return getHeroClassStats(heroClass) !== null;
+}
+
+/**
+ * Create the server-side record of a player's hero
+ * @returns {Object} Hero state with base upgrade levels
+ */
+function createHeroState() {
+  return {
+    heroClass: null,
+    classStats: null, // Combat stats of the class, set along with heroClass
+    position: { ...HERO_SPAWN_POSITION },
+    lastMoveAt: Date.now(),
+    upgrades: { damage: 1, attackSpeed: 1, range: 1, health: 1 },
+    specialUpgrades: {},
+    talents: {},
+    xp: 0, // Every hero earns XP for every enemy that dies, like gold
+    items: [], // Item types carried, in the order they were bought
+    augments: [], // Augment IDs picked from the between-wave drafts
+    goldSpent: 0,
+    lastAttackAt: 0,
+    abilityHitWindowStart: 0, // Ability hits are counted per second
+    abilityHits: 0,
+    abilityLevels: [], // Per ability of the class, set along with heroClass
+    abilityUsedAt: [],
+    manaMissing: 0, // Mana below the maximum, so level-ups raise the mana with it (as on the client)
+    manaUpdatedAt: Date.now(),
+    allyHeals: new Map() // Player ID -> when the cast that last healed them was
+  };
+}
+
+/**
+ * Derive a hero's combat stats from its class, level, upgrade levels, items and augments
+ * @param {Object} hero - Server-side hero state
+ * @returns {Object} Damage, attack rate, range, crit bonuses, movement speed and mana
+ */
+function getHeroStats(hero) {
+  const classStats = hero.classStats;
+  const base = applyHeroLevel(applyTalents(classStats.baseStats, hero.talents), getHeroLevelForXp(hero.xp));
+  const multipliers = upgrades.valueMultipliers;
+  const items = getItemStats(hero.items);
+  const augments = getAugmentStats(hero.augments);
+
+  let critDamageBonus = 0;
+  let moveSpeedBonus = 0;
+  let manaRegenBonus = 0;
+  Object.entries(hero.specialUpgrades).forEach(([name, level]) => {
+    const special = classStats.specialUpgrades[name];
+    critDamageBonus += (special.critDamage || 0) * level;
+    moveSpeedBonus += (special.moveSpeed || 0) * level;
+    manaRegenBonus += (special.manaRegen || 0) * level;
+  });
+
+  return {
+    damage: Math.round(base.damage * Math.pow(multipliers.damage, hero.upgrades.damage - 1)) *
+      items.damageMultiplier * augments.damageMultiplier,
+    attackRate: Math.round(base.attackRate * Math.pow(multipliers.attackSpeed, hero.upgrades.attackSpeed - 1)) *
+      items.attackSpeedMultiplier * augments.attackSpeedMultiplier,
+    range: base.range * Math.pow(multipliers.range, hero.upgrades.range - 1),
+    critDamageBonus: critDamageBonus,
+    moveSpeed: COMBAT_RULES.heroMoveSpeed * (1 + moveSpeedBonus) * augments.moveSpeedMultiplier,
+    mana: base.mana || 0,
+    manaRegen: (base.manaRegen || 0) * (1 + manaRegenBonus) // Per second
+  };
+}
+
+/**
+ * Derive one of a hero's abilities from its class config, augments, ability
+ * level, items and special upgrades, the way the client's Ability changes
+ * (see Ability.applyAugment, applyLevelUpEffects and applyModifiers)
+ * @param {Object} hero - Server-side hero state
+ * @param {number} index - Ability index in the class's ability bar
+ * @returns {Object|null} The ability with its current stats, or null if the class has no such ability
+ */
+function getHeroAbility(hero, index) {
+  const abilities = hero.classStats.abilities;
+  if (!Number.isInteger(index) || index < 0 || index >= abilities.length) return null;
+
+  // Augments change the level 1 stats, which the level then grows
+  const config = abilities[index];
+  const changed = { ...config, ...getAbilityLevelStats(config, 1), effects: [...config.effects] };
+  hero.augments.forEach(id => {
+    const change = (getAugment(id) || {}).ability;
+    if (!change || change.name !== config.name) return;
+
+    Object.entries(change.add || {}).forEach(([stat, amount]) => { changed[stat] = (changed[stat] || 0) + amount; });
+    Object.entries(change.scale || {}).forEach(([stat, factor]) => { changed[stat] = (changed[stat] || 0) * factor; });
+    changed.effects.push(...(change.effects || []));
+  });
+
+  const ability = { ...changed, ...getAbilityLevelStats(changed, hero.abilityLevels[index]) };
+
+  const modifiers = [
+    ...hero.items.map(type => (getItem(type) || {}).abilities),
+    ...hero.augments.map(id => (getAugment(id) || {}).abilities)
+  ].filter(Boolean);
+  modifiers.forEach(modifier => {
+    ability.cooldown *= 1 - (modifier.cooldownReduction || 0);
+    ability.damageMultiplier *= 1 + (modifier.damage || 0);
+  });
+
+  // Special upgrades apply their bonus for every level bought on top of the last
+  Object.entries(hero.specialUpgrades).forEach(([name, level]) => {
+    const special = hero.classStats.specialUpgrades[name];
+    for (let bought = 1; bought <= level; bought++) {
+      ability.cooldown *= 1 - (special.cooldownReduction || 0) * bought;
+      ability.damageMultiplier *= 1 + (special.spellPower || 0) * bought;
+    }
+  });
+
+  return ability;
+}
+
+/**
+ * Read a number from an ability's effect, as AbilityEffects.getEffectValue does
+ * @param {Object} ability - Ability from getHeroAbility
+ * @param {number|string|undefined} value - Number or ability stat name
+ * @param {string} fallback - Ability stat used when value is left out
+ * @returns {number} The value
+ */
+function getAbilityEffectValue(ability, value, fallback) {
+  const resolved = value === undefined ? fallback : value;
+
+  return typeof resolved === 'number' ? resolved : ability[resolved] || 0;
+}
+
+/**
+ * Find the ability of a hero's class that heals
+ * @param {Object} hero - Server-side hero state
+ * @returns {number} Ability index, or -1 if the class can't heal
+ */
+function getHealAbilityIndex(hero) {
+  return hero.classStats.abilities.findIndex(ability => ability.effects.some(effect => effect.type === 'heal'));
+}
+
+/**
+ * Bring a hero's mana up to date with its regeneration
+ * @param {Object} hero - Server-side hero state
+ * @returns {number} Current mana
+ */
+function regenerateMana(hero) {
+  const now = Date.now();
+  const stats = getHeroStats(hero);
+
+  hero.manaMissing = Math.max(0, hero.manaMissing - stats.manaRegen * (now - hero.manaUpdatedAt) / 1000);
+  hero.manaUpdatedAt = now;
+
+  return stats.mana - hero.manaMissing;
+}
+
+/**
+ * Record a player using one of their hero's abilities
+ * Its cooldown and mana cost are checked and spent here, as Hero.useAbility
+ * does on the client.
+ * @param {Object} hero - Server-side hero state
+ * @param {number} index - Ability index
+ * @returns {string|null} Rejection reason, or null if the cast was recorded
+ */
+function castAbility(hero, index) {
+  if (!hero || !hero.classStats) return 'unknown_hero';
+
+  const ability = getHeroAbility(hero, index);
+  if (!ability) return 'unknown_ability';
+
+  const now = Date.now();
+  if (now - hero.abilityUsedAt[index] < ability.cooldown * COMBAT_RULES.cooldownTolerance) {
+    return 'on_cooldown';
+  }
+
+  const mana = regenerateMana(hero);
+  if (mana < ability.manaCost * COMBAT_RULES.manaTolerance) return 'not_enough_mana';
+
+  hero.manaMissing = Math.min(getHeroStats(hero).mana, hero.manaMissing + ability.manaCost);
+  hero.abilityUsedAt[index] = now;
+
+  return null;
+}
+
+/**
+ * Record a player spending an ability point on one of their hero's abilities
+ * Heroes earn their points by levelling up, from the XP the server awards.
+ * @param {Object} hero - Server-side hero state
+ * @param {number} index - Ability index
+ * @returns {string|null} Rejection reason, or null if the level was recorded
+ */
+function levelAbility(hero, index) {
+  if (!hero || !hero.classStats) return 'unknown_hero';
+
+  const ability = getHeroAbility(hero, index);
+  if (!ability) return 'unknown_ability';
+  if (hero.abilityLevels[index] >= ability.maxLevel) return 'max_level';
+
+  const earned = (getHeroLevelForXp(hero.xp) - 1) * heroLeveling.abilityPointsPerLevel;
+  const spent = hero.abilityLevels.reduce((sum, level) => sum + level - 1, 0);
+  if (spent >= earned) return 'no_ability_points';
+
+  hero.abilityLevels[index]++;
+
+  return null;
+}
+
+/**
+ * Apply a player_update to the server-side hero
+ * The class and profile talents are locked once set, and positions that move
+ * faster than the hero can are ignored. Profiles are kept by the client, so
+ * talents are trusted once sanitized (see shared/Profile.js). So are the stats
+ * of classes registered on the client, as long as they're within bounds (see
+ * shared/HeroStats.js); the built-in classes always use the server's own.
+ * @param {Object} hero - Server-side hero state
+ * @param {Object} update - Update data sent by the client
+ */
+function updateHeroState(hero, update) {
+  if (!hero.heroClass) {
+    const classStats = getHeroClassStats(update.heroClass) ||
+      sanitizeHeroClassStats(update.heroClass, update.classStats);
+
+    if (classStats) {
+      hero.heroClass = update.heroClass;
+      hero.classStats = classStats;
+      hero.talents = sanitizeTalents(update.talents);
+      hero.abilityLevels = classStats.abilities.map(() => 1);
+      hero.abilityUsedAt = classStats.abilities.map(() => 0);
+    }
+  }
+
+  if (!hero.heroClass || !update.position) return;
+
+  const position = {
+    x: Number(update.position.x) || 0,
+    y: Number(update.position.y) || 0,
+    z: Number(update.position.z) || 0
+  };
+
+  const now = Date.now();
+  const elapsed = (now - hero.lastMoveAt) / 1000;
+  const maxDistance = getHeroStats(hero).moveSpeed * COMBAT_RULES.moveSpeedTolerance * elapsed;
+
+  if (getDistance(hero.position, position) <= maxDistance) {
+    hero.position = position;
+    hero.lastMoveAt = now;
+  }
+}
+
+/**
+ * Check whether an attack is possible for the attacking hero
+ * @param {Object} hero - Server-side hero state
+ * @param {Object} enemy - Target enemy (undefined if it no longer exists)
+ * @param {number} damage - Damage claimed by the client
+ * @returns {string|null} Rejection reason, or null if the attack is valid
+ */
+function validateAttack(hero, enemy, damage) {
+  if (!hero || !hero.classStats) return 'unknown_hero';
+  if (!enemy) return 'unknown_enemy';
+
+  const stats = getHeroStats(hero);
+
+  if (Date.now() - hero.lastAttackAt < stats.attackRate * COMBAT_RULES.cooldownTolerance) {
+    return 'too_fast';
+  }
+
+  if (getDistance(hero.position, enemy.position) > stats.range + COMBAT_RULES.rangeTolerance) {
+    return 'out_of_range';
+  }
+
+  // Highest damage a single auto-attack can deal: damage buff plus a crit
+  const maxDamage = Math.ceil(
+    stats.damage * COMBAT_RULES.maxBuffDamageMultiplier * (COMBAT_RULES.baseCritMultiplier + stats.critDamageBonus)
+  );
+
+  if (typeof damage !== 'number' || !Number.isFinite(damage) || damage <= 0 || damage > maxDamage) {
+    return 'invalid_damage';
+  }
+
+  return null;
+}
+
+/**
+ * Check whether one of a hero's abilities can reach an enemy
+ * The ability must have been cast (see castAbility) recently enough for its
+ * projectiles or zone to still be around, and the enemy must be within a
+ * reach of the hero.
+ * @param {Object} hero - Server-side hero state
+ * @param {number} abilityIndex - Index of the ability
+ * @param {Object} enemy - Enemy reached (undefined if it no longer exists)
+ * @returns {string|null} Rejection reason, or null if the ability can reach the enemy
+ */
+function checkAbilityReach(hero, abilityIndex, enemy) {
+  if (!hero || !hero.classStats) return 'unknown_hero';
+  if (!enemy) return 'unknown_enemy';
+
+  const ability = getHeroAbility(hero, abilityIndex);
+  if (!ability) return 'unknown_ability';
+
+  if (Date.now() - hero.abilityUsedAt[abilityIndex] > ability.duration + COMBAT_RULES.abilityHitWindow) {
+    return 'not_cast';
+  }
+
+  const reach = getHeroStats(hero).range * COMBAT_RULES.abilityReachMultiplier + COMBAT_RULES.rangeTolerance;
+  if (getDistance(hero.position, enemy.position) > reach) return 'out_of_range';
+
+  return null;
+}
+
+/**
+ * Check whether a hit from one of a hero's abilities is possible
+ * Besides reaching the enemy (see checkAbilityReach), the hit can deal no more
+ * than the ability's strongest damage multiplier at its current level, and
+ * hits are held to a number per second.
+ * @param {Object} hero - Server-side hero state
+ * @param {number} abilityIndex - Index of the ability that hit
+ * @param {Object} enemy - Enemy hit (undefined if it no longer exists)
+ * @param {number} damage - Damage claimed by the client
+ * @returns {string|null} Rejection reason, or null if the hit is valid
+ */
+function validateAbilityHit(hero, abilityIndex, enemy, damage) {
+  const reason = checkAbilityReach(hero, abilityIndex, enemy);
+  if (reason) return reason;
+
+  if (Date.now() - hero.abilityHitWindowStart < 1000 && hero.abilityHits >= COMBAT_RULES.maxAbilityHitsPerSecond) {
+    return 'too_fast';
+  }
+
+  const ability = getHeroAbility(hero, abilityIndex);
+  const multipliers = ability.effects
+    .filter(effect => effect.multiplier !== undefined)
+    .map(effect => getAbilityEffectValue(ability, effect.multiplier, 'damageMultiplier'));
+  const maxDamage = Math.ceil(getHeroStats(hero).damage * Math.max(ability.damageMultiplier, ...multipliers));
+
+  if (typeof damage !== 'number' || !Number.isFinite(damage) || damage <= 0 || damage > maxDamage) {
+    return 'invalid_damage';
+  }
+
+  return null;
+}
+
+/**
+ * Work out a status one of a hero's abilities applies, as AbilityEffects does
+ * Status effects take their strength from the ability; zones reapply theirs
+ * to the enemies inside every second (see CombatSystem.applyEffectToArea).
+ * @param {Object} ability - Ability from getHeroAbility
+ * @param {string} status - 'slow', 'freeze' or 'damage_over_time'
+ * @returns {Object|null} Effect data for Simulation.applyEffect, or null if the ability doesn't apply the status
+ */
+function getAbilityStatus(ability, status) {
+  const effect = ability.effects.find(other => other.type === 'status' && other.status === status);
+  if (effect) {
+    return {
+      type: status,
+      duration: getAbilityEffectValue(ability, effect.duration, 'duration'),
+      slowFactor: getAbilityEffectValue(ability, effect.slowFactor, 'slow'),
+      damagePerTick: getAbilityEffectValue(ability, effect.damagePerTick, 0)
+    };
+  }
+
+  const zone = ability.effects.find(other => other.type === 'zone' && (other.effectType || 'slow') === status);
+  if (zone && (status === 'slow' || status === 'freeze')) {
+    return {
+      type: status,
+      duration: COMBAT_RULES.zoneStatusDuration,
+      slowFactor: getAbilityEffectValue(ability, zone.value, 'slow') || (status === 'freeze' ? 0.9 : 0.5)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a status from one of a hero's abilities is possible
+ * The ability must reach the enemy (see checkAbilityReach) and apply that status.
+ * @param {Object} hero - Server-side hero state
+ * @param {number} abilityIndex - Index of the ability that applied the status
+ * @param {Object} enemy - Enemy affected (undefined if it no longer exists)
+ * @param {string} status - Status claimed by the client
+ * @returns {string|null} Rejection reason, or null if the status is valid
+ */
+function validateAbilityStatus(hero, abilityIndex, enemy, status) {
+  const reason = checkAbilityReach(hero, abilityIndex, enemy);
+  if (reason) return reason;
+
+  if (!getAbilityStatus(getHeroAbility(hero, abilityIndex), status)) return 'invalid_status';
+
+  return null;
+}
+
+/**
+ * Check whether a heal one player sends another is possible
+ * Heroes' health lives with their players, so the heal is forwarded as a share
+ * of the target's maximum health for its client to apply. The healer's class
+ * needs a heal ability, cast (see castAbility) just before, and each cast heals
+ * an ally once for at most the ability's share.
+ * @param {Object} room - Players' room
+ * @param {string} healerId - Healing player's ID
+ * @param {string} targetId - Healed player's ID
+ * @param {number} share - Share of the target's maximum health restored
+ * @returns {string|null} Rejection reason, or null if the heal is valid
+ */
+function validateAllyHeal(room, healerId, targetId, share) {
+  if (!room.gameActive) return 'game_not_active';
+
+  const healer = room.players[healerId].hero;
+  if (!healer.classStats) return 'unknown_hero';
+
+  const index = getHealAbilityIndex(healer);
+  if (index === -1) return 'no_heal_ability';
+
+  if (targetId === healerId || !Object.prototype.hasOwnProperty.call(room.players, targetId)) {
+    return 'unknown_target';
+  }
+
+  const ability = getHeroAbility(healer, index);
+  const heal = ability.effects.find(effect => effect.type === 'heal');
+  const maxShare = Math.min(1, getAbilityEffectValue(ability, heal.value, 'effectValue') + COMBAT_RULES.healShareTolerance);
+
+  if (typeof share !== 'number' || !Number.isFinite(share) || share <= 0 || share > maxShare) {
+    return 'invalid_heal';
+  }
+
+  const castAt = healer.abilityUsedAt[index];
+  if (Date.now() - castAt > COMBAT_RULES.abilityCastWindow) return 'not_cast';
+  if (healer.allyHeals.get(targetId) === castAt) return 'already_healed';
+
+  const distance = getDistance(room.players[healerId].hero.position, room.players[targetId].hero.position);
+  if (distance > COMBAT_RULES.allyHealRange + COMBAT_RULES.rangeTolerance) {
+    return 'out_of_range';
+  }
+
+  return null;
+}
+
+/**
+ * Record a hero upgrade bought by a player
+ * Upgrades are capped by the gold the room's enemies have been worth so far
+ * @param {Object} room - Player's room
+ * @param {Object} hero - Server-side hero state
+ * @param {string} upgradeType - 'stat' or 'special'
+ * @param {string} name - Stat type or special upgrade name
+ * @returns {string|null} Rejection reason, or null if the upgrade was recorded
+ */
+function applyHeroUpgrade(room, hero, upgradeType, name) {
+  if (!hero || !hero.classStats) return 'unknown_hero';
+
+  let cost;
+
+  if (upgradeType === 'stat') {
+    if (!Object.prototype.hasOwnProperty.call(upgrades.baseCosts, name)) return 'invalid_upgrade';
+
+    cost = upgrades.baseCosts[name];
+    for (let level = 1; level < hero.upgrades[name]; level++) {
+      cost = Math.round(cost * upgrades.costMultiplier);
+    }
+  } else if (upgradeType === 'special') {
+    const specialUpgrades = hero.classStats.specialUpgrades;
+    if (!Object.prototype.hasOwnProperty.call(specialUpgrades, name)) return 'invalid_upgrade';
+
+    const special = specialUpgrades[name];
+
+    const level = hero.specialUpgrades[name] || 0;
+    if (level >= upgrades.maxSpecialLevel) return 'max_level';
+
+    cost = Math.round(special.cost * Math.pow(special.costMultiplier, level));
+  } else {
+    return 'invalid_upgrade';
+  }
+
+  if (hero.goldSpent + cost > room.goldSpawned) return 'insufficient_gold';
+
+  if (upgradeType === 'stat') {
+    hero.upgrades[name]++;
+  } else {
+    hero.specialUpgrades[name] = (hero.specialUpgrades[name] || 0) + 1;
+  }
+  hero.goldSpent += cost;
+
+  return null;
+}
+
+/**
+ * Record an item bought by a player
+ * Purchases are capped by the gold the room's enemies have been worth so far
+ * @param {Object} room - Player's room
+ * @param {Object} hero - Server-side hero state
+ * @param {string} type - Item type
+ * @returns {string|null} Rejection reason, or null if the item was recorded
+ */
+function buyItem(room, hero, type) {
+  if (!hero || !hero.classStats) return 'unknown_hero';
+
+  const error = checkItemPurchase(hero.items, type);
+  if (error) return error;
+
+  const cost = getItem(type).cost;
+  if (hero.goldSpent + cost > room.goldSpawned) return 'insufficient_gold';
+
+  hero.items.push(type);
+  hero.goldSpent += cost;
+
+  return null;
+}
+
+/**
+ * Record an item sold by a player, refunding part of its price
+ * @param {Object} hero - Server-side hero state
+ * @param {string} type - Item type
+ * @returns {string|null} Rejection reason, or null if the sale was recorded
+ */
+function sellItem(hero, type) {
+  const index = hero.items.indexOf(type);
+  if (index === -1) return 'not_carried';
+
+  hero.items.splice(index, 1);
+  hero.goldSpent -= getItemSellValue(type);
+
+  return null;
+}
+
+/**
+ * Record an augment a player picked from a draft
+ * Drafts are drawn on the client, so only the class and repeats are checked.
+ * @param {Object} hero - Server-side hero state
+ * @param {string} id - Augment ID
+ * @returns {string|null} Rejection reason, or null if the augment was recorded
+ */
+function chooseAugment(hero, id) {
+  if (!hero || !hero.classStats) return 'unknown_hero';
+
+  const error = checkAugment(hero.heroClass, hero.augments, id);
+  if (error) return error;
+
+  hero.augments.push(id);
+
+  return null;
+}
+
+/**
+ * Charge a player for rerolling an augment draft
+ * @param {Object} room - Player's room
+ * @param {Object} hero - Server-side hero state
+ * @returns {string|null} Rejection reason, or null if the reroll was paid for
+ */
+function rerollAugments(room, hero) {
+  if (hero.goldSpent + augmentRules.rerollCost > room.goldSpawned) return 'insufficient_gold';
+
+  hero.goldSpent += augmentRules.rerollCost;
+
+  return null;
+}
+
+/**
+ * Describe a tower for tower_placed messages and room_joined tower lists
+ * @param {Object} tower - Server-side tower
+ * @returns {Object} Tower ID, type, position, level and owner
+ */
+function getTowerMessage(tower) {
+  return {
+    towerId: tower.id,
+    towerType: tower.type,
+    position: tower.position,
+    level: tower.level,
+    ownerId: tower.ownerId
+  };
+}
+
+/**
+ * Build a tower for a player
+ * @param {Object} room - Player's room
+ * @param {string} playerId - Player ID
+ * @param {string} type - Tower type
+ * @param {Object} position - Cell middle ({x, z})
+ * @returns {Object|string} The new tower, or the reason it was refused
+ */
+function placeTower(room, playerId, type, position) {
+  const hero = room.players[playerId].hero;
+  const stats = getTowerStats(type, 1);
+  if (!stats) return 'unknown_tower';
+
+  const cell = position ? { x: Number(position.x), z: Number(position.z) } : null;
+  const error = checkTowerPlacement(getMap(room.mapId), cell, Object.values(room.towers));
+  if (error) return error;
+
+  if (hero.goldSpent + stats.cost > room.goldSpawned) return 'insufficient_gold';
+
+  const tower = {
+    id: `tower_${room.nextTowerId++}`,
+    type: type,
+    position: cell,
+    level: 1,
+    ownerId: playerId,
+    lastAttackAt: 0
+  };
+
+  room.towers[tower.id] = tower;
+  hero.goldSpent += stats.cost;
+
+  return tower;
+}
+
+/**
+ * Upgrade one of a player's towers
+ * @param {Object} room - Player's room
+ * @param {string} playerId - Player ID
+ * @param {string} towerId - Tower ID
+ * @returns {Object|string} The upgraded tower, or the reason it was refused
+ */
+function upgradeTower(room, playerId, towerId) {
+  const hero = room.players[playerId].hero;
+  const tower = room.towers[towerId];
+  if (!tower) return 'unknown_tower';
+  if (tower.ownerId !== playerId) return 'not_owner';
+
+  const stats = getTowerStats(tower.type, tower.level + 1);
+  if (!stats) return 'max_level';
+  if (hero.goldSpent + stats.cost > room.goldSpawned) return 'insufficient_gold';
+
+  tower.level++;
+  hero.goldSpent += stats.cost;
+
+  return tower;
+}
+
+/**
+ * Check a shot a player's tower fired
+ * @param {Object} tower - Server-side tower (undefined if it doesn't exist)
+ * @param {string} playerId - Player who sent the shot
+ * @param {Object} enemy - Target enemy (undefined if it no longer exists)
+ * @returns {string|null} Rejection reason, or null if the shot is valid
+ */
+function validateTowerAttack(tower, playerId, enemy) {
+  if (!tower) return 'unknown_tower';
+  if (tower.ownerId !== playerId) return 'not_owner';
+  if (!enemy) return 'unknown_enemy';
+
+  const stats = getTowerStats(tower.type, tower.level);
+
+  if (Date.now() - tower.lastAttackAt < stats.attackSpeed * COMBAT_RULES.cooldownTolerance) {
+    return 'too_fast';
+  }
+
+  const distance = Math.hypot(enemy.position.x - tower.position.x, enemy.position.z - tower.position.z);
+  if (distance > stats.range + COMBAT_RULES.rangeTolerance) {
+    return 'out_of_range';
+  }
+
+  return null;
+}
+
+/**
+ * Deal a tower's damage: splash around the target for cannons, a slow for frost towers
+ * @param {Object} room - Tower's room
+ * @param {Object} tower - Server-side tower
+ * @param {Object} enemy - Target enemy
+ */
+function applyTowerAttack(room, tower, enemy) {
+  const stats = getTowerStats(tower.type, tower.level);
+  const simulation = room.simulation;
+
+  const targets = stats.splashRadius
+    ? simulation.enemies.filter(other => getDistance(other.position, enemy.position) <= stats.splashRadius)
+    : [enemy];
+
+  targets.forEach(target => {
+    if (stats.slow) {
+      simulation.applyEffect(target.id, {
+        type: 'slow',
+        slowFactor: stats.slow.slowFactor,
+        duration: stats.slow.duration,
+        sourceId: tower.id
+      });
+    }
+
+    simulation.damageEnemy(target.id, stats.damage, tower.ownerId);
+  });
+}
+
+/**
+ * Get the distance between two positions
+ * @param {Object} a - First position
+ * @param {Object} b - Second position
+ * @returns {number} Distance
+ */
+function getDistance(a, b) {
+  const dx = a.x - b.x;
+  const dy = (a.y || 0) - (b.y || 0);
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Remove a player from the server entirely
+ * @param {string} playerId - Player ID
+ * @param {string} notification - Message type sent to the remaining players
+ */
+function removePlayer(playerId, notification = 'player_left') {
+  if (!players[playerId]) return;
+
+  leaveRoom(playerId, notification);
+  delete players[playerId];
+}
+
+/**
+ * Pick an unused player ID for a registering player
+ * A username already in use by another connection gets a random suffix, so
+ * the new player cannot take over the existing player's identity.
+ * @param {string} username - Requested username (optional)
+ * @returns {string} Player ID
+ */
+function createPlayerId(username) {
+  const randomSuffix = () => Math.random().toString(36).substring(2, 9);
+
+  if (!username) return 'player_' + randomSuffix();
+
+  let playerId = String(username);
+  while (players[playerId]) {
+    playerId = `${username}_${randomSuffix()}`;
+  }
+
+  return playerId;
+}
+
+/**
+ * Get the public summary of every open room
+ * @returns {Array<Object>} Room summaries
+ */
+function getRoomList() {
+  return Array.from(rooms.values()).map(room => ({
+    roomId: room.id,
+    name: room.name,
+    mapId: room.mapId,
+    mapName: getMap(room.mapId).name,
+    difficulty: room.difficulty,
+    playerCount: Object.keys(room.players).length,
+    maxPlayers: MAX_PLAYERS_PER_ROOM,
+    wave: room.wave,
+    gameActive: room.gameActive
+  }));
+}
+
 // Connection handling
 wss.on('connection', (ws) => {
   let playerId;
@@ -28,74 +961,385 @@ wss.on('connection', (ws) => {
     try {
       const data = JSON.parse(message);
 
+      if (playerId && players[playerId]) {
+        players[playerId].lastSeen = Date.now();
+      }
+
+      const room = playerId && players[playerId] && players[playerId].roomId
+        ? rooms.get(players[playerId].roomId)
+        : null;
+
       switch (data.type) {
         case 'register_player':
-          playerId = data.username || 'player_' + Math.random().toString(36).substring(2, 9);
-          
-          // Add player to game
-          gameState.players[playerId] = {
+          // Re-registering replaces the previous identity on this connection
+          if (playerId) {
+            removePlayer(playerId);
+          }
+
+          playerId = createPlayerId(data.username);
+
+          players[playerId] = {
             ws,
             lastSeen: Date.now(),
-            username: data.username
+            username: data.username,
+            roomId: null,
+            hero: createHeroState()
           };
 
           // Acknowledge registration
           ws.send(JSON.stringify({
             type: 'player_registered',
             playerId: playerId,
-            playerCount: Object.keys(gameState.players).length
+            playerCount: Object.keys(players).length
           }));
+          break;
 
-          // Notify all players
-          broadcastToAll({
-            type: 'player_joined',
-            playerId: playerId,
-            playerCount: Object.keys(gameState.players).length
-          }, []);
+        case 'create_room': {
+          if (!playerId) return;
+
+          const newRoom = createRoom(data.name, data.mapId, data.difficulty);
+
+          sendToPlayer(playerId, {
+            type: 'room_created',
+            roomId: newRoom.id,
+            name: newRoom.name
+          });
+
+          joinRoom(playerId, newRoom);
+          break;
+        }
 
-          // Send current game state to new player
+        case 'join_room': {
+          if (!playerId) return;
+
+          const targetRoom = rooms.get(String(data.roomId || '').toUpperCase());
+          if (!targetRoom) {
+            sendToPlayer(playerId, {
+              type: 'error',
+              message: `Room not found: ${data.roomId}`
+            });
+            return;
+          }
+
+          joinRoom(playerId, targetRoom);
+          break;
+        }
+
+        case 'list_rooms':
           ws.send(JSON.stringify({
-            type: 'game_state',
-            state: {
-              wave: gameState.wave,
-              serverHealth: gameState.serverHealth,
-              gameActive: gameState.gameActive,
-              countdown: gameState.countdown
-            }
+            type: 'room_list',
+            rooms: getRoomList()
           }));
+          break;
+
+        case 'leave_room':
+          if (!room) return;
+
+          leaveRoom(playerId);
+
+          sendToPlayer(playerId, {
+            type: 'room_left',
+            roomId: room.id
+          });
+          break;
+
+        case 'player_update':
+          if (!room || !data.data) return;
+
+          updateHeroState(players[playerId].hero, data.data);
+
+          if (room.simulation) {
+            room.simulation.updateHero(playerId, { position: players[playerId].hero.position });
+          }
+          break;
+
+        case 'attack_enemy': {
+          if (!room || !room.gameActive) return;
+
+          const hero = players[playerId].hero;
+          const enemy = room.simulation.getEnemy(data.enemyId);
+          const reason = validateAttack(hero, enemy, data.damage);
 
-          // Start game if not already running
-          if (!gameState.gameActive && Object.keys(gameState.players).length === 1) {
-            startGame();
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'attack_rejected',
+              enemyId: data.enemyId,
+              reason: reason
+            });
+            return;
           }
+
+          hero.lastAttackAt = Date.now();
+          room.simulation.damageEnemy(enemy.id, data.damage, playerId);
           break;
+        }
+
+        case 'ability_hit': {
+          if (!room || !room.gameActive) return;
+
+          const hero = players[playerId].hero;
+          const enemy = room.simulation.getEnemy(data.enemyId);
+          const reason = validateAbilityHit(hero, data.abilityIndex, enemy, data.damage);
+
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'attack_rejected',
+              enemyId: data.enemyId,
+              ability: true,
+              reason: reason
+            });
+            return;
+          }
+
+          const now = Date.now();
+          if (now - hero.abilityHitWindowStart >= 1000) {
+            hero.abilityHitWindowStart = now;
+            hero.abilityHits = 0;
+          }
+          hero.abilityHits++;
+
+          // Hits show as critical when the ability's effects say so, not the client
+          const isCrit = getHeroAbility(hero, data.abilityIndex).effects.some(effect => effect.crit === true);
+          room.simulation.damageEnemy(enemy.id, data.damage, playerId, isCrit);
+          break;
+        }
+
+        case 'use_ability':
+        case 'level_ability': {
+          if (!room) return;
+
+          const hero = players[playerId].hero;
+          const reason = data.type === 'use_ability'
+            ? castAbility(hero, data.abilityIndex)
+            : levelAbility(hero, data.abilityIndex);
 
-        case 'attack_enemy':
-          if (data.enemyId) {
-            const enemy = gameState.enemies.find(e => e.id === data.enemyId);
-            if (enemy) {
-              enemy.health -= data.damage || 10;
-              if (enemy.health <= 0) {
-                removeEnemy(enemy.id);
-              } else {
-                broadcastToAll({
-                  type: 'enemy_damaged',
-                  enemyId: enemy.id,
-                  health: enemy.health
-                }, []);
-              }
-            }
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'ability_rejected',
+              action: data.type === 'use_ability' ? 'use' : 'level',
+              abilityIndex: data.abilityIndex,
+              reason: reason
+            });
           }
           break;
+        }
+
+        case 'ability_status': {
+          if (!room || !room.gameActive) return;
+
+          const hero = players[playerId].hero;
+          const enemy = room.simulation.getEnemy(data.enemyId);
+          const reason = validateAbilityStatus(hero, data.abilityIndex, enemy, data.status);
+
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'attack_rejected',
+              enemyId: data.enemyId,
+              ability: true,
+              status: data.status,
+              reason: reason
+            });
+            return;
+          }
+
+          // The server works out the status itself rather than trusting the client's numbers
+          room.simulation.applyEffect(enemy.id, {
+            ...getAbilityStatus(getHeroAbility(hero, data.abilityIndex), data.status),
+            sourceId: playerId
+          });
+          break;
+        }
+
+        case 'heal_ally': {
+          if (!room) return;
+
+          const hero = players[playerId].hero;
+          const reason = validateAllyHeal(room, playerId, data.targetId, data.share);
+
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'heal_rejected',
+              targetId: data.targetId,
+              reason: reason
+            });
+            return;
+          }
+
+          hero.allyHeals.set(data.targetId, hero.abilityUsedAt[getHealAbilityIndex(hero)]);
+
+          sendToPlayer(data.targetId, {
+            type: 'hero_healed',
+            healerId: playerId,
+            share: data.share
+          });
+          break;
+        }
+
+        case 'hero_upgrade': {
+          if (!room) return;
+
+          const reason = applyHeroUpgrade(room, players[playerId].hero, data.upgradeType, data.name);
+
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'upgrade_rejected',
+              upgradeType: data.upgradeType,
+              name: data.name,
+              reason: reason
+            });
+          }
+          break;
+        }
+
+        case 'buy_item':
+        case 'sell_item': {
+          if (!room) return;
+
+          const hero = players[playerId].hero;
+          const reason = data.type === 'buy_item' ? buyItem(room, hero, data.itemType) : sellItem(hero, data.itemType);
+
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'item_rejected',
+              action: data.type === 'buy_item' ? 'buy' : 'sell',
+              itemType: data.itemType,
+              reason: reason
+            });
+          }
+          break;
+        }
+
+        case 'choose_augment':
+        case 'reroll_augments': {
+          if (!room) return;
+
+          const hero = players[playerId].hero;
+          const reason = data.type === 'choose_augment' ? chooseAugment(hero, data.augmentId) : rerollAugments(room, hero);
+
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'augment_rejected',
+              action: data.type === 'choose_augment' ? 'choose' : 'reroll',
+              augmentId: data.augmentId,
+              reason: reason
+            });
+          }
+          break;
+        }
+
+        case 'place_tower': {
+          if (!room) return;
+
+          const tower = placeTower(room, playerId, data.towerType, data.position);
+
+          if (typeof tower === 'string') {
+            sendToPlayer(playerId, {
+              type: 'tower_rejected',
+              action: 'place',
+              reason: tower
+            });
+            return;
+          }
+
+          broadcastToRoom(room, {
+            type: 'tower_placed',
+            ...getTowerMessage(tower),
+            cost: getTowerStats(tower.type, 1).cost
+          }, []);
+          break;
+        }
+
+        case 'upgrade_tower': {
+          if (!room) return;
+
+          const tower = upgradeTower(room, playerId, data.towerId);
+
+          if (typeof tower === 'string') {
+            sendToPlayer(playerId, {
+              type: 'tower_rejected',
+              action: 'upgrade',
+              towerId: data.towerId,
+              reason: tower
+            });
+            return;
+          }
+
+          broadcastToRoom(room, {
+            type: 'tower_upgraded',
+            towerId: tower.id,
+            level: tower.level,
+            ownerId: tower.ownerId,
+            cost: getTowerStats(tower.type, tower.level).cost
+          }, []);
+          break;
+        }
+
+        case 'sell_tower': {
+          if (!room) return;
+
+          const tower = room.towers[data.towerId];
+          const reason = !tower ? 'unknown_tower' : tower.ownerId !== playerId ? 'not_owner' : null;
+
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'tower_rejected',
+              action: 'sell',
+              towerId: data.towerId,
+              reason: reason
+            });
+            return;
+          }
+
+          const refund = getTowerSellValue(tower.type, tower.level);
+          delete room.towers[tower.id];
+          players[playerId].hero.goldSpent -= refund;
+
+          broadcastToRoom(room, {
+            type: 'tower_sold',
+            towerId: tower.id,
+            ownerId: playerId,
+            refund: refund
+          }, []);
+          break;
+        }
+
+        case 'tower_attack': {
+          if (!room || !room.gameActive) return;
+
+          const tower = room.towers[data.towerId];
+          const enemy = room.simulation.getEnemy(data.enemyId);
+          const reason = validateTowerAttack(tower, playerId, enemy);
+
+          if (reason) {
+            sendToPlayer(playerId, {
+              type: 'tower_rejected',
+              action: 'attack',
+              towerId: data.towerId,
+              reason: reason
+            });
+            return;
+          }
+
+          tower.lastAttackAt = Date.now();
+          applyTowerAttack(room, tower, enemy);
+
+          // Let the other players see the shot
+          broadcastToRoom(room, {
+            type: 'tower_fired',
+            towerId: tower.id,
+            enemyId: enemy.id
+          }, [playerId]);
+          break;
+        }
 
         case 'chat':
-          if (!playerId) return;
+          if (!room) return;
 
-          // Broadcast chat message to all players
-          broadcastToAll({
+          // Broadcast chat message to everyone in the room
+          broadcastToRoom(room, {
             type: 'chat',
             playerId: playerId,
-            username: gameState.players[playerId].username,
+            username: players[playerId].username,
             message: data.message
           }, []);
           break;
@@ -106,322 +1350,518 @@ wss.on('connection', (ws) => {
   });
 
   ws.on('close', () => {
-    if (playerId && gameState.players[playerId]) {
-      // Remove player from game
-      delete gameState.players[playerId];
-
-      // Notify remaining players
-      broadcastToAll({
-        type: 'player_left',
-        playerId: playerId,
-        playerCount: Object.keys(gameState.players).length
-      }, []);
-
-      // Check if all players have left
-      if (Object.keys(gameState.players).length === 0) {
-        resetGame(true); // Reset but don't start until a player joins
-      }
+    if (playerId && players[playerId] && players[playerId].ws === ws) {
+      removePlayer(playerId);
     }
   });
 });
 
-function startGame() {
+function startGame(room) {
   // Clear any existing reset timeout
-  if (gameState.resetTimeout) {
-    clearTimeout(gameState.resetTimeout);
-    gameState.resetTimeout = null;
+  if (room.resetTimeout) {
+    clearTimeout(room.resetTimeout);
+    room.resetTimeout = null;
   }
 
   // Set countdown for 5 seconds
-  gameState.countdown = 5;
-  gameState.gameActive = false;
+  room.countdown = 5;
+  room.gameActive = false;
 
   // Broadcast countdown start
-  broadcastToAll({
+  broadcastToRoom(room, {
     type: 'countdown_started',
-    countdown: gameState.countdown
+    countdown: room.countdown
   }, []);
 
   // Update countdown every second
-  const countdownInterval = setInterval(() => {
-    gameState.countdown--;
+  room.countdownInterval = setInterval(() => {
+    room.countdown--;
     
-    broadcastToAll({
+    broadcastToRoom(room, {
       type: 'countdown_update',
-      countdown: gameState.countdown
+      countdown: room.countdown
     }, []);
 
-    if (gameState.countdown <= 0) {
-      clearInterval(countdownInterval);
+    if (room.countdown <= 0) {
+      clearInterval(room.countdownInterval);
+      room.countdownInterval = null;
       
       // Start the actual game
-      gameState.gameActive = true;
-      gameState.wave = 1;
-      gameState.serverHealth = 500;
-      gameState.enemies = [];
+      room.gameActive = true;
+      room.wave = 1;
+      room.serverHealth = 500;
+      room.simulation = createRoomSimulation(room);
+      room.enemiesDefeated = 0;
+      room.startedAt = Date.now();
       
-      broadcastToAll({
+      broadcastToRoom(room, {
         type: 'game_started',
-        wave: gameState.wave,
-        serverHealth: gameState.serverHealth
+        mapId: room.mapId,
+        wave: room.wave,
+        serverHealth: room.serverHealth,
+        seed: room.simulation.seed
       }, []);
       
       // Start first wave
-      startWave(gameState.wave);
+      room.simulation.startWave(room.wave);
     }
   }, 1000);
 }
 
-function startWave(waveNumber) {
-  // Simple wave configuration
-  const enemyCount = 5 + (waveNumber * 2);
-  const spawnInterval = Math.max(1000, 2000 - (waveNumber * 100));
-  
-  broadcastToAll({
-    type: 'wave_started',
-    wave: waveNumber
-  }, []);
-  
-  // Spawn enemies at intervals
-  let enemiesSpawned = 0;
-  const spawnEnemy = () => {
-    if (enemiesSpawned < enemyCount && gameState.gameActive) {
-      const enemyType = getRandomEnemyType(waveNumber);
-      spawnSingleEnemy(enemyType);
-      enemiesSpawned++;
-      
-      // Schedule next spawn
-      if (enemiesSpawned < enemyCount) {
-        gameState.waveTimeout = setTimeout(spawnEnemy, spawnInterval);
-      } else {
-        // Check if wave is complete (all enemies defeated)
-        checkWaveComplete();
-      }
-    }
-  };
-  
-  // Start spawning
-  spawnEnemy();
+/**
+ * Create the simulation that runs a room's game
+ * Heroes are driven by player updates, so the simulation never attacks for them.
+ * @param {Object} room - Room to create the simulation for
+ * @returns {Simulation} The new simulation
+ */
+function createRoomSimulation(room) {
+  const map = getMap(room.mapId);
+  const simulation = new Simulation({
+    seed: Math.floor(Math.random() * 0xffffffff),
+    path: getMapPath(map),
+    waves: getMapWaves(map),
+    playerCount: Math.max(1, Object.keys(room.players).length),
+    difficulty: room.difficulty
+  });
+
+  room.simulation = simulation;
+  Object.keys(room.players).forEach(playerId => addSimulationHero(room, playerId));
+
+  return simulation;
 }
 
-function getRandomEnemyType(wave) {
-  const types = ['grunt', 'scout', 'brute', 'mage', 'assassin', 'commander'];
-  const availableTypes = types.slice(0, Math.min(types.length, 1 + Math.floor(wave / 2)));
-  return availableTypes[Math.floor(Math.random() * availableTypes.length)];
+/**
+ * Add a player's hero to the room simulation
+ * @param {Object} room - Player's room
+ * @param {string} playerId - Player ID
+ */
+function addSimulationHero(room, playerId) {
+  room.simulation.playerCount = Math.max(1, Object.keys(room.players).length);
+  room.simulation.addHero(playerId, {
+    position: room.players[playerId].hero.position,
+    autoAttack: false
+  });
 }
 
-function spawnSingleEnemy(type) {
-  const enemyId = `enemy_${gameState.nextEnemyId++}`;
-  const health = getEnemyHealth(type);
-  const position = {
-    x: Math.random() * 3 - 1.5,
-    y: 0.4,
-    z: -12
-  };
+/**
+ * Advance a room's simulation and broadcast what happened
+ * @param {Object} room - Room to update
+ */
+function updateRoom(room) {
+  const simulation = room.simulation;
+  const steps = Math.round(ROOM_UPDATE_INTERVAL / simulation.tickMs);
 
-  gameState.enemies.push({
-    id: enemyId,
-    type: type,
-    position: position,
-    health: health,
-    damage: getEnemyDamage(type),
-    speed: getEnemySpeed(type),
-    lastUpdated: Date.now()
-  });
+  // Once an event ends the game the room is reset, so the rest of the step is stale
+  for (let i = 0; i < steps && room.gameActive; i++) {
+    for (const event of simulation.step()) {
+      handleSimulationEvent(room, event);
+      if (!room.gameActive) break;
+    }
+  }
 
-  // Broadcast enemy spawn to all players
-  broadcastToAll({
-    type: 'enemy_spawn',
-    enemyId: enemyId,
-    enemyType: type,
-    position: position,
-    health: health
-  }, []);
-}
+  if (!room.gameActive) return;
 
-function getEnemyHealth(type) {
-  const healthMap = {
-    grunt: 30,
-    scout: 20,
-    brute: 60,
-    mage: 15,
-    assassin: 25,
-    commander: 100
-  };
-  return healthMap[type] || 30;
+  // Broadcast position updates
+  simulation.enemies.forEach(enemy => {
+    broadcastToRoom(room, {
+      type: 'enemy_position',
+      enemyId: enemy.id,
+      position: enemy.position
+    }, []);
+  });
 }
 
-function getEnemyDamage(type) {
-  const damageMap = {
-    grunt: 10,
-    scout: 5,
-    brute: 20,
-    mage: 15,
-    assassin: 25,
-    commander: 40
-  };
-  return damageMap[type] || 10;
-}
+/**
+ * Translate a simulation event into room state changes and messages
+ * @param {Object} room - Room the event happened in
+ * @param {Object} event - Event produced by Simulation.step()
+ */
+function handleSimulationEvent(room, event) {
+  switch (event.type) {
+    case 'waveStarted':
+      room.wave = event.wave;
+      broadcastToRoom(room, {
+        type: 'wave_started',
+        wave: event.wave
+      }, []);
+      break;
 
-function getEnemySpeed(type) {
-  const speedMap = {
-    grunt: 0.02,
-    scout: 0.04,
-    brute: 0.015,
-    mage: 0.025,
-    assassin: 0.05,
-    commander: 0.01
-  };
-  return speedMap[type] || 0.02;
-}
+    case 'waveCompleted':
+      broadcastToRoom(room, {
+        type: 'wave_completed',
+        nextWave: event.wave + 1
+      }, []);
+      break;
 
-function removeEnemy(enemyId) {
-  const index = gameState.enemies.findIndex(e => e.id === enemyId);
-  if (index !== -1) {
-    gameState.enemies.splice(index, 1);
+    case 'enemySpawned':
+      room.goldSpawned += event.value;
 
-    // Broadcast enemy removal to all players
-    broadcastToAll({
-      type: 'enemy_remove',
-      enemyId: enemyId
-    }, []);
+      // Broadcast enemy spawn to all players in the room
+      broadcastToRoom(room, {
+        type: 'enemy_spawn',
+        enemyId: event.enemyId,
+        enemyType: event.enemyType,
+        position: event.position,
+        health: event.health,
+        value: event.value,
+        isBoss: event.isBoss
+      }, []);
+      break;
 
-    // Check if wave is complete
-    checkWaveComplete();
-  }
-}
+    case 'enemyDamaged':
+      broadcastToRoom(room, {
+        type: 'enemy_damaged',
+        enemyId: event.enemyId,
+        health: event.remainingHealth
+      }, []);
+      break;
+
+    case 'enemyDied':
+      room.enemiesDefeated++;
+
+      broadcastToRoom(room, {
+        type: 'enemy_remove',
+        enemyId: event.enemyId
+      }, []);
+
+      // Clients only see enemies removed, so each is told its hero's new XP total
+      Object.entries(room.players).forEach(([playerId, player]) => {
+        player.hero.xp += getEnemyXp(event.value);
+
+        sendToPlayer(playerId, {
+          type: 'hero_experience',
+          experience: player.hero.xp
+        });
+      });
+      break;
 
-function checkWaveComplete() {
-  // Wave is complete when all enemies are defeated
-  if (gameState.enemies.length === 0 && gameState.gameActive) {
-    // Small delay before starting next wave
-    setTimeout(() => {
-      if (gameState.gameActive) {
-        gameState.wave++;
-        broadcastToAll({
-          type: 'wave_completed',
-          nextWave: gameState.wave
+    case 'enemyAuraChanged':
+      broadcastToRoom(room, {
+        type: 'enemy_aura',
+        enemyId: event.enemyId,
+        buffed: event.sourceId !== null
+      }, []);
+      break;
+
+    case 'bossPhaseChanged':
+      broadcastToRoom(room, {
+        type: 'boss_phase',
+        enemyId: event.enemyId,
+        phase: event.phase,
+        shield: event.shield,
+        enraged: event.enraged,
+        summoned: event.summoned
+      }, []);
+      break;
+
+    case 'enemyShieldChanged':
+      broadcastToRoom(room, {
+        type: 'enemy_shield',
+        enemyId: event.enemyId,
+        shield: event.shield
+      }, []);
+      break;
+
+    case 'bossSpecial':
+      broadcastToRoom(room, {
+        type: 'boss_special',
+        enemyId: event.enemyId,
+        heroId: event.heroId,
+        position: event.position,
+        radius: event.radius,
+        damage: event.damage,
+        warning: event.warning
+      }, []);
+      break;
+
+    case 'bossDefeated':
+      // Every player gets the reward, not just the one who landed the last hit
+      room.goldSpawned += event.reward;
+
+      broadcastToRoom(room, {
+        type: 'boss_defeated',
+        enemyId: event.enemyId,
+        enemyType: event.enemyType,
+        sourceId: event.sourceId,
+        reward: event.reward
+      }, []);
+      break;
+
+    case 'enemyAttacked':
+      // Heroes' health lives with their players, so each client applies the hit to its own hero
+      broadcastToRoom(room, {
+        type: 'enemy_attack',
+        enemyId: event.enemyId,
+        heroId: event.heroId,
+        damage: event.damage,
+        isCrit: event.isCrit,
+        ranged: event.ranged,
+        projectileSpeed: event.projectileSpeed
+      }, []);
+      break;
+
+    case 'enemyLeaked':
+      // Damage the server
+      room.serverHealth -= event.damage;
+
+      broadcastToRoom(room, {
+        type: 'server_damaged',
+        health: room.serverHealth,
+        damage: event.damage
+      }, []);
+
+      broadcastToRoom(room, {
+        type: 'enemy_remove',
+        enemyId: event.enemyId
+      }, []);
+
+      // Check if game over
+      if (room.serverHealth <= 0) {
+        const run = recordRun(room);
+
+        broadcastToRoom(room, {
+          type: 'game_over',
+          wave: room.wave,
+          runId: run.id
         }, []);
-        
-        // Start next wave
-        startWave(gameState.wave);
+
+        resetGame(room);
       }
-    }, 3000);
+      break;
   }
 }
 
-function resetGame(waitForPlayers = false) {
-  // Clear any existing timeouts
-  if (gameState.waveTimeout) {
-    clearTimeout(gameState.waveTimeout);
-    gameState.waveTimeout = null;
+function resetGame(room, waitForPlayers = false) {
+  // Clear any existing timers
+  if (room.countdownInterval) {
+    clearInterval(room.countdownInterval);
+    room.countdownInterval = null;
   }
-  
-  if (gameState.resetTimeout) {
-    clearTimeout(gameState.resetTimeout);
-    gameState.resetTimeout = null;
+
+  if (room.resetTimeout) {
+    clearTimeout(room.resetTimeout);
+    room.resetTimeout = null;
   }
 
   // Reset game state
-  gameState.gameActive = false;
-  gameState.wave = 1;
-  gameState.serverHealth = 500;
-  gameState.enemies = [];
+  room.gameActive = false;
+  room.wave = 1;
+  room.serverHealth = 500;
+  room.simulation = null;
+  room.goldSpawned = getDifficulty(room.difficulty).startingGold;
+  room.towers = {};
+  room.enemiesDefeated = 0;
+
+  // Heroes start over with base stats
+  Object.values(room.players).forEach(player => {
+    player.hero = createHeroState();
+  });
   
-  broadcastToAll({
+  broadcastToRoom(room, {
     type: 'game_reset'
   }, []);
   
   // If there are players and we shouldn't wait, start a new game
-  if (Object.keys(gameState.players).length > 0 && !waitForPlayers) {
-    gameState.resetTimeout = setTimeout(() => {
-      startGame();
+  if (Object.keys(room.players).length > 0 && !waitForPlayers) {
+    room.resetTimeout = setTimeout(() => {
+      startGame(room);
     }, 5000);
   }
 }
 
-// Update enemy positions and check for end zone collisions
-setInterval(() => {
-  if (!gameState.gameActive) return;
-  
-  gameState.enemies.forEach(enemy => {
-    // Move enemy forward
-    enemy.position.z += enemy.speed * 60;
-    
-    // Check if enemy reached end zone
-    if (enemy.position.z >= 12) {
-      // Damage the server
-      gameState.serverHealth -= enemy.damage;
-      
-      // Broadcast health update
-      broadcastToAll({
-        type: 'server_damaged',
-        health: gameState.serverHealth,
-        damage: enemy.damage
-      }, []);
-      
-      // Remove enemy
-      removeEnemy(enemy.id);
-      
-      // Check if game over
-      if (gameState.serverHealth <= 0) {
-        broadcastToAll({
-          type: 'game_over',
-          wave: gameState.wave
-        }, []);
-        
-        resetGame();
-      }
-    } else {
-      // Broadcast position update
-      broadcastToAll({
-        type: 'enemy_position',
-        enemyId: enemy.id,
-        position: enemy.position
-      }, []);
+/**
+ * Order runs best first: furthest wave, then most kills, then fastest
+ * @param {Object} a - Run
+ * @param {Object} b - Run
+ * @returns {number} Sort order
+ */
+function compareRuns(a, b) {
+  return b.wave - a.wave || b.enemiesDefeated - a.enemiesDefeated || a.duration - b.duration;
+}
+
+/**
+ * Load the recorded runs, starting empty if the file is missing or unreadable
+ * @returns {Array<Object>} Runs, best first
+ */
+function loadLeaderboard() {
+  try {
+    const runs = JSON.parse(fs.readFileSync(LEADERBOARD_FILE, 'utf8'));
+    if (!Array.isArray(runs)) throw new Error('Expected an array of runs');
+
+    return runs.filter(run => run && Array.isArray(run.players)).sort(compareRuns);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not read leaderboard ${LEADERBOARD_FILE}: ${error.message}`);
     }
-  });
-}, 100);
+    return [];
+  }
+}
 
-// Clean up inactive players
-setInterval(() => {
-  const now = Date.now();
+/**
+ * Write the recorded runs to disk
+ * Written to a temporary file first so a crash can't leave half a leaderboard.
+ */
+function saveLeaderboard() {
+  try {
+    fs.mkdirSync(path.dirname(LEADERBOARD_FILE), { recursive: true });
+    fs.writeFileSync(`${LEADERBOARD_FILE}.tmp`, JSON.stringify(leaderboard, null, 2));
+    fs.renameSync(`${LEADERBOARD_FILE}.tmp`, LEADERBOARD_FILE);
+  } catch (error) {
+    console.error(`Could not save leaderboard ${LEADERBOARD_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Record a room's finished game on the leaderboard
+ * @param {Object} room - Room whose game just ended
+ * @returns {Object} The recorded run
+ */
+function recordRun(room) {
+  const roomPlayers = Object.entries(room.players);
 
-  Object.keys(gameState.players).forEach(playerId => {
-    const player = gameState.players[playerId];
+  const run = {
+    id: `${room.id}-${Date.now().toString(36)}`,
+    players: roomPlayers.map(([playerId, player]) => ({
+      username: player.username || playerId,
+      heroClass: player.hero.heroClass
+    })),
+    playerCount: roomPlayers.length,
+    mapId: room.mapId,
+    difficulty: room.difficulty,
+    wave: room.wave,
+    enemiesDefeated: room.enemiesDefeated,
+    duration: Date.now() - room.startedAt,
+    endedAt: new Date().toISOString()
+  };
 
-    // Remove players inactive for more than 30 seconds
-    if (now - player.lastSeen > 30000) {
-      delete gameState.players[playerId];
+  leaderboard.push(run);
+  leaderboard.sort(compareRuns);
+  leaderboard = leaderboard.slice(0, LEADERBOARD_MAX_RUNS);
+  saveLeaderboard();
 
-      // Notify remaining players
-      broadcastToAll({
-        type: 'player_disconnected',
-        playerId: playerId,
-        playerCount: Object.keys(gameState.players).length
-      }, []);
+  console.log(`Recorded run ${run.id}: wave ${run.wave} on ${run.difficulty}, ${run.enemiesDefeated} enemies`);
+  return run;
+}
 
-      // Check if all players have left
-      if (Object.keys(gameState.players).length === 0) {
-        resetGame(true);
-      }
-    }
-  });
-}, 10000);
+/**
+ * Get the best runs, optionally only those with a hero class, player count or difficulty
+ * Runs recorded before difficulties were played on the default one.
+ * @param {Object} filters - heroClass, players and/or difficulty (all optional)
+ * @returns {Array<Object>} Matching runs, best first
+ */
+function getLeaderboard(filters) {
+  return leaderboard
+    .filter(run => !filters.heroClass || run.players.some(player => player.heroClass === filters.heroClass))
+    .filter(run => !filters.players || run.playerCount === filters.players)
+    .filter(run => !filters.difficulty || getDifficulty(run.difficulty).id === filters.difficulty)
+    .slice(0, LEADERBOARD_PAGE_SIZE);
+}
 
-// Utility function to broadcast to all players
-function broadcastToAll(message, excludePlayers = []) {
+// Best runs, e.g. /api/leaderboard?heroClass=mage&players=2&difficulty=hard
+app.get('/api/leaderboard', (req, res) => {
+  // The game is served from a different port
+  res.set('Access-Control-Allow-Origin', '*');
+
+  const { heroClass } = req.query;
+  if (heroClass !== undefined && !isHeroClass(heroClass)) {
+    res.status(400).json({ error: `Unknown hero class: ${heroClass}` });
+    return;
+  }
+
+  const playerCount = req.query.players !== undefined ? Number(req.query.players) : null;
+  if (playerCount !== null && !(Number.isInteger(playerCount) && playerCount >= 1 && playerCount <= MAX_PLAYERS_PER_ROOM)) {
+    res.status(400).json({ error: `Player count must be between 1 and ${MAX_PLAYERS_PER_ROOM}` });
+    return;
+  }
+
+  const { difficulty } = req.query;
+  if (difficulty !== undefined && !Object.prototype.hasOwnProperty.call(difficultyPresets, difficulty)) {
+    res.status(400).json({ error: `Unknown difficulty: ${difficulty}` });
+    return;
+  }
+
+  res.json({ runs: getLeaderboard({ heroClass, players: playerCount, difficulty }) });
+});
+
+// Utility function to send a message to a single player
+function sendToPlayer(playerId, message) {
+  const player = players[playerId];
+  if (player && player.ws.readyState === WebSocket.OPEN) {
+    player.ws.send(JSON.stringify(message));
+  }
+}
+
+// Utility function to broadcast to all players in a room
+function broadcastToRoom(room, message, excludePlayers = []) {
   const messageStr = JSON.stringify(message);
 
-  Object.entries(gameState.players).forEach(([id, player]) => {
+  Object.entries(room.players).forEach(([id, player]) => {
     if (!excludePlayers.includes(id) && player.ws.readyState === WebSocket.OPEN) {
       player.ws.send(messageStr);
     }
   });
 }
 
-// Start server
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+/**
+ * Check the maps, load the leaderboard and start serving rooms
+ */
+function start() {
+  // Refuse to start with a broken map or wave script rather than fail mid-game
+  Object.keys(maps).forEach(mapId => {
+    const errors = validateMap(maps[mapId]);
+    if (errors.length > 0) {
+      console.error(`Invalid map ${mapId}:\n  ${errors.join('\n  ')}`);
+      process.exit(1);
+    }
+  });
+
+  leaderboard = loadLeaderboard();
+
+  // Advance every running room
+  setInterval(() => {
+    rooms.forEach(room => {
+      if (!room.gameActive || !room.simulation) return;
+
+      updateRoom(room);
+    });
+  }, ROOM_UPDATE_INTERVAL);
+
+  // Clean up inactive players
+  setInterval(() => {
+    const now = Date.now();
+
+    Object.keys(players).forEach(playerId => {
+      const player = players[playerId];
+
+      // Remove players inactive for more than 30 seconds
+      if (now - player.lastSeen > 30000) {
+        removePlayer(playerId, 'player_disconnected');
+      }
+    });
+  }, 10000);
+
+  // Start server
+  const PORT = process.env.PORT || 3001;
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+// Only start listening when run directly, so tests can drive rooms without a port
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  players,
+  createRoom,
+  updateRoom,
+  createHeroState,
+  updateHeroState,
+  castAbility,
+  levelAbility,
+  validateAbilityHit,
+  validateAbilityStatus,
+  getAbilityStatus,
+  getHeroAbility
+};
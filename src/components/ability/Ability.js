@@ -1,7 +1,10 @@
 import { Logger } from '../../utils/Logger.js';
+import { abilityEffects } from './AbilityEffects.js';
 
 /**
- * Base class for abilities
+ * A hero ability
+ * What it does is data: a list of effect primitives from AbilityEffects.js
+ * (damage, aoe, status, zone, projectile, buff, chain) that use() runs in order.
  */
 export class Ability {
   constructor(config) {
@@ -11,8 +14,9 @@ export class Ability {
     this.id = config.id || 'ability_' + Math.random().toString(36).substring(2, 9);
     this.name = config.name || 'Unknown Ability';
     this.description = config.description || '';
-    this.type = config.type || 'active'; // active, passive, toggle
+    this.type = config.type || 'active'; // active, passive, toggle, or the hero ability types (aoe, buff, ...)
     this.cooldown = config.cooldown || 5000; // ms
+    this.manaCost = config.manaCost || 0;
     this.level = config.level || 1;
     this.maxLevel = config.maxLevel || 5;
     this.icon = config.icon || null;
@@ -24,6 +28,12 @@ export class Ability {
     this.duration = config.duration || 0;
     this.aoeRadius = config.aoeRadius || 0;
     this.targetCount = config.targetCount || 1;
+    this.effectValue = config.effectValue || 0; // Strength of a buff (damage multiplier, dodge chance, ...)
+    this.missileCount = config.missileCount || 0;
+    this.slow = config.slow || 0;
+    
+    // Effect primitives run when the ability is used
+    this.effects = config.effects || [];
     
     // Base values for scaling with levels
     this.baseDamageMultiplier = this.damageMultiplier;
@@ -36,18 +46,35 @@ export class Ability {
   }
   
   /**
-   * Use the ability
+   * Use the ability, running its effects in order
    * @param {Hero} caster - The hero using the ability
-   * @param {Object} target - Target of the ability (enemy, position, etc.)
-   * @returns {Object} Result of the ability use
+   * @param {Object} target - Target picked in targeting mode ({position, enemy}), if any
+   * @returns {Object} Result of the ability use (success, and the enemies the last effect hit)
    */
-  use(caster, target) {
+  use(caster, target = null) {
     this.logger.debug(`Using ability: ${this.name}`);
     
-    // Base implementation - override in subclasses
+    const context = {
+      game: caster.game,
+      caster: caster,
+      ability: this,
+      target: target,
+      targets: []
+    };
+    
+    for (const effect of this.effects) {
+      const handler = abilityEffects[effect.type];
+      if (!handler) {
+        this.logger.warn(`Unknown effect type in ${this.name}: ${effect.type}`);
+        return { success: false, message: `Unknown effect type: ${effect.type}` };
+      }
+      
+      handler(context, effect);
+    }
+    
     return {
-      success: false,
-      message: 'Ability not implemented'
+      success: true,
+      targets: context.targets
     };
   }
   
@@ -55,11 +82,10 @@ export class Ability {
    * Check if the ability can be used
    * @param {Hero} caster - The hero trying to use the ability
    * @param {Object} target - Target of the ability
-   * @returns {boolean} True if the ability can be used
+   * @returns {boolean} True if the caster has the mana for it
    */
   canUse(caster, target) {
-    // Default implementation - always usable
-    return true;
+    return (caster.mana || 0) >= this.manaCost;
   }
   
   /**
@@ -81,6 +107,17 @@ export class Ability {
     return true;
   }
   
+  /**
+   * Get how much a stat grows going from the previous level to this one
+   * Stats grow linearly from their level 1 value, so upgrades that changed
+   * them in the meantime (Spell Power, Mana Flow) are kept.
+   * @param {number} perLevel - Growth per level as a fraction of the level 1 value
+   * @returns {number} Factor to multiply the current value by
+   */
+  getLevelScale(perLevel) {
+    return (1 + perLevel * (this.level - 1)) / (1 + perLevel * (this.level - 2));
+  }
+  
   /**
    * Apply effects when ability levels up
    */
@@ -88,16 +125,31 @@ export class Ability {
     // Apply level-based improvements based on ability type
     switch (this.type) {
       case 'active':
+      case 'single':
+      case 'projectile':
+      case 'channel':
         // Scale damage and cooldown
-        this.damageMultiplier = this.baseDamageMultiplier * (1 + 0.2 * (this.level - 1));
-        this.cooldown = Math.round(this.cooldown * Math.pow(0.9, this.level - 1));
+        this.damageMultiplier *= this.getLevelScale(0.2);
+        this.cooldown = Math.round(this.cooldown * 0.9);
+        break;
+      
+      case 'multi':
+        // Scale damage, and hit an extra target every other level
+        this.damageMultiplier *= this.getLevelScale(0.15);
+        this.targetCount = this.baseTargetCount + Math.floor((this.level - 1) / 2);
         break;
       
       case 'aoe':
         // Scale damage, area, and cooldown
-        this.damageMultiplier = this.baseDamageMultiplier * (1 + 0.15 * (this.level - 1));
+        this.damageMultiplier *= this.getLevelScale(0.15);
         this.aoeRadius = this.baseAoeRadius * (1 + 0.1 * (this.level - 1));
-        this.cooldown = Math.round(this.cooldown * Math.pow(0.92, this.level - 1));
+        this.cooldown = Math.round(this.cooldown * 0.92);
+        break;
+      
+      case 'zone':
+        // Scale area and duration
+        this.aoeRadius = this.baseAoeRadius * (1 + 0.1 * (this.level - 1));
+        this.duration = this.baseDuration * (1 + 0.2 * (this.level - 1));
         break;
       
       case 'buff':
@@ -106,12 +158,64 @@ export class Ability {
         // Effect strength varies by specific ability, handle in subclasses
         break;
       
+      case 'heal':
+        // Scale the share of health restored
+        this.effectValue *= this.getLevelScale(0.15);
+        break;
+      
       case 'passive':
         // Effect strength varies by specific ability, handle in subclasses
         break;
     }
   }
   
+  /**
+   * Apply or take back an item's change to the ability
+   * Radius changes go into the level 1 value too, so level-ups keep them.
+   * @param {Object} modifiers - cooldownReduction, damage and aoeRadius, as fractions
+   * @param {boolean} remove - Take the change back instead
+   */
+  applyModifiers(modifiers, remove = false) {
+    const scale = factor => (remove ? 1 / factor : factor);
+
+    if (modifiers.cooldownReduction) {
+      this.cooldown *= scale(1 - modifiers.cooldownReduction);
+    }
+
+    if (modifiers.damage && this.damageMultiplier) {
+      this.damageMultiplier *= scale(1 + modifiers.damage);
+    }
+
+    if (modifiers.aoeRadius && this.aoeRadius) {
+      this.aoeRadius *= scale(1 + modifiers.aoeRadius);
+      this.baseAoeRadius *= scale(1 + modifiers.aoeRadius);
+    }
+  }
+
+  /**
+   * Apply an augment's change to the ability for the rest of the run
+   * Stats with a level 1 value (duration, aoeRadius, targetCount, ...) change
+   * it too, so level-ups keep the change.
+   * @param {Object} change - add (amounts to add), scale (factors) and effects (effects to run after its own)
+   */
+  applyAugment(change) {
+    const base = stat => 'base' + stat.charAt(0).toUpperCase() + stat.slice(1);
+
+    Object.entries(change.add || {}).forEach(([stat, amount]) => {
+      this[stat] = (this[stat] || 0) + amount;
+      if (this[base(stat)] !== undefined) this[base(stat)] += amount;
+    });
+
+    Object.entries(change.scale || {}).forEach(([stat, factor]) => {
+      this[stat] = (this[stat] || 0) * factor;
+      if (this[base(stat)] !== undefined) this[base(stat)] *= factor;
+    });
+
+    if (change.effects) {
+      this.effects = [...this.effects, ...change.effects];
+    }
+  }
+
   /**
    * Get ability description with current stats
    * @returns {string} Formatted ability description
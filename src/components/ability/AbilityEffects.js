@@ -0,0 +1,352 @@
+import * as THREE from 'three';
+
+/**
+ * Effect primitives that abilities are built from
+ *
+ * Each ability in CONFIG.heroClasses lists its effects in order, e.g.
+ *   effects: [{ type: 'aoe', radius: 'range' }, { type: 'status', status: 'freeze' }]
+ * and Ability.use runs them one after another. Effects share a context:
+ *   { game, caster, ability, target, targets }
+ * where target is what the player aimed at ({position, enemy}) and targets are
+ * the enemies the last effect hit, so a later effect (status) can act on them.
+ *
+ * Numbers in an effect are read with getEffectValue: a number is used as is,
+ * the name of an ability property ('duration', 'slow', ...) reads it from the
+ * ability (so ability levels and upgrades apply), and 'range' is the caster's
+ * attack range. Left out, each effect falls back to the ability property noted.
+ *
+ * Damage goes through CombatSystem.damageEnemy and statuses through
+ * applyAbilityEffect, which send them to the server in multiplayer so every
+ * player sees the hits and slows.
+ */
+
+/**
+ * Read a value for an effect
+ * @param {Object} context - Effect context
+ * @param {number|string|undefined} value - Number, ability property name or 'range'
+ * @param {string|number} fallback - Used when value is left out (same forms as value)
+ * @returns {number} The value
+ */
+export function getEffectValue(context, value, fallback) {
+  const resolved = value === undefined ? fallback : value;
+
+  if (typeof resolved === 'number') return resolved;
+  if (resolved === 'range') return context.caster.upgradeStats.range.value;
+
+  return context.ability[resolved] || 0;
+}
+
+/**
+ * Get the damage an effect deals from the caster's damage
+ * @param {Object} context - Effect context
+ * @param {Object} effect - Effect data (multiplier defaults to the ability's damageMultiplier)
+ * @returns {number} Damage
+ */
+function getEffectDamage(context, effect) {
+  const multiplier = getEffectValue(context, effect.multiplier, 'damageMultiplier');
+  return Math.round(context.caster.upgradeStats.damage.value * multiplier);
+}
+
+/**
+ * Get where a placed effect goes: the aimed-at spot, or else in front of the caster
+ * @param {Object} context - Effect context
+ * @param {number} distance - Distance in front of the caster
+ * @returns {THREE.Vector3} Position
+ */
+function getAimPosition(context, distance) {
+  const { caster, target } = context;
+
+  if (target && target.position) return target.position.clone();
+
+  return caster.position.clone().add(
+    new THREE.Vector3(0, 0, -distance).applyEuler(new THREE.Euler(0, caster.rotation.y, 0))
+  );
+}
+
+/**
+ * Get the living enemies within a distance of a position
+ * @param {Object} context - Effect context
+ * @param {THREE.Vector3} position - Center
+ * @param {number} range - Distance
+ * @returns {Array<Enemy>} Enemies in range
+ */
+function getEnemiesInRange(context, position, range) {
+  return context.game.combatSystem.getEnemiesInRange(position, range);
+}
+
+/**
+ * Play an effect's caster animation
+ * @param {Object} context - Effect context
+ * @param {string} animation - 'attack' (default), 'spin' or 'none'
+ */
+function animate(context, animation = 'attack') {
+  const { caster } = context;
+
+  if (animation === 'spin' && typeof caster.animateSpin === 'function') {
+    caster.animateSpin();
+  } else if (animation === 'attack' && typeof caster.animateAttack === 'function') {
+    caster.animateAttack();
+  }
+}
+
+/**
+ * Damage the enemies an effect hit and draw a line to each
+ * @param {Object} context - Effect context
+ * @param {Array<Enemy>} enemies - Enemies hit
+ * @param {number} damage - Damage to each
+ * @param {Object} effect - Effect data (crit, visual)
+ * @param {THREE.Vector3} from - Where lines are drawn from (defaults to the caster)
+ */
+function hitEnemies(context, enemies, damage, effect, from = null) {
+  const { game, caster, ability } = context;
+  const origin = from || caster.position.clone().add(new THREE.Vector3(0, 0.5, 0));
+
+  enemies.forEach(enemy => {
+    game.combatSystem.damageEnemy(enemy, damage, caster, ability, !!effect.crit);
+
+    if (effect.visual !== 'none') {
+      game.combatSystem.createAttackEffect(origin.clone(), enemy.position.clone(), effect.visual || 'slash', ability.effectColor);
+    }
+  });
+}
+
+/**
+ * Registered effect primitives, by type
+ * Each takes the shared context and its effect data.
+ */
+export const abilityEffects = {
+  /**
+   * Strike enemies picked from within range
+   * select: 'target' - the aimed-at enemy, or else the closest (default)
+   *         'nearest' - the closest `count` enemies (count defaults to targetCount)
+   *         'farthest' - the aimed-at enemy, or else the farthest
+   * range defaults to the caster's range times the ability's rangeMultiplier.
+   * crit shows the hits as critical; visual is the line drawn ('slash', 'beam', 'none').
+   */
+  damage(context, effect) {
+    const { caster, target } = context;
+    const range = getEffectValue(context, effect.range, 'range') * (context.ability.rangeMultiplier || 1);
+    const inRange = getEnemiesInRange(context, caster.position, range);
+    const aimed = target && target.enemy && inRange.includes(target.enemy) ? target.enemy : null;
+
+    const byDistance = inRange.sort((a, b) =>
+      caster.position.distanceTo(a.position) - caster.position.distanceTo(b.position)
+    );
+
+    let enemies;
+    switch (effect.select || 'target') {
+      case 'nearest':
+        enemies = byDistance.slice(0, getEffectValue(context, effect.count, 'targetCount'));
+        break;
+
+      case 'farthest':
+        enemies = aimed ? [aimed] : byDistance.slice(-1);
+        break;
+
+      default:
+        enemies = aimed ? [aimed] : byDistance.slice(0, 1);
+    }
+
+    context.targets = enemies;
+    if (enemies.length === 0) return;
+
+    if (enemies.length === 1) caster.faceTowards(enemies[0].position);
+    animate(context, effect.animation);
+
+    hitEnemies(context, enemies, getEffectDamage(context, effect), effect);
+  },
+
+  /**
+   * Hit every enemy around the caster and show the area
+   * radius defaults to the ability's aoeRadius; damage: false only shows the area.
+   */
+  aoe(context, effect) {
+    const { game, caster, ability } = context;
+    const radius = getEffectValue(context, effect.radius, 'aoeRadius');
+
+    game.combatSystem.createAreaEffect({
+      position: caster.position.clone(),
+      radius: radius,
+      duration: effect.visualDuration || 1,
+      color: ability.effectColor,
+      effectType: 'visual',
+      owner: caster
+    });
+
+    if (effect.damage === false) return;
+
+    const enemies = getEnemiesInRange(context, caster.position, radius);
+    context.targets = enemies;
+    if (enemies.length === 0) return;
+
+    animate(context, effect.animation);
+
+    const damage = getEffectDamage(context, effect);
+    enemies.forEach(enemy => game.combatSystem.damageEnemy(enemy, damage, caster, ability));
+  },
+
+  /**
+   * Apply a status to the enemies the previous effect hit
+   * status: 'slow', 'freeze' or 'damage_over_time'; duration defaults to the
+   * ability's, slowFactor to its slow.
+   */
+  status(context, effect) {
+    const { game, caster, ability } = context;
+    const duration = getEffectValue(context, effect.duration, 'duration');
+
+    context.targets.forEach(enemy => {
+      game.combatSystem.applyAbilityEffect(enemy, {
+        type: effect.status,
+        duration: duration,
+        slowFactor: getEffectValue(context, effect.slowFactor, 'slow'),
+        damagePerTick: getEffectValue(context, effect.damagePerTick, 0),
+        tickInterval: effect.tickInterval,
+        source: caster
+      }, ability);
+    });
+  },
+
+  /**
+   * Leave an area on the ground that affects enemies inside it
+   * Placed at the aimed-at spot, or `distance` in front of the caster.
+   * effectType is the area's effect (see CombatSystem.applyEffectToArea) and
+   * value its strength (defaults to the ability's slow); radius and duration
+   * default to the ability's.
+   */
+  zone(context, effect) {
+    const { game, caster, ability } = context;
+
+    game.combatSystem.createAreaEffect({
+      position: getAimPosition(context, effect.distance || 3),
+      radius: getEffectValue(context, effect.radius, 'aoeRadius'),
+      duration: getEffectValue(context, effect.duration, 'duration') / 1000, // Convert ms to seconds
+      damage: effect.multiplier !== undefined ? getEffectDamage(context, effect) : 0,
+      effectType: effect.effectType || 'slow',
+      effectValue: getEffectValue(context, effect.value, 'slow'),
+      color: ability.effectColor,
+      owner: caster,
+      ability: ability
+    });
+  },
+
+  /**
+   * Fire projectiles
+   * aim: 'point' - at the aimed-at spot, or `distance` in front of the caster (default)
+   *      'enemy' - at the enemy closest to the caster, in range
+   * count fires a volley spread over the ability's duration; explode: true
+   * bursts on impact over the ability's aoeRadius.
+   */
+  projectile(context, effect) {
+    const { game, caster, ability, target } = context;
+    const start = () => caster.position.clone().add(new THREE.Vector3(0, 0.5, 0));
+
+    let enemy = null;
+    let targetPosition;
+    if (effect.aim === 'enemy') {
+      enemy = game.combatSystem.getClosestEnemy(caster.position, caster.upgradeStats.range.value);
+      if (!enemy) return;
+
+      context.targets = [enemy];
+      targetPosition = enemy.position.clone();
+    } else {
+      targetPosition = getAimPosition(context, effect.distance || 5);
+    }
+
+    caster.faceTowards(targetPosition);
+    animate(context, effect.animation);
+
+    const count = Math.max(1, getEffectValue(context, effect.count, 1));
+    const delay = count > 1 ? getEffectValue(context, effect.duration, 'duration') / count : 0;
+    const damage = getEffectDamage(context, effect);
+
+    const fire = index => {
+      game.combatSystem.createProjectile({
+        position: start(),
+        // Later shots in a volley follow the enemy they were fired at
+        direction: new THREE.Vector3().subVectors(enemy ? enemy.position : targetPosition, caster.position).normalize(),
+        speed: effect.speed || 0.2,
+        damage: damage,
+        aoeRadius: effect.explode ? getEffectValue(context, effect.radius, 'aoeRadius') : 0,
+        color: ability.effectColor,
+        owner: caster,
+        ability: ability,
+        lifetime: effect.lifetime || 5,
+        // A projectile aimed at a spot bursts there even if it hits nothing on the way
+        targetPosition: effect.aim !== 'enemy' && target && target.position ? targetPosition : null
+      });
+
+      if (index < count - 1) {
+        setTimeout(() => fire(index + 1), delay);
+      }
+    };
+
+    fire(0);
+  },
+
+  /**
+   * Buff the caster
+   * stat is the buff property (damageReduction, damageMultiplier, dodgeChance,
+   * damageConversion, ...); value defaults to the ability's effectValue and
+   * duration to its duration.
+   */
+  buff(context, effect) {
+    const { caster, ability } = context;
+
+    caster.applyBuff({
+      name: ability.name,
+      duration: getEffectValue(context, effect.duration, 'duration'),
+      [effect.stat]: getEffectValue(context, effect.value, 'effectValue'),
+      effectColor: ability.effectColor
+    });
+  },
+
+  /**
+   * Jump from the enemy the previous effect hit (or the closest one) to the
+   * next closest, up to `jumps` more enemies within `range` of each other
+   * Each jump deals `falloff` times the damage of the one before.
+   */
+  chain(context, effect) {
+    const { game, caster } = context;
+    const range = getEffectValue(context, effect.range, 'range');
+    const falloff = effect.falloff !== undefined ? effect.falloff : 0.75;
+
+    const hitEffect = { ...effect, visual: effect.visual || 'beam' };
+    let damage = getEffectDamage(context, effect);
+    let current = context.targets[0];
+
+    // With nothing hit yet, the chain starts on the closest enemy
+    if (!current) {
+      current = game.combatSystem.getClosestEnemy(caster.position, caster.upgradeStats.range.value);
+      if (!current) return;
+
+      caster.faceTowards(current.position);
+      hitEnemies(context, [current], damage, hitEffect);
+      damage = Math.round(damage * falloff);
+    }
+
+    const hit = [current];
+    for (let jumps = getEffectValue(context, effect.jumps, 'targetCount'); jumps > 0; jumps--) {
+      const from = current;
+      const next = getEnemiesInRange(context, from.position, range)
+        .filter(enemy => !hit.includes(enemy))
+        .sort((a, b) => from.position.distanceTo(a.position) - from.position.distanceTo(b.position))[0];
+      if (!next) break;
+
+      hitEnemies(context, [next], damage, hitEffect, from.position.clone());
+      hit.push(next);
+      current = next;
+      damage = Math.round(damage * falloff);
+    }
+
+    context.targets = hit;
+  }
+};
+
+/**
+ * Add an effect primitive that abilities can use
+ * @param {string} type - Effect type used in ability configs
+ * @param {Function} handler - Called with (context, effect) when an ability runs it
+ */
+export function registerAbilityEffect(type, handler) {
+  abilityEffects[type] = handler;
+}
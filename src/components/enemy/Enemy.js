@@ -13,7 +13,7 @@ export class Enemy {
 
     // Enemy properties
     this.id = enemyData.id || 'enemy_' + Math.random().toString(36).substring(2, 9);
-    this.type = enemyData.type || 'grunt';
+    this.type = enemyData.type || enemyData.name || 'grunt';
     this.name = enemyData.name || this.type.charAt(0).toUpperCase() + this.type.slice(1);
     this.baseHealth = enemyData.health || 30;
     this.health = this.baseHealth;
@@ -25,6 +25,15 @@ export class Enemy {
     this.color = enemyData.color || 0xff0000;
     this.scale = enemyData.scale || 1;
     this.shape = enemyData.shape || 'box';
+    this.isBoss = enemyData.isBoss || false; // Boss entry of a wave script
+
+    // Boss phases
+    this.phase = 0;
+    this.shield = 0;
+    this.enraged = false;
+
+    // Commander aura (0 for enemies without one)
+    this.auraRange = enemyData.auraRange || 0;
 
     // Position and movement
     this.position = new THREE.Vector3();
@@ -32,9 +41,16 @@ export class Enemy {
       this.position.copy(enemyData.position);
     }
 
+    // Simulation entity this enemy renders (solo play); null when the server drives it
+    this.entity = enemyData.entity || null;
+
     // Visual properties
     this.mesh = null;
     this.healthBar = null;
+    this.auraRing = null;  // Ring showing this commander's aura range
+    this.buffIcon = null;  // Icon shown while a commander's aura buffs this enemy
+    this.shieldBubble = null; // Bubble shown while a boss shield is up
+    this.enrageRing = null;   // Ring shown under an enraged boss
 
     // Status effects
     this.effects = [];
@@ -97,11 +113,135 @@ export class Enemy {
     healthBarGroup.position.y = 1.5 * this.scale;
     enemyGroup.add(healthBarGroup);
 
+    // Commanders show the range of their aura on the ground
+    if (this.auraRange > 0) {
+      this.auraRing = this.createAuraRing();
+      enemyGroup.add(this.auraRing);
+    }
+
     // Store reference to mesh
     this.mesh = enemyGroup;
 
     return enemyGroup;
   }
+  /**
+   * Create the ring showing a commander's aura range
+   * @returns {THREE.Mesh} Aura ring
+   */
+  createAuraRing() {
+    const geometry = new THREE.RingGeometry(this.auraRange - 0.08, this.auraRange, 48);
+    const material = new THREE.MeshBasicMaterial({
+      color: this.color,
+      transparent: true,
+      opacity: 0.4,
+      side: THREE.DoubleSide
+    });
+
+    const ring = new THREE.Mesh(geometry, material);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.05 - this.position.y; // Just above the ground
+
+    return ring;
+  }
+
+  /**
+   * Show or hide the commander aura buff icon
+   * @param {boolean} active - Whether a commander's aura is buffing this enemy
+   */
+  setAuraBuff(active) {
+    if (active === !!this.buffIcon) return;
+
+    if (active) {
+      if (!this.mesh) return;
+
+      // Small gold arrow above the health bar
+      const geometry = new THREE.ConeGeometry(0.12, 0.25, 8);
+      const material = new THREE.MeshBasicMaterial({ color: 0xffd700 });
+
+      this.buffIcon = new THREE.Mesh(geometry, material);
+      this.buffIcon.position.y = 1.5 * this.scale + 0.3;
+      this.mesh.add(this.buffIcon);
+    } else {
+      if (this.mesh) {
+        this.mesh.remove(this.buffIcon);
+      }
+      this.buffIcon.geometry.dispose();
+      this.buffIcon.material.dispose();
+      this.buffIcon = null;
+    }
+
+    this.events.emit('auraBuffChanged', {
+      enemyId: this.id,
+      active: active
+    });
+  }
+
+  /**
+   * Set the boss shield and show or hide its bubble
+   * @param {number} shield - Damage the shield can still absorb
+   */
+  setShield(shield) {
+    this.shield = Math.max(0, shield);
+    const active = this.shield > 0;
+
+    if (active && !this.shieldBubble && this.mesh) {
+      const geometry = new THREE.SphereGeometry(0.9 * this.scale, 24, 16);
+      const material = new THREE.MeshBasicMaterial({
+        color: 0x66ccff,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false
+      });
+
+      this.shieldBubble = new THREE.Mesh(geometry, material);
+      this.mesh.add(this.shieldBubble);
+    } else if (!active && this.shieldBubble) {
+      if (this.mesh) {
+        this.mesh.remove(this.shieldBubble);
+      }
+      this.shieldBubble.geometry.dispose();
+      this.shieldBubble.material.dispose();
+      this.shieldBubble = null;
+    }
+
+    this.events.emit('shieldChanged', {
+      enemyId: this.id,
+      shield: this.shield
+    });
+  }
+
+  /**
+   * Show a boss entering a new phase
+   * @param {Object} data - Phase number, shield and enraged flag (bossPhaseChanged event)
+   */
+  handlePhaseChanged(data) {
+    this.phase = data.phase;
+    this.setShield(data.shield);
+
+    if (data.enraged && !this.enraged && this.mesh) {
+      const geometry = new THREE.RingGeometry(0.9 * this.scale, 1.1 * this.scale, 32);
+      const material = new THREE.MeshBasicMaterial({
+        color: 0xff2200,
+        transparent: true,
+        opacity: 0.7,
+        side: THREE.DoubleSide
+      });
+
+      this.enrageRing = new THREE.Mesh(geometry, material);
+      this.enrageRing.rotation.x = -Math.PI / 2;
+      this.enrageRing.position.y = 0.05 - this.position.y; // Just above the ground
+      this.mesh.add(this.enrageRing);
+    }
+    this.enraged = data.enraged;
+
+    this.events.emit('phaseChanged', {
+      enemyId: this.id,
+      phase: this.phase,
+      shield: this.shield,
+      enraged: this.enraged
+    });
+  }
+
   /**
    * Create a health bar for the enemy
    * @returns {THREE.Group} Health bar group
@@ -158,20 +298,20 @@ export class Enemy {
     // Force visibility - IMPORTANT
     this.mesh.visible = true;
   
-    // Use server position if available
-    if (this.serverPosition) {
-      // Apply server position directly
+    // Follow the simulation entity, or the latest server position in multiplayer
+    if (this.entity) {
+      // Face along the path while walking it (attacks turn the enemy towards its target)
+      const { x, z } = this.entity.position;
+      if (x !== this.position.x || z !== this.position.z) {
+        this.mesh.rotation.y = Math.atan2(this.entity.direction.x, this.entity.direction.z);
+      }
+
+      this.position.set(x, this.entity.position.y, z);
+      this.mesh.position.copy(this.position);
+    } else if (this.serverPosition) {
       this.position.copy(this.serverPosition);
       this.mesh.position.copy(this.serverPosition);
       this.serverPosition = null; // Clear after use
-    } else {
-      // Otherwise use local movement
-      // Convert speed to be more noticeable for debugging
-      let adjustedSpeed = this.speed * 5; // Multiply speed for clearer movement
-  
-      // Move enemy forward with adjusted speed
-      this.mesh.position.z += adjustedSpeed * delta * 60;
-      this.position.copy(this.mesh.position);
     }
   
     // Ensure position is above ground
@@ -179,13 +319,6 @@ export class Enemy {
       this.mesh.position.y = 0.4;
     }
 
-    // Convert speed to be more noticeable for debugging
-    let adjustedSpeed = this.speed * 5; // Multiply speed for clearer movement
-
-    // Move enemy forward with adjusted speed
-    this.mesh.position.z += adjustedSpeed * delta * 60;
-    this.position.copy(this.mesh.position);
-
     // Update health bar to face camera
     if (this.mesh.children.length > 1 && this.game && this.game.sceneManager && this.game.sceneManager.camera) {
       const healthBarGroup = this.mesh.children[1]; // Assuming health bar is the second child
@@ -200,42 +333,15 @@ export class Enemy {
       this.mesh.children[0].scale.set(pulseFactor, pulseFactor, pulseFactor);
     }
 
-    // Check if enemy reached the end zone
-    if (this.position.z >= 12) {
-      // Deal damage to hero/base
-      if (this.game && this.game.state && this.game.state.hero) {
-        // Deal damage equal to enemy's damage stat
-        const damageToHero = this.damage;
-
-        // Apply damage directly to hero
-        this.game.state.hero.takeDamage(damageToHero, this);
-
-        // Create floating damage text
-        if (this.game.combatSystem) {
-          this.game.combatSystem.createFloatingText(
-            `-${damageToHero}`,
-            this.game.state.hero.position.clone().add(new THREE.Vector3(0, 1, 0)),
-            0xff0000
-          );
-        }
-
-        // Update wave system for wave completion
-        if (this.game.waveSystem) {
-          this.game.waveSystem.waveEnemiesLeft = Math.max(0, this.game.waveSystem.waveEnemiesLeft - 1);
-          this.game.waveSystem.checkWaveCompletion();
-        }
-
-        // Remove from scene
-        if (this.game.sceneManager) {
-          this.game.sceneManager.removeFromScene(this.mesh);
-        }
+    // Slowly turn the aura ring so it reads as active
+    if (this.auraRing) {
+      this.auraRing.rotation.z += delta * 0.5;
+    }
 
-        // Remove from state
-        const index = this.game.state.enemies.indexOf(this);
-        if (index !== -1) {
-          this.game.state.enemies.splice(index, 1);
-        }
-      }
+    // Throb the enrage ring
+    if (this.enrageRing) {
+      const throb = 1 + 0.15 * Math.sin(Date.now() / 100);
+      this.enrageRing.scale.set(throb, throb, 1);
     }
 
     // Update effects
@@ -387,6 +493,18 @@ export class Enemy {
       }
     }
 
+    // The simulation owns the gameplay side of the effect (slowing, damage ticks)
+    if (this.entity && this.game && this.game.simulation) {
+      this.game.simulation.applyEffect(this.id, {
+        type: effect.type,
+        duration: effect.duration,
+        slowFactor: effect.slowFactor,
+        damagePerTick: effect.damagePerTick,
+        tickInterval: effect.tickInterval,
+        sourceId: effect.source ? effect.source.id : null
+      });
+    }
+
     // Check for existing effect of same type
     const existingEffectIndex = this.effects.findIndex(e => e.type === effect.type);
 
@@ -422,11 +540,58 @@ export class Enemy {
     // Skip if already in death animation
     if (this.deathAnimationStarted) return 0;
 
+    // The simulation applies the damage and reports back through handleDamaged/handleDied
+    if (this.entity && this.game && this.game.simulation) {
+      return this.game.simulation.damageEnemy(this.id, amount, source ? source.id : null, isCrit);
+    }
+
     // Calculate final damage (apply effects, etc.)
     const finalDamage = Math.max(1, Math.round(amount));
 
-    // Reduce health
-    this.health -= finalDamage;
+    this.handleDamaged({
+      damage: finalDamage,
+      isCrit: isCrit,
+      remainingHealth: this.health - finalDamage
+    }, source);
+
+    /// Check if defeated
+    if (this.health <= 0) {
+      this.handleDied(source);
+    }
+
+    return finalDamage;
+  }
+
+  /**
+   * Show this enemy attacking a hero
+   * @param {Hero} target - Hero being attacked
+   * @param {Object} attack - Damage, crit flag, and whether it's a ranged attack (with its projectile speed)
+   */
+  handleAttack(target, attack) {
+    if (this.deathAnimationStarted) return;
+
+    // Face the hero
+    if (this.mesh && target.position) {
+      this.mesh.rotation.y = Math.atan2(target.position.x - this.position.x, target.position.z - this.position.z);
+    }
+
+    // Emit attack event
+    this.events.emit('attack', {
+      target: target,
+      damage: attack.damage,
+      isCrit: attack.isCrit,
+      ranged: attack.ranged,
+      projectileSpeed: attack.projectileSpeed
+    });
+  }
+
+  /**
+   * Show damage dealt to this enemy
+   * @param {Object} data - Damage, crit flag and remaining health
+   * @param {Object} source - Source of the damage
+   */
+  handleDamaged(data, source) {
+    this.health = data.remainingHealth;
 
     // Update health bar
     this.updateHealthBar();
@@ -434,29 +599,26 @@ export class Enemy {
     // Emit damage event
     this.events.emit('damaged', {
       enemyId: this.id,
-      damage: finalDamage,
+      damage: data.damage,
       source: source,
-      isCrit: isCrit,
+      isCrit: data.isCrit,
       remainingHealth: this.health
     });
+  }
 
-    /// Check if defeated
-    if (this.health <= 0 && !this.deathAnimationStarted) {
-      this.deathAnimationStarted = true;
-
-      // Emit death event
-      this.events.emit('died', {
-        enemyId: this.id,
-        source: source
-      });
-
-      // Check wave completion
-      if (this.game && this.game.waveSystem) {
-        this.game.waveSystem.checkWaveCompletion();
-      }
-    }
+  /**
+   * Start this enemy's death
+   * @param {Object} source - Source of the killing blow
+   */
+  handleDied(source) {
+    if (this.deathAnimationStarted) return;
+    this.deathAnimationStarted = true;
 
-    return finalDamage;
+    // Emit death event
+    this.events.emit('died', {
+      enemyId: this.id,
+      source: source
+    });
   }
 
   /**
@@ -586,5 +748,17 @@ export class Enemy {
     });
 
     this.effects = [];
+
+    this.setAuraBuff(false);
+    this.setShield(0);
+
+    if (this.enrageRing) {
+      if (this.mesh) {
+        this.mesh.remove(this.enrageRing);
+      }
+      this.enrageRing.geometry.dispose();
+      this.enrageRing.material.dispose();
+      this.enrageRing = null;
+    }
   }
 }
\ No newline at end of file
@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import { Enemy } from './Enemy.js';
 import { Logger } from '../../utils/Logger.js';
 import { CONFIG } from '../../config/GameConfig.js';
+import { getEnemyHealthMultiplier, getEnemyValueMultiplier, getDifficulty } from '../../shared/GameData.js';
+import { getMapWaves } from '../../shared/Maps.js';
 
 /**
  * Factory class for creating enemy instances
@@ -31,25 +33,29 @@ export class EnemyFactory {
       return null;
     }
     
-    // Apply wave scaling to health
-    const waveHealthMultiplier = Math.pow(
-      CONFIG.difficultyScaling.healthMultiplier, 
-      Math.max(0, this.game.state.wave - CONFIG.waveConfig.length)
-    );
-    
-    // Apply multiplayer scaling if applicable
+    // Apply wave, multiplayer and difficulty scaling to health and gold value
+    const waves = getMapWaves(this.game.map).waves;
     const playerCount = Object.keys(this.game.otherPlayers || {}).length + 1; // +1 for local player
-    const multiplayerScaling = 1 + (CONFIG.multiplayer.difficultyMultiplier * (playerCount - 1));
+    const difficulty = getDifficulty(this.game.state.difficulty);
+    const healthMultiplier = getEnemyHealthMultiplier(this.game.state.wave, playerCount, waves) * difficulty.healthMultiplier;
+    const valueMultiplier = getEnemyValueMultiplier(this.game.state.wave, waves) * difficulty.valueMultiplier;
     
-    // Calculate final health
-    const scaledHealth = Math.round(enemyConfig.health * waveHealthMultiplier * multiplayerScaling);
+    // Calculate final health and value (the simulation or server may have already scaled them)
+    const scaledHealth = options.health || Math.round(enemyConfig.health * healthMultiplier);
+    const scaledValue = options.value || Math.round(enemyConfig.value * valueMultiplier);
     
     // Create enemy instance
     const enemy = new Enemy(this.game, {
       ...enemyConfig,
       health: scaledHealth,
+      value: scaledValue,
+      speed: enemyConfig.speed * difficulty.speedMultiplier,
+      damage: Math.round(enemyConfig.damage * difficulty.damageMultiplier),
+      isBoss: !!options.isBoss,
+      scale: options.isBoss ? enemyConfig.scale * 1.5 : enemyConfig.scale, // Bosses stand out
       id: options.id || 'enemy_' + Math.random().toString(36).substring(2, 9),
-      position: options.position || this.getSpawnPosition(enemyType)
+      position: options.position || this.getSpawnPosition(enemyType),
+      entity: options.entity
     });
     
     // Create enemy mesh
@@ -70,11 +76,15 @@ export class EnemyFactory {
    * @returns {THREE.Vector3} Spawn position
    */
   getSpawnPosition(enemyType) {
+    // Pick one of the map's spawn points
+    const map = this.game.map;
+    const spawn = map.spawnPoints[Math.floor(Math.random() * map.spawnPoints.length)];
+    const waypoint = map.lanes.waypoints[spawn];
+
     // Random x position across lane width
-    const xPos = Math.random() * 3 - 1.5;
-    
-    // Spawn at top of lane
-    return new THREE.Vector3(xPos, 0.4, -12);
+    const xPos = waypoint.x + Math.random() * 3 - 1.5;
+
+    return new THREE.Vector3(xPos, 0.4, waypoint.z);
   }
   
   /**
@@ -138,12 +148,21 @@ export class EnemyFactory {
         
         // Update upgrade buttons (in case of new affordability)
         this.game.uiManager.updateUpgradeButtons();
-        
-        // Check for wave completion
-        this.game.waveSystem.checkWaveCompletion();
       });
     });
     
+    // Listen for attacks on heroes
+    enemy.events.on('attack', (data) => {
+      this.game.events.emit('enemyAttack', {
+        enemy: enemy,
+        target: data.target,
+        damage: data.damage,
+        isCrit: data.isCrit,
+        ranged: data.ranged,
+        projectileSpeed: data.projectileSpeed
+      });
+    });
+
     // Listen for effect applied events
     enemy.events.on('effectApplied', (data) => {
       this.game.events.emit('enemyEffectApplied', {
@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+import { CONFIG } from '../../config/GameConfig.js';
+import { getEffectValue } from '../ability/AbilityEffects.js';
+import { heroClassStats, getSpecialUpgradeCost } from '../../shared/HeroStats.js';
+
+/**
+ * Cleric hero class - a support caster with holy damage, healing and protection
+ * Added entirely through registerHeroClass (see HeroClasses.js): a plain Hero
+ * with a mesh builder and a heal effect of its own. Its combat stats and
+ * abilities are in shared/HeroStats.js, which the server reads too.
+ */
+export const clericClass = {
+  id: 'cleric',
+  name: 'Cleric',
+  description: 'Healing, holy magic and protective blessings',
+  unlockLevel: 4,
+  color: 0xf5deb3, // Wheat
+  abilities: heroClassStats.cleric.abilities,
+  specialUpgrades: [
+    {
+      name: "Devotion",
+      description: "Increases mana regeneration by 15% per level",
+      ...getSpecialUpgradeCost('cleric', 'Devotion'),
+      effect: (level) => ({ manaRegen: 0.15 * level })
+    },
+    {
+      name: "Sanctuary",
+      description: "Reduces incoming damage by 4% per level",
+      ...getSpecialUpgradeCost('cleric', 'Sanctuary'),
+      effect: (level) => ({ damageReduction: 0.04 * level })
+    }
+  ],
+
+  /**
+   * Add a halo and a mace to the base hero mesh
+   * @param {THREE.Group} heroGroup - Base hero mesh
+   */
+  createMesh(heroGroup) {
+    const halo = new THREE.Mesh(
+      new THREE.TorusGeometry(0.22, 0.03, 8, 24),
+      new THREE.MeshBasicMaterial({ color: 0xffd700 })
+    );
+    halo.rotation.x = Math.PI / 2;
+    halo.position.y = 1.15;
+    heroGroup.add(halo);
+
+    const mace = new THREE.Group();
+
+    const handle = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.03, 0.03, 0.6, 8),
+      new THREE.MeshStandardMaterial({ color: 0x8b4513, metalness: 0.1, roughness: 0.8 })
+    );
+    mace.add(handle);
+
+    const head = new THREE.Mesh(
+      new THREE.SphereGeometry(0.1, 8, 8),
+      new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.2 })
+    );
+    head.position.y = 0.35;
+    mace.add(head);
+
+    mace.position.set(0.4, 0.5, 0);
+    heroGroup.add(mace);
+  },
+
+  abilityEffects: {
+    /**
+     * Heal the caster, and allied heroes within radius, by a share of their maximum health
+     * value defaults to the ability's effectValue. Allies are other players'
+     * heroes, so their heals go through the server to the clients that own them.
+     */
+    heal(context, effect) {
+      const { game, caster, ability } = context;
+      const share = getEffectValue(context, effect.value, 'effectValue');
+      const radius = getEffectValue(context, effect.radius, 0);
+      const maxHealth = caster.getMaxHealth(CONFIG.upgrades);
+      const healed = caster.heal(maxHealth * share, maxHealth);
+
+      const showHeal = position => game.combatSystem.createAreaEffect({
+        position: position.clone(),
+        radius: 1,
+        duration: 1,
+        color: ability.effectColor,
+        effectType: 'visual',
+        owner: caster
+      });
+
+      showHeal(caster.position);
+
+      if (healed > 0) {
+        game.combatSystem.createFloatingText(
+          `+${healed}`,
+          caster.position.clone().add(new THREE.Vector3(0, 1, 0)),
+          0x00ff00
+        );
+      }
+
+      if (radius <= 0 || !game.networkManager) return;
+
+      Object.entries(game.otherPlayers || {}).forEach(([playerId, player]) => {
+        if (!player.hero || player.hero.position.distanceTo(caster.position) > radius) return;
+
+        game.networkManager.sendAllyHeal(playerId, share);
+        showHeal(player.hero.position);
+      });
+    }
+  }
+};
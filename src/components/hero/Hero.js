@@ -1,6 +1,8 @@
 import * as THREE from 'three';
 import { Logger } from '../../utils/Logger.js';
 import { EventEmitter } from '../../utils/EventEmitter.js';
+import { Ability } from '../ability/Ability.js';
+import { heroLeveling, getHeroXpForLevel, getHeroLevelForXp, applyHeroLevel } from '../../shared/HeroLeveling.js';
 
 /**
  * Base Hero class that represents the player character
@@ -18,13 +20,22 @@ export class Hero {
     this.baseStats = heroData.baseStats || {};
     this.color = heroData.color || 0x4169e1;
 
+    // Adds class-specific parts to the base mesh (see registerHeroClass)
+    this.meshBuilder = heroData.meshBuilder || null;
+
+    // Level 1 stats, raised as the hero levels up (see shared/HeroLeveling.js)
+    this.levelOneStats = { ...this.baseStats };
+
     // Dynamic properties
     this.level = 1;
+    this.experience = 0;
+    this.abilityPoints = 0;
     this.position = new THREE.Vector3(0, 0.5, 8);
     this.rotation = new THREE.Euler(0, 0, 0);
     this.targetPosition = null;
+    this.targetEnemy = null; // Enemy picked by the player, attacked ahead of closer enemies
     this.attackCooldown = 0;
-    this.abilities = heroData.abilities || [];
+    this.abilities = (heroData.abilities || []).map(config => new Ability(config));
     this.abilityCooldowns = {};
     this.buffs = [];
 
@@ -36,6 +47,11 @@ export class Hero {
       health: { level: 1, value: this.baseStats.health || 100 }
     };
 
+    // Mana pool spent by abilities
+    this.maxMana = this.baseStats.mana || 0;
+    this.mana = this.maxMana;
+    this.manaRegen = this.baseStats.manaRegen || 0; // Per second
+
     // 3D representation
     this.mesh = null;
     this.weaponMesh = null;
@@ -111,6 +127,10 @@ export class Hero {
     this.rangeIndicator.visible = false;
     heroGroup.add(this.rangeIndicator);
 
+    if (this.meshBuilder) {
+      this.meshBuilder(heroGroup, this);
+    }
+
     // Store reference to the mesh
     this.mesh = heroGroup;
 
@@ -124,11 +144,15 @@ export class Hero {
   update(delta) {
     if (!this.mesh) return;
 
+    // Chase a forced target into range
+    this.updateTarget();
+
     // Move hero toward target position
     if (this.targetPosition) {
       const direction = new THREE.Vector3().subVectors(this.targetPosition, this.mesh.position);
+      const distance = direction.length();
 
-      if (direction.length() > 0.1) {
+      if (distance > 0.1) {
         // Move toward target
         direction.normalize();
 
@@ -142,7 +166,8 @@ export class Hero {
           }
         });
 
-        this.mesh.position.add(direction.multiplyScalar(moveSpeed));
+        // Don't overshoot the destination
+        this.mesh.position.add(direction.multiplyScalar(Math.min(moveSpeed, distance)));
 
         // Update internal position
         this.position.copy(this.mesh.position);
@@ -162,8 +187,10 @@ export class Hero {
       this.attackCooldown -= 1000 * delta;
     }
 
-    // Auto-attack nearest enemy in range
-    this.findAndAttackNearestEnemy();
+    // Auto-attack nearest enemy in range (the simulation does this in solo play)
+    if (!this.game || !this.game.simulation) {
+      this.findAndAttackNearestEnemy();
+    }
 
     // Update ability cooldowns
     Object.keys(this.abilityCooldowns).forEach(index => {
@@ -177,10 +204,45 @@ export class Hero {
       }
     });
 
+    // Regenerate mana
+    this.regenerateMana(delta);
+
     // Update buffs
     this.updateBuffs(delta);
   }
 
+  /**
+   * Regenerate mana over time
+   * @param {number} delta - Time since last update in seconds
+   */
+  regenerateMana(delta) {
+    if (this.mana >= this.maxMana || this.manaRegen <= 0) return;
+
+    const oldMana = this.mana;
+    this.mana = Math.min(this.maxMana, this.mana + this.manaRegen * delta);
+
+    // Only tell listeners when the whole number shown changes
+    if (Math.floor(this.mana) !== Math.floor(oldMana)) {
+      this.events.emit('manaChanged', { amount: this.mana - oldMana, source: 'regen' });
+    }
+  }
+
+  /**
+   * Spend mana
+   * @param {number} amount - Mana to spend
+   * @param {string} source - What spent it
+   * @returns {boolean} True if there was enough mana
+   */
+  spendMana(amount, source) {
+    if (amount <= 0) return true;
+    if (this.mana < amount) return false;
+
+    this.mana -= amount;
+    this.events.emit('manaChanged', { amount: -amount, source: source });
+
+    return true;
+  }
+
   /**
    * Find and attack the nearest enemy in range
    */
@@ -193,6 +255,12 @@ export class Hero {
       return;
     }
 
+    // A forced target in range is attacked before anything closer
+    if (this.targetEnemy && this.position.distanceTo(this.targetEnemy.position) <= this.upgradeStats.range.value) {
+      this.attack(this.targetEnemy);
+      return;
+    }
+
     // Find closest enemy in range
     let closestEnemy = null;
     let closestDistance = this.upgradeStats.range.value;
@@ -260,6 +328,58 @@ export class Hero {
     this.targetPosition = targetPosition.clone();
   }
 
+  /**
+   * Force-target an enemy: chase it into range and attack it ahead of other enemies
+   * @param {Enemy} enemy - Enemy to target
+   */
+  setTarget(enemy) {
+    this.targetEnemy = enemy;
+    this.targetPosition = null;
+
+    this.events.emit('targetChanged', { target: enemy });
+  }
+
+  /**
+   * Drop the forced target and go back to auto-attacking
+   */
+  clearTarget() {
+    if (!this.targetEnemy) return;
+
+    this.targetEnemy = null;
+    this.events.emit('targetChanged', { target: null });
+  }
+
+  /**
+   * Stop moving and drop the forced target
+   */
+  stop() {
+    this.targetPosition = null;
+    this.clearTarget();
+  }
+
+  /**
+   * Follow the forced target until it is in range, and drop it once it is gone
+   */
+  updateTarget() {
+    const enemy = this.targetEnemy;
+    if (!enemy) return;
+
+    const enemies = this.game && this.game.state ? this.game.state.enemies : [];
+    if (enemy.deathAnimationStarted || enemy.health <= 0 || !enemies.includes(enemy)) {
+      this.clearTarget();
+      this.targetPosition = null;
+      return;
+    }
+
+    // Close in to just inside attack range so small movements don't break it
+    const range = this.upgradeStats.range.value;
+    if (this.position.distanceTo(enemy.position) > range * 0.9) {
+      this.targetPosition = new THREE.Vector3(enemy.position.x, this.position.y, enemy.position.z);
+    } else {
+      this.targetPosition = null;
+    }
+  }
+
   /**
    * Attack a target enemy
    * @param {Enemy} enemy - Enemy to attack
@@ -271,39 +391,14 @@ export class Hero {
     const distance = this.position.distanceTo(enemy.position);
     if (distance > this.upgradeStats.range.value) return false;
   
-    // Face the enemy
-    const direction = new THREE.Vector3().subVectors(enemy.position, this.position);
-    this.rotation.y = Math.atan2(direction.x, direction.z);
-    if (this.mesh) this.mesh.rotation.y = this.rotation.y;
-  
-    // Calculate damage
-    let damage = this.upgradeStats.damage.value;
-  
-    // Apply buffs
-    this.buffs.forEach(buff => {
-      if (buff.damageMultiplier) {
-        damage *= buff.damageMultiplier;
-      }
-    });
-  
-    // Check for critical hit
-    let isCrit = false;
-    let critChance = 0;
-    let critDamage = 1.5; // Base crit damage is 50% extra
-  
-    // Apply crit buffs
-    this.buffs.forEach(buff => {
-      if (buff.critChance) {
-        critChance += buff.critChance;
-      }
-      if (buff.critDamage) {
-        critDamage += buff.critDamage;
-      }
-    });
+    // Calculate damage with buffs applied
+    const stats = this.getCombatStats();
+    let damage = stats.damage;
   
     // Roll for crit
-    if (critChance > 0 && Math.random() < critChance) {
-      damage *= critDamage;
+    let isCrit = false;
+    if (stats.critChance > 0 && Math.random() < stats.critChance) {
+      damage *= stats.critDamage;
       isCrit = true;
     }
   
@@ -311,6 +406,7 @@ export class Hero {
     damage = Math.round(damage);
   
     // Send damage to server instead of applying directly
+    // (the server checks range, cooldown and damage against its own copy of the hero)
     if (this.game && this.game.networkManager) {
       this.game.networkManager.send({
         type: 'attack_enemy',
@@ -320,7 +416,21 @@ export class Hero {
     }
   
     // Reset attack cooldown
-    this.attackCooldown = this.upgradeStats.attackSpeed.value;
+    this.attackCooldown = stats.attackRate;
+  
+    this.handleAttack(enemy, damage, isCrit);
+  
+    return true;
+  }
+
+  /**
+   * Show an attack on an enemy (face it and notify listeners)
+   * @param {Enemy} enemy - Enemy attacked
+   * @param {number} damage - Damage dealt
+   * @param {boolean} isCrit - Whether the attack was a critical hit
+   */
+  handleAttack(enemy, damage, isCrit) {
+    this.faceTowards(enemy.position);
   
     // Emit attack event
     this.events.emit('attack', {
@@ -328,16 +438,87 @@ export class Hero {
       damage: damage,
       isCrit: isCrit
     });
+  }
+
+  /**
+   * Turn the hero to face a position
+   * @param {THREE.Vector3} position - Position to face
+   */
+  faceTowards(position) {
+    const direction = new THREE.Vector3().subVectors(position, this.position);
+    this.rotation.y = Math.atan2(direction.x, direction.z);
+    if (this.mesh) this.mesh.rotation.y = this.rotation.y;
+  }
+
+  /**
+   * Spin the hero in place (two full turns)
+   * @param {number} duration - Spin duration in ms
+   */
+  animateSpin(duration = 1500) {
+    if (!this.mesh) return;
+
+    const startTime = Date.now();
+    const initialRotation = this.rotation.y;
+
+    const spinInterval = setInterval(() => {
+      const elapsed = Date.now() - startTime;
+      if (elapsed < duration) {
+        this.rotation.y = initialRotation + (elapsed / duration) * Math.PI * 4;
+        if (this.mesh) this.mesh.rotation.y = this.rotation.y;
+      } else {
+        clearInterval(spinInterval);
+      }
+    }, 16);
+  }
+
+  /**
+   * Get the hero's auto-attack stats with buffs applied
+   * This is what the simulation uses to attack on the hero's behalf.
+   * @returns {Object} Position, damage, attack rate, range, crit stats and forced target
+   */
+  getCombatStats() {
+    let damage = this.upgradeStats.damage.value;
+    let attackRate = this.upgradeStats.attackSpeed.value;
+    let critChance = 0;
+    let critDamage = 1.5; // Base crit damage is 50% extra
   
-    return true;
+    this.buffs.forEach(buff => {
+      if (buff.damageMultiplier) {
+        damage *= buff.damageMultiplier;
+      }
+      if (buff.attackSpeedMultiplier) {
+        attackRate *= buff.attackSpeedMultiplier;
+      }
+      if (buff.critChance) {
+        critChance += buff.critChance;
+      }
+      if (buff.critDamage) {
+        critDamage += buff.critDamage;
+      }
+    });
+  
+    return {
+      position: {
+        x: this.position.x,
+        y: this.position.y,
+        z: this.position.z
+      },
+      damage: damage,
+      attackRate: attackRate,
+      range: this.upgradeStats.range.value,
+      critChance: critChance,
+      critDamage: critDamage,
+      targetId: this.targetEnemy ? this.targetEnemy.id : null
+    };
   }
 
   /**
    * Use an ability
    * @param {number} abilityIndex - Index of the ability to use
+   * @param {Object} target - Optional target picked by the player ({position, enemy})
    * @returns {boolean} True if ability was used successfully
    */
-  useAbility(abilityIndex) {
+  useAbility(abilityIndex, target = null) {
     if (abilityIndex < 0 || abilityIndex >= this.abilities.length) {
       this.logger.warn(`Invalid ability index: ${abilityIndex}`);
       return false;
@@ -350,10 +531,17 @@ export class Hero {
 
     const ability = this.abilities[abilityIndex];
 
+    if (!ability.canUse(this, target) || !this.spendMana(ability.manaCost, ability.name)) {
+      this.logger.debug(`Not enough mana for ${ability.name}: ${Math.floor(this.mana)}/${ability.manaCost}`);
+      this.events.emit('notEnoughMana', { abilityIndex, ability });
+      return false;
+    }
+
     // Emit ability used event
     this.events.emit('abilityUsed', {
       abilityIndex: abilityIndex,
-      ability: ability
+      ability: ability,
+      target: target
     });
 
     // Start cooldown
@@ -362,6 +550,162 @@ export class Hero {
     return true;
   }
 
+  /**
+   * Get one of the hero's abilities by name
+   * @param {string} name - Ability name
+   * @returns {Ability|null} The ability, or null if the hero doesn't have it
+   */
+  getAbility(name) {
+    return this.abilities.find(ability => ability.name === name) || null;
+  }
+
+  /**
+   * Get the hero's progress through its current level
+   * @returns {Object} XP into the current level and XP the level takes (0 at max level)
+   */
+  getLevelProgress() {
+    if (this.level >= heroLeveling.maxLevel) return { current: 0, needed: 0 };
+
+    const levelStart = getHeroXpForLevel(this.level);
+    return {
+      current: this.experience - levelStart,
+      needed: getHeroXpForLevel(this.level + 1) - levelStart
+    };
+  }
+
+  /**
+   * Earn XP, levelling up as many times as it pays for
+   * @param {number} amount - XP earned
+   * @param {Object} upgradeConfig - Upgrade configuration (see CONFIG.upgrades)
+   * @returns {number} Levels gained
+   */
+  gainExperience(amount, upgradeConfig) {
+    if (amount <= 0 || this.level >= heroLeveling.maxLevel) return 0;
+
+    this.experience += amount;
+    this.events.emit('experienceChanged', { amount });
+
+    const oldLevel = this.level;
+    const newLevel = getHeroLevelForXp(this.experience);
+    while (this.level < newLevel) {
+      this.levelUp(upgradeConfig);
+    }
+
+    return this.level - oldLevel;
+  }
+
+  /**
+   * Go up a level: raise base stats and gain an ability point
+   * @param {Object} upgradeConfig - Upgrade configuration (see CONFIG.upgrades)
+   */
+  levelUp(upgradeConfig) {
+    this.level++;
+    this.abilityPoints += heroLeveling.abilityPointsPerLevel;
+    this.applyLevelStats(upgradeConfig);
+
+    this.logger.info(`${this.name} reached level ${this.level}`);
+    this.events.emit('levelUp', { level: this.level, abilityPoints: this.abilityPoints });
+  }
+
+  /**
+   * Recalculate base stats for the hero's level, keeping bought upgrades
+   * Health and mana go up by however much their maximums did.
+   * @param {Object} upgradeConfig - Upgrade configuration (see CONFIG.upgrades)
+   */
+  applyLevelStats(upgradeConfig) {
+    const multipliers = upgradeConfig.valueMultipliers;
+    const oldMaxHealth = this.getMaxHealth(upgradeConfig);
+    const oldMaxMana = this.maxMana;
+
+    this.baseStats = applyHeroLevel(this.levelOneStats, this.level);
+
+    this.upgradeStats.damage.value = Math.round(
+      this.baseStats.damage * Math.pow(multipliers.damage, this.upgradeStats.damage.level - 1)
+    );
+
+    const maxHealth = this.getMaxHealth(upgradeConfig);
+    if (maxHealth !== oldMaxHealth) {
+      this.upgradeStats.health.value += maxHealth - oldMaxHealth;
+      this.events.emit('healthChanged', { amount: maxHealth - oldMaxHealth, source: 'levelUp' });
+    }
+
+    this.maxMana = this.baseStats.mana || 0;
+    if (this.maxMana !== oldMaxMana) {
+      this.mana = Math.max(0, this.mana + this.maxMana - oldMaxMana);
+      this.events.emit('manaChanged', { amount: this.maxMana - oldMaxMana, source: 'levelUp' });
+    }
+  }
+
+  /**
+   * Get the hero's maximum health from its level, health upgrades and buffs
+   * @param {Object} upgradeConfig - Upgrade configuration (see CONFIG.upgrades)
+   * @returns {number} Maximum health
+   */
+  getMaxHealth(upgradeConfig) {
+    const bonus = this.buffs.reduce((total, buff) => total + (buff.maxHealth || 0), 0);
+
+    return Math.round(
+      this.baseStats.health * Math.pow(upgradeConfig.valueMultipliers.health, this.upgradeStats.health.level - 1)
+    ) + bonus;
+  }
+
+  /**
+   * Restore health, up to the maximum
+   * @param {number} amount - Health to restore
+   * @param {number} maxHealth - Maximum health (see getMaxHealth)
+   * @returns {number} Health actually restored
+   */
+  heal(amount, maxHealth) {
+    const healed = Math.max(0, Math.min(Math.round(amount), maxHealth - this.upgradeStats.health.value));
+    if (healed <= 0) return 0;
+
+    this.upgradeStats.health.value += healed;
+    this.events.emit('healthChanged', { amount: healed, source: 'heal' });
+
+    return healed;
+  }
+
+  /**
+   * Spend an ability point to level up an ability
+   * @param {number} abilityIndex - Index of the ability
+   * @returns {boolean} True if the ability levelled up
+   */
+  levelUpAbility(abilityIndex) {
+    const ability = this.abilities[abilityIndex];
+    if (!ability || this.abilityPoints <= 0) return false;
+
+    if (!ability.levelUp()) return false;
+
+    this.abilityPoints--;
+    this.events.emit('abilityLeveled', { abilityIndex, level: ability.level });
+
+    return true;
+  }
+
+  /**
+   * Put back the level, XP and ability levels from a saved run
+   * Call before buying back upgrades, which build on the levelled base stats.
+   * @param {Object} progress - experience, abilityPoints and abilityLevels
+   * @param {Object} upgradeConfig - Upgrade configuration (see CONFIG.upgrades)
+   */
+  restoreProgress(progress, upgradeConfig) {
+    this.experience = progress.experience;
+    this.level = getHeroLevelForXp(this.experience);
+    this.applyLevelStats(upgradeConfig);
+
+    // Replay ability levels one at a time so each applies its own scaling
+    progress.abilityLevels.forEach((level, index) => {
+      const ability = this.abilities[index];
+      if (!ability) return;
+
+      while (ability.level < Math.min(level, ability.maxLevel)) {
+        ability.levelUp();
+      }
+    });
+
+    this.abilityPoints = progress.abilityPoints;
+  }
+
   /**
    * Apply a buff to the hero
    * @param {Object} buffData - Buff data
@@ -373,10 +717,14 @@ export class Hero {
       duration: buffData.duration || 5000,
       remainingDuration: buffData.duration || 5000,
       damageMultiplier: buffData.damageMultiplier || null,
+      attackSpeedMultiplier: buffData.attackSpeedMultiplier || null, // Multiplies the time between attacks
+      maxHealth: buffData.maxHealth || null, // Flat bonus to maximum health
       damageReduction: buffData.damageReduction || null,
       moveSpeedMultiplier: buffData.moveSpeedMultiplier || null,
       critChance: buffData.critChance || null,
       critDamage: buffData.critDamage || null,
+      dodgeChance: buffData.dodgeChance || null,
+      damageConversion: buffData.damageConversion || null,
       visualEffect: null
     };
 
@@ -401,6 +749,25 @@ export class Hero {
     this.events.emit('buffApplied', { buff });
   }
 
+  /**
+   * Remove a buff before it runs out (e.g. a permanent item buff when the item is sold)
+   * @param {string} buffId - ID the buff was applied with
+   * @returns {boolean} True if the buff was active
+   */
+  removeBuff(buffId) {
+    const index = this.buffs.findIndex(buff => buff.id === buffId);
+    if (index === -1) return false;
+
+    const [buff] = this.buffs.splice(index, 1);
+    if (buff.visualEffect && this.mesh) {
+      this.mesh.remove(buff.visualEffect);
+    }
+
+    this.events.emit('buffEnded', { buff });
+
+    return true;
+  }
+
   /**
    * Upgrade a hero stat
    * @param {string} statType - Stat to upgrade (damage, attackSpeed, range, health)
@@ -443,9 +810,7 @@ export class Hero {
 
       case 'health':
         const oldMaxHealth = this.upgradeStats.health.value;
-        this.upgradeStats.health.value = Math.round(
-          this.baseStats.health * Math.pow(upgradeConfig.valueMultipliers.health, this.upgradeStats.health.level - 1)
-        );
+        this.upgradeStats.health.value = this.getMaxHealth(upgradeConfig);
 
         // Heal by the difference between old and new max health
         const healthDiff = this.upgradeStats.health.value - oldMaxHealth;
@@ -475,6 +840,22 @@ export class Hero {
     // Base implementation - extended by subclasses
   }
 
+  /**
+   * Get the chance to dodge an enemy attack from buffs
+   * @returns {number} Dodge chance between 0 and 1
+   */
+  getDodgeChance() {
+    let dodgeChance = 0;
+
+    this.buffs.forEach(buff => {
+      if (buff.dodgeChance) {
+        dodgeChance += buff.dodgeChance;
+      }
+    });
+
+    return Math.min(1, dodgeChance);
+  }
+
   /**
    * Take damage from an attack
    * @param {number} amount - Amount of damage to take
@@ -495,7 +876,18 @@ export class Hero {
     damageReduction = Math.min(0.9, damageReduction);
   
     // Calculate final damage
-    const actualDamage = Math.round(amount * (1 - damageReduction));
+    let actualDamage = Math.round(amount * (1 - damageReduction));
+
+    // Mana Shield: part of the damage drains mana instead, while the mana lasts
+    const damageConversion = this.buffs.reduce((total, buff) => total + (buff.damageConversion || 0), 0);
+    if (damageConversion > 0) {
+      const absorbed = Math.min(Math.round(actualDamage * Math.min(1, damageConversion)), Math.floor(this.mana));
+
+      if (absorbed > 0) {
+        this.spendMana(absorbed, 'damage');
+        actualDamage -= absorbed;
+      }
+    }
     
     // Update hero's health - ADD THIS LINE
     this.upgradeStats.health.value = Math.max(0, this.upgradeStats.health.value - actualDamage);
@@ -537,6 +929,8 @@ export class Hero {
       attackSpeed: this.upgradeStats.attackSpeed.value,
       range: this.upgradeStats.range.value,
       health: this.upgradeStats.health.value,
+      mana: this.mana,
+      maxMana: this.maxMana,
       position: this.position.clone(),
       rotation: this.rotation.clone()
     };
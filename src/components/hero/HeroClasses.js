@@ -0,0 +1,39 @@
+import { Warrior } from './Warrior.js';
+import { Ranger } from './Ranger.js';
+import { Mage } from './Mage.js';
+import { clericClass } from './Cleric.js';
+import { registerHeroClass } from './HeroRegistry.js';
+import { CONFIG } from '../../config/GameConfig.js';
+import { heroUnlocks } from '../../shared/Profile.js';
+
+/**
+ * The built-in hero classes, registered in start panel order
+ * New classes are added the same way: registerHeroClass with their definition.
+ */
+registerHeroClass({
+  id: 'warrior',
+  ...CONFIG.heroClasses.warrior,
+  description: 'High defense, melee attacks',
+  unlockLevel: heroUnlocks.warrior,
+  heroClass: Warrior
+});
+
+registerHeroClass({
+  id: 'ranger',
+  ...CONFIG.heroClasses.ranger,
+  description: 'Long range attacks, high precision',
+  unlockLevel: heroUnlocks.ranger,
+  heroClass: Ranger
+});
+
+registerHeroClass({
+  id: 'mage',
+  ...CONFIG.heroClasses.mage,
+  description: 'Powerful area damage, magical abilities',
+  unlockLevel: heroUnlocks.mage,
+  heroClass: Mage
+});
+
+registerHeroClass(clericClass);
+
+export { registerHeroClass, getHeroClass, getHeroClasses } from './HeroRegistry.js';
@@ -1,8 +1,6 @@
 import * as THREE from 'three';
 
-import { Warrior } from './Warrior.js';
-import { Ranger } from './Ranger.js';
-import { Mage } from './Mage.js';
+import { getHeroClass } from './HeroClasses.js';
 import { Logger } from '../../utils/Logger.js';
 import { CONFIG } from '../../config/GameConfig.js';
 
@@ -20,7 +18,7 @@ export class HeroFactory {
   
   /**
    * Create a hero of the specified class
-   * @param {string} heroClass - The hero class to create (warrior, ranger, mage)
+   * @param {string} heroClass - The hero class to create (any registered class, see HeroClasses.js)
    * @param {boolean} isLocalPlayer - Whether this is the local player's hero
    * @returns {Hero} The created hero instance
    */
@@ -28,41 +26,26 @@ export class HeroFactory {
     this.logger.info(`Creating hero: ${heroClass}, isLocalPlayer: ${isLocalPlayer}`);
     
     // Get hero configuration
+    const definition = getHeroClass(heroClass);
     const heroConfig = CONFIG.heroClasses[heroClass];
-    if (!heroConfig) {
+    if (!definition || !heroConfig) {
       this.logger.error(`Invalid hero class: ${heroClass}`);
       return null;
     }
     
-    // Create hero instance based on class
-    let hero;
-    
-    switch (heroClass) {
-      case 'warrior':
-        hero = new Warrior(this.game, {
-          ...heroConfig,
-          id: isLocalPlayer ? 'local_hero' : 'remote_hero_' + Math.random().toString(36).substring(2, 9)
-        });
-        break;
-        
-      case 'ranger':
-        hero = new Ranger(this.game, {
-          ...heroConfig,
-          id: isLocalPlayer ? 'local_hero' : 'remote_hero_' + Math.random().toString(36).substring(2, 9)
-        });
-        break;
-        
-      case 'mage':
-        hero = new Mage(this.game, {
-          ...heroConfig,
-          id: isLocalPlayer ? 'local_hero' : 'remote_hero_' + Math.random().toString(36).substring(2, 9)
-        });
-        break;
-        
-      default:
-        this.logger.error(`Unknown hero class: ${heroClass}`);
-        return null;
-    }
+    // The local player's talents and colour come from their profile
+    const config = isLocalPlayer && this.game.profileManager
+      ? this.game.profileManager.applyToHeroConfig(heroConfig)
+      : heroConfig;
+    
+    // Create hero instance from its registered class
+    const HeroClass = definition.heroClass;
+    const hero = new HeroClass(this.game, {
+      ...config,
+      type: heroClass,
+      meshBuilder: definition.createMesh || null,
+      id: isLocalPlayer ? 'local_hero' : 'remote_hero_' + Math.random().toString(36).substring(2, 9)
+    });
     
     // Create the hero mesh
     const mesh = hero.createMesh();
@@ -101,16 +84,70 @@ export class HeroFactory {
     
     // Listen for ability use events
     hero.events.on('abilityUsed', (data) => {
+      // The server needs the cast before the hits and heals it leads to
+      if (hero.id === 'local_hero' && this.game.networkManager) {
+        this.game.networkManager.sendAbilityChange('use', data.abilityIndex);
+      }
+
       this.game.events.emit('heroAbilityUsed', {
         heroId: hero.id,
         abilityIndex: data.abilityIndex,
-        ability: data.ability
+        ability: data.ability,
+        target: data.target
       });
       
       // Update ability UI
       this.game.uiManager.updateAbilityUI(data.abilityIndex, hero.abilityCooldowns[data.abilityIndex]);
     });
     
+    // Listen for mana events
+    hero.events.on('manaChanged', () => {
+      if (hero.id === 'local_hero') {
+        this.game.uiManager.updateManaUI(hero.mana, hero.maxMana);
+      }
+    });
+    
+    hero.events.on('notEnoughMana', () => {
+      this.game.combatSystem.createFloatingText(
+        'Not enough mana',
+        hero.position.clone().add(new THREE.Vector3(0, 1, 0)),
+        0x4169e1
+      );
+    });
+    
+    // Listen for leveling events
+    hero.events.on('experienceChanged', () => {
+      if (hero.id === 'local_hero') {
+        this.game.uiManager.updateHeroLevelUI();
+      }
+    });
+    
+    hero.events.on('levelUp', (data) => {
+      this.game.events.emit('heroLevelUp', {
+        heroId: hero.id,
+        hero,
+        level: data.level,
+        abilityPoints: data.abilityPoints
+      });
+      
+      if (hero.id === 'local_hero') {
+        this.game.uiManager.updateAbilitiesUI();
+        this.game.uiManager.updateHeroLevelUI();
+      }
+    });
+    
+    hero.events.on('abilityLeveled', (data) => {
+      if (hero.id === 'local_hero') {
+        // Keep the server's copy of the hero in sync
+        if (this.game.networkManager) {
+          this.game.networkManager.sendAbilityChange('level', data.abilityIndex);
+        }
+
+        this.game.uiManager.updateAbilitiesUI();
+        this.game.uiManager.updateHeroLevelUI();
+      }
+    });
+    
     // Listen for buff events
     hero.events.on('buffApplied', (data) => {
       this.game.events.emit('heroBuffApplied', {
@@ -0,0 +1,119 @@
+import { Hero } from './Hero.js';
+import { CONFIG } from '../../config/GameConfig.js';
+import { heroUnlocks } from '../../shared/Profile.js';
+import { getHeroClassStats, registerHeroClassStats } from '../../shared/HeroStats.js';
+import { registerAbilityEffect } from '../ability/AbilityEffects.js';
+import { Logger } from '../../utils/Logger.js';
+
+const logger = new Logger('HeroRegistry');
+
+// Registered hero classes, in the order they appear on the start panel
+const heroClasses = new Map();
+
+/**
+ * Describe a class's special upgrades the way shared/HeroStats.js lists them
+ * The server only needs their costs and the bonuses it checks attacks,
+ * abilities and movement with, taken from each upgrade's first level.
+ * @param {Array<Object>} specialUpgrades - Special upgrades (see UpgradeSystem)
+ * @returns {Object} Costs and per-level bonuses, keyed by upgrade name
+ */
+function getSharedSpecialUpgrades(specialUpgrades) {
+  const shared = {};
+
+  specialUpgrades.forEach(upgrade => {
+    const bonuses = typeof upgrade.effect === 'function' ? upgrade.effect(1) : {};
+
+    shared[upgrade.name] = { cost: upgrade.cost, costMultiplier: upgrade.costMultiplier };
+    ['critDamage', 'moveSpeed', 'spellPower', 'cooldownReduction', 'manaRegen'].forEach(bonus => {
+      if (bonuses[bonus]) shared[upgrade.name][bonus] = bonuses[bonus];
+    });
+  });
+
+  return shared;
+}
+
+/**
+ * Add a hero class to the game
+ * The class's stats, abilities and special upgrades go into CONFIG.heroClasses,
+ * so upgrades, saves and the leaderboard pick it up; the start panel lists it
+ * and the HeroFactory builds it. Classes listed in shared/HeroStats.js take
+ * their baseStats from there. Any other class has its baseStats, abilities and
+ * special upgrade costs added to that table, which is sent to the server so it
+ * can check the class's attacks, abilities and upgrades in multiplayer.
+ * @param {Object} definition - Hero class definition
+ * @param {string} definition.id - Class ID (e.g. 'cleric')
+ * @param {string} definition.name - Display name
+ * @param {string} definition.description - Short description for the start panel
+ * @param {Object} definition.baseStats - damage, attackRate, range, health, mana, manaRegen
+ *   (default: the class's entry in shared/HeroStats.js)
+ * @param {Array<Object>} definition.abilities - Ability configs (see Ability and AbilityEffects.js)
+ * @param {Array<Object>} definition.specialUpgrades - Special upgrades (see UpgradeSystem)
+ * @param {number} definition.color - Hero colour
+ * @param {number} definition.unlockLevel - Profile level that unlocks the class (default 1)
+ * @param {Function} definition.heroClass - Hero subclass to build (default Hero)
+ * @param {Function} definition.createMesh - Called with (heroGroup, hero) to add to the base hero mesh
+ * @param {Object} definition.abilityEffects - Extra effect primitives its abilities use, by type
+ * @returns {Object} The registered definition
+ */
+export function registerHeroClass(definition) {
+  const { id } = definition;
+  const sharedStats = getHeroClassStats(id);
+  const baseStats = definition.baseStats || (sharedStats && sharedStats.baseStats);
+
+  if (!id || !definition.name || !baseStats || !Array.isArray(definition.abilities)) {
+    throw new Error(`Hero class ${id || '(no id)'} needs an id, name, baseStats and abilities`);
+  }
+
+  if (heroClasses.has(id)) {
+    logger.warn(`Replacing hero class: ${id}`);
+  }
+
+  Object.entries(definition.abilityEffects || {}).forEach(([type, handler]) => {
+    registerAbilityEffect(type, handler);
+  });
+
+  registerHeroClassStats(id, {
+    baseStats: baseStats,
+    abilities: definition.abilities,
+    specialUpgrades: getSharedSpecialUpgrades(definition.specialUpgrades || [])
+  });
+
+  CONFIG.heroClasses[id] = {
+    name: definition.name,
+    baseStats: baseStats,
+    color: definition.color,
+    abilities: definition.abilities,
+    specialUpgrades: definition.specialUpgrades || []
+  };
+
+  heroUnlocks[id] = definition.unlockLevel || 1;
+
+  const registered = {
+    ...definition,
+    baseStats: baseStats,
+    heroClass: definition.heroClass || Hero,
+    description: definition.description || ''
+  };
+  heroClasses.set(id, registered);
+
+  logger.debug(`Registered hero class: ${id}`);
+
+  return registered;
+}
+
+/**
+ * Get a registered hero class
+ * @param {string} id - Class ID
+ * @returns {Object|null} The class definition, or null if there is none
+ */
+export function getHeroClass(id) {
+  return heroClasses.get(id) || null;
+}
+
+/**
+ * Get every registered hero class
+ * @returns {Array<Object>} Class definitions in registration order
+ */
+export function getHeroClasses() {
+  return [...heroClasses.values()];
+}
@@ -341,128 +341,4 @@ export class Mage extends Hero {
             animateFrame();
         });
     }
-
-    /**
-     * Mage's fireball ability - launch a fireball dealing AOE damage
-     * @param {THREE.Vector3} targetPosition - Target position
-     * @param {Array<Enemy>} enemies - All enemies in game
-     * @returns {Object} Projectile data
-     */
-    fireball(targetPosition, enemies) {
-        // Calculate direction and normalize
-        const direction = new THREE.Vector3().subVectors(
-            targetPosition,
-            this.position
-        ).normalize();
-
-        // Face the target
-        this.rotation.y = Math.atan2(direction.x, direction.z);
-        if (this.mesh) this.mesh.rotation.y = this.rotation.y;
-
-        // Animate attack
-        this.animateAttack();
-
-        // Calculate damage (1.5x normal damage)
-        const damage = Math.round(this.upgradeStats.damage.value * 1.5);
-
-        return {
-            type: 'projectile',
-            startPosition: this.position.clone().add(new THREE.Vector3(0, 0.5, 0)),
-            direction: direction,
-            speed: 0.2,
-            damage: damage,
-            radius: 2, // AOE radius
-            color: 0xff4500, // Orange-red
-            owner: this
-        };
-    }
-
-    /**
-     * Mage's frost nova ability - freeze all enemies in range
-     * @param {Array<Enemy>} enemies - All enemies in game
-     * @returns {Array<Enemy>} Enemies hit by the ability
-     */
-    frostNova(enemies) {
-        if (!enemies || enemies.length === 0) return [];
-
-        // Get all enemies in range
-        const range = this.upgradeStats.range.value;
-        const enemiesInRange = enemies.filter(enemy => {
-            const distance = this.position.distanceTo(enemy.position);
-            return distance <= range;
-        });
-
-        if (enemiesInRange.length === 0) return [];
-
-        // Animate attack
-        this.animateAttack();
-
-        // Calculate damage (0.5x normal damage)
-        const damage = Math.round(this.upgradeStats.damage.value * 0.5);
-
-        // Apply damage and freeze to all enemies in range
-        enemiesInRange.forEach(enemy => {
-            // Deal damage
-            enemy.takeDamage(damage, this, false);
-
-            // Apply freeze effect
-            enemy.applyEffect({
-                type: 'freeze',
-                duration: 3000,
-                slowFactor: 0.9, // 90% slow (almost frozen in place)
-                source: this
-            });
-        });
-
-        return enemiesInRange;
-    }
-
-    /**
-     * Mage's arcane missiles ability - channel multiple missiles at a target
-     * @param {Enemy} target - Target enemy
-     * @param {number} missileCount - Number of missiles to fire
-     * @returns {Object} Channeling data
-     */
-    arcaneMissiles(target, missileCount = 5) {
-        if (!target) return null;
-
-        // Face the target
-        const direction = new THREE.Vector3().subVectors(
-            target.position,
-            this.position
-        ).normalize();
-
-        this.rotation.y = Math.atan2(direction.x, direction.z);
-        if (this.mesh) this.mesh.rotation.y = this.rotation.y;
-
-        // Animate attack
-        this.animateAttack();
-
-        // Calculate damage per missile (0.6x normal damage)
-        const damagePerMissile = Math.round(this.upgradeStats.damage.value * 0.6);
-
-        return {
-            type: 'channel',
-            target: target,
-            duration: 3000,
-            missileCount: missileCount,
-            missileDelay: 3000 / missileCount,
-            damagePerMissile: damagePerMissile,
-            color: 0xff00ff, // Magenta
-            owner: this
-        };
-    }
-
-    /**
-     * Mage's mana shield ability - convert damage to mana cost
-     * @returns {Object} Buff data
-     */
-    manaShield() {
-        return {
-            name: 'Mana Shield',
-            duration: 8000,
-            damageConversion: 0.3, // 30% of damage converted
-            effectColor: 0x4169e1 // Royal Blue
-        };
-    }
 }
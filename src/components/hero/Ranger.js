@@ -253,122 +253,4 @@ export class Ranger extends Hero {
       animateFrame();
     });
   }
-  
-  /**
-   * Ranger's multi-shot ability - fire arrows at up to 3 targets
-   * @param {Array<Enemy>} enemies - All enemies in game
-   * @param {number} targetCount - Number of targets to hit
-   * @returns {Array<Enemy>} Enemies hit by the ability
-   */
-  multiShot(enemies, targetCount = 3) {
-    if (!enemies || enemies.length === 0) return [];
-    
-    // Get enemies in range
-    const range = this.upgradeStats.range.value;
-    const enemiesInRange = enemies.filter(enemy => {
-      const distance = this.position.distanceTo(enemy.position);
-      return distance <= range;
-    });
-    
-    if (enemiesInRange.length === 0) return [];
-    
-    // Sort by distance
-    enemiesInRange.sort((a, b) => {
-      const distA = this.position.distanceTo(a.position);
-      const distB = this.position.distanceTo(b.position);
-      return distA - distB;
-    });
-    
-    // Limit to targetCount
-    const targets = enemiesInRange.slice(0, targetCount);
-    
-    // Animate attack
-    this.animateAttack();
-    
-    // Calculate damage (70% of normal damage)
-    const damage = Math.round(this.upgradeStats.damage.value * 0.7);
-    
-    // Deal damage to targets
-    targets.forEach(enemy => {
-      enemy.takeDamage(damage, this, false);
-    });
-    
-    return targets;
-  }
-  
-  /**
-   * Ranger's sniper shot ability - deal 3x damage to a distant target
-   * @param {Array<Enemy>} enemies - All enemies in game
-   * @returns {Enemy|null} Enemy hit by the ability
-   */
-  sniperShot(enemies) {
-    if (!enemies || enemies.length === 0) return null;
-    
-    // Get enemies in extended range
-    const extendedRange = this.upgradeStats.range.value * 1.5;
-    const enemiesInRange = enemies.filter(enemy => {
-      const distance = this.position.distanceTo(enemy.position);
-      return distance <= extendedRange;
-    });
-    
-    if (enemiesInRange.length === 0) return null;
-    
-    // Find most distant enemy
-    let farthestEnemy = null;
-    let maxDistance = 0;
-    
-    enemiesInRange.forEach(enemy => {
-      const distance = this.position.distanceTo(enemy.position);
-      if (distance > maxDistance) {
-        maxDistance = distance;
-        farthestEnemy = enemy;
-      }
-    });
-    
-    if (!farthestEnemy) return null;
-    
-    // Face the enemy
-    const direction = new THREE.Vector3().subVectors(farthestEnemy.position, this.position);
-    this.rotation.y = Math.atan2(direction.x, direction.z);
-    if (this.mesh) this.mesh.rotation.y = this.rotation.y;
-    
-    // Animate attack
-    this.animateAttack();
-    
-    // Calculate damage (3x normal damage)
-    const damage = Math.round(this.upgradeStats.damage.value * 3);
-    
-    // Deal damage to enemy
-    farthestEnemy.takeDamage(damage, this, true); // Force as critical hit
-    
-    return farthestEnemy;
-  }
-  
-  /**
-   * Ranger's trap ability - place a trap that slows enemies
-   * @param {THREE.Vector3} position - Position to place the trap
-   * @returns {Object} Trap data
-   */
-  placeTrap(position) {
-    return {
-      position: position.clone(),
-      radius: 2,
-      duration: 8000,
-      slow: 0.5,
-      effectColor: 0x8b4513
-    };
-  }
-  
-  /**
-   * Ranger's evasion ability - 50% chance to dodge attacks
-   * @returns {Object} Buff data
-   */
-  evasion() {
-    return {
-      name: 'Evasion',
-      duration: 5000,
-      dodgeChance: 0.5,
-      effectColor: 0x1e90ff
-    };
-  }
-}
\ No newline at end of file
+}
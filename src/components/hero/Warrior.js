@@ -209,104 +209,4 @@ export class Warrior extends Hero {
       animateFrame();
     });
   }
-  
-  /**
-   * Warrior's shield block ability
-   * @returns {Object} Buff data
-   */
-  shieldBlock() {
-    return {
-      name: 'Shield Block',
-      duration: 5000,
-      damageReduction: 0.5,
-      effectColor: 0xffff00
-    };
-  }
-  
-  /**
-   * Warrior's heroic strike ability - deal 2x damage to a single target
-   * @param {Enemy} enemy - Target enemy
-   * @returns {boolean} True if ability was successful
-   */
-  heroicStrike(enemy) {
-    if (!enemy) return false;
-    
-    const distance = this.position.distanceTo(enemy.position);
-    if (distance > this.upgradeStats.range.value) return false;
-    
-    // Face the enemy
-    const direction = new THREE.Vector3().subVectors(enemy.position, this.position);
-    this.rotation.y = Math.atan2(direction.x, direction.z);
-    if (this.mesh) this.mesh.rotation.y = this.rotation.y;
-    
-    // Calculate damage (2x normal damage)
-    const damage = Math.round(this.upgradeStats.damage.value * 2);
-    
-    // Deal damage to enemy
-    enemy.takeDamage(damage, this, true); // Force as critical hit
-    
-    // Animate attack
-    this.animateAttack();
-    
-    return true;
-  }
-  
-  /**
-   * Warrior's whirlwind ability - damage all enemies in range
-   * @param {Array<Enemy>} enemies - All enemies in game
-   * @returns {Array<Enemy>} Enemies hit by the ability
-   */
-  whirlwind(enemies) {
-    if (!enemies || enemies.length === 0) return [];
-    
-    // Get all enemies in range
-    const range = this.upgradeStats.range.value;
-    const enemiesInRange = enemies.filter(enemy => {
-      const distance = this.position.distanceTo(enemy.position);
-      return distance <= range;
-    });
-    
-    if (enemiesInRange.length === 0) return [];
-    
-    // Animate spinning
-    if (this.mesh) {
-      const spinDuration = 1500; // ms
-      const startTime = Date.now();
-      const initialRotation = this.rotation.y;
-      
-      const spinInterval = setInterval(() => {
-        const elapsed = Date.now() - startTime;
-        if (elapsed < spinDuration) {
-          // Spin hero
-          this.rotation.y = initialRotation + (elapsed / spinDuration) * Math.PI * 4;
-          if (this.mesh) this.mesh.rotation.y = this.rotation.y;
-        } else {
-          clearInterval(spinInterval);
-        }
-      }, 16);
-    }
-    
-    // Calculate damage (80% of normal damage)
-    const damage = Math.round(this.upgradeStats.damage.value * 0.8);
-    
-    // Deal damage to all enemies in range
-    enemiesInRange.forEach(enemy => {
-      enemy.takeDamage(damage, this, false);
-    });
-    
-    return enemiesInRange;
-  }
-  
-  /**
-   * Warrior's battle shout ability - increase damage by 30% for 10 seconds
-   * @returns {Object} Buff data
-   */
-  battleShout() {
-    return {
-      name: 'Battle Shout',
-      duration: 10000,
-      damageMultiplier: 1.3,
-      effectColor: 0x00ff00
-    };
-  }
-}
\ No newline at end of file
+}
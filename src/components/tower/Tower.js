@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+
+import { Logger } from '../../utils/Logger.js';
+import { EventEmitter } from '../../utils/EventEmitter.js';
+import { towerTypes, getTowerStats } from '../../shared/Towers.js';
+
+/**
+ * A defensive tower standing on the build grid
+ * Targeting and firing are run by the TowerSystem; the tower keeps its stats,
+ * cooldown and visuals.
+ */
+export class Tower {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   * @param {Object} data - Tower data (id, type, position, level, ownerId)
+   */
+  constructor(game, data) {
+    this.game = game;
+    this.logger = new Logger('Tower');
+    this.events = new EventEmitter();
+
+    this.id = data.id;
+    this.type = data.type;
+    this.name = towerTypes[data.type].name;
+    this.color = towerTypes[data.type].color;
+    this.projectileColor = towerTypes[data.type].projectileColor;
+    this.ownerId = data.ownerId || null; // Player who built it (multiplayer)
+
+    this.position = new THREE.Vector3(data.position.x, 0, data.position.z);
+
+    // Level and the stats that go with it
+    this.level = 0;
+    this.stats = null;
+    this.attackCooldown = 0; // ms until the next shot
+
+    // Visual properties
+    this.mesh = null;
+    this.rangeRing = null; // Shown while the tower is selected
+    this.levelMarkers = [];
+
+    this.setLevel(data.level || 1);
+
+    this.logger.debug(`Created tower: ${this.name} (${this.id})`);
+  }
+
+  /**
+   * Create the 3D mesh for the tower
+   * @returns {THREE.Group} The tower mesh group
+   */
+  createMesh() {
+    const group = new THREE.Group();
+
+    const base = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.7, 0.85, 0.4, 12),
+      new THREE.MeshStandardMaterial({ color: 0x777777, roughness: 0.8 })
+    );
+    base.position.y = 0.2;
+    group.add(base);
+
+    const body = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.45, 0.55, 1.4, 12),
+      new THREE.MeshStandardMaterial({ color: this.color, roughness: 0.6 })
+    );
+    body.position.y = 1.1;
+    group.add(body);
+
+    // Each type gets its own top
+    let top;
+    switch (this.type) {
+      case 'cannon':
+        top = new THREE.Mesh(
+          new THREE.CylinderGeometry(0.18, 0.22, 0.9, 10),
+          new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.4, metalness: 0.6 })
+        );
+        top.rotation.x = Math.PI / 2;
+        top.position.set(0, 1.9, 0.3);
+        break;
+
+      case 'frost':
+        top = new THREE.Mesh(
+          new THREE.OctahedronGeometry(0.4),
+          new THREE.MeshStandardMaterial({ color: 0xe0ffff, emissive: 0x00bfff, emissiveIntensity: 0.4 })
+        );
+        top.position.y = 2.1;
+        break;
+
+      default:
+        top = new THREE.Mesh(
+          new THREE.ConeGeometry(0.55, 0.6, 4),
+          new THREE.MeshStandardMaterial({ color: 0x5c3a1e, roughness: 0.8 })
+        );
+        top.position.y = 2.1;
+        break;
+    }
+    group.add(top);
+
+    group.children.forEach(child => {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    });
+
+    group.position.copy(this.position);
+    group.userData.towerId = this.id;
+
+    this.mesh = group;
+    this.updateLevelMarkers();
+
+    return group;
+  }
+
+  /**
+   * Set the tower's level and the stats that go with it
+   * @param {number} level - New level
+   */
+  setLevel(level) {
+    const stats = getTowerStats(this.type, level);
+    if (!stats) {
+      this.logger.warn(`${this.type} tower has no level ${level}`);
+      return;
+    }
+
+    this.level = level;
+    this.stats = stats;
+
+    this.updateLevelMarkers();
+    if (this.rangeRing) {
+      this.showRange(true);
+    }
+
+    this.events.emit('levelChanged', {
+      towerId: this.id,
+      level: this.level
+    });
+  }
+
+  /**
+   * Get whether the tower can be upgraded again
+   * @returns {boolean} True below the top level
+   */
+  canUpgrade() {
+    return !!getTowerStats(this.type, this.level + 1);
+  }
+
+  /**
+   * Stack a gold band on the tower for each level past the first
+   */
+  updateLevelMarkers() {
+    if (!this.mesh) return;
+
+    this.levelMarkers.forEach(marker => {
+      this.mesh.remove(marker);
+      marker.geometry.dispose();
+      marker.material.dispose();
+    });
+    this.levelMarkers = [];
+
+    for (let i = 1; i < this.level; i++) {
+      const marker = new THREE.Mesh(
+        new THREE.TorusGeometry(0.52, 0.06, 8, 20),
+        new THREE.MeshStandardMaterial({ color: 0xffd700, metalness: 0.7, roughness: 0.3 })
+      );
+      marker.rotation.x = Math.PI / 2;
+      marker.position.y = 0.6 + i * 0.35;
+
+      this.mesh.add(marker);
+      this.levelMarkers.push(marker);
+    }
+  }
+
+  /**
+   * Show or hide the ring marking the tower's range
+   * @param {boolean} visible - Whether to show it
+   */
+  showRange(visible) {
+    if (this.rangeRing) {
+      if (this.mesh) {
+        this.mesh.remove(this.rangeRing);
+      }
+      this.rangeRing.geometry.dispose();
+      this.rangeRing.material.dispose();
+      this.rangeRing = null;
+    }
+
+    if (!visible || !this.mesh) return;
+
+    const range = this.stats.range;
+    this.rangeRing = new THREE.Mesh(
+      new THREE.RingGeometry(range - 0.08, range, 48),
+      new THREE.MeshBasicMaterial({ color: this.projectileColor, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+    );
+    this.rangeRing.rotation.x = -Math.PI / 2;
+    this.rangeRing.position.y = 0.03;
+    this.mesh.add(this.rangeRing);
+  }
+
+  /**
+   * Count down the attack cooldown
+   * @param {number} delta - Time since last update in seconds
+   */
+  update(delta) {
+    if (this.attackCooldown > 0) {
+      this.attackCooldown -= delta * 1000;
+    }
+  }
+
+  /**
+   * Start the cooldown after a shot
+   */
+  resetCooldown() {
+    this.attackCooldown = this.stats.attackSpeed;
+  }
+
+  /**
+   * Remove the tower's visuals
+   */
+  dispose() {
+    this.showRange(false);
+
+    if (this.mesh) {
+      this.mesh.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+      });
+    }
+    this.levelMarkers = [];
+  }
+}
@@ -6,15 +6,28 @@ import { Engine } from './Engine.js';
 import { SceneManager } from './SceneManager.js';
 import { AssetLoader } from './AssetLoader.js';
 import { InputManager } from './InputManager.js';
+import { KeyBindings } from './KeyBindings.js';
+import { MapLoader } from './MapLoader.js';
+import { SaveManager } from './SaveManager.js';
+import { ProfileManager } from './ProfileManager.js';
 import { NetworkManager } from '../network/NetworkManager.js';
 import { UIManager } from '../ui/UIManager.js';
 import { RenderSystem } from '../systems/render/RenderSystem.js';
 import { PhysicsSystem } from '../systems/physics/PhysicsSystem.js';
 import { WaveSystem } from '../systems/wave/WaveSystem.js';
+import { BossSystem } from '../systems/boss/BossSystem.js';
+import { TowerSystem } from '../systems/tower/TowerSystem.js';
 import { UpgradeSystem } from '../systems/upgrade/UpgradeSystem.js';
+import { LevelingSystem } from '../systems/leveling/LevelingSystem.js';
+import { ItemSystem } from '../systems/item/ItemSystem.js';
+import { AugmentSystem } from '../systems/augment/AugmentSystem.js';
 import { CombatSystem } from '../systems/combat/CombatSystem.js';
+import { SimulationSystem } from '../systems/simulation/SimulationSystem.js';
+import { ControlSystem } from '../systems/control/ControlSystem.js';
 import { HeroFactory } from '../components/hero/HeroFactory.js';
 import { CONFIG } from '../config/GameConfig.js';
+import { getMap, getMapPath, getMapWaves, defaultMap } from '../shared/Maps.js';
+import { defaultDifficulty, getDifficulty } from '../shared/GameData.js';
 import { EventEmitter } from '../utils/EventEmitter.js';
 import { Logger } from '../utils/Logger.js';
 
@@ -33,6 +46,12 @@ export class Game {
     this.sceneManager = new SceneManager();
     this.assetLoader = new AssetLoader();
     this.inputManager = new InputManager();
+    this.keyBindings = new KeyBindings();
+    this.profileManager = new ProfileManager();
+    this.mapLoader = new MapLoader(this);
+
+    // Map being played (its scene is built by loadMap)
+    this.map = getMap(defaultMap);
 
     // Game state
     this.state = {
@@ -44,6 +63,8 @@ export class Game {
       enemies: [],
       hero: null,
       heroClass: null,
+      mapId: defaultMap,
+      difficulty: defaultDifficulty, // Difficulty preset ID (see GameData.difficultyPresets)
       gameActive: true,
       upgradeStats: {},
       timeScale: 1
@@ -53,9 +74,19 @@ export class Game {
     this.renderSystem = new RenderSystem(this.sceneManager);
     this.physicsSystem = new PhysicsSystem();
     this.waveSystem = new WaveSystem(this);
+    this.bossSystem = new BossSystem(this);
+    this.towerSystem = new TowerSystem(this);
     this.upgradeSystem = new UpgradeSystem(this);
+    this.levelingSystem = new LevelingSystem(this);
+    this.itemSystem = new ItemSystem(this);
+    this.augmentSystem = new AugmentSystem(this);
     this.combatSystem = new CombatSystem(this);
+    this.simulationSystem = new SimulationSystem(this);
+    this.controlSystem = new ControlSystem(this);
     this.sceneManager.game = this;
+
+    // Shared simulation driving solo play (null in multiplayer, where the server runs it)
+    this.simulation = null;
     this.geometryPool = new GeometryPool();
     this.materialPool = new MaterialPool();
     // Quality controller
@@ -67,6 +98,9 @@ export class Game {
     this.uiManager = new UIManager(this);
     this.networkManager = new NetworkManager(this);
 
+    // Solo run saves
+    this.saveManager = new SaveManager(this);
+
     // Game clock
     this.clock = {
       delta: 0,
@@ -125,6 +159,9 @@ export class Game {
   
       // Initialize render system
       this.renderSystem.initialize();
+
+      // Build the scene for the default map
+      this.loadMap(this.state.mapId);
   
       // Now initialize quality controller after renderer exists
       this.qualityController.initialize('low');
@@ -132,6 +169,7 @@ export class Game {
       // Rest of initialization
       this.physicsSystem.initialize();
       this.inputManager.initialize();
+      this.controlSystem.initialize();
   
       // Force UI display
       setTimeout(() => {
@@ -146,26 +184,191 @@ export class Game {
     }
   }
 
+  /**
+   * Load a map, replacing the current one's scene
+   * @param {string} mapId - Map ID (see shared/Maps.js)
+   * @returns {boolean} True if the map was loaded
+   */
+  loadMap(mapId) {
+    const map = this.mapLoader.load(mapId);
+    if (!map) return false;
+
+    // Towers were built for the old map's lanes
+    this.towerSystem.reset();
+
+    this.map = map;
+    this.state.mapId = map.id;
+    this.events.emit('mapLoaded', { map });
+
+    return true;
+  }
+
+  /**
+   * Get the simulation options for the current map and difficulty
+   * @returns {Object} Path, wave list and difficulty
+   */
+  getMapOptions() {
+    return {
+      path: getMapPath(this.map),
+      waves: getMapWaves(this.map),
+      difficulty: this.state.difficulty
+    };
+  }
+
   /**
    * Start a new game with the selected hero
    * @param {string} heroClass - The selected hero class
+   * @param {Object} options - Simulation options (e.g. a fixed seed), the map to play and the difficulty
    */
-  startGame(heroClass) {
+  startGame(heroClass, options = {}) {
     this.logger.info(`Starting game with hero class: ${heroClass}`);
 
     this.state.heroClass = heroClass;
 
+    // Unknown difficulties fall back to the default
+    const difficulty = getDifficulty(options.difficulty || this.state.difficulty);
+    this.state.difficulty = difficulty.id;
+    this.state.gold = difficulty.startingGold;
+
+    if (options.mapId && options.mapId !== this.state.mapId) {
+      this.loadMap(options.mapId);
+    }
+
     // Create hero
     this.state.hero = this.heroFactory.createHero(heroClass, true);
 
     // Initialize upgrade system
     this.upgradeSystem.initialize();
+    this.itemSystem.reset();
+    this.augmentSystem.reset();
 
-    // Start first wave
+    // Start the simulation and its first wave
+    this.simulationSystem.start({ ...this.getMapOptions(), ...options, difficulty: difficulty.id });
     this.waveSystem.startWave(1);
 
     // Hide hero selection and show game UI
     this.uiManager.showGameUI();
+    this.uiManager.updateGoldUI(this.state.gold);
+  }
+
+  /**
+   * Get a plain copy of the solo run, enough to carry on from later
+   * Kill rewards still waiting on a death animation are counted as paid.
+   * @returns {Object} Snapshot that can be serialized to JSON
+   */
+  getSnapshot() {
+    const hero = this.state.hero;
+    const dying = this.state.enemies.filter(enemy => enemy.deathAnimationStarted);
+
+    const upgradeStats = {};
+    Object.keys(hero.upgradeStats).forEach(stat => {
+      upgradeStats[stat] = { ...hero.upgradeStats[stat] };
+    });
+
+    return {
+      mapId: this.state.mapId,
+      difficulty: this.state.difficulty,
+      heroClass: this.state.heroClass,
+      wave: this.state.wave,
+      gold: this.state.gold + dying.reduce((sum, enemy) => sum + enemy.value, 0),
+      enemiesDefeated: this.state.enemiesDefeated + dying.length,
+      hero: {
+        upgradeStats: upgradeStats,
+        abilityCooldowns: hero.abilities.map((ability, index) => Math.max(0, hero.abilityCooldowns[index] || 0)),
+        mana: hero.mana,
+        experience: hero.experience,
+        abilityPoints: hero.abilityPoints,
+        abilityLevels: hero.abilities.map(ability => ability.level)
+      },
+      specialUpgrades: this.upgradeSystem.getSpecialUpgradeLevels(),
+      items: this.itemSystem.getInventory(),
+      augments: this.augmentSystem.getSnapshot(),
+      towers: this.towerSystem.towers.map(tower => ({
+        type: tower.type,
+        position: { x: tower.position.x, z: tower.position.z },
+        level: tower.level
+      })),
+      simulation: this.simulation.getSnapshot()
+    };
+  }
+
+  /**
+   * Carry on a solo run from a snapshot
+   * @param {Object} snapshot - Snapshot from getSnapshot()
+   */
+  restoreSnapshot(snapshot) {
+    this.logger.info(`Continuing ${snapshot.heroClass} run at wave ${snapshot.wave}`);
+
+    this.state.heroClass = snapshot.heroClass;
+    this.state.difficulty = snapshot.difficulty;
+
+    if (snapshot.mapId !== this.state.mapId) {
+      this.loadMap(snapshot.mapId);
+    }
+
+    // Rebuild the hero, level it back up and buy back its upgrades
+    const hero = this.heroFactory.createHero(snapshot.heroClass, true);
+    this.state.hero = hero;
+    hero.restoreProgress(snapshot.hero, CONFIG.upgrades);
+
+    this.upgradeSystem.initialize();
+    const statLevels = {};
+    Object.keys(snapshot.hero.upgradeStats).forEach(stat => {
+      statLevels[stat] = snapshot.hero.upgradeStats[stat].level;
+    });
+    this.upgradeSystem.restoreUpgrades(statLevels, snapshot.specialUpgrades);
+    this.itemSystem.restoreItems(snapshot.items);
+    this.augmentSystem.restore(snapshot.augments);
+
+    // Health is stored as the current value of the health stat
+    hero.upgradeStats.health.value = snapshot.hero.upgradeStats.health.value;
+    snapshot.hero.abilityCooldowns.forEach((cooldown, index) => {
+      if (index < hero.abilities.length) {
+        hero.abilityCooldowns[index] = cooldown;
+      }
+    });
+
+    hero.mana = Math.min(hero.maxMana, snapshot.hero.mana);
+
+    this.state.wave = snapshot.wave;
+    this.state.gold = snapshot.gold;
+    this.state.enemiesDefeated = snapshot.enemiesDefeated;
+    this.state.gameActive = true;
+
+    // Pick the simulation up where it left off
+    this.simulationSystem.start({ ...this.getMapOptions(), seed: snapshot.simulation.seed });
+    this.simulation.loadSnapshot(snapshot.simulation);
+    this.simulationSystem.restoreEnemyViews();
+
+    this.waveSystem.currentWave = snapshot.simulation.wave;
+    this.waveSystem.waveInProgress = snapshot.simulation.waveInProgress;
+    this.state.waveInProgress = snapshot.simulation.waveInProgress;
+
+    snapshot.towers.forEach(tower => {
+      this.towerSystem.addTower({
+        id: `tower_${this.towerSystem.nextTowerId++}`,
+        type: tower.type,
+        position: tower.position,
+        level: tower.level
+      });
+    });
+
+    this.uiManager.showGameUI();
+    this.uiManager.updateGoldUI(this.state.gold);
+    this.uiManager.updateWaveUI(this.state.wave);
+    this.uiManager.updateHealthUI(hero.upgradeStats.health.value);
+  }
+
+  /**
+   * Continue the saved solo run
+   * @returns {boolean} True if there was a run to continue
+   */
+  continueGame() {
+    const save = this.saveManager.load();
+    if (!save) return false;
+
+    this.restoreSnapshot(save);
+    return true;
   }
 
   /**
@@ -199,6 +402,12 @@ export class Game {
     if (this.state.hero) {
       this.state.hero.update(scaledDelta);
     }
+
+    // Update the move marker
+    this.controlSystem.update(scaledDelta);
+  
+    // Advance the simulation in fixed ticks
+    this.simulationSystem.update(scaledDelta);
   
     // Update physics every frame during debugging
     this.physicsSystem.update(scaledDelta);
@@ -218,6 +427,8 @@ export class Game {
   
     // Other systems update normally
     this.waveSystem.update(scaledDelta);
+    this.bossSystem.update(scaledDelta);
+    this.towerSystem.update(scaledDelta);
     this.combatSystem.update(scaledDelta);
     this.networkManager.update(scaledDelta);
   
@@ -268,7 +479,7 @@ export class Game {
 
     this.state.enemies = [];
     this.state.enemiesDefeated = 0;
-    this.state.gold = 0;
+    this.state.gold = getDifficulty(this.state.difficulty).startingGold;
     this.state.wave = 1;
     this.state.waveEnemiesLeft = 0;
     this.state.waveInProgress = false;
@@ -283,14 +494,24 @@ export class Game {
 
     // Reset systems
     this.upgradeSystem.reset();
+    this.itemSystem.reset();
+    this.augmentSystem.reset();
     this.waveSystem.reset();
+    this.bossSystem.reset();
+    this.towerSystem.reset();
     this.combatSystem.reset();
+    this.controlSystem.reset();
+    this.simulationSystem.stop();
 
     // Update UI
     this.uiManager.updateGameUI();
 
+    // In multiplayer the server restarts the waves
+    if (this.networkManager.connected) return;
+
     // Start first wave
     setTimeout(() => {
+      this.simulationSystem.start(this.getMapOptions());
       this.waveSystem.startWave(1);
     }, 1000);
   }
@@ -299,10 +520,21 @@ export class Game {
    * Handle game over
    */
   gameOver() {
+    // Hits landing on a hero that's already down don't end the run twice
+    if (!this.state.gameActive) return;
+
     this.logger.info('Game over');
 
     this.state.gameActive = false;
-    this.uiManager.showGameOverPanel(this.state.enemiesDefeated, this.state.wave - 1);
+
+    // A lost run can't be continued
+    this.saveManager.clear();
+
+    // The run still counts towards the profile
+    const wavesCleared = this.state.wave - 1;
+    const reward = this.profileManager.awardRun(this.state.enemiesDefeated, wavesCleared);
+
+    this.uiManager.showGameOverPanel(this.state.enemiesDefeated, wavesCleared, reward, this.state.difficulty);
     this.networkManager.sendGameOverMessage();
   }
 }
\ No newline at end of file
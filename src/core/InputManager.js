@@ -17,6 +17,7 @@ export class InputManager {
     this.onMouseMove = this.onMouseMove.bind(this);
     this.onMouseDown = this.onMouseDown.bind(this);
     this.onMouseUp = this.onMouseUp.bind(this);
+    this.onContextMenu = this.onContextMenu.bind(this);
     this.onKeyDown = this.onKeyDown.bind(this);
     this.onKeyUp = this.onKeyUp.bind(this);
     this.onWheel = this.onWheel.bind(this);
@@ -33,6 +34,7 @@ export class InputManager {
     window.addEventListener('mousemove', this.onMouseMove);
     window.addEventListener('mousedown', this.onMouseDown);
     window.addEventListener('mouseup', this.onMouseUp);
+    window.addEventListener('contextmenu', this.onContextMenu);
     window.addEventListener('keydown', this.onKeyDown);
     window.addEventListener('keyup', this.onKeyUp);
     window.addEventListener('wheel', this.onWheel);
@@ -94,6 +96,17 @@ export class InputManager {
     });
   }
   
+  /**
+   * Handle context menu events
+   * Right-click is a game command, so the browser menu only opens over UI panels.
+   * @param {MouseEvent} event - Context menu event
+   */
+  onContextMenu(event) {
+    if (event.target.closest('.ui-panel') === null) {
+      event.preventDefault();
+    }
+  }
+  
   /**
    * Handle key down events
    * @param {KeyboardEvent} event - Key down event
@@ -108,7 +121,10 @@ export class InputManager {
       code: event.code,
       shift: event.shiftKey,
       ctrl: event.ctrlKey,
-      alt: event.altKey
+      alt: event.altKey,
+      meta: event.metaKey,
+      repeat: event.repeat,
+      inInput: this.isTextInput(event.target)
     });
   }
   
@@ -130,6 +146,17 @@ export class InputManager {
     });
   }
   
+  /**
+   * Check whether an element takes text input (so its keys aren't game commands)
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True for inputs, text areas and editable elements
+   */
+  isTextInput(target) {
+    if (!target || !target.tagName) return false;
+
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || !!target.isContentEditable;
+  }
+  
   /**
    * Handle mouse wheel events
    * @param {WheelEvent} event - Wheel event
@@ -220,6 +247,7 @@ export class InputManager {
     window.removeEventListener('mousemove', this.onMouseMove);
     window.removeEventListener('mousedown', this.onMouseDown);
     window.removeEventListener('mouseup', this.onMouseUp);
+    window.removeEventListener('contextmenu', this.onContextMenu);
     window.removeEventListener('keydown', this.onKeyDown);
     window.removeEventListener('keyup', this.onKeyUp);
     window.removeEventListener('wheel', this.onWheel);
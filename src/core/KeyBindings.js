@@ -0,0 +1,161 @@
+import { Logger } from '../utils/Logger.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { CONFIG } from '../config/GameConfig.js';
+
+const STORAGE_KEY = 'heroDefense.keyBindings';
+
+// Keys that can never be bound: modifiers, and Escape which cancels targeting
+const RESERVED_KEYS = ['escape', 'control', 'shift', 'alt', 'meta', 'tab', 'enter'];
+
+/**
+ * Keyboard bindings for the ability slots, persisted in localStorage
+ * Each slot has a fixed number of keys (e.g. '1' and 'q'); an unbound key is null.
+ */
+export class KeyBindings {
+  /**
+   * @param {Array<Array<string>>} defaults - Default keys for each ability slot
+   */
+  constructor(defaults = CONFIG.controls.abilityKeys) {
+    this.logger = new Logger('KeyBindings');
+    this.events = new EventEmitter();
+
+    this.defaults = defaults.map(keys => [...keys]);
+    this.abilityKeys = this.load();
+  }
+
+  /**
+   * Load saved bindings, falling back to the defaults
+   * @returns {Array<Array<string|null>>} Keys for each ability slot
+   */
+  load() {
+    const defaults = this.defaults.map(keys => [...keys]);
+
+    if (typeof localStorage === 'undefined') return defaults;
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (!this.isValid(saved)) return defaults;
+
+      this.logger.debug('Loaded saved key bindings');
+      return saved;
+    } catch (error) {
+      this.logger.warn('Ignoring unreadable saved key bindings');
+      return defaults;
+    }
+  }
+
+  /**
+   * Save the current bindings
+   */
+  save() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.abilityKeys));
+    } catch (error) {
+      this.logger.warn('Could not save key bindings:', error);
+    }
+  }
+
+  /**
+   * Check that saved bindings have the same shape as the defaults
+   * @param {*} bindings - Parsed bindings
+   * @returns {boolean} True if usable
+   */
+  isValid(bindings) {
+    return Array.isArray(bindings) &&
+      bindings.length === this.defaults.length &&
+      bindings.every((keys, index) =>
+        Array.isArray(keys) &&
+        keys.length === this.defaults[index].length &&
+        keys.every(key => key === null || (typeof key === 'string' && this.isBindable(key)))
+      );
+  }
+
+  /**
+   * Check whether a key can be bound to an ability
+   * @param {string} key - Key name (KeyboardEvent.key)
+   * @returns {boolean} True if bindable
+   */
+  isBindable(key) {
+    return typeof key === 'string' && key.length > 0 && !RESERVED_KEYS.includes(key.toLowerCase());
+  }
+
+  /**
+   * Get the ability slot bound to a key
+   * @param {string} key - Key name
+   * @returns {number} Ability index, or -1 if the key is unbound
+   */
+  getAbilityIndex(key) {
+    if (!key) return -1;
+
+    const normalized = key.toLowerCase();
+    return this.abilityKeys.findIndex(keys => keys.includes(normalized));
+  }
+
+  /**
+   * Get the keys bound to an ability slot
+   * @param {number} index - Ability index
+   * @returns {Array<string|null>} Bound keys
+   */
+  getAbilityKeys(index) {
+    return this.abilityKeys[index] ? [...this.abilityKeys[index]] : [];
+  }
+
+  /**
+   * Bind a key to an ability slot, unbinding it from wherever else it was used
+   * @param {number} index - Ability index
+   * @param {number} slot - Which of the ability's keys to replace
+   * @param {string} key - Key name
+   * @returns {boolean} True if the key was bound
+   */
+  bind(index, slot, key) {
+    if (!this.abilityKeys[index] || slot < 0 || slot >= this.abilityKeys[index].length) {
+      this.logger.warn(`Invalid binding slot: ability ${index}, slot ${slot}`);
+      return false;
+    }
+
+    if (!this.isBindable(key)) {
+      this.logger.debug(`Key cannot be bound: ${key}`);
+      return false;
+    }
+
+    const normalized = key.toLowerCase();
+
+    // A key only ever triggers one ability
+    this.abilityKeys.forEach(keys => {
+      keys.forEach((existing, i) => {
+        if (existing === normalized) keys[i] = null;
+      });
+    });
+
+    this.abilityKeys[index][slot] = normalized;
+    this.save();
+
+    this.events.emit('changed', { abilityKeys: this.abilityKeys });
+
+    return true;
+  }
+
+  /**
+   * Restore the default bindings
+   */
+  reset() {
+    this.abilityKeys = this.defaults.map(keys => [...keys]);
+    this.save();
+
+    this.events.emit('changed', { abilityKeys: this.abilityKeys });
+  }
+
+  /**
+   * Format a key for display
+   * @param {string|null} key - Key name
+   * @returns {string} Display label
+   */
+  static formatKey(key) {
+    if (!key) return '-';
+    if (key === ' ') return 'Space';
+
+    return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+  }
+}
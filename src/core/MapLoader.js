@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+import { Logger } from '../utils/Logger.js';
+import { getMap, getMapPath, validateMap } from '../shared/Maps.js';
+import { getPathSegments } from '../shared/simulation/Path.js';
+
+/**
+ * Lights, sky and fog for each lighting preset a map can use
+ */
+const LIGHTING = {
+  day: {
+    background: 0x87ceeb,
+    fog: { color: 0x87ceeb, near: 20, far: 40 },
+    ambient: { color: 0x404040, intensity: 0.6 },
+    sun: { color: 0xffffff, intensity: 0.8, position: [5, 15, 5] },
+    hemisphere: { sky: 0x87ceeb, ground: 0x505050, intensity: 0.6 }
+  },
+  dusk: {
+    background: 0xd9895b,
+    fog: { color: 0xd9895b, near: 18, far: 38 },
+    ambient: { color: 0x503830, intensity: 0.5 },
+    sun: { color: 0xffb070, intensity: 0.7, position: [-12, 6, 4] },
+    hemisphere: { sky: 0xf0a070, ground: 0x403040, intensity: 0.5 }
+  },
+  night: {
+    background: 0x0b1026,
+    fog: { color: 0x0b1026, near: 15, far: 35 },
+    ambient: { color: 0x202840, intensity: 0.5 },
+    sun: { color: 0x8fa8ff, intensity: 0.4, position: [-5, 15, -5] },
+    hemisphere: { sky: 0x304070, ground: 0x101018, intensity: 0.4 }
+  }
+};
+
+/**
+ * Builds the scene for a map: ground, lanes, goal zones, decorations and lighting
+ * Everything it adds goes in the scene manager's 'environment' category, so loading
+ * another map clears the previous one first.
+ */
+export class MapLoader {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = new Logger('MapLoader');
+  }
+
+  /**
+   * Build the scene for a map
+   * @param {string} mapId - Map ID (see shared/Maps.js)
+   * @returns {Object|null} The loaded map, or null if it's unknown or invalid
+   */
+  load(mapId) {
+    const map = getMap(mapId);
+    if (!map) {
+      this.logger.error(`Unknown map: ${mapId}`);
+      return null;
+    }
+
+    const errors = validateMap(map);
+    if (errors.length > 0) {
+      this.logger.error(`Invalid map ${mapId}: ${errors.join('; ')}`);
+      return null;
+    }
+
+    const sceneManager = this.game.sceneManager;
+    if (!sceneManager || !sceneManager.scene) {
+      this.logger.error('Cannot load map: Scene not initialized');
+      return null;
+    }
+
+    sceneManager.clearCategory('environment');
+
+    this.createGround(map.ground);
+    this.createLanes(getMapPath(map));
+    this.createGoalZones(map);
+    map.decorations.forEach(decoration => this.createDecoration(decoration));
+    this.applyLighting(map.lighting);
+
+    this.logger.info(`Loaded map: ${map.name}`);
+
+    return map;
+  }
+
+  /**
+   * Create the ground plane
+   * @param {Object} ground - Ground definition (width, depth, color)
+   */
+  createGround(ground) {
+    const geometry = new THREE.PlaneGeometry(ground.width, ground.depth);
+    const material = new THREE.MeshStandardMaterial({
+      color: ground.color || 0x333333,
+      roughness: 0.8,
+      metalness: 0.2
+    });
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.y = 0;
+    mesh.receiveShadow = true;
+    mesh.userData.mapPart = 'ground';
+
+    this.game.sceneManager.addToScene(mesh, 'environment');
+  }
+
+  /**
+   * Create the road enemies walk along
+   * Each link of the lane graph becomes a stretch of road, so branches and merges
+   * are drawn the way the simulation walks them.
+   * @param {Object} path - Path definition (see shared/simulation/Path.js)
+   */
+  createLanes(path) {
+    const pathMaterial = new THREE.MeshStandardMaterial({
+      color: 0x555555,
+      roughness: 0.7,
+      metalness: 0.1
+    });
+
+    const edgeMaterial = new THREE.MeshStandardMaterial({
+      color: 0x333333,
+      roughness: 0.5,
+      metalness: 0.5
+    });
+
+    const markerGeometry = new THREE.PlaneGeometry(0.5, 1);
+    const markerMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      roughness: 0.7,
+      metalness: 0.0
+    });
+
+    getPathSegments(path).forEach(({ from, to }) => {
+      const length = Math.hypot(to.x - from.x, to.z - from.z);
+      if (length === 0) return;
+
+      // Each stretch is built along +z and then turned to face along its link
+      const segment = new THREE.Group();
+      segment.position.set((from.x + to.x) / 2, 0, (from.z + to.z) / 2);
+      segment.rotation.y = Math.atan2(to.x - from.x, to.z - from.z);
+      segment.userData.mapPart = 'lane';
+
+      // Road surface, slightly above ground to prevent z-fighting
+      const road = new THREE.Mesh(new THREE.PlaneGeometry(path.width, length), pathMaterial);
+      road.rotation.x = -Math.PI / 2;
+      road.position.y = 0.01;
+      road.receiveShadow = true;
+      segment.add(road);
+
+      // Road edges
+      const edgeGeometry = new THREE.BoxGeometry(0.3, 0.1, length);
+      [-1, 1].forEach(side => {
+        const edge = new THREE.Mesh(edgeGeometry, edgeMaterial);
+        edge.position.set(side * (path.width / 2 + 0.15), 0.05, 0);
+        edge.receiveShadow = true;
+        edge.castShadow = true;
+        segment.add(edge);
+      });
+
+      // Markings down the middle, every 4 units
+      for (let along = -length / 2 + 2; along <= length / 2 - 0.5; along += 4) {
+        const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        marker.rotation.x = -Math.PI / 2;
+        marker.position.set(0, 0.02, along);
+        marker.receiveShadow = true;
+        segment.add(marker);
+      }
+
+      this.game.sceneManager.addToScene(segment, 'environment');
+    });
+
+    // Round off the corners, branches and merges
+    Object.values(path.nodes).forEach(node => {
+      const joint = new THREE.Mesh(new THREE.CircleGeometry(path.width / 2, 32), pathMaterial);
+      joint.rotation.x = -Math.PI / 2;
+      joint.position.set(node.x, 0.01, node.z);
+      joint.receiveShadow = true;
+
+      this.game.sceneManager.addToScene(joint, 'environment');
+    });
+  }
+
+  /**
+   * Mark the spawn points (green) and goal zones (red)
+   * @param {Object} map - Map definition
+   */
+  createGoalZones(map) {
+    const waypoints = map.lanes.waypoints;
+
+    map.spawnPoints.forEach(name => {
+      this.createArea(waypoints[name], map.lanes.width / 2, 0x00ff00, 'spawn');
+    });
+
+    map.goalZones.forEach(zone => {
+      this.createArea(waypoints[zone.waypoint], zone.radius, 0xff0000, 'goal');
+    });
+  }
+
+  /**
+   * Create a translucent circle on the ground
+   * @param {Object} position - Waypoint ({x, z})
+   * @param {number} radius - Circle radius
+   * @param {number} color - Circle color
+   * @param {string} part - What the circle marks ('spawn' or 'goal')
+   */
+  createArea(position, radius, color, part) {
+    const geometry = new THREE.CircleGeometry(radius, 32);
+    const material = new THREE.MeshStandardMaterial({
+      color: color,
+      roughness: 0.7,
+      metalness: 0.1,
+      transparent: true,
+      opacity: 0.3
+    });
+
+    const area = new THREE.Mesh(geometry, material);
+    area.rotation.x = -Math.PI / 2;
+    area.position.set(position.x, 0.02, position.z);
+    area.receiveShadow = true;
+    area.userData.mapPart = part;
+
+    this.game.sceneManager.addToScene(area, 'environment');
+  }
+
+  /**
+   * Create a piece of scenery
+   * @param {Object} decoration - Decoration definition (type, x, z, scale)
+   */
+  createDecoration(decoration) {
+    const group = new THREE.Group();
+
+    switch (decoration.type) {
+      case 'rock': {
+        const rock = new THREE.Mesh(
+          new THREE.DodecahedronGeometry(0.6),
+          new THREE.MeshStandardMaterial({ color: 0x777777, roughness: 0.9, flatShading: true })
+        );
+        rock.position.y = 0.3;
+        rock.scale.y = 0.6;
+        group.add(rock);
+        break;
+      }
+
+      case 'tree': {
+        const trunk = new THREE.Mesh(
+          new THREE.CylinderGeometry(0.15, 0.2, 1, 8),
+          new THREE.MeshStandardMaterial({ color: 0x6b4226, roughness: 0.9 })
+        );
+        trunk.position.y = 0.5;
+        group.add(trunk);
+
+        const crown = new THREE.Mesh(
+          new THREE.ConeGeometry(0.8, 1.8, 8),
+          new THREE.MeshStandardMaterial({ color: 0x2e6b2e, roughness: 0.8 })
+        );
+        crown.position.y = 1.8;
+        group.add(crown);
+        break;
+      }
+
+      case 'pillar': {
+        const pillar = new THREE.Mesh(
+          new THREE.CylinderGeometry(0.35, 0.4, 2.5, 12),
+          new THREE.MeshStandardMaterial({ color: 0xb8b0a0, roughness: 0.7 })
+        );
+        pillar.position.y = 1.25;
+        group.add(pillar);
+        break;
+      }
+
+      default:
+        this.logger.warn(`Unknown decoration type: ${decoration.type}`);
+        return;
+    }
+
+    group.children.forEach(child => {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    });
+
+    group.position.set(decoration.x, 0, decoration.z);
+    group.scale.setScalar(decoration.scale || 1);
+    group.userData.mapPart = 'decoration';
+    group.userData.decorationType = decoration.type;
+
+    this.game.sceneManager.addToScene(group, 'environment');
+  }
+
+  /**
+   * Set the sky, fog and lights for a lighting preset
+   * @param {string} presetName - Lighting preset ('day', 'dusk' or 'night')
+   */
+  applyLighting(presetName) {
+    const preset = LIGHTING[presetName] || LIGHTING.day;
+    const scene = this.game.sceneManager.scene;
+
+    scene.background = new THREE.Color(preset.background);
+    scene.fog = new THREE.Fog(preset.fog.color, preset.fog.near, preset.fog.far);
+
+    const ambientLight = new THREE.AmbientLight(preset.ambient.color, preset.ambient.intensity);
+    this.game.sceneManager.addToScene(ambientLight, 'environment');
+
+    // Directional light (sun or moon)
+    const sun = new THREE.DirectionalLight(preset.sun.color, preset.sun.intensity);
+    sun.position.set(...preset.sun.position);
+    sun.castShadow = true;
+
+    sun.shadow.mapSize.width = 1024;
+    sun.shadow.mapSize.height = 1024;
+    sun.shadow.camera.near = 0.5;
+    sun.shadow.camera.far = 50;
+    sun.shadow.camera.left = -15;
+    sun.shadow.camera.right = 15;
+    sun.shadow.camera.top = 15;
+    sun.shadow.camera.bottom = -15;
+    sun.shadow.bias = -0.0005; // Reduce shadow acne
+    sun.shadow.autoUpdate = false; // Only update shadows when needed
+
+    this.game.sceneManager.addToScene(sun, 'environment');
+
+    const hemisphereLight = new THREE.HemisphereLight(
+      preset.hemisphere.sky,
+      preset.hemisphere.ground,
+      preset.hemisphere.intensity
+    );
+    this.game.sceneManager.addToScene(hemisphereLight, 'environment');
+
+    // Point light near the hero's end of the field for better visibility
+    const heroLight = new THREE.PointLight(0xffffff, 0.5, 10);
+    heroLight.position.set(0, 5, 8);
+    heroLight.castShadow = true;
+    heroLight.shadow.mapSize.width = 512;
+    heroLight.shadow.mapSize.height = 512;
+    heroLight.shadow.camera.near = 0.5;
+    heroLight.shadow.camera.far = 10;
+
+    this.game.sceneManager.addToScene(heroLight, 'environment');
+  }
+}
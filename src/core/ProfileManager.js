@@ -0,0 +1,209 @@
+import { Logger } from '../utils/Logger.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import {
+  heroUnlocks,
+  getHeroColor,
+  getLevelForXp,
+  getRunXp,
+  getTalentPoints,
+  getSpentTalentPoints,
+  checkTalent,
+  sanitizeTalents,
+  applyTalents
+} from '../shared/Profile.js';
+
+const STORAGE_KEY = 'heroDefense.profile';
+
+/**
+ * The player's account profile, persisted in localStorage
+ * Tracks XP earned across runs, the talents learned with it and the chosen
+ * hero colour. See shared/Profile.js for the rules.
+ */
+export class ProfileManager {
+  constructor() {
+    this.logger = new Logger('ProfileManager');
+    this.events = new EventEmitter();
+
+    this.profile = this.load();
+  }
+
+  /**
+   * Create an empty profile
+   * @returns {Object} Profile with no XP or talents
+   */
+  createProfile() {
+    return { xp: 0, runs: 0, talents: {}, color: null };
+  }
+
+  /**
+   * Load the saved profile, falling back to an empty one
+   * @returns {Object} Profile (xp, runs, talents, color)
+   */
+  load() {
+    if (typeof localStorage === 'undefined') return this.createProfile();
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (!saved || typeof saved !== 'object' || !(saved.xp >= 0)) return this.createProfile();
+
+      const profile = {
+        xp: Math.floor(saved.xp),
+        runs: Math.max(0, Math.floor(saved.runs) || 0),
+        talents: sanitizeTalents(saved.talents),
+        color: getHeroColor(saved.color) ? saved.color : null
+      };
+
+      // Drop talents and colours the level doesn't pay for (e.g. an edited save)
+      const level = getLevelForXp(profile.xp);
+      if (getSpentTalentPoints(profile.talents) > getTalentPoints(level)) {
+        profile.talents = {};
+      }
+      if (profile.color && getHeroColor(profile.color).level > level) {
+        profile.color = null;
+      }
+
+      this.logger.debug('Loaded saved profile');
+      return profile;
+    } catch (error) {
+      this.logger.warn('Ignoring unreadable saved profile');
+      return this.createProfile();
+    }
+  }
+
+  /**
+   * Save the profile
+   */
+  save() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.profile));
+    } catch (error) {
+      this.logger.warn('Could not save profile:', error);
+    }
+  }
+
+  /**
+   * Get the profile level
+   * @returns {number} Level (starting at 1)
+   */
+  getLevel() {
+    return getLevelForXp(this.profile.xp);
+  }
+
+  /**
+   * Get the talent points not yet spent
+   * @returns {number} Unspent points
+   */
+  getUnspentPoints() {
+    return getTalentPoints(this.getLevel()) - getSpentTalentPoints(this.profile.talents);
+  }
+
+  /**
+   * Get the learned talent ranks
+   * @returns {Object} Ranks keyed by talent ID
+   */
+  getTalents() {
+    return { ...this.profile.talents };
+  }
+
+  /**
+   * Award XP for a finished run
+   * @param {number} enemiesDefeated - Enemies defeated in the run
+   * @param {number} wavesCleared - Waves cleared in the run
+   * @returns {Object} XP earned, the new level and how many levels were gained
+   */
+  awardRun(enemiesDefeated, wavesCleared) {
+    const oldLevel = this.getLevel();
+    const xp = getRunXp(enemiesDefeated, wavesCleared);
+
+    this.profile.xp += xp;
+    this.profile.runs++;
+    this.save();
+
+    const level = this.getLevel();
+    const result = { xp, level, levelsGained: level - oldLevel };
+
+    this.logger.info(`Run earned ${xp} XP (level ${level})`);
+    this.events.emit('changed', result);
+
+    return result;
+  }
+
+  /**
+   * Raise a talent one rank
+   * @param {string} talentId - Talent ID
+   * @returns {string|null} Reason it couldn't be learned, or null if it was
+   */
+  learnTalent(talentId) {
+    const reason = checkTalent(this.profile.talents, talentId, getTalentPoints(this.getLevel()));
+    if (reason) {
+      this.logger.debug(`Can't learn ${talentId}: ${reason}`);
+      return reason;
+    }
+
+    this.profile.talents[talentId] = (this.profile.talents[talentId] || 0) + 1;
+    this.save();
+    this.events.emit('changed', { talentId });
+
+    return null;
+  }
+
+  /**
+   * Refund every talent point
+   */
+  resetTalents() {
+    this.profile.talents = {};
+    this.save();
+    this.events.emit('changed', {});
+  }
+
+  /**
+   * Check whether a hero class is unlocked
+   * @param {string} heroClass - Hero class
+   * @returns {boolean} True if the profile is high enough level
+   */
+  isHeroUnlocked(heroClass) {
+    return this.getLevel() >= (heroUnlocks[heroClass] || 1);
+  }
+
+  /**
+   * Check whether a hero colour is unlocked
+   * @param {string} colorId - Colour ID (see heroColors)
+   * @returns {boolean} True if unlocked
+   */
+  isColorUnlocked(colorId) {
+    const color = getHeroColor(colorId);
+    return !!color && this.getLevel() >= color.level;
+  }
+
+  /**
+   * Pick the colour for the player's hero
+   * @param {string|null} colorId - Colour ID, or null for the class colour
+   * @returns {boolean} True if selected
+   */
+  selectColor(colorId) {
+    if (colorId !== null && !this.isColorUnlocked(colorId)) return false;
+
+    this.profile.color = colorId;
+    this.save();
+    this.events.emit('changed', { color: colorId });
+
+    return true;
+  }
+
+  /**
+   * Apply the profile to a hero class config before the hero is created
+   * @param {Object} heroConfig - Hero class config (see CONFIG.heroClasses)
+   * @returns {Object} Config with talent bonuses and the chosen colour
+   */
+  applyToHeroConfig(heroConfig) {
+    const color = this.profile.color ? getHeroColor(this.profile.color).color : heroConfig.color;
+
+    return {
+      ...heroConfig,
+      baseStats: applyTalents(heroConfig.baseStats, this.profile.talents),
+      color: color
+    };
+  }
+}
@@ -0,0 +1,268 @@
+import { Logger } from '../utils/Logger.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { CONFIG } from '../config/GameConfig.js';
+import { getMap } from '../shared/Maps.js';
+import { enemyTypes, defaultDifficulty, getDifficulty } from '../shared/GameData.js';
+import { getItem, itemRules } from '../shared/Items.js';
+import { getAugment } from '../shared/Augments.js';
+
+const STORAGE_KEY = 'heroDefense.savedRun';
+
+// Version of the save format written by this build
+// 2 added hero mana, 3 hero XP and ability levels, 4 items, 5 augments, 6 difficulty
+export const SAVE_VERSION = 6;
+
+/**
+ * Upgrades from older save formats, keyed by the version they upgrade from
+ * Each one takes a save of that version and returns it in the next version's
+ * format. Saves older than the first entry can't be migrated and are dropped.
+ */
+export const SAVE_MIGRATIONS = {
+  // Heroes had no mana pool; they carry on with their class's full one
+  1: save => {
+    const heroClass = CONFIG.heroClasses[save.heroClass];
+    const mana = heroClass ? heroClass.baseStats.mana || 0 : 0;
+
+    return { ...save, hero: { ...save.hero, mana } };
+  },
+
+  // Heroes didn't level; they carry on at level 1 with every ability at level 1
+  2: save => ({
+    ...save,
+    hero: {
+      ...save.hero,
+      experience: 0,
+      abilityPoints: 0,
+      abilityLevels: (save.hero && Array.isArray(save.hero.abilityCooldowns) ? save.hero.abilityCooldowns : []).map(() => 1)
+    }
+  }),
+
+  // There was no item shop
+  3: save => ({ ...save, items: [] }),
+
+  // There were no augment drafts
+  4: save => ({ ...save, augments: { taken: [], offer: null, draftsOwed: 0 } }),
+
+  // Every run was played on the default difficulty
+  5: save => ({ ...save, difficulty: defaultDifficulty })
+};
+
+/**
+ * Bring a save up to the current format
+ * @param {Object} save - Parsed save
+ * @param {Object} migrations - Migrations keyed by the version they upgrade from
+ * @param {number} version - Version to migrate to
+ * @returns {Object|null} Save in the current format, or null if it can't be migrated
+ */
+export function migrateSave(save, migrations = SAVE_MIGRATIONS, version = SAVE_VERSION) {
+  if (!save || typeof save !== 'object' || !Number.isInteger(save.version)) return null;
+
+  // Written by a newer build
+  if (save.version > version) return null;
+
+  let migrated = save;
+  while (migrated.version < version) {
+    const migrate = migrations[migrated.version];
+    if (!migrate) return null;
+
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+
+  return migrated;
+}
+
+/**
+ * Check that a save in the current format can be played
+ * @param {Object} save - Save in the current format
+ * @returns {Array<string>} Problems found (empty if the save is usable)
+ */
+export function validateSave(save) {
+  const errors = [];
+  const isCount = value => Number.isInteger(value) && value >= 0;
+
+  if (!CONFIG.heroClasses[save.heroClass]) errors.push(`Unknown hero class: ${save.heroClass}`);
+  if (!getMap(save.mapId)) errors.push(`Unknown map: ${save.mapId}`);
+  if (getDifficulty(save.difficulty).id !== save.difficulty) errors.push(`Unknown difficulty: ${save.difficulty}`);
+
+  if (!(save.wave >= 1)) errors.push('Wave must be at least 1');
+  if (!isCount(save.gold)) errors.push('Gold must be a whole number');
+  if (!isCount(save.enemiesDefeated)) errors.push('Enemies defeated must be a whole number');
+
+  const hero = save.hero || {};
+  ['damage', 'attackSpeed', 'range', 'health'].forEach(stat => {
+    const entry = hero.upgradeStats && hero.upgradeStats[stat];
+    if (!entry || !(entry.level >= 1) || typeof entry.value !== 'number') {
+      errors.push(`Hero is missing its ${stat} upgrade`);
+    }
+  });
+  if (!Array.isArray(hero.abilityCooldowns)) errors.push('Hero is missing its ability cooldowns');
+  if (!(typeof hero.mana === 'number' && hero.mana >= 0)) errors.push('Hero mana must be a number of at least 0');
+  if (!isCount(hero.experience)) errors.push('Hero experience must be a whole number');
+  if (!isCount(hero.abilityPoints)) errors.push('Hero ability points must be a whole number');
+  if (!Array.isArray(hero.abilityLevels) || !hero.abilityLevels.every(level => Number.isInteger(level) && level >= 1)) {
+    errors.push('Hero ability levels must be whole numbers of at least 1');
+  }
+
+  if (!Array.isArray(save.items)) {
+    errors.push('Items are missing');
+  } else {
+    if (save.items.length > itemRules.inventorySlots) errors.push(`No more than ${itemRules.inventorySlots} items can be carried`);
+
+    save.items.forEach(type => {
+      if (!getItem(type)) errors.push(`Unknown item: ${type}`);
+    });
+  }
+
+  const augments = save.augments;
+  if (!augments || typeof augments !== 'object' || !Array.isArray(augments.taken)) {
+    errors.push('Augments are missing');
+  } else {
+    if (augments.offer !== null && !Array.isArray(augments.offer)) errors.push('Augment offer must be a list or null');
+    if (!isCount(augments.draftsOwed)) errors.push('Augment drafts owed must be a whole number');
+
+    augments.taken.concat(augments.offer || []).forEach(id => {
+      if (!getAugment(id)) errors.push(`Unknown augment: ${id}`);
+    });
+  }
+
+  if (!save.specialUpgrades || typeof save.specialUpgrades !== 'object') {
+    errors.push('Special upgrade levels are missing');
+  }
+  if (!Array.isArray(save.towers)) errors.push('Towers are missing');
+
+  const simulation = save.simulation;
+  if (!simulation || typeof simulation !== 'object' || !Array.isArray(simulation.enemies)) {
+    errors.push('Simulation state is missing');
+  } else {
+    if (!isCount(simulation.nextEnemyId)) errors.push('Simulation is missing its next enemy ID');
+
+    simulation.enemies.forEach(enemy => {
+      if (!enemyTypes[enemy.type]) errors.push(`Unknown enemy type: ${enemy.type}`);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Saves solo runs to localStorage so they can be continued later
+ * The run is saved automatically whenever a wave is cleared and dropped when
+ * the game is over. Saves carry a format version; older ones are migrated
+ * (see SAVE_MIGRATIONS) and ones that can't be are thrown away.
+ */
+export class SaveManager {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = new Logger('SaveManager');
+    this.events = new EventEmitter();
+
+    // Save between waves
+    this.game.events.on('waveCompleted', () => this.autoSave());
+
+    this.logger.debug('Save manager created');
+  }
+
+  /**
+   * Check whether the current game can be saved
+   * @returns {boolean} True for a running solo game
+   */
+  canSave() {
+    return !this.game.networkManager.connected &&
+      this.game.state.gameActive &&
+      !!this.game.state.hero &&
+      !!this.game.simulation;
+  }
+
+  /**
+   * Save the current run if it's a solo game
+   * @returns {boolean} True if saved
+   */
+  autoSave() {
+    if (!this.canSave()) return false;
+
+    return this.save();
+  }
+
+  /**
+   * Save the current run
+   * @returns {boolean} True if saved
+   */
+  save() {
+    if (typeof localStorage === 'undefined') return false;
+
+    try {
+      const save = {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        ...this.game.getSnapshot()
+      };
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(save));
+      this.events.emit('saved', { wave: save.wave });
+
+      this.logger.info(`Saved run at wave ${save.wave}`);
+      return true;
+    } catch (error) {
+      this.logger.warn('Could not save the run:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the saved run, migrating it to the current format
+   * A save that can't be read, migrated or played is deleted.
+   * @returns {Object|null} Save in the current format, or null if there's none
+   */
+  load() {
+    if (typeof localStorage === 'undefined') return null;
+
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+
+    let save;
+    try {
+      save = migrateSave(JSON.parse(raw));
+    } catch (error) {
+      save = null;
+    }
+
+    if (!save) {
+      this.logger.warn('Discarding a saved run that could not be read or migrated');
+      this.clear();
+      return null;
+    }
+
+    const errors = validateSave(save);
+    if (errors.length > 0) {
+      this.logger.warn(`Discarding an invalid saved run: ${errors.join('; ')}`);
+      this.clear();
+      return null;
+    }
+
+    return save;
+  }
+
+  /**
+   * Check whether there's a run to continue
+   * @returns {boolean} True if a usable save exists
+   */
+  hasSave() {
+    return this.load() !== null;
+  }
+
+  /**
+   * Delete the saved run
+   */
+  clear() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      this.logger.warn('Could not delete the saved run:', error);
+    }
+  }
+}
@@ -15,6 +15,7 @@ export class SceneManager {
     this.objects = {
       heroes: [],
       enemies: [],
+      towers: [],
       environment: [],
       effects: []
     };
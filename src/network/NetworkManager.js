@@ -1,10 +1,20 @@
 import { Logger } from '../utils/Logger.js';
 import { EventEmitter } from '../utils/EventEmitter.js';
 import * as THREE from 'three';
+import { getDifficulty } from '../shared/GameData.js';
+import { CONFIG } from '../config/GameConfig.js';
+import { getHeroClassStats, isBuiltInHeroClass } from '../shared/HeroStats.js';
+
+// Server used for the leaderboard until the player connects to another one
+const DEFAULT_SERVER_URL = 'ws://localhost:3001';
+
+// Messages that happen once per enemy; repeats of these are dropped. Everything
+// else (damage, positions, tower shots, ...) legitimately repeats for the same enemy.
+const ONE_SHOT_MESSAGES = ['enemy_spawn', 'enemy_remove'];
 
 /**
  * Manages network communications for multiplayer functionality
- * Simplified to use a single global game room
+ * Players register with the server, then create or join a room
  */
 export class NetworkManager {
   /**
@@ -19,10 +29,13 @@ export class NetworkManager {
     this.socket = null;
     this.connected = false;
     this.playerId = null;
+    this.roomId = null;
     this.otherPlayers = {};
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.lastSyncTime = 0;
+    this.serverUrl = DEFAULT_SERVER_URL;
+    this.lastRunId = null; // Leaderboard entry for the last multiplayer game
 
     // Bind methods to maintain context
     this.connect = this.connect.bind(this);
@@ -81,6 +94,7 @@ export class NetworkManager {
   connect(serverUrl) {
     return new Promise((resolve, reject) => {
       this.logger.info(`Connecting to server: ${serverUrl}`);
+      this.serverUrl = serverUrl;
 
       if (this.socket && this.connected) {
         this.logger.warn('Already connected, disconnecting first');
@@ -140,6 +154,76 @@ export class NetworkManager {
     });
   }
 
+  /**
+   * Create a new room on the server and join it
+   * @param {string} name - Optional display name for the room
+   * @param {string} mapId - Map the room plays (see shared/Maps.js)
+   * @param {string} difficulty - Difficulty preset the room plays (see GameData.difficultyPresets)
+   */
+  createRoom(name, mapId, difficulty) {
+    if (!this.connected) {
+      this.logger.error('Not connected, cannot create room');
+      return;
+    }
+
+    this.logger.info('Creating room');
+
+    this.send({
+      type: 'create_room',
+      name: name,
+      mapId: mapId,
+      difficulty: difficulty
+    });
+  }
+
+  /**
+   * Join an existing room
+   * @param {string} roomId - ID of the room to join
+   */
+  joinRoom(roomId) {
+    if (!this.connected) {
+      this.logger.error('Not connected, cannot join room');
+      return;
+    }
+
+    this.logger.info(`Joining room: ${roomId}`);
+
+    this.send({
+      type: 'join_room',
+      roomId: roomId
+    });
+  }
+
+  /**
+   * Request the list of open rooms
+   */
+  listRooms() {
+    if (!this.connected) {
+      this.logger.error('Not connected, cannot list rooms');
+      return;
+    }
+
+    this.send({
+      type: 'list_rooms'
+    });
+  }
+
+  /**
+   * Leave the current room
+   */
+  leaveRoom() {
+    if (!this.connected || !this.roomId) {
+      this.logger.warn('Not in a room, cannot leave');
+      return;
+    }
+
+    this.logger.info(`Leaving room: ${this.roomId}`);
+
+    this.send({
+      type: 'leave_room'
+    });
+  }
+
   /**
    * Disconnect from the server
    */
@@ -155,6 +239,7 @@ export class NetworkManager {
     this.socket.close();
     this.socket = null;
     this.connected = false;
+    this.roomId = null;
     this.otherPlayers = {};
 
     // Make game instance aware of otherPlayers
@@ -173,24 +258,87 @@ export class NetworkManager {
       const message = JSON.parse(data);
       this.logger.debug('Received message:', message.type);
 
-      const messageId = message.id || message.enemyId || (message.type + Date.now());
-      if (this.processedMessageIds.has(messageId)) return;
-      this.processedMessageIds.add(messageId);
+      if (ONE_SHOT_MESSAGES.includes(message.type)) {
+        const messageId = `${message.type}:${message.enemyId}`;
+        if (this.processedMessageIds.has(messageId)) return;
+        this.processedMessageIds.add(messageId);
 
-      if(this.processedMessageIds.size > 100) {
-        const oldest = Array.from(this.processedMessageIds)[0];
-        this.processedMessageIds.delete(oldest);
+        if(this.processedMessageIds.size > 100) {
+          const oldest = Array.from(this.processedMessageIds)[0];
+          this.processedMessageIds.delete(oldest);
+        }
       }
 
       switch (message.type) {
         case 'player_registered':
           this.logger.info(`Player registered: ${message.playerId}`);
+
+          // The server picks the ID that room messages (attacks, tower owners) refer to
+          this.playerId = message.playerId;
           this.events.emit('playerRegistered', {
             playerId: message.playerId,
             playerCount: message.playerCount
           });
           break;
 
+        case 'room_created':
+          this.logger.info(`Room created: ${message.roomId}`);
+          this.roomId = message.roomId;
+          this.events.emit('roomCreated', {
+            roomId: message.roomId,
+            name: message.name
+          });
+          break;
+
+        case 'room_joined':
+          this.logger.info(`Joined room: ${message.roomId}`);
+          this.roomId = message.roomId;
+
+          // Play on the room's map
+          if (message.mapId && message.mapId !== this.game.state.mapId) {
+            this.game.loadMap(message.mapId);
+          }
+
+          // The room's difficulty sets the gold heroes start with
+          this.game.state.difficulty = getDifficulty(message.difficulty).id;
+          this.game.state.gold = getDifficulty(this.game.state.difficulty).startingGold;
+          this.game.uiManager.updateGoldUI(this.game.state.gold);
+
+          // Towers already built in the room
+          if (this.game.towerSystem) {
+            this.game.towerSystem.reset();
+            (message.towers || []).forEach(tower => this.game.towerSystem.handleTowerPlaced(tower));
+          }
+
+          this.events.emit('roomJoined', {
+            roomId: message.roomId,
+            name: message.name,
+            mapId: message.mapId,
+            mapName: message.mapName,
+            difficulty: message.difficulty,
+            playerCount: message.playerCount
+          });
+          break;
+
+        case 'room_list':
+          this.events.emit('roomList', {
+            rooms: message.rooms || []
+          });
+          break;
+
+        case 'room_left':
+          this.logger.info(`Left room: ${message.roomId}`);
+          this.roomId = null;
+          this.otherPlayers = {};
+
+          // Make game instance aware of otherPlayers
+          this.game.otherPlayers = this.otherPlayers;
+
+          this.events.emit('roomLeft', {
+            roomId: message.roomId
+          });
+          break;
+
         case 'player_joined':
           this.logger.info(`Player joined: ${message.playerId}`);
           this.events.emit('playerJoined', {
@@ -248,6 +396,71 @@ export class NetworkManager {
           });
           break;
 
+        case 'attack_rejected':
+          this.logger.debug(`Attack on ${message.enemyId} rejected: ${message.reason}`);
+          this.events.emit('attackRejected', {
+            enemyId: message.enemyId,
+            reason: message.reason
+          });
+          break;
+
+        case 'upgrade_rejected':
+          this.logger.warn(`Upgrade ${message.name} rejected: ${message.reason}`);
+          this.events.emit('upgradeRejected', {
+            upgradeType: message.upgradeType,
+            name: message.name,
+            reason: message.reason
+          });
+          break;
+
+        case 'item_rejected':
+          this.logger.warn(`Item ${message.action} of ${message.itemType} rejected: ${message.reason}`);
+          this.events.emit('itemRejected', {
+            action: message.action,
+            itemType: message.itemType,
+            reason: message.reason
+          });
+          break;
+
+        case 'augment_rejected':
+          this.logger.warn(`Augment ${message.action} rejected: ${message.reason}`);
+          this.events.emit('augmentRejected', {
+            action: message.action,
+            augmentId: message.augmentId,
+            reason: message.reason
+          });
+          break;
+
+        case 'hero_healed': {
+          // Allies heal by a share of this hero's maximum health, which only this client knows
+          const hero = this.game.state.hero;
+          if (hero) {
+            const maxHealth = hero.getMaxHealth(CONFIG.upgrades);
+            const healed = hero.heal(maxHealth * message.share, maxHealth);
+            if (healed > 0 && this.game.combatSystem) {
+              this.game.combatSystem.createFloatingText(
+                `+${healed}`,
+                hero.position.clone().add(new THREE.Vector3(0, 1, 0)),
+                0x00ff00
+              );
+            }
+          }
+          break;
+        }
+
+        case 'ability_rejected':
+          this.logger.warn(`Ability ${message.action} of ${message.abilityIndex} rejected: ${message.reason}`);
+          this.events.emit('abilityRejected', {
+            action: message.action,
+            abilityIndex: message.abilityIndex,
+            reason: message.reason
+          });
+          break;
+
+        case 'heal_rejected':
+          this.logger.debug(`Heal on ${message.targetId} rejected: ${message.reason}`);
+          break;
+
         case 'error':
           this.logger.error(`Server error: ${message.message}`);
           this.events.emit('error', { message: message.message });
@@ -269,7 +482,9 @@ export class NetworkManager {
               const enemy = this.game.waveSystem.enemyFactory.createEnemy(message.enemyType, {
                 id: message.enemyId,
                 position: position,
-                health: message.health
+                health: message.health,
+                value: message.value,
+                isBoss: message.isBoss
               });
 
               if (enemy) {
@@ -288,6 +503,10 @@ export class NetworkManager {
                 }
 
                 this.game.state.enemies.push(enemy);
+
+                if (enemy.isBoss && this.game.bossSystem) {
+                  this.game.bossSystem.handleBossSpawned(enemy);
+                }
                 console.log(`Enemy spawned and added to game: ${message.enemyType} (${message.enemyId})`);
               } else {
                 console.error("Failed to create enemy");
@@ -317,6 +536,91 @@ export class NetworkManager {
             }
             break;
 
+        case 'enemy_damaged': {
+          // Show the server's health for the enemy
+          const damagedEnemy = this.game.state.enemies.find(e => e.id === message.enemyId);
+          if (damagedEnemy) {
+            damagedEnemy.health = message.health;
+            damagedEnemy.updateHealthBar();
+          }
+          break;
+        }
+
+        case 'enemy_aura': {
+          // Show or hide the commander buff icon
+          const buffedEnemy = this.game.state.enemies.find(e => e.id === message.enemyId);
+          if (buffedEnemy) {
+            buffedEnemy.setAuraBuff(message.buffed);
+          }
+          break;
+        }
+
+        case 'boss_phase':
+          if (this.game.bossSystem) {
+            this.game.bossSystem.handlePhaseChanged(message);
+          }
+          break;
+
+        case 'enemy_shield':
+          if (this.game.bossSystem) {
+            this.game.bossSystem.handleShieldChanged(message);
+          }
+          break;
+
+        case 'boss_special':
+          if (this.game.bossSystem) {
+            this.game.bossSystem.handleSpecial(message);
+          }
+          break;
+
+        case 'boss_defeated':
+          if (this.game.bossSystem) {
+            this.game.bossSystem.handleBossDefeated(message);
+          }
+          break;
+
+        case 'hero_experience':
+          if (this.game.levelingSystem) {
+            this.game.levelingSystem.syncExperience(message.experience);
+          }
+          break;
+
+        case 'tower_placed':
+          this.game.towerSystem.handleTowerPlaced(message);
+          break;
+
+        case 'tower_upgraded':
+          this.game.towerSystem.handleTowerUpgraded(message);
+          break;
+
+        case 'tower_sold':
+        case 'tower_removed':
+          this.game.towerSystem.handleTowerRemoved(message);
+          break;
+
+        case 'tower_fired':
+          this.game.towerSystem.handleTowerFired(message);
+          break;
+
+        case 'tower_rejected':
+          this.logger.warn(`Tower ${message.action} rejected: ${message.reason}`);
+          this.events.emit('towerRejected', {
+            action: message.action,
+            towerId: message.towerId,
+            reason: message.reason
+          });
+          break;
+
+        case 'enemy_attack': {
+          // Only this client's hero takes the hit; others see it on their own screens
+          const attacker = this.game.state.enemies.find(e => e.id === message.enemyId);
+          const hero = this.game.state.hero;
+          if (attacker && hero && message.heroId === this.playerId) {
+            attacker.handleAttack(hero, message);
+          }
+          break;
+        }
+
         case 'enemy_remove':
           // Remove local enemy
           const enemyIndex = this.game.state.enemies.findIndex(e => e.id === message.enemyId);
@@ -355,15 +659,24 @@ export class NetworkManager {
             this.game.uiManager.updateWaveUI(message.wave);
             this.game.uiManager.showWaveAnnouncement(message.wave);
           }
+          if (this.game) {
+            this.game.state.waveInProgress = true;
+            this.game.events.emit('waveStarted', { wave: message.wave });
+          }
           break;
 
         case 'wave_completed':
           if (this.game && this.game.uiManager) {
             this.game.uiManager.showWaveCompleted(message.nextWave);
           }
+          if (this.game) {
+            this.game.state.waveInProgress = false;
+            this.game.events.emit('waveCompleted', { wave: message.nextWave - 1 });
+          }
           break;
 
         case 'game_over':
+          this.lastRunId = message.runId || null;
           if (this.game) {
             this.game.gameOver(message.wave);
           }
@@ -582,11 +895,139 @@ export class NetworkManager {
           z: heroStats.rotation.z
         },
         health: heroStats.health,
-        level: heroStats.level
+        level: heroStats.level,
+        talents: this.game.profileManager.getTalents(),
+        // The server lists the built-in classes itself
+        classStats: isBuiltInHeroClass(hero.type) ? null : getHeroClassStats(hero.type)
       }
     });
   }
 
+  /**
+   * Tell the server about a purchased hero upgrade so it can validate attacks
+   * @param {string} upgradeType - 'stat' or 'special'
+   * @param {string} name - Stat type or special upgrade name
+   */
+  sendHeroUpgrade(upgradeType, name) {
+    if (!this.connected) {
+      return;
+    }
+
+    this.send({
+      type: 'hero_upgrade',
+      upgradeType: upgradeType,
+      name: name
+    });
+  }
+
+  /**
+   * Tell the server about an item bought or sold so it can check the gold and
+   * apply the item to the player's attacks
+   * @param {string} action - 'buy' or 'sell'
+   * @param {string} itemType - Item type
+   */
+  sendItemChange(action, itemType) {
+    if (!this.connected) {
+      return;
+    }
+
+    this.send({
+      type: action === 'sell' ? 'sell_item' : 'buy_item',
+      itemType: itemType
+    });
+  }
+
+  /**
+   * Tell the server about an augment picked, or gold spent rerolling a draft
+   * @param {string} action - 'choose' or 'reroll'
+   * @param {string} augmentId - Augment picked (for 'choose')
+   */
+  sendAugmentChange(action, augmentId = null) {
+    if (!this.connected) {
+      return;
+    }
+
+    if (action === 'reroll') {
+      this.send({ type: 'reroll_augments' });
+    } else {
+      this.send({ type: 'choose_augment', augmentId: augmentId });
+    }
+  }
+
+  /**
+   * Tell the server about an ability the local hero used or levelled, so it
+   * can check cooldowns, mana and ability points and what the ability does
+   * @param {string} action - 'use' or 'level'
+   * @param {number} abilityIndex - Ability index in the hero's ability bar
+   */
+  sendAbilityChange(action, abilityIndex) {
+    if (!this.connected) {
+      return;
+    }
+
+    this.send({
+      type: action === 'level' ? 'level_ability' : 'use_ability',
+      abilityIndex: abilityIndex
+    });
+  }
+
+  /**
+   * Send a hit from one of the local hero's abilities to the server, which
+   * checks it against the ability and deals the damage
+   * @param {string} enemyId - Enemy hit
+   * @param {number} damage - Damage dealt
+   * @param {number} abilityIndex - Index of the ability in the hero's ability bar
+   */
+  sendAbilityHit(enemyId, damage, abilityIndex) {
+    if (!this.connected) {
+      return;
+    }
+
+    this.send({
+      type: 'ability_hit',
+      enemyId: enemyId,
+      damage: damage,
+      abilityIndex: abilityIndex
+    });
+  }
+
+  /**
+   * Send a status one of the local hero's abilities applied to the server,
+   * which checks it against the ability and applies it
+   * @param {string} enemyId - Enemy affected
+   * @param {string} status - 'slow', 'freeze' or 'damage_over_time'
+   * @param {number} abilityIndex - Index of the ability in the hero's ability bar
+   */
+  sendAbilityStatus(enemyId, status, abilityIndex) {
+    if (!this.connected) {
+      return;
+    }
+
+    this.send({
+      type: 'ability_status',
+      enemyId: enemyId,
+      status: status,
+      abilityIndex: abilityIndex
+    });
+  }
+
+  /**
+   * Heal another player's hero through the server, which checks the range
+   * @param {string} targetId - Healed player's ID
+   * @param {number} share - Share of their maximum health to restore
+   */
+  sendAllyHeal(targetId, share) {
+    if (!this.connected) {
+      return;
+    }
+
+    this.send({
+      type: 'heal_ally',
+      targetId: targetId,
+      share: share
+    });
+  }
+
   /**
    * Send game state update to other players
    */
@@ -642,6 +1083,27 @@ export class NetworkManager {
     });
   }
 
+  /**
+   * Fetch the best recorded multiplayer runs from the server
+   * @param {Object} filters - heroClass, players and/or difficulty to only include matching runs
+   * @returns {Promise<Array<Object>>} Runs, best first
+   */
+  async fetchLeaderboard(filters = {}) {
+    // The leaderboard is served over HTTP by the same server as the WebSocket
+    const url = new URL('/api/leaderboard', this.serverUrl.replace(/^ws/, 'http'));
+    if (filters.heroClass) url.searchParams.set('heroClass', filters.heroClass);
+    if (filters.players) url.searchParams.set('players', filters.players);
+    if (filters.difficulty) url.searchParams.set('difficulty', filters.difficulty);
+
+    const response = await fetch(url.toString());
+    if (!response.ok) {
+      throw new Error(`Leaderboard request failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    return data.runs;
+  }
+
   /**
    * Send data to the server
    * @param {Object} data - Data to send
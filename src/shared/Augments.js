@@ -0,0 +1,243 @@
+/**
+ * Augment definitions and draft rules shared by the client and the server
+ *
+ * Each cleared wave offers the hero a draft of a few augments, drawn from a
+ * weighted pool of the general augments plus the ones for its class. The
+ * player keeps one for the rest of the run, or pays gold to reroll the offer.
+ * Augments are taken once each. The server applies their stats when it checks
+ * a player's attacks and movement.
+ */
+
+/**
+ * Definitions for the different augments, keyed by ID
+ * weight is how often an augment is drawn relative to the others and
+ * heroClass limits it to one class. stats are buff properties (see
+ * Hero.applyBuff), abilities change every ability (see Ability.applyModifiers)
+ * and ability changes one ability by name (see Ability.applyAugment).
+ */
+const augmentTypes = {
+  // Any class
+  sharpenedEdge: {
+    name: 'Sharpened Edge',
+    description: '+10% attack damage',
+    weight: 10,
+    stats: { damageMultiplier: 1.1 }
+  },
+
+  quickHands: {
+    name: 'Quick Hands',
+    description: 'Attack 8% faster',
+    weight: 10,
+    stats: { attackSpeedMultiplier: 0.92 }
+  },
+
+  toughness: {
+    name: 'Toughness',
+    description: '+30 maximum health',
+    weight: 10,
+    stats: { maxHealth: 30 }
+  },
+
+  fleetFooted: {
+    name: 'Fleet Footed',
+    description: 'Move 15% faster',
+    weight: 8,
+    stats: { moveSpeedMultiplier: 1.15 }
+  },
+
+  luckyStrikes: {
+    name: 'Lucky Strikes',
+    description: '+8% critical hit chance',
+    weight: 6,
+    stats: { critChance: 0.08 }
+  },
+
+  ironSkin: {
+    name: 'Iron Skin',
+    description: 'Take 8% less damage',
+    weight: 6,
+    stats: { damageReduction: 0.08 }
+  },
+
+  quickCasting: {
+    name: 'Quick Casting',
+    description: 'Abilities recharge 10% faster',
+    weight: 5,
+    abilities: { cooldownReduction: 0.1 }
+  },
+
+  // Warrior
+  chillingWhirlwind: {
+    name: 'Chilling Whirlwind',
+    description: 'Whirlwind also slows',
+    weight: 5,
+    heroClass: 'warrior',
+    ability: {
+      name: 'Whirlwind',
+      effects: [{ type: 'status', status: 'slow', slowFactor: 0.4, duration: 2000 }]
+    }
+  },
+
+  steadfast: {
+    name: 'Steadfast',
+    description: 'Shield Block lasts 50% longer',
+    weight: 5,
+    heroClass: 'warrior',
+    ability: { name: 'Shield Block', scale: { duration: 1.5 } }
+  },
+
+  // Ranger
+  extraArrow: {
+    name: 'Extra Arrow',
+    description: '+1 Multi-Shot target',
+    weight: 5,
+    heroClass: 'ranger',
+    ability: { name: 'Multi-Shot', add: { targetCount: 1 } }
+  },
+
+  pinningShot: {
+    name: 'Pinning Shot',
+    description: 'Sniper Shot freezes its target',
+    weight: 3,
+    heroClass: 'ranger',
+    ability: {
+      name: 'Sniper Shot',
+      effects: [{ type: 'status', status: 'freeze', slowFactor: 0.9, duration: 1500 }]
+    }
+  },
+
+  // Mage
+  missileBarrage: {
+    name: 'Missile Barrage',
+    description: 'Arcane Missiles fires 2 more missiles',
+    weight: 5,
+    heroClass: 'mage',
+    ability: { name: 'Arcane Missiles', add: { missileCount: 2 } }
+  },
+
+  deepFreeze: {
+    name: 'Deep Freeze',
+    description: 'Frost Nova freezes 50% longer',
+    weight: 5,
+    heroClass: 'mage',
+    ability: { name: 'Frost Nova', scale: { duration: 1.5 } }
+  },
+
+  // Cleric
+  lingeringLight: {
+    name: 'Lingering Light',
+    description: 'Consecration lasts 50% longer',
+    weight: 5,
+    heroClass: 'cleric',
+    ability: { name: 'Consecration', scale: { duration: 1.5 } }
+  },
+
+  radiance: {
+    name: 'Radiance',
+    description: 'Holy Light heals 10% more of maximum health',
+    weight: 5,
+    heroClass: 'cleric',
+    ability: { name: 'Holy Light', add: { effectValue: 0.1 } }
+  }
+};
+
+/**
+ * Draft rules
+ */
+const augmentRules = {
+  choices: 3,       // Augments offered in each draft
+  rerollCost: 25    // Gold to draw a new offer
+};
+
+/**
+ * Get an augment's definition
+ * @param {string} id - Augment ID
+ * @returns {Object|null} Augment definition, or null if there is no such augment
+ */
+function getAugment(id) {
+  return Object.prototype.hasOwnProperty.call(augmentTypes, id) ? augmentTypes[id] : null;
+}
+
+/**
+ * Check whether a hero can take an augment
+ * @param {string} heroClass - Hero class
+ * @param {Array<string>} taken - Augment IDs the hero already has
+ * @param {string} id - Augment ID
+ * @returns {string|null} Reason it can't, or null if it can
+ */
+function checkAugment(heroClass, taken, id) {
+  const augment = getAugment(id);
+  if (!augment) return 'unknown_augment';
+  if (augment.heroClass && augment.heroClass !== heroClass) return 'wrong_class';
+  if (taken.includes(id)) return 'already_taken';
+
+  return null;
+}
+
+/**
+ * Get the augments a hero could still be offered
+ * @param {string} heroClass - Hero class
+ * @param {Array<string>} taken - Augment IDs the hero already has
+ * @returns {Array<string>} Augment IDs
+ */
+function getAugmentPool(heroClass, taken = []) {
+  return Object.keys(augmentTypes).filter(id => checkAugment(heroClass, taken, id) === null);
+}
+
+/**
+ * Draw augments from a pool by weight, without drawing any twice
+ * @param {Array<string>} pool - Augment IDs to draw from
+ * @param {number} count - Augments to draw (fewer if the pool runs out)
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Array<string>} Drawn augment IDs
+ */
+function draftAugments(pool, count = augmentRules.choices, random = Math.random) {
+  const remaining = [...pool];
+  const drawn = [];
+
+  while (drawn.length < count && remaining.length > 0) {
+    const total = remaining.reduce((sum, id) => sum + augmentTypes[id].weight, 0);
+    let roll = random() * total;
+
+    let index = 0;
+    while (index < remaining.length - 1 && roll >= augmentTypes[remaining[index]].weight) {
+      roll -= augmentTypes[remaining[index]].weight;
+      index++;
+    }
+
+    drawn.push(remaining.splice(index, 1)[0]);
+  }
+
+  return drawn;
+}
+
+/**
+ * Combine the stats of a hero's augments
+ * Multipliers multiply together and flat bonuses add up.
+ * @param {Array<string>} taken - Augment IDs
+ * @returns {Object} damageMultiplier, attackSpeedMultiplier, moveSpeedMultiplier and maxHealth
+ */
+function getAugmentStats(taken) {
+  const totals = { damageMultiplier: 1, attackSpeedMultiplier: 1, moveSpeedMultiplier: 1, maxHealth: 0 };
+
+  taken.forEach(id => {
+    const stats = (getAugment(id) || {}).stats || {};
+
+    if (stats.damageMultiplier) totals.damageMultiplier *= stats.damageMultiplier;
+    if (stats.attackSpeedMultiplier) totals.attackSpeedMultiplier *= stats.attackSpeedMultiplier;
+    if (stats.moveSpeedMultiplier) totals.moveSpeedMultiplier *= stats.moveSpeedMultiplier;
+    if (stats.maxHealth) totals.maxHealth += stats.maxHealth;
+  });
+
+  return totals;
+}
+
+module.exports = {
+  augmentTypes,
+  augmentRules,
+  getAugment,
+  checkAugment,
+  getAugmentPool,
+  draftAugments,
+  getAugmentStats
+};
@@ -0,0 +1,348 @@
+/**
+ * Game data shared by the client and the server
+ * Written as CommonJS so server.js can require it directly; webpack lets the
+ * client import it like any other module.
+ */
+
+/**
+ * Definitions for the different enemy types, keyed by type name
+ */
+const enemyTypes = {
+  // Basic melee enemy
+  grunt: {
+    name: 'grunt',
+    health: 30,
+    speed: 0.02,
+    damage: 5,
+    value: 10,
+    color: 0xff0000,
+    scale: 1,
+    shape: 'box',
+    attackRange: 1,
+    attackSpeed: 1000
+  },
+
+  // Fast, low health enemy
+  scout: {
+    name: 'scout',
+    health: 20,
+    speed: 0.04,
+    damage: 3,
+    value: 15,
+    color: 0x00ff00,
+    scale: 0.8,
+    shape: 'sphere',
+    attackRange: 1.5,
+    attackSpeed: 800
+  },
+
+  // High health, slow enemy
+  brute: {
+    name: 'brute',
+    health: 60,
+    speed: 0.015,
+    damage: 10,
+    value: 20,
+    color: 0x8B4513,
+    scale: 1.3,
+    shape: 'box',
+    attackRange: 1,
+    attackSpeed: 1500
+  },
+
+  // Ranged caster enemy
+  mage: {
+    name: 'mage',
+    health: 15,
+    speed: 0.025,
+    damage: 8,
+    value: 25,
+    color: 0x9370DB,
+    scale: 0.9,
+    shape: 'tetrahedron',
+    attackRange: 4,
+    attackSpeed: 2000,
+    projectileSpeed: 0.1,
+    projectileDamage: 8
+  },
+
+  // High speed, high damage
+  assassin: {
+    name: 'assassin',
+    health: 25,
+    speed: 0.05,
+    damage: 15,
+    value: 30,
+    color: 0x800080,
+    scale: 0.7,
+    shape: 'cone',
+    attackRange: 0.8,
+    attackSpeed: 600,
+    critChance: 0.3,
+    critMultiplier: 2
+  },
+
+  // Elite enemy
+  commander: {
+    name: 'commander',
+    health: 100,
+    speed: 0.01,
+    damage: 20,
+    value: 50,
+    color: 0xFFD700,
+    scale: 1.5,
+    shape: 'box',
+    attackRange: 1.5,
+    attackSpeed: 2000,
+    auraRange: 3,
+    auraEffect: {
+      type: 'buff',
+      speedBonus: 0.2,
+      damageBonus: 0.3
+    }
+  },
+
+  // Boss that leads every few waves (see bossWaves)
+  warlord: {
+    name: 'warlord',
+    health: 1500,
+    speed: 0.008,
+    damage: 35,
+    value: 200,
+    color: 0x8b0000,
+    scale: 2.2,
+    shape: 'box',
+    attackRange: 2,
+    attackSpeed: 2500,
+    boss: {
+      reward: 500, // Gold every player gets for the kill
+      // Phases start when health drops to a fraction of the maximum
+      phases: [
+        { threshold: 0.7, summon: { type: 'grunt', count: 4 }, shield: 300 },
+        { threshold: 0.4, summon: { type: 'scout', count: 4 }, enrage: { speedMultiplier: 1.8, damageMultiplier: 1.5 } },
+        { threshold: 0.15, shield: 200 }
+      ],
+      // Ground slam on the closest hero, landing after a warning
+      special: { range: 8, radius: 3, damage: 30, warning: 1500, cooldown: 7000 }
+    }
+  }
+};
+
+/**
+ * Configured waves - waves past the last entry are generated with difficultyScaling
+ */
+const waveConfig = [
+  { types: ['grunt'], count: 5, interval: 2000 },
+  { types: ['grunt', 'scout'], count: 8, interval: 1800 },
+  { types: ['grunt', 'scout', 'brute'], count: 10, interval: 1600 },
+  { types: ['grunt', 'scout', 'brute', 'mage'], count: 12, interval: 1400 },
+  { types: ['scout', 'brute', 'mage'], count: 15, interval: 1200 },
+  { types: ['scout', 'brute', 'mage', 'assassin'], count: 18, interval: 1100 },
+  { types: ['brute', 'mage', 'assassin'], count: 20, interval: 1000 },
+  { types: ['mage', 'assassin', 'commander'], count: 15, interval: 1200 },
+  { types: ['brute', 'mage', 'assassin', 'commander'], count: 25, interval: 900 },
+  { types: ['assassin', 'commander'], count: 30, interval: 800 }
+];
+
+/**
+ * Boss waves: a boss joins every few waves once the rest of the wave is out
+ */
+const bossWaves = {
+  every: 5,
+  enemy: 'warlord',
+  delay: 5000 // ms after the rest of the wave has spawned
+};
+
+/**
+ * Difficulty scaling applied after the configured waves
+ */
+const difficultyScaling = {
+  healthMultiplier: 1.1,  // Enemy health +10% per wave beyond configured waves
+  countMultiplier: 1.1,   // Enemy count +10% per wave
+  intervalDivisor: 1.05,  // Spawn interval reduced by 5% per wave
+  valueMultiplier: 1.05   // Gold value +5% per wave
+};
+
+/**
+ * Difficulty presets picked in the lobby
+ * Multipliers scale every enemy on top of the wave and player scaling, and
+ * startingGold is what each hero starts the run with.
+ */
+const difficultyPresets = {
+  easy: {
+    name: 'Easy',
+    description: 'Weaker, slower enemies worth more gold, and 100 gold to start',
+    healthMultiplier: 0.75,
+    damageMultiplier: 0.75,
+    speedMultiplier: 0.9,
+    valueMultiplier: 1.2,
+    startingGold: 100
+  },
+  normal: {
+    name: 'Normal',
+    description: 'The game as designed',
+    healthMultiplier: 1,
+    damageMultiplier: 1,
+    speedMultiplier: 1,
+    valueMultiplier: 1,
+    startingGold: 0
+  },
+  hard: {
+    name: 'Hard',
+    description: 'Tougher, faster enemies worth less gold',
+    healthMultiplier: 1.3,
+    damageMultiplier: 1.25,
+    speedMultiplier: 1.1,
+    valueMultiplier: 0.9,
+    startingGold: 0
+  },
+  nightmare: {
+    name: 'Nightmare',
+    description: 'Enemies hit like bosses and barely pay',
+    healthMultiplier: 1.75,
+    damageMultiplier: 1.5,
+    speedMultiplier: 1.2,
+    valueMultiplier: 0.8,
+    startingGold: 0
+  }
+};
+
+const defaultDifficulty = 'normal';
+
+/**
+ * Hero upgrade costs and the value each level adds
+ * Special upgrades set their own costs (see HeroStats.js) and stop at maxSpecialLevel.
+ */
+const upgrades = {
+  baseCosts: {
+    damage: 20,
+    attackSpeed: 25,
+    range: 15,
+    health: 10
+  },
+  costMultiplier: 1.4, // Cost increases by 40% per level
+  valueMultipliers: {
+    damage: 1.2,      // +20% per level
+    attackSpeed: 0.9, // -10% cooldown per level
+    range: 1.15,      // +15% per level
+    health: 1.2       // +20% per level
+  },
+  maxSpecialLevel: 5
+};
+
+/**
+ * Multiplayer limits and scaling
+ */
+const multiplayer = {
+  maxPlayers: 4,            // maximum players per game
+  difficultyMultiplier: 0.5 // Extra scaling per additional player (50% more enemies per player)
+};
+
+/**
+ * Get the scaling factor for the number of players in a game
+ * @param {number} playerCount - Number of players
+ * @returns {number} Multiplier (1 for solo play)
+ */
+function getPlayerScaling(playerCount = 1) {
+  return 1 + multiplayer.difficultyMultiplier * (Math.max(1, playerCount) - 1);
+}
+
+/**
+ * Get an enemy type's definition
+ * @param {string} type - Enemy type name
+ * @returns {Object|null} Enemy definition, or null if there is no such enemy
+ */
+function getEnemyType(type) {
+  return Object.prototype.hasOwnProperty.call(enemyTypes, type) ? enemyTypes[type] : null;
+}
+
+/**
+ * Get the enemy types that aren't bosses
+ * @returns {Array<string>} Enemy type names
+ */
+function getRegularEnemyTypes() {
+  return Object.keys(enemyTypes).filter(type => !enemyTypes[type].boss);
+}
+
+/**
+ * Get the configuration for a wave, including scaling past the configured waves
+ * @param {number} waveNumber - Wave number (starting at 1)
+ * @param {number} playerCount - Number of players
+ * @param {Array<Object>} waves - Configured waves (a map's wave list)
+ * @returns {Object} Wave configuration with types, count and interval
+ */
+function getWaveConfig(waveNumber, playerCount = 1, waves = waveConfig) {
+  let wave;
+
+  if (waveNumber <= waves.length) {
+    wave = { ...waves[Math.max(1, waveNumber) - 1] };
+  } else {
+    // Generate wave for levels beyond pre-configured ones
+    const lastWave = waves[waves.length - 1];
+    const extraWaves = waveNumber - waves.length;
+
+    wave = {
+      types: getRegularEnemyTypes(), // Use all enemy types for advanced waves
+      count: Math.floor(lastWave.count * Math.pow(difficultyScaling.countMultiplier, extraWaves)),
+      interval: Math.max(500, lastWave.interval / Math.pow(difficultyScaling.intervalDivisor, extraWaves))
+    };
+  }
+
+  wave.count = Math.floor(wave.count * getPlayerScaling(playerCount));
+
+  return wave;
+}
+
+/**
+ * Get the health multiplier for enemies spawned in a wave
+ * @param {number} waveNumber - Wave number (starting at 1)
+ * @param {number} playerCount - Number of players
+ * @param {Array<Object>} waves - Configured waves (a map's wave list)
+ * @returns {number} Health multiplier
+ */
+function getEnemyHealthMultiplier(waveNumber, playerCount = 1, waves = waveConfig) {
+  const waveMultiplier = Math.pow(
+    difficultyScaling.healthMultiplier,
+    Math.max(0, waveNumber - waves.length)
+  );
+
+  return waveMultiplier * getPlayerScaling(playerCount);
+}
+
+/**
+ * Get the gold value multiplier for enemies spawned in a wave
+ * @param {number} waveNumber - Wave number (starting at 1)
+ * @param {Array<Object>} waves - Configured waves (a map's wave list)
+ * @returns {number} Value multiplier
+ */
+function getEnemyValueMultiplier(waveNumber, waves = waveConfig) {
+  return Math.pow(difficultyScaling.valueMultiplier, Math.max(0, waveNumber - waves.length));
+}
+
+/**
+ * Get a difficulty preset
+ * @param {string} id - Difficulty ID (unknown ones fall back to the default)
+ * @returns {Object} Difficulty preset, with its ID
+ */
+function getDifficulty(id) {
+  const key = Object.prototype.hasOwnProperty.call(difficultyPresets, id) ? id : defaultDifficulty;
+  return { id: key, ...difficultyPresets[key] };
+}
+
+module.exports = {
+  enemyTypes,
+  waveConfig,
+  difficultyScaling,
+  difficultyPresets,
+  defaultDifficulty,
+  upgrades,
+  multiplayer,
+  bossWaves,
+  getPlayerScaling,
+  getEnemyType,
+  getRegularEnemyTypes,
+  getWaveConfig,
+  getEnemyHealthMultiplier,
+  getEnemyValueMultiplier,
+  getDifficulty
+};
@@ -0,0 +1,83 @@
+/**
+ * Hero leveling rules shared by the client and the server
+ *
+ * Heroes earn XP during a run from the enemies that die, worth as much XP as
+ * they are worth gold. Each level raises the hero's base stats and gives an
+ * ability point to spend on levelling up an ability. The server applies the
+ * same stat growth when it checks a player's attacks.
+ */
+
+const heroLeveling = {
+  maxLevel: 10,
+  xpPerEnemyValue: 1,       // XP per gold an enemy is worth
+  abilityPointsPerLevel: 1,
+
+  // Base stat increase per level past the first, as a fraction of the level 1 value
+  statGrowth: {
+    damage: 0.1,
+    health: 0.1,
+    mana: 0.05
+  }
+};
+
+// XP needed for level 2; each level after needs this much more than the last
+const XP_PER_LEVEL = 60;
+
+/**
+ * Get the total XP needed to reach a hero level
+ * @param {number} level - Hero level
+ * @returns {number} XP needed
+ */
+function getHeroXpForLevel(level) {
+  return XP_PER_LEVEL * (level - 1) * level / 2;
+}
+
+/**
+ * Get the level a hero with some XP has reached
+ * @param {number} xp - XP earned this run
+ * @returns {number} Level (1 to maxLevel)
+ */
+function getHeroLevelForXp(xp) {
+  let level = 1;
+  while (level < heroLeveling.maxLevel && getHeroXpForLevel(level + 1) <= xp) {
+    level++;
+  }
+
+  return level;
+}
+
+/**
+ * Get the XP an enemy gives when it dies
+ * @param {number} value - Gold the enemy is worth
+ * @returns {number} XP
+ */
+function getEnemyXp(value) {
+  return Math.max(0, Math.round((value || 0) * heroLeveling.xpPerEnemyValue));
+}
+
+/**
+ * Raise a hero's level 1 base stats to a level
+ * @param {Object} baseStats - Level 1 base stats (damage, health, mana, ...)
+ * @param {number} level - Hero level
+ * @returns {Object} Base stats for that level
+ */
+function applyHeroLevel(baseStats, level) {
+  const stats = { ...baseStats };
+  const levels = Math.max(0, level - 1);
+
+  Object.keys(heroLeveling.statGrowth).forEach(stat => {
+    if (stats[stat] !== undefined) {
+      stats[stat] = Math.round(stats[stat] * (1 + heroLeveling.statGrowth[stat] * levels));
+    }
+  });
+
+  return stats;
+}
+
+module.exports = {
+  heroLeveling,
+  getHeroXpForLevel,
+  getHeroLevelForXp,
+  getEnemyXp,
+  applyHeroLevel
+};
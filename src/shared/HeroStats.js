@@ -0,0 +1,558 @@
+/**
+ * Hero class combat stats shared by the client and the server
+ *
+ * Class definitions take their baseStats, abilities and special upgrade costs
+ * from here (registerHeroClass fills in baseStats when a definition leaves them out),
+ * and the server validates attacks, upgrades and leaderboard filters against
+ * the same table. Classes registered at runtime with their own baseStats are
+ * added to the client's copy; players send those stats with their updates and
+ * the server accepts them within heroClassStatLimits (see sanitizeHeroClassStats).
+ */
+
+/**
+ * Combat stats of each hero class, keyed by class ID
+ * Abilities are listed in ability bar order (see Ability and AbilityEffects.js).
+ * Special upgrades are keyed by name and list their cost, plus the per-level
+ * bonuses the server needs to check attacks, abilities and movement
+ * (critDamage, moveSpeed, spellPower, cooldownReduction, manaRegen). Their
+ * other effects live with the class definition.
+ */
+const heroClassStats = {
+  warrior: {
+    baseStats: {
+      damage: 10,
+      attackRate: 1000, // ms
+      range: 2.5,
+      health: 100,
+      mana: 50,
+      manaRegen: 4 // Per second
+    },
+    abilities: [
+      {
+        name: 'Whirlwind',
+        description: 'Spin and damage all enemies in range',
+        cooldown: 8000,
+        manaCost: 20,
+        type: 'aoe',
+        damageMultiplier: 0.8,
+        rangeMultiplier: 1,
+        effectColor: 0xff0000,
+        effects: [{ type: 'aoe', radius: 'range', animation: 'spin' }]
+      },
+      {
+        name: 'Shield Block',
+        description: 'Reduce incoming damage by 50% for 5 seconds',
+        cooldown: 15000,
+        manaCost: 15,
+        type: 'buff',
+        duration: 5000,
+        effectValue: 0.5,
+        effectColor: 0xffff00,
+        effects: [{ type: 'buff', stat: 'damageReduction' }]
+      },
+      {
+        name: 'Heroic Strike',
+        description: 'Deal 2x damage to a single target',
+        cooldown: 6000,
+        manaCost: 10,
+        type: 'single',
+        damageMultiplier: 2,
+        effectColor: 0xffa500,
+        effects: [{ type: 'damage', select: 'target', crit: true, visual: 'slash' }]
+      },
+      {
+        name: 'Battle Shout',
+        description: 'Increase damage by 30% for 10 seconds',
+        cooldown: 20000,
+        manaCost: 25,
+        type: 'buff',
+        duration: 10000,
+        effectValue: 1.3,
+        effectColor: 0x00ff00,
+        effects: [
+          { type: 'buff', stat: 'damageMultiplier' },
+          { type: 'aoe', radius: 2, damage: false }
+        ]
+      }
+    ],
+    specialUpgrades: {
+      'Defense Mastery': { cost: 50, costMultiplier: 1.5 },
+      'Weapon Mastery': { cost: 75, costMultiplier: 1.5 }
+    }
+  },
+
+  ranger: {
+    baseStats: {
+      damage: 8,
+      attackRate: 800, // ms
+      range: 4,
+      health: 80,
+      mana: 60,
+      manaRegen: 4 // Per second
+    },
+    abilities: [
+      {
+        name: 'Multi-Shot',
+        description: 'Fire arrows at up to 3 targets',
+        cooldown: 8000,
+        manaCost: 15,
+        type: 'multi',
+        targetCount: 3,
+        damageMultiplier: 0.7,
+        effectColor: 0x32cd32,
+        effects: [{ type: 'damage', select: 'nearest', visual: 'beam' }]
+      },
+      {
+        name: 'Sniper Shot',
+        description: 'Deal 3x damage to a distant target',
+        cooldown: 10000,
+        manaCost: 20,
+        type: 'single',
+        damageMultiplier: 3,
+        rangeMultiplier: 1.5,
+        effectColor: 0xff0000,
+        effects: [{ type: 'damage', select: 'farthest', crit: true, visual: 'beam' }]
+      },
+      {
+        name: 'Trap',
+        description: 'Place a trap that slows enemies',
+        cooldown: 12000,
+        manaCost: 15,
+        type: 'zone',
+        duration: 8000,
+        aoeRadius: 2,
+        slow: 0.5,
+        effectColor: 0x8b4513,
+        effects: [{ type: 'zone', effectType: 'slow', distance: 3 }]
+      },
+      {
+        name: 'Evasion',
+        description: '50% chance to dodge attacks for 5 seconds',
+        cooldown: 15000,
+        manaCost: 20,
+        type: 'buff',
+        duration: 5000,
+        effectValue: 0.5,
+        effectColor: 0x1e90ff,
+        effects: [{ type: 'buff', stat: 'dodgeChance' }]
+      }
+    ],
+    specialUpgrades: {
+      'Eagle Eye': { cost: 60, costMultiplier: 1.5, critDamage: 0.1 },
+      'Quick Reflexes': { cost: 40, costMultiplier: 1.4, moveSpeed: 0.05 }
+    }
+  },
+
+  mage: {
+    baseStats: {
+      damage: 12,
+      attackRate: 1200, // ms
+      range: 3.5,
+      health: 70,
+      mana: 100,
+      manaRegen: 5 // Per second
+    },
+    abilities: [
+      {
+        name: 'Fireball',
+        description: 'Launch a fireball dealing AoE damage',
+        cooldown: 8000,
+        manaCost: 25,
+        type: 'projectile',
+        aoeRadius: 2,
+        damageMultiplier: 1.5,
+        effectColor: 0xff4500,
+        effects: [{ type: 'projectile', aim: 'point', explode: true, speed: 0.2, distance: 5 }]
+      },
+      {
+        name: 'Frost Nova',
+        description: 'Freeze all enemies in range for 3 seconds',
+        cooldown: 12000,
+        manaCost: 30,
+        type: 'aoe',
+        duration: 3000,
+        damageMultiplier: 0.5,
+        effectColor: 0x00ffff,
+        effects: [
+          { type: 'aoe', radius: 'range' },
+          { type: 'status', status: 'freeze', slowFactor: 0.9 } // Almost frozen in place
+        ]
+      },
+      {
+        name: 'Arcane Missiles',
+        description: 'Channel multiple missiles at a target',
+        cooldown: 10000,
+        manaCost: 30,
+        type: 'channel',
+        duration: 3000,
+        missileCount: 5,
+        damageMultiplier: 0.6,
+        effectColor: 0xff00ff,
+        effects: [{ type: 'projectile', aim: 'enemy', count: 'missileCount', speed: 0.15, lifetime: 3 }]
+      },
+      {
+        name: 'Mana Shield',
+        description: 'For 8 seconds, 30% of incoming damage drains mana instead of health',
+        cooldown: 15000,
+        manaCost: 20,
+        type: 'buff',
+        duration: 8000,
+        effectValue: 0.3,
+        effectColor: 0x4169e1,
+        effects: [{ type: 'buff', stat: 'damageConversion' }]
+      }
+    ],
+    specialUpgrades: {
+      'Spell Power': { cost: 65, costMultiplier: 1.6, spellPower: 0.08 },
+      'Mana Flow': { cost: 70, costMultiplier: 1.6, cooldownReduction: 0.05, manaRegen: 0.2 }
+    }
+  },
+
+  cleric: {
+    baseStats: {
+      damage: 9,
+      attackRate: 1100, // ms
+      range: 3,
+      health: 90,
+      mana: 90,
+      manaRegen: 5 // Per second
+    },
+    abilities: [
+      {
+        name: 'Smite',
+        description: 'Strike a single target with holy light',
+        cooldown: 5000,
+        manaCost: 15,
+        type: 'single',
+        damageMultiplier: 1.8,
+        effectColor: 0xfffacd,
+        effects: [{ type: 'damage', select: 'target', visual: 'beam' }]
+      },
+      {
+        name: 'Holy Light',
+        description: 'Restore 30% of maximum health to yourself and allies within 4 units',
+        cooldown: 12000,
+        manaCost: 25,
+        type: 'heal',
+        effectValue: 0.3,
+        effectColor: 0xffff99,
+        effects: [{ type: 'heal', radius: 4 }]
+      },
+      {
+        name: 'Consecration',
+        description: 'Bless the ground, damaging enemies on it for 6 seconds',
+        cooldown: 14000,
+        manaCost: 30,
+        type: 'zone',
+        duration: 6000,
+        aoeRadius: 2.5,
+        damageMultiplier: 0.3,
+        effectColor: 0xffd700,
+        effects: [{ type: 'zone', effectType: 'damage', multiplier: 'damageMultiplier', distance: 3 }]
+      },
+      {
+        name: 'Divine Shield',
+        description: 'Reduce incoming damage by 70% for 4 seconds',
+        cooldown: 18000,
+        manaCost: 25,
+        type: 'buff',
+        duration: 4000,
+        effectValue: 0.7,
+        effectColor: 0xfffff0,
+        effects: [{ type: 'buff', stat: 'damageReduction' }]
+      }
+    ],
+    specialUpgrades: {
+      'Devotion': { cost: 55, costMultiplier: 1.5, manaRegen: 0.15 },
+      'Sanctuary': { cost: 60, costMultiplier: 1.5 }
+    }
+  }
+};
+
+// Classes listed above, whose stats the server never takes from a client
+const builtInHeroClasses = new Set(Object.keys(heroClassStats));
+
+/**
+ * Bounds on the stats of classes the server doesn't list
+ * Every built-in class fits inside them, with some room for new designs.
+ */
+const heroClassStatLimits = {
+  idPattern: /^[a-z][a-z0-9_]{0,31}$/,
+  baseStats: {
+    damage: { min: 1, max: 15 },
+    attackRate: { min: 600, max: 3000 }, // ms
+    range: { min: 1, max: 5 },
+    health: { min: 1, max: 150 },
+    mana: { min: 0, max: 150 },
+    manaRegen: { min: 0, max: 8 } // Per second
+  },
+  namePattern: /^[A-Za-z][A-Za-z0-9 '-]{0,31}$/, // Ability and special upgrade names
+  maxAbilities: 4,
+  abilityTypes: ['active', 'single', 'multi', 'aoe', 'projectile', 'channel', 'zone', 'buff', 'heal', 'passive'],
+  abilities: {
+    cooldown: { min: 1000, max: 60000 }, // ms
+    manaCost: { min: 0, max: 150 },
+    maxLevel: { min: 1, max: 5, optional: true },
+    damageMultiplier: { min: 0, max: 3, optional: true },
+    rangeMultiplier: { min: 0, max: 2, optional: true },
+    duration: { min: 0, max: 10000, optional: true }, // ms
+    aoeRadius: { min: 0, max: 4, optional: true },
+    targetCount: { min: 1, max: 5, optional: true },
+    effectValue: { min: 0, max: 2, optional: true },
+    missileCount: { min: 0, max: 8, optional: true },
+    slow: { min: 0, max: 0.9, optional: true }
+  },
+  // Only what the server reads from an ability's effects is kept
+  maxAbilityEffects: 4,
+  effectTypePattern: /^[a-z][A-Za-z]{0,31}$/,
+  effectStatuses: ['slow', 'freeze', 'damage_over_time'],
+  zoneEffectTypes: ['slow', 'freeze', 'damage_over_time', 'damage'],
+  abilityEffects: {
+    multiplier: { min: 0, max: 3, optional: true },
+    value: { min: 0, max: 2, optional: true },
+    slowFactor: { min: 0, max: 0.9, optional: true },
+    duration: { min: 0, max: 10000, optional: true },
+    damagePerTick: { min: 0, max: 20, optional: true }
+  },
+  maxSpecialUpgrades: 4,
+  specialUpgrades: {
+    cost: { min: 20, max: 1000 },
+    costMultiplier: { min: 1.2, max: 3 },
+    critDamage: { min: 0, max: 0.1, optional: true },
+    moveSpeed: { min: 0, max: 0.05, optional: true },
+    spellPower: { min: 0, max: 0.08, optional: true },
+    cooldownReduction: { min: 0, max: 0.05, optional: true },
+    manaRegen: { min: 0, max: 0.2, optional: true }
+  }
+};
+
+/**
+ * Get a hero class's combat stats
+ * @param {string} id - Class ID
+ * @returns {Object|null} baseStats, abilities and specialUpgrades, or null if the class isn't listed
+ */
+function getHeroClassStats(id) {
+  return Object.prototype.hasOwnProperty.call(heroClassStats, id) ? heroClassStats[id] : null;
+}
+
+/**
+ * Get the cost of one of a class's special upgrades
+ * @param {string} id - Class ID
+ * @param {string} name - Special upgrade name
+ * @returns {Object|null} cost and costMultiplier, or null if there is no such upgrade
+ */
+function getSpecialUpgradeCost(id, name) {
+  const stats = getHeroClassStats(id);
+  if (!stats || !Object.prototype.hasOwnProperty.call(stats.specialUpgrades, name)) return null;
+
+  const { cost, costMultiplier } = stats.specialUpgrades[name];
+  return { cost, costMultiplier };
+}
+
+/**
+ * Get an ability's stats at a level
+ * Grows them the way Ability.applyLevelUpEffects does, from the level 1 values.
+ * @param {Object} ability - Ability config, as listed in heroClassStats
+ * @param {number} level - Ability level
+ * @returns {Object} cooldown, manaCost, damageMultiplier, duration, aoeRadius,
+ *   targetCount, effectValue, missileCount and slow at that level, and maxLevel
+ */
+function getAbilityLevelStats(ability, level) {
+  const growth = perLevel => 1 + perLevel * (level - 1);
+  const shortenCooldown = factor => {
+    let cooldown = ability.cooldown || 5000;
+    for (let reached = 2; reached <= level; reached++) {
+      cooldown = Math.round(cooldown * factor);
+    }
+    return cooldown;
+  };
+
+  const stats = {
+    cooldown: ability.cooldown || 5000,
+    manaCost: ability.manaCost || 0,
+    damageMultiplier: ability.damageMultiplier || 1,
+    duration: ability.duration || 0,
+    aoeRadius: ability.aoeRadius || 0,
+    targetCount: ability.targetCount || 1,
+    effectValue: ability.effectValue || 0,
+    missileCount: ability.missileCount || 0,
+    slow: ability.slow || 0,
+    maxLevel: ability.maxLevel || 5
+  };
+
+  switch (ability.type || 'active') {
+    case 'active':
+    case 'single':
+    case 'projectile':
+    case 'channel':
+      stats.damageMultiplier *= growth(0.2);
+      stats.cooldown = shortenCooldown(0.9);
+      break;
+
+    case 'multi':
+      stats.damageMultiplier *= growth(0.15);
+      stats.targetCount += Math.floor((level - 1) / 2);
+      break;
+
+    case 'aoe':
+      stats.damageMultiplier *= growth(0.15);
+      stats.aoeRadius *= growth(0.1);
+      stats.cooldown = shortenCooldown(0.92);
+      break;
+
+    case 'zone':
+      stats.aoeRadius *= growth(0.1);
+      stats.duration *= growth(0.2);
+      break;
+
+    case 'buff':
+      stats.duration *= growth(0.2);
+      break;
+
+    case 'heal':
+      stats.effectValue *= growth(0.15);
+      break;
+  }
+
+  return stats;
+}
+
+/**
+ * Check whether a class is one of the built-in classes listed in this file
+ * @param {string} id - Class ID
+ * @returns {boolean} True for a built-in class
+ */
+function isBuiltInHeroClass(id) {
+  return builtInHeroClasses.has(id);
+}
+
+/**
+ * Add or replace the stats of a class registered at runtime
+ * The built-in classes keep the stats listed here.
+ * @param {string} id - Class ID
+ * @param {Object} stats - baseStats, abilities and specialUpgrades, as listed in heroClassStats
+ */
+function registerHeroClassStats(id, stats) {
+  if (isBuiltInHeroClass(id)) return;
+
+  heroClassStats[id] = stats;
+}
+
+/**
+ * Copy only the numbers a limit table allows, if every one is in bounds
+ * @param {Object} values - Values to check
+ * @param {Object} limits - min/max (and optional) for each allowed key
+ * @returns {Object|null} Copy of the values, or null if any is missing or out of bounds
+ */
+function pickBoundedValues(values, limits) {
+  if (!values || typeof values !== 'object') return null;
+
+  const picked = {};
+  for (const [key, limit] of Object.entries(limits)) {
+    const value = values[key];
+    if (value === undefined && limit.optional) continue;
+    if (typeof value !== 'number' || !(value >= limit.min && value <= limit.max)) return null;
+
+    picked[key] = value;
+  }
+
+  return picked;
+}
+
+/**
+ * Check one effect of an ability a client sent
+ * Numbers may also name an ability stat, as in AbilityEffects.js.
+ * @param {Object} effect - Effect data
+ * @returns {Object|null} Copy of the parts the server reads, or null if any is out of bounds
+ */
+function sanitizeAbilityEffect(effect) {
+  const limits = heroClassStatLimits;
+  if (!effect || typeof effect !== 'object') return null;
+  if (typeof effect.type !== 'string' || !limits.effectTypePattern.test(effect.type)) return null;
+  if (effect.status !== undefined && !limits.effectStatuses.includes(effect.status)) return null;
+  if (effect.effectType !== undefined && !limits.zoneEffectTypes.includes(effect.effectType)) return null;
+
+  const clean = { type: effect.type };
+  if (effect.crit === true) clean.crit = true;
+  if (effect.status !== undefined) clean.status = effect.status;
+  if (effect.effectType !== undefined) clean.effectType = effect.effectType;
+
+  for (const [key, limit] of Object.entries(limits.abilityEffects)) {
+    const value = effect[key];
+    if (value === undefined) continue;
+
+    const namesStat = typeof value === 'string' && Object.prototype.hasOwnProperty.call(limits.abilities, value);
+    const inBounds = typeof value === 'number' && value >= limit.min && value <= limit.max;
+    if (!namesStat && !inBounds) return null;
+
+    clean[key] = value;
+  }
+
+  return clean;
+}
+
+/**
+ * Check an ability a client sent
+ * @param {Object} ability - Ability config
+ * @returns {Object|null} Copy of the parts the server reads, or null if any is out of bounds
+ */
+function sanitizeAbility(ability) {
+  const limits = heroClassStatLimits;
+  if (!ability || typeof ability !== 'object') return null;
+  if (typeof ability.name !== 'string' || !limits.namePattern.test(ability.name)) return null;
+
+  const type = ability.type === undefined ? 'active' : ability.type;
+  const stats = pickBoundedValues(ability, limits.abilities);
+  if (!limits.abilityTypes.includes(type) || !stats) return null;
+
+  const effects = ability.effects === undefined ? [] : ability.effects;
+  if (!Array.isArray(effects) || effects.length > limits.maxAbilityEffects) return null;
+
+  const cleanEffects = effects.map(sanitizeAbilityEffect);
+  if (cleanEffects.includes(null)) return null;
+
+  return { name: ability.name, type, ...stats, effects: cleanEffects };
+}
+
+/**
+ * Check the stats a client sent for a class registered at runtime
+ * @param {string} id - Class ID
+ * @param {Object} stats - baseStats, abilities and specialUpgrades, as listed in heroClassStats
+ * @returns {Object|null} Clean copy of the stats, or null if the class ID or any stat is out of bounds
+ */
+function sanitizeHeroClassStats(id, stats) {
+  const limits = heroClassStatLimits;
+  if (typeof id !== 'string' || !limits.idPattern.test(id) || isBuiltInHeroClass(id)) return null;
+  if (!stats || typeof stats !== 'object') return null;
+
+  const baseStats = pickBoundedValues(stats.baseStats, limits.baseStats);
+  if (!baseStats || !stats.specialUpgrades || typeof stats.specialUpgrades !== 'object') return null;
+  if (!Array.isArray(stats.abilities) || stats.abilities.length > limits.maxAbilities) return null;
+
+  const abilities = stats.abilities.map(sanitizeAbility);
+  if (abilities.includes(null)) return null;
+
+  const names = Object.keys(stats.specialUpgrades);
+  if (names.length > limits.maxSpecialUpgrades) return null;
+
+  const specialUpgrades = {};
+  for (const name of names) {
+    const upgrade = pickBoundedValues(stats.specialUpgrades[name], limits.specialUpgrades);
+    if (!limits.namePattern.test(name) || !upgrade) return null;
+
+    specialUpgrades[name] = upgrade;
+  }
+
+  return { baseStats, abilities, specialUpgrades };
+}
+
+module.exports = {
+  heroClassStats,
+  heroClassStatLimits,
+  getHeroClassStats,
+  getSpecialUpgradeCost,
+  getAbilityLevelStats,
+  isBuiltInHeroClass,
+  registerHeroClassStats,
+  sanitizeHeroClassStats
+};
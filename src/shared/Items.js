@@ -0,0 +1,147 @@
+/**
+ * Item definitions and shop rules shared by the client and the server
+ *
+ * Heroes buy items with gold between waves and carry them in a few inventory
+ * slots. An item can change the hero's stats (applied as a permanent buff),
+ * trigger something when the hero's attacks land, or change its abilities.
+ * Selling an item refunds part of its price. The server applies item stats
+ * when it checks a player's attacks.
+ */
+
+/**
+ * Definitions for the different items, keyed by type name
+ * stats are buff properties (see Hero.applyBuff), onHit is run by the
+ * ItemSystem when an attack lands, and abilities change every ability
+ * (see Ability.applyModifiers).
+ */
+const itemTypes = {
+  // Stat sticks
+  longsword: {
+    name: 'Longsword',
+    description: '+15% attack damage',
+    cost: 60,
+    stats: { damageMultiplier: 1.15 }
+  },
+
+  swiftGloves: {
+    name: 'Swift Gloves',
+    description: 'Attack 12% faster',
+    cost: 60,
+    stats: { attackSpeedMultiplier: 0.88 }
+  },
+
+  heartAmulet: {
+    name: 'Heart Amulet',
+    description: '+40 maximum health',
+    cost: 50,
+    stats: { maxHealth: 40 }
+  },
+
+  // On-hit effects
+  vampiricFang: {
+    name: 'Vampiric Fang',
+    description: 'Attacks heal for 15% of the damage dealt',
+    cost: 80,
+    onHit: { lifesteal: 0.15 }
+  },
+
+  stormcaller: {
+    name: 'Stormcaller',
+    description: '20% chance on hit to chain lightning to 3 more enemies',
+    cost: 100,
+    onHit: {
+      chainLightning: { chance: 0.2, damageMultiplier: 0.6, jumps: 3, range: 4, color: 0x87cefa }
+    }
+  },
+
+  // Ability changes
+  arcaneFocus: {
+    name: 'Arcane Focus',
+    description: 'Abilities recharge 15% faster',
+    cost: 90,
+    abilities: { cooldownReduction: 0.15 }
+  },
+
+  tomeOfPower: {
+    name: 'Tome of Power',
+    description: '+20% ability damage',
+    cost: 90,
+    abilities: { damage: 0.2 }
+  },
+
+  orbOfExpanse: {
+    name: 'Orb of Expanse',
+    description: '+25% ability area',
+    cost: 70,
+    abilities: { aoeRadius: 0.25 }
+  }
+};
+
+/**
+ * Inventory and selling rules
+ */
+const itemRules = {
+  inventorySlots: 4,   // Items a hero can carry
+  sellRefund: 0.5      // Fraction of the price that selling gives back
+};
+
+/**
+ * Get an item's definition
+ * @param {string} type - Item type
+ * @returns {Object|null} Item definition, or null if there is no such item
+ */
+function getItem(type) {
+  return Object.prototype.hasOwnProperty.call(itemTypes, type) ? itemTypes[type] : null;
+}
+
+/**
+ * Get how much gold selling an item gives back
+ * @param {string} type - Item type
+ * @returns {number} Refund
+ */
+function getItemSellValue(type) {
+  const item = getItem(type);
+  return item ? Math.floor(item.cost * itemRules.sellRefund) : 0;
+}
+
+/**
+ * Check whether an item can go into an inventory (gold is checked separately)
+ * @param {Array<string>} inventory - Item types already carried
+ * @param {string} type - Item type to add
+ * @returns {string|null} Reason it can't, or null if it can
+ */
+function checkItemPurchase(inventory, type) {
+  if (!getItem(type)) return 'unknown_item';
+  if (inventory.length >= itemRules.inventorySlots) return 'inventory_full';
+
+  return null;
+}
+
+/**
+ * Combine the stats of the items in an inventory
+ * Multipliers multiply together and flat bonuses add up.
+ * @param {Array<string>} inventory - Item types carried
+ * @returns {Object} damageMultiplier, attackSpeedMultiplier and maxHealth
+ */
+function getItemStats(inventory) {
+  const totals = { damageMultiplier: 1, attackSpeedMultiplier: 1, maxHealth: 0 };
+
+  inventory.forEach(type => {
+    const stats = (getItem(type) || {}).stats || {};
+
+    if (stats.damageMultiplier) totals.damageMultiplier *= stats.damageMultiplier;
+    if (stats.attackSpeedMultiplier) totals.attackSpeedMultiplier *= stats.attackSpeedMultiplier;
+    if (stats.maxHealth) totals.maxHealth += stats.maxHealth;
+  });
+
+  return totals;
+}
+
+module.exports = {
+  itemTypes,
+  itemRules,
+  getItem,
+  getItemSellValue,
+  checkItemPurchase,
+  getItemStats
+};
@@ -0,0 +1,166 @@
+/**
+ * Map definitions shared by the client and the server
+ *
+ * Each map is a JSON file in ./maps:
+ *
+ *   id, name, description
+ *   ground       - { width, depth, color }
+ *   lanes        - { width, waypoints: { name: { x, z } }, links: { name: [next names] } }
+ *   spawnPoints  - Waypoints enemies spawn at (one per lane)
+ *   goalZones    - [{ waypoint, radius }] at the exits, where enemies leak
+ *   decorations  - [{ type: 'rock' | 'tree' | 'pillar', x, z, scale }]
+ *   lighting     - Lighting preset name ('day', 'dusk' or 'night')
+ *   waves        - Name of the wave script in WaveScript.waveScripts
+ *
+ * Lanes use the waypoint graph format of shared/simulation/Path.js.
+ */
+const { waveScripts, validateWaveScript } = require('./WaveScript.js');
+
+const maps = {
+  corridor: require('./maps/corridor.json'),
+  crossroads: require('./maps/crossroads.json'),
+  'twin-rivers': require('./maps/twin-rivers.json')
+};
+
+// Map used when a game or room doesn't pick one
+const defaultMap = 'corridor';
+
+const LIGHTING_PRESETS = ['day', 'dusk', 'night'];
+const DECORATION_TYPES = ['rock', 'tree', 'pillar'];
+
+/**
+ * Check a map definition for mistakes
+ * @param {Object} map - Map definition
+ * @returns {Array<string>} Problems found (empty if the map is valid)
+ */
+function validateMap(map) {
+  const errors = [];
+
+  if (!map || typeof map !== 'object') {
+    return ['Map must be an object'];
+  }
+
+  if (!map.id) errors.push('Map needs an id');
+  if (!map.name) errors.push('Map needs a name');
+
+  if (!map.ground || !(map.ground.width > 0) || !(map.ground.depth > 0)) {
+    errors.push('Ground needs a positive width and depth');
+  }
+
+  const lanes = map.lanes || {};
+  const waypoints = lanes.waypoints || {};
+  const links = lanes.links || {};
+
+  if (!(lanes.width > 0)) errors.push('Lanes need a positive width');
+  if (Object.keys(waypoints).length < 2) errors.push('Lanes need at least two waypoints');
+
+  Object.keys(waypoints).forEach(name => {
+    const point = waypoints[name];
+    if (!point || typeof point.x !== 'number' || typeof point.z !== 'number') {
+      errors.push(`Waypoint ${name} needs numeric x and z`);
+    }
+  });
+
+  Object.keys(links).forEach(name => {
+    if (!waypoints[name]) errors.push(`Link from unknown waypoint ${name}`);
+
+    (links[name] || []).forEach(next => {
+      if (!waypoints[next]) errors.push(`Link from ${name} to unknown waypoint ${next}`);
+    });
+  });
+
+  if (!Array.isArray(map.spawnPoints) || map.spawnPoints.length === 0) {
+    errors.push('Map needs at least one spawn point');
+  } else {
+    map.spawnPoints.forEach(name => {
+      if (!waypoints[name]) errors.push(`Spawn point ${name} is not a waypoint`);
+    });
+  }
+
+  // Every exit needs a goal zone, and goal zones only sit on exits
+  const exits = Object.keys(waypoints).filter(name => !links[name] || links[name].length === 0);
+  const goals = (map.goalZones || []).map(zone => zone.waypoint);
+
+  goals.forEach(name => {
+    if (!exits.includes(name)) errors.push(`Goal zone ${name} is not an exit waypoint`);
+  });
+  exits.forEach(name => {
+    if (!goals.includes(name)) errors.push(`Exit waypoint ${name} has no goal zone`);
+  });
+
+  (map.decorations || []).forEach((decoration, index) => {
+    if (!DECORATION_TYPES.includes(decoration.type)) {
+      errors.push(`Decoration ${index} has unknown type ${decoration.type}`);
+    }
+  });
+
+  if (!LIGHTING_PRESETS.includes(map.lighting)) {
+    errors.push(`Unknown lighting preset: ${map.lighting}`);
+  }
+
+  if (!waveScripts[map.waves]) {
+    errors.push(`Unknown wave script: ${map.waves}`);
+  } else {
+    validateWaveScript(waveScripts[map.waves], map.spawnPoints).forEach(error => {
+      errors.push(`Wave script ${map.waves}: ${error}`);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Find a map by ID
+ * @param {string} mapId - Map ID
+ * @returns {Object|null} Map definition, or null if there's no such map
+ */
+function getMap(mapId) {
+  return Object.prototype.hasOwnProperty.call(maps, mapId) ? maps[mapId] : null;
+}
+
+/**
+ * Get the enemy path of a map in the simulation's format
+ * @param {Object} map - Map definition
+ * @returns {Object} Path definition (width, nodes, links, spawns)
+ */
+function getMapPath(map) {
+  return {
+    width: map.lanes.width,
+    nodes: map.lanes.waypoints,
+    links: map.lanes.links,
+    spawns: map.spawnPoints
+  };
+}
+
+/**
+ * Get the wave script a map uses
+ * @param {Object} map - Map definition
+ * @returns {Object} Wave script (see WaveScript.js)
+ */
+function getMapWaves(map) {
+  return waveScripts[map.waves] || waveScripts.default;
+}
+
+/**
+ * List the maps for pickers and room lists
+ * @returns {Array<Object>} Map summaries (id, name, description)
+ */
+function getMapList() {
+  return Object.keys(maps).map(id => ({
+    id: id,
+    name: maps[id].name,
+    description: maps[id].description
+  }));
+}
+
+module.exports = {
+  maps,
+  defaultMap,
+  LIGHTING_PRESETS,
+  DECORATION_TYPES,
+  validateMap,
+  getMap,
+  getMapPath,
+  getMapWaves,
+  getMapList
+};
@@ -0,0 +1,252 @@
+/**
+ * Player profile rules shared by the client and the server
+ *
+ * Finishing a run earns account XP for the waves cleared and enemies defeated.
+ * Levels unlock hero classes and cosmetic hero colours, and every level past
+ * the first gives a talent point to spend in a small permanent talent tree.
+ * Talents add starting bonuses to the hero's base stats; the server applies
+ * the same bonuses when it checks a player's attacks. Profiles live in the
+ * player's browser, so the server can't check talents against their XP: it
+ * trusts any talents that pass sanitizeTalents, which caps them at the full tree.
+ */
+
+/**
+ * XP earned per run
+ */
+const xpRewards = {
+  perWave: 25,    // For each wave cleared
+  perEnemy: 5     // For each enemy defeated
+};
+
+// XP needed for level 2; each level after needs this much more than the last
+const XP_PER_LEVEL = 100;
+
+/**
+ * Level a profile needs to play each hero class
+ */
+const heroUnlocks = {
+  warrior: 1,
+  ranger: 2,
+  mage: 3
+};
+
+/**
+ * Cosmetic hero colours, unlocked by level
+ */
+const heroColors = {
+  azure: { name: 'Azure', color: 0x1e90ff, level: 2 },
+  crimson: { name: 'Crimson', color: 0xb22222, level: 3 },
+  violet: { name: 'Violet', color: 0x8a2be2, level: 4 },
+  gold: { name: 'Gold', color: 0xdaa520, level: 6 },
+  obsidian: { name: 'Obsidian', color: 0x2f2f2f, level: 8 }
+};
+
+/**
+ * Talent tree, keyed by talent ID
+ * Each rank adds its bonus once: health and damage are flat, attackSpeed is a
+ * fraction taken off the attack interval and range is in world units.
+ * A talent with requires can only be learned once that talent has the given rank.
+ */
+const talents = {
+  toughness: {
+    name: 'Toughness',
+    description: '+5 max health per rank',
+    maxRank: 3,
+    bonus: { health: 5 },
+    requires: null
+  },
+  sharpness: {
+    name: 'Sharpness',
+    description: '+1 damage per rank',
+    maxRank: 3,
+    bonus: { damage: 1 },
+    requires: null
+  },
+  fortitude: {
+    name: 'Fortitude',
+    description: '+10 max health per rank',
+    maxRank: 2,
+    bonus: { health: 10 },
+    requires: { talent: 'toughness', rank: 3 }
+  },
+  quickness: {
+    name: 'Quickness',
+    description: 'Attack 3% faster per rank',
+    maxRank: 3,
+    bonus: { attackSpeed: 0.03 },
+    requires: { talent: 'sharpness', rank: 2 }
+  },
+  vigilance: {
+    name: 'Vigilance',
+    description: '+0.2 attack range per rank',
+    maxRank: 2,
+    bonus: { range: 0.2 },
+    requires: { talent: 'sharpness', rank: 3 }
+  }
+};
+
+/**
+ * Get a talent's definition
+ * @param {string} id - Talent ID
+ * @returns {Object|null} Talent, or null if there is no such talent
+ */
+function getTalent(id) {
+  return Object.prototype.hasOwnProperty.call(talents, id) ? talents[id] : null;
+}
+
+/**
+ * Get a cosmetic hero colour
+ * @param {string} id - Colour ID
+ * @returns {Object|null} Colour (name, color, level), or null if there is no such colour
+ */
+function getHeroColor(id) {
+  return Object.prototype.hasOwnProperty.call(heroColors, id) ? heroColors[id] : null;
+}
+
+/**
+ * Get the total XP needed to reach a level
+ * @param {number} level - Profile level
+ * @returns {number} XP needed
+ */
+function getXpForLevel(level) {
+  return XP_PER_LEVEL * (level - 1) * level / 2;
+}
+
+/**
+ * Get the level a profile with some XP has reached
+ * @param {number} xp - Total XP
+ * @returns {number} Level (starting at 1)
+ */
+function getLevelForXp(xp) {
+  let level = 1;
+  while (getXpForLevel(level + 1) <= xp) {
+    level++;
+  }
+
+  return level;
+}
+
+/**
+ * Get the XP a finished run earns
+ * @param {number} enemiesDefeated - Enemies defeated in the run
+ * @param {number} wavesCleared - Waves cleared in the run
+ * @returns {number} XP earned
+ */
+function getRunXp(enemiesDefeated, wavesCleared) {
+  return Math.max(0, enemiesDefeated) * xpRewards.perEnemy + Math.max(0, wavesCleared) * xpRewards.perWave;
+}
+
+/**
+ * Get the number of talent points a level gives
+ * @param {number} level - Profile level
+ * @returns {number} Talent points
+ */
+function getTalentPoints(level) {
+  return Math.max(0, level - 1);
+}
+
+/**
+ * Get the number of talent points spent
+ * @param {Object} ranks - Talent ranks keyed by talent ID
+ * @returns {number} Points spent
+ */
+function getSpentTalentPoints(ranks) {
+  return Object.values(ranks).reduce((sum, rank) => sum + rank, 0);
+}
+
+/**
+ * Check whether a talent can be raised another rank
+ * @param {Object} ranks - Current talent ranks keyed by talent ID
+ * @param {string} talentId - Talent to raise
+ * @param {number} points - Talent points the profile has in total
+ * @returns {string|null} Reason it can't be learned, or null if it can
+ */
+function checkTalent(ranks, talentId, points) {
+  const talent = getTalent(talentId);
+  if (!talent) return 'unknown_talent';
+
+  if ((ranks[talentId] || 0) >= talent.maxRank) return 'max_rank';
+  if (talent.requires && (ranks[talent.requires.talent] || 0) < talent.requires.rank) return 'locked';
+  if (getSpentTalentPoints(ranks) >= points) return 'no_points';
+
+  return null;
+}
+
+/**
+ * Clean up talent ranks from an untrusted source
+ * Unknown talents are dropped, ranks are capped and talents whose
+ * requirement isn't met are removed.
+ * @param {*} ranks - Talent ranks keyed by talent ID
+ * @returns {Object} Valid talent ranks
+ */
+function sanitizeTalents(ranks) {
+  const clean = {};
+  if (!ranks || typeof ranks !== 'object') return clean;
+
+  Object.keys(talents).forEach(id => {
+    const rank = Math.floor(Number(ranks[id]));
+    if (rank > 0) {
+      clean[id] = Math.min(rank, talents[id].maxRank);
+    }
+  });
+
+  // Requirements can chain, so drop until nothing changes
+  let changed = true;
+  while (changed) {
+    changed = false;
+
+    Object.keys(clean).forEach(id => {
+      const requires = talents[id].requires;
+      if (requires && (clean[requires.talent] || 0) < requires.rank) {
+        delete clean[id];
+        changed = true;
+      }
+    });
+  }
+
+  return clean;
+}
+
+/**
+ * Add talent bonuses to a hero's base stats
+ * @param {Object} baseStats - Base stats (damage, attackRate, range, health)
+ * @param {Object} ranks - Talent ranks keyed by talent ID
+ * @returns {Object} Base stats with the bonuses added
+ */
+function applyTalents(baseStats, ranks) {
+  const bonus = { health: 0, damage: 0, attackSpeed: 0, range: 0 };
+
+  Object.keys(ranks || {}).forEach(id => {
+    const talent = getTalent(id);
+    if (!talent) return;
+
+    Object.keys(talent.bonus).forEach(stat => {
+      bonus[stat] += talent.bonus[stat] * ranks[id];
+    });
+  });
+
+  const stats = { ...baseStats };
+  if (stats.damage !== undefined) stats.damage += bonus.damage;
+  if (stats.attackRate !== undefined) stats.attackRate = Math.round(stats.attackRate * (1 - bonus.attackSpeed));
+  if (stats.range !== undefined) stats.range += bonus.range;
+  if (stats.health !== undefined) stats.health += bonus.health;
+
+  return stats;
+}
+
+module.exports = {
+  xpRewards,
+  heroUnlocks,
+  heroColors,
+  talents,
+  getTalent,
+  getHeroColor,
+  getXpForLevel,
+  getLevelForXp,
+  getRunXp,
+  getTalentPoints,
+  getSpentTalentPoints,
+  checkTalent,
+  sanitizeTalents,
+  applyTalents
+};
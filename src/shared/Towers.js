@@ -0,0 +1,187 @@
+/**
+ * Tower definitions and build rules shared by the client and the server
+ *
+ * Towers go on a square build grid beside the lanes: a cell can't overlap the
+ * road, must be close enough to it to matter, and holds one tower. Each tower
+ * type lists its levels; the first level's cost is the build price and later
+ * levels' costs are upgrade prices. Selling refunds part of everything paid.
+ */
+const { getMapPath } = require('./Maps.js');
+const { getPathSegments } = require('./simulation/Path.js');
+
+/**
+ * Definitions for the different tower types, keyed by type name
+ */
+const towerTypes = {
+  // Quick single-target shots
+  arrow: {
+    name: 'Arrow Tower',
+    color: 0x8b5a2b,
+    projectileColor: 0xd2b48c,
+    levels: [
+      { cost: 50, damage: 8, range: 6.5, attackSpeed: 800 },
+      { cost: 40, damage: 12, range: 7, attackSpeed: 700 },
+      { cost: 80, damage: 18, range: 7.5, attackSpeed: 600 }
+    ]
+  },
+
+  // Slow shells that hurt everything around the target
+  cannon: {
+    name: 'Cannon Tower',
+    color: 0x4a4a4a,
+    projectileColor: 0xff8800,
+    levels: [
+      { cost: 80, damage: 20, range: 6, attackSpeed: 2000, splashRadius: 1.5 },
+      { cost: 60, damage: 32, range: 6.5, attackSpeed: 1800, splashRadius: 1.8 },
+      { cost: 120, damage: 48, range: 7, attackSpeed: 1600, splashRadius: 2.2 }
+    ]
+  },
+
+  // Weak hits that slow the target down
+  frost: {
+    name: 'Frost Tower',
+    color: 0x87cefa,
+    projectileColor: 0x00bfff,
+    levels: [
+      { cost: 60, damage: 3, range: 6, attackSpeed: 1200, slow: { slowFactor: 0.3, duration: 1500 } },
+      { cost: 50, damage: 5, range: 6.5, attackSpeed: 1100, slow: { slowFactor: 0.4, duration: 1500 } },
+      { cost: 90, damage: 8, range: 7, attackSpeed: 1000, slow: { slowFactor: 0.5, duration: 2000 } }
+    ]
+  }
+};
+
+/**
+ * Build grid and selling rules
+ */
+const towerRules = {
+  cellSize: 2,          // Width of a grid cell; towers sit in the middle of one
+  maxPathDistance: 6,   // Furthest a cell's middle can be from the edge of a lane
+  sellRefund: 0.6       // Fraction of the gold paid that selling gives back
+};
+
+/**
+ * Get a tower type's definition
+ * @param {string} type - Tower type
+ * @returns {Object|null} Tower definition, or null if there is no such tower
+ */
+function getTowerType(type) {
+  return Object.prototype.hasOwnProperty.call(towerTypes, type) ? towerTypes[type] : null;
+}
+
+/**
+ * Get the stats of a tower at a level
+ * @param {string} type - Tower type
+ * @param {number} level - Tower level (starting at 1)
+ * @returns {Object|null} Level stats (cost, damage, range, attackSpeed, splashRadius, slow), or null
+ */
+function getTowerStats(type, level) {
+  const tower = getTowerType(type);
+  if (!tower || !(level >= 1) || level > tower.levels.length) return null;
+
+  return tower.levels[level - 1];
+}
+
+/**
+ * Get how much gold has gone into a tower up to a level
+ * @param {string} type - Tower type
+ * @param {number} level - Tower level
+ * @returns {number} Build cost plus every upgrade
+ */
+function getTowerTotalCost(type, level) {
+  const tower = getTowerType(type);
+  if (!tower) return 0;
+
+  return tower.levels.slice(0, level).reduce((sum, stats) => sum + stats.cost, 0);
+}
+
+/**
+ * Get the gold a tower sells for
+ * @param {string} type - Tower type
+ * @param {number} level - Tower level
+ * @returns {number} Refund
+ */
+function getTowerSellValue(type, level) {
+  return Math.floor(getTowerTotalCost(type, level) * towerRules.sellRefund);
+}
+
+/**
+ * Snap a ground position to the middle of its build grid cell
+ * @param {Object} position - Ground position ({x, z})
+ * @returns {Object} Cell middle ({x, z})
+ */
+function snapToGrid(position) {
+  const size = towerRules.cellSize;
+
+  return {
+    x: (Math.floor(position.x / size) + 0.5) * size,
+    z: (Math.floor(position.z / size) + 0.5) * size
+  };
+}
+
+/**
+ * Get the distance from a point to a line segment on the ground
+ * @param {Object} point - {x, z}
+ * @param {Object} from - Segment start {x, z}
+ * @param {Object} to - Segment end {x, z}
+ * @returns {number} Distance
+ */
+function getSegmentDistance(point, from, to) {
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const lengthSq = dx * dx + dz * dz;
+
+  const t = lengthSq === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.z - from.z) * dz) / lengthSq));
+
+  return Math.hypot(point.x - (from.x + dx * t), point.z - (from.z + dz * t));
+}
+
+/**
+ * Check whether a tower can be built at a position
+ * @param {Object} map - Map definition (see Maps.js)
+ * @param {Object} position - Ground position ({x, z}); must be the middle of a cell
+ * @param {Array<Object>} towers - Towers already built (each with a position)
+ * @returns {string|null} Reason the spot is refused, or null if a tower can go there
+ */
+function checkTowerPlacement(map, position, towers = []) {
+  if (!position || typeof position.x !== 'number' || typeof position.z !== 'number' ||
+    !isFinite(position.x) || !isFinite(position.z)) {
+    return 'invalid_position';
+  }
+
+  const cell = snapToGrid(position);
+  if (Math.abs(cell.x - position.x) > 1e-6 || Math.abs(cell.z - position.z) > 1e-6) {
+    return 'off_grid';
+  }
+
+  const half = towerRules.cellSize / 2;
+  if (Math.abs(position.x) + half > map.ground.width / 2 || Math.abs(position.z) + half > map.ground.depth / 2) {
+    return 'out_of_bounds';
+  }
+
+  // Distance from the middle of the cell to the edge of the nearest lane
+  const path = getMapPath(map);
+  const edgeDistance = Math.min(...getPathSegments(path).map(({ from, to }) =>
+    getSegmentDistance(position, from, to))) - path.width / 2;
+
+  if (edgeDistance < half) return 'on_path';
+  if (edgeDistance > towerRules.maxPathDistance) return 'too_far_from_path';
+
+  const occupied = towers.some(tower =>
+    Math.abs(tower.position.x - position.x) < 1e-6 && Math.abs(tower.position.z - position.z) < 1e-6);
+  if (occupied) return 'occupied';
+
+  return null;
+}
+
+module.exports = {
+  towerTypes,
+  towerRules,
+  getTowerType,
+  getTowerStats,
+  getTowerTotalCost,
+  getTowerSellValue,
+  snapToGrid,
+  checkTowerPlacement
+};
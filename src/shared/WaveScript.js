@@ -0,0 +1,293 @@
+/**
+ * Wave scripts shared by the client and the server
+ *
+ * A wave script lists the waves of a game, each an ordered list of steps:
+ *
+ *   {
+ *     name: 'Ambush',
+ *     waves: [
+ *       {
+ *         healthMultiplier: 1.2,   // Optional, scales every enemy in the wave
+ *         valueMultiplier: 1.5,    // Optional, scales the gold they're worth
+ *         steps: [
+ *           { type: 'spawn', enemies: { grunt: 3, scout: 1 }, count: 8, interval: 1500,
+ *             delay: 0, spawnPoint: 'west' },
+ *           { type: 'wait', duration: 3000 },
+ *           { type: 'waitUntilCleared' },
+ *           { type: 'boss', enemy: 'commander', healthMultiplier: 3, valueMultiplier: 4,
+ *             delay: 1000, spawnPoint: ['west', 'east'] }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * Steps run in order. A spawn group waits its delay, then spawns count enemies
+ * one interval apart; enemies is a list (picked evenly) or a weight table.
+ * spawnPoint names one or more map spawn points (any of them if left out).
+ * Waves past the end of the script repeat the last one, scaled with
+ * GameData.difficultyScaling, and extra players add enemies to each group.
+ * Every GameData.bossWaves.every waves a boss step is added to the end of the
+ * wave; a script can set bossEvery to change that (0 turns boss waves off).
+ */
+const {
+  enemyTypes,
+  waveConfig,
+  difficultyScaling,
+  bossWaves,
+  getPlayerScaling,
+  getEnemyType,
+  getRegularEnemyTypes
+} = require('./GameData.js');
+
+const STEP_TYPES = ['spawn', 'wait', 'waitUntilCleared', 'boss'];
+
+// Spawn intervals of generated waves never drop below this (ms)
+const MIN_INTERVAL = 500;
+
+/**
+ * Build a wave script from a list of {types, count, interval} waves
+ * @param {string} name - Script name
+ * @param {Array<Object>} waves - Waves in the GameData.waveConfig format
+ * @returns {Object} Wave script
+ */
+function createScriptFromConfig(name, waves) {
+  return {
+    name: name,
+    waves: waves.map(wave => ({
+      steps: [{ type: 'spawn', enemies: [...wave.types], count: wave.count, interval: wave.interval }]
+    }))
+  };
+}
+
+/**
+ * Wave scripts maps can pick from by name
+ */
+const waveScripts = {
+  default: createScriptFromConfig('Standard', waveConfig),
+  ambush: require('./waves/ambush.json'),
+  'twin-assault': require('./waves/twin-assault.json')
+};
+
+/**
+ * Check a number option of a step or wave
+ * @param {Array<string>} errors - Errors to add to
+ * @param {string} where - Location for the message
+ * @param {*} value - Value to check
+ * @param {boolean} allowZero - Whether zero is allowed
+ */
+function checkNumber(errors, where, value, allowZero) {
+  if (value === undefined) return;
+
+  if (typeof value !== 'number' || !isFinite(value) || value < 0 || (!allowZero && value === 0)) {
+    errors.push(`${where} must be a ${allowZero ? 'non-negative' : 'positive'} number`);
+  }
+}
+
+/**
+ * Check the spawn point option of a step
+ * @param {Array<string>} errors - Errors to add to
+ * @param {string} where - Location for the message
+ * @param {string|Array<string>} spawnPoint - Spawn point name(s)
+ * @param {Array<string>|null} spawnPoints - Spawn points of the map, if known
+ */
+function checkSpawnPoint(errors, where, spawnPoint, spawnPoints) {
+  if (spawnPoint === undefined) return;
+
+  const names = Array.isArray(spawnPoint) ? spawnPoint : [spawnPoint];
+  if (names.length === 0 || names.some(name => typeof name !== 'string')) {
+    errors.push(`${where}: spawnPoint must be a spawn point name or a list of names`);
+    return;
+  }
+
+  if (spawnPoints) {
+    names.forEach(name => {
+      if (!spawnPoints.includes(name)) errors.push(`${where}: unknown spawn point "${name}"`);
+    });
+  }
+}
+
+/**
+ * Check a wave script for mistakes
+ * @param {Object} script - Wave script
+ * @param {Array<string>} spawnPoints - Spawn points of the map that runs it (optional)
+ * @returns {Array<string>} Problems found (empty if the script is valid)
+ */
+function validateWaveScript(script, spawnPoints = null) {
+  const errors = [];
+
+  if (!script || typeof script !== 'object') {
+    return ['Wave script must be an object'];
+  }
+
+  if (!Array.isArray(script.waves) || script.waves.length === 0) {
+    return ['Wave script needs at least one wave'];
+  }
+
+  if (script.bossEvery !== undefined && (!Number.isInteger(script.bossEvery) || script.bossEvery < 0)) {
+    errors.push('bossEvery must be a whole number (0 for no boss waves)');
+  }
+
+  script.waves.forEach((wave, waveIndex) => {
+    const waveName = `Wave ${waveIndex + 1}`;
+
+    if (!wave || !Array.isArray(wave.steps) || wave.steps.length === 0) {
+      errors.push(`${waveName} needs at least one step`);
+      return;
+    }
+
+    checkNumber(errors, `${waveName} healthMultiplier`, wave.healthMultiplier, false);
+    checkNumber(errors, `${waveName} valueMultiplier`, wave.valueMultiplier, true);
+
+    let spawns = 0;
+
+    wave.steps.forEach((step, stepIndex) => {
+      const where = `${waveName}, step ${stepIndex + 1}`;
+
+      if (!step || !STEP_TYPES.includes(step.type)) {
+        errors.push(`${where}: unknown step type "${step && step.type}"`);
+        return;
+      }
+
+      checkNumber(errors, `${where}: delay`, step.delay, true);
+
+      switch (step.type) {
+        case 'spawn': {
+          const enemies = step.enemies;
+          const names = Array.isArray(enemies) ? enemies : Object.keys(enemies || {});
+
+          if (names.length === 0) {
+            errors.push(`${where}: enemies must list at least one enemy type`);
+          }
+          names.forEach(name => {
+            if (!getEnemyType(name)) errors.push(`${where}: unknown enemy type "${name}"`);
+          });
+          if (enemies && !Array.isArray(enemies)) {
+            names.forEach(name => checkNumber(errors, `${where}: weight of ${name}`, enemies[name], false));
+          }
+
+          if (!Number.isInteger(step.count) || step.count < 1) {
+            errors.push(`${where}: count must be a whole number of at least 1`);
+          }
+          if (step.count > 1 && step.interval === undefined) {
+            errors.push(`${where}: interval is needed to spawn more than one enemy`);
+          }
+          checkNumber(errors, `${where}: interval`, step.interval, false);
+          checkSpawnPoint(errors, where, step.spawnPoint, spawnPoints);
+
+          spawns++;
+          break;
+        }
+
+        case 'boss':
+          if (!getEnemyType(step.enemy)) {
+            errors.push(`${where}: unknown boss enemy type "${step.enemy}"`);
+          }
+          checkNumber(errors, `${where}: healthMultiplier`, step.healthMultiplier, false);
+          checkNumber(errors, `${where}: valueMultiplier`, step.valueMultiplier, true);
+          checkSpawnPoint(errors, where, step.spawnPoint, spawnPoints);
+
+          spawns++;
+          break;
+
+        case 'wait':
+          if (typeof step.duration !== 'number' || !(step.duration > 0)) {
+            errors.push(`${where}: wait needs a positive duration`);
+          }
+          break;
+      }
+    });
+
+    if (spawns === 0) {
+      errors.push(`${waveName} never spawns an enemy`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Generate a wave past the end of a script from its last wave
+ * @param {Object} lastWave - Last scripted wave
+ * @param {number} extraWaves - How many waves past the end
+ * @returns {Object} Generated wave
+ */
+function createExtraWave(lastWave, extraWaves) {
+  const groups = lastWave.steps.filter(step => step.type === 'spawn');
+  const count = lastWave.steps.reduce((sum, step) =>
+    sum + (step.type === 'spawn' ? step.count : step.type === 'boss' ? 1 : 0), 0);
+  const interval = groups.length > 0 ? groups[0].interval || MIN_INTERVAL : MIN_INTERVAL;
+
+  return {
+    healthMultiplier: (lastWave.healthMultiplier || 1) * Math.pow(difficultyScaling.healthMultiplier, extraWaves),
+    valueMultiplier: (lastWave.valueMultiplier || 1) * Math.pow(difficultyScaling.valueMultiplier, extraWaves),
+    steps: [{
+      type: 'spawn',
+      enemies: getRegularEnemyTypes(), // Use all enemy types for advanced waves
+      count: Math.floor(count * Math.pow(difficultyScaling.countMultiplier, extraWaves)),
+      interval: Math.max(MIN_INTERVAL, interval / Math.pow(difficultyScaling.intervalDivisor, extraWaves))
+    }]
+  };
+}
+
+/**
+ * Get a wave of a script, ready to run
+ * Steps get their delays filled in, spawn groups get their extra-player enemies
+ * and the wave gets its total enemy count and the enemy types it uses.
+ * @param {Object} script - Wave script
+ * @param {number} waveNumber - Wave number (starting at 1)
+ * @param {number} playerCount - Number of players
+ * @returns {Object} Wave (steps, healthMultiplier, valueMultiplier, enemyCount, enemyTypes)
+ */
+function getScriptedWave(script, waveNumber, playerCount = 1) {
+  const waves = script.waves;
+  const wave = waveNumber <= waves.length
+    ? waves[Math.max(1, waveNumber) - 1]
+    : createExtraWave(waves[waves.length - 1], waveNumber - waves.length);
+
+  const playerScaling = getPlayerScaling(playerCount);
+  const types = [];
+
+  const scriptSteps = [...wave.steps];
+
+  const bossEvery = script.bossEvery !== undefined ? script.bossEvery : bossWaves.every;
+  if (bossEvery > 0 && waveNumber % bossEvery === 0) {
+    scriptSteps.push({ type: 'boss', enemy: bossWaves.enemy, delay: bossWaves.delay });
+  }
+
+  const steps = scriptSteps.map(step => {
+    const resolved = { ...step, delay: step.type === 'wait' ? step.duration : (step.delay || 0) };
+
+    if (step.type === 'spawn') {
+      // A list picks evenly, so it becomes a table of equal weights
+      resolved.enemies = Array.isArray(step.enemies)
+        ? step.enemies.reduce((weights, type) => ({ ...weights, [type]: 1 }), {})
+        : { ...step.enemies };
+      resolved.count = Math.max(1, Math.floor(step.count * playerScaling));
+      resolved.interval = step.interval || 0;
+    }
+
+    const stepTypes = step.type === 'spawn' ? Object.keys(resolved.enemies) : step.type === 'boss' ? [step.enemy] : [];
+    stepTypes.forEach(type => {
+      if (!types.includes(type)) types.push(type);
+    });
+
+    return resolved;
+  });
+
+  return {
+    steps: steps,
+    healthMultiplier: (wave.healthMultiplier || 1) * playerScaling,
+    valueMultiplier: wave.valueMultiplier !== undefined ? wave.valueMultiplier : 1,
+    enemyCount: steps.reduce((sum, step) =>
+      sum + (step.type === 'spawn' ? step.count : step.type === 'boss' ? 1 : 0), 0),
+    enemyTypes: types
+  };
+}
+
+module.exports = {
+  STEP_TYPES,
+  waveScripts,
+  createScriptFromConfig,
+  validateWaveScript,
+  getScriptedWave
+};
@@ -0,0 +1,181 @@
+/**
+ * Waypoint paths shared by the simulation and the path renderer
+ *
+ * A path is a small graph of named waypoints on the ground plane:
+ *
+ *   {
+ *     width: 5,                                  // Width of the road
+ *     nodes: { start: { x: 0, z: -12 }, ... },   // Waypoints
+ *     links: { start: ['end'], ... },            // Where each waypoint leads
+ *     spawns: ['start']                          // Waypoints enemies spawn at
+ *   }
+ *
+ * Several spawns make several lanes, a waypoint with more than one link is a
+ * branch, and links from different waypoints into the same one merge. Waypoints
+ * without links are exits, where enemies leak. Every spawn-to-exit walk through
+ * the graph is a route, and each enemy follows one route as a polyline.
+ */
+
+// Limit on how far a corner can push an offset polyline out (1 / cos of ~75 degrees)
+const MAX_MITER = 4;
+
+/**
+ * List every route through a path
+ * @param {Object} path - Path definition
+ * @returns {Array<Array<Object>>} Routes, each a list of {x, z} waypoints from a spawn to an exit
+ */
+function getPathRoutes(path) {
+  const routes = [];
+
+  const walk = (name, visited) => {
+    const node = path.nodes[name];
+    if (!node || visited.includes(name)) return; // Unknown waypoint or a loop
+
+    const route = [...visited, name];
+    const next = path.links[name] || [];
+
+    if (next.length === 0) {
+      routes.push(route.map(step => ({ x: path.nodes[step].x, z: path.nodes[step].z })));
+      return;
+    }
+
+    next.forEach(nextName => walk(nextName, route));
+  };
+
+  path.spawns.forEach(spawn => walk(spawn, []));
+
+  return routes;
+}
+
+/**
+ * List every link of a path as a segment, once each
+ * @param {Object} path - Path definition
+ * @returns {Array<Object>} Segments ({from, to} waypoints)
+ */
+function getPathSegments(path) {
+  const segments = [];
+
+  Object.keys(path.links).forEach(name => {
+    (path.links[name] || []).forEach(nextName => {
+      if (path.nodes[name] && path.nodes[nextName]) {
+        segments.push({ from: path.nodes[name], to: path.nodes[nextName] });
+      }
+    });
+  });
+
+  return segments;
+}
+
+/**
+ * Get the exits (waypoints without links) of a path
+ * @param {Object} path - Path definition
+ * @returns {Array<Object>} Exit waypoints
+ */
+function getPathExits(path) {
+  return Object.keys(path.nodes)
+    .filter(name => !path.links[name] || path.links[name].length === 0)
+    .map(name => path.nodes[name]);
+}
+
+/**
+ * Get the total length of a polyline
+ * @param {Array<Object>} points - {x, z} points
+ * @returns {number} Length
+ */
+function getPolylineLength(points) {
+  let length = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+  }
+
+  return length;
+}
+
+/**
+ * Find the point a distance along a polyline
+ * @param {Array<Object>} points - {x, z} points
+ * @param {number} distance - Distance from the first point
+ * @returns {Object} Point ({x, z}) and travel direction ({dx, dz}, normalized)
+ */
+function getPointAtDistance(points, distance) {
+  let remaining = Math.max(0, distance);
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const length = Math.hypot(to.x - from.x, to.z - from.z);
+    if (length === 0) continue;
+
+    const dx = (to.x - from.x) / length;
+    const dz = (to.z - from.z) / length;
+
+    if (remaining <= length || i === points.length - 1) {
+      const along = Math.min(remaining, length);
+      return { x: from.x + dx * along, z: from.z + dz * along, dx, dz };
+    }
+
+    remaining -= length;
+  }
+
+  // A single point: nowhere to go
+  return { x: points[0].x, z: points[0].z, dx: 0, dz: 1 };
+}
+
+/**
+ * Build a polyline running parallel to another one
+ * Corners are mitred so the offset line stays the same distance from every
+ * segment, which keeps enemies spread across the road through turns.
+ * @param {Array<Object>} points - {x, z} points
+ * @param {number} offset - Sideways distance; positive is to the right of the direction of travel
+ * @returns {Array<Object>} Offset points
+ */
+function offsetPolyline(points, offset) {
+  if (offset === 0 || points.length < 2) {
+    return points.map(point => ({ x: point.x, z: point.z }));
+  }
+
+  // Right-hand normal of each segment (a lane running down +z has its right at +x)
+  const normals = [];
+  for (let i = 1; i < points.length; i++) {
+    const length = Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z) || 1;
+    normals.push({
+      x: (points[i].z - points[i - 1].z) / length,
+      z: -(points[i].x - points[i - 1].x) / length
+    });
+  }
+
+  return points.map((point, i) => {
+    const before = normals[Math.max(0, i - 1)];
+    const after = normals[Math.min(normals.length - 1, i)];
+
+    // Mitre: halfway between the two normals, stretched to keep the distance
+    let mx = before.x + after.x;
+    let mz = before.z + after.z;
+    const mLength = Math.hypot(mx, mz);
+
+    if (mLength < 1e-6) {
+      mx = after.x;
+      mz = after.z;
+    } else {
+      mx /= mLength;
+      mz /= mLength;
+    }
+
+    const scale = Math.min(MAX_MITER, 1 / Math.max(1e-6, mx * after.x + mz * after.z));
+
+    return {
+      x: point.x + mx * offset * scale,
+      z: point.z + mz * offset * scale
+    };
+  });
+}
+
+module.exports = {
+  getPathRoutes,
+  getPathSegments,
+  getPathExits,
+  getPolylineLength,
+  getPointAtDistance,
+  offsetPolyline
+};
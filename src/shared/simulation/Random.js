@@ -0,0 +1,83 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, in Node and in the browser.
+ */
+class Random {
+  /**
+   * @param {number} seed - 32-bit integer seed
+   */
+  constructor(seed = 1) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Get the next number in the sequence
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a float in a range
+   * @param {number} min - Minimum (inclusive)
+   * @param {number} max - Maximum (exclusive)
+   * @returns {number} Random float
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get an integer below a maximum
+   * @param {number} max - Maximum (exclusive)
+   * @returns {number} Random integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Pick a random element of an array
+   * @param {Array} items - Items to pick from
+   * @returns {*} Picked item, or undefined for an empty array
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  /**
+   * Pick a key of a weight table, each with a chance proportional to its weight
+   * @param {Object} weights - Positive weights keyed by item
+   * @returns {string} Picked key, or undefined for an empty table
+   */
+  pickWeighted(weights) {
+    const keys = Object.keys(weights);
+    const total = keys.reduce((sum, key) => sum + weights[key], 0);
+
+    let roll = this.next() * total;
+    for (let i = 0; i < keys.length; i++) {
+      roll -= weights[keys[i]];
+      if (roll < 0) return keys[i];
+    }
+
+    return keys[keys.length - 1];
+  }
+
+  /**
+   * Roll against a probability
+   * @param {number} probability - Chance of success (0-1)
+   * @returns {boolean} True on success
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+}
+
+module.exports = { Random };
@@ -0,0 +1,948 @@
+const { Random } = require('./Random.js');
+const { enemyTypes, defaultDifficulty, getPlayerScaling, getEnemyType, getDifficulty } = require('../GameData.js');
+const { maps, defaultMap, getMapPath, getMapWaves } = require('../Maps.js');
+const { getScriptedWave } = require('../WaveScript.js');
+const { getPathRoutes, getPolylineLength, getPointAtDistance, offsetPolyline } = require('./Path.js');
+
+// Configured enemy speeds are in units per frame at 60 FPS
+const SPEED_SCALE = 60;
+
+const DEFAULT_OPTIONS = {
+  seed: 1,
+  tickMs: 50,          // Fixed simulation step
+  waveDelay: 5000,     // ms between clearing a wave and starting the next
+  autoWaves: true,     // Start the next wave automatically
+  playerCount: 1,
+  path: getMapPath(maps[defaultMap]), // Waypoint path enemies follow (see Path.js)
+  waves: getMapWaves(maps[defaultMap]), // Wave script (see WaveScript.js)
+  difficulty: defaultDifficulty, // Difficulty preset ID (see GameData.difficultyPresets)
+  enemyY: 0.4
+};
+
+// Enemies spread across the road, keeping this far from its edges
+const PATH_EDGE_MARGIN = 1;
+
+/**
+ * Headless, deterministic game simulation
+ *
+ * Owns waves, enemy movement and attacks, status effects, hero auto-attacks and
+ * damage to enemies. Hero health stays with whoever owns the hero: enemy attacks
+ * are reported as enemyAttacked events for the client to apply.
+ * Nothing here touches THREE, the DOM, Date.now() or Math.random(): the same
+ * seed and the same inputs always produce the same events, so the client,
+ * server.js and tests all run identical rules.
+ *
+ * Each call to step() advances one fixed tick and returns the events it produced.
+ */
+class Simulation {
+  /**
+   * @param {Object} options - Simulation options (see DEFAULT_OPTIONS)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.seed = this.options.seed >>> 0;
+    this.tickMs = this.options.tickMs;
+    this.playerCount = this.options.playerCount;
+    this.difficulty = getDifficulty(this.options.difficulty);
+    this.random = new Random(this.seed);
+
+    // Every spawn-to-exit route through the path
+    this.path = this.options.path;
+    this.routes = getPathRoutes(this.path);
+
+    // Indexes of the routes starting at each spawn point, for scripts that pick one
+    this.spawnRoutes = {};
+    let routeIndex = 0;
+    this.path.spawns.forEach(spawn => {
+      const count = getPathRoutes({ ...this.path, spawns: [spawn] }).length;
+      this.spawnRoutes[spawn] = Array.from({ length: count }, (_, i) => routeIndex + i);
+      routeIndex += count;
+    });
+
+    // Clock
+    this.tick = 0;
+    this.time = 0; // ms of simulated time
+
+    // Wave state
+    this.wave = 0;
+    this.waveInProgress = false;
+    this.waveConfig = null; // Running wave of the script (see WaveScript.getScriptedWave)
+    this.spawnsLeft = 0;
+    this.spawnTimer = 0;
+    this.stepIndex = 0;     // Script step being run
+    this.stepSpawned = 0;   // Enemies spawned by the current step
+    this.nextWaveTime = null;
+
+    // Entities
+    this.enemies = [];
+    this.heroes = [];
+    this.nextEnemyId = 1;
+
+    // Events produced since the last step
+    this.events = [];
+  }
+
+  /**
+   * Advance the simulation by one tick
+   * @returns {Array<Object>} Events produced since the previous step
+   */
+  step() {
+    this.tick++;
+    this.time += this.tickMs;
+
+    this.updateSpawning();
+    this.updateAuras();
+    this.updateEnemies();
+    this.updateHeroes();
+    this.updateWaveProgress();
+
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+
+  /**
+   * Start a wave
+   * @param {number} waveNumber - Wave number to start
+   */
+  startWave(waveNumber) {
+    this.wave = waveNumber;
+    this.waveConfig = getScriptedWave(this.options.waves, waveNumber, this.playerCount);
+    this.spawnsLeft = this.waveConfig.enemyCount;
+    this.stepIndex = 0;
+    this.stepSpawned = 0;
+    this.spawnTimer = this.waveConfig.steps[0].delay;
+    this.waveInProgress = true;
+    this.nextWaveTime = null;
+
+    this.emit('waveStarted', {
+      wave: waveNumber,
+      enemyCount: this.waveConfig.enemyCount,
+      enemyTypes: this.waveConfig.enemyTypes
+    });
+  }
+
+  /**
+   * Spawn an enemy at the start of a route
+   * @param {string} type - Enemy type
+   * @param {Object} options - Optional id, route index or spawnPoint name(s), sideways offset (x)
+   *   from the middle of the road, distance already travelled, healthMultiplier, valueMultiplier and isBoss
+   * @returns {Object|null} The enemy entity, or null for an unknown type
+   */
+  spawnEnemy(type, options = {}) {
+    const enemyData = getEnemyType(type);
+    if (!enemyData) return null;
+
+    const route = options.route !== undefined ? options.route : this.pickRoute(options.spawnPoint);
+
+    const halfWidth = Math.max(0, this.path.width / 2 - PATH_EDGE_MARGIN);
+    const offset = options.x !== undefined ? options.x : this.random.range(-halfWidth, halfWidth);
+
+    // Each enemy walks its own line parallel to the route
+    const waypoints = offsetPolyline(this.routes[route], offset);
+    const distance = options.distance || 0;
+    const start = getPointAtDistance(waypoints, distance);
+
+    // The running wave already includes the extra-player scaling
+    const waveHealth = this.waveConfig ? this.waveConfig.healthMultiplier : getPlayerScaling(this.playerCount);
+    const waveValue = this.waveConfig ? this.waveConfig.valueMultiplier : 1;
+
+    // The difficulty scales every enemy on top of the wave
+    const difficulty = this.difficulty;
+
+    const health = Math.round(enemyData.health * waveHealth * difficulty.healthMultiplier *
+      (options.healthMultiplier || 1));
+    const value = Math.round(enemyData.value * waveValue * difficulty.valueMultiplier *
+      (options.valueMultiplier !== undefined ? options.valueMultiplier : 1));
+
+    const enemy = {
+      id: options.id || `enemy_${this.nextEnemyId++}`,
+      type: type,
+      position: {
+        x: start.x,
+        y: this.options.enemyY,
+        z: start.z
+      },
+      direction: { x: start.dx, z: start.dz },
+      route: route,
+      waypoints: waypoints,
+      distance: distance, // Distance travelled along the waypoints
+      pathLength: getPolylineLength(waypoints),
+      health: health,
+      maxHealth: health,
+      speed: enemyData.speed * difficulty.speedMultiplier,
+      damage: Math.round(enemyData.damage * difficulty.damageMultiplier),
+      value: value,
+      isBoss: !!options.isBoss || !!enemyData.boss,
+      attackRange: enemyData.attackRange || 1,
+      attackSpeed: enemyData.attackSpeed || 1000, // ms between attacks
+      attackCooldown: 0,
+      critChance: enemyData.critChance || 0,
+      critMultiplier: enemyData.critMultiplier || 1,
+      // Ranged enemies hit with projectiles instead of their melee damage
+      projectileSpeed: enemyData.projectileSpeed || 0,
+      projectileDamage: Math.round((enemyData.projectileDamage || 0) * difficulty.damageMultiplier),
+      // Commanders buff the enemies around them
+      auraRange: enemyData.auraRange || 0,
+      auraEffect: enemyData.auraEffect || null,
+      auraBuff: null, // Buff from a nearby commander ({sourceId, speedBonus, damageBonus})
+      // Bosses with phases (see GameData.enemyTypes.warlord)
+      phase: 0,           // Phases entered so far
+      shield: 0,          // Absorbs damage before health
+      enrage: null,       // {speedMultiplier, damageMultiplier} once enraged
+      specialCooldown: enemyData.boss && enemyData.boss.special ? enemyData.boss.special.cooldown : 0,
+      effects: []
+    };
+
+    this.enemies.push(enemy);
+
+    this.emit('enemySpawned', {
+      enemyId: enemy.id,
+      enemyType: type,
+      position: { ...enemy.position },
+      health: health,
+      value: value,
+      isBoss: enemy.isBoss
+    });
+
+    return enemy;
+  }
+
+  /**
+   * Pick the route a new enemy walks
+   * Only rolls when there's a choice, so single-route paths keep their sequence.
+   * @param {string|Array<string>} spawnPoint - Spawn point name(s) to start from (any if left out)
+   * @returns {number} Route index
+   */
+  pickRoute(spawnPoint) {
+    let candidates = [];
+
+    if (spawnPoint !== undefined) {
+      (Array.isArray(spawnPoint) ? spawnPoint : [spawnPoint]).forEach(name => {
+        candidates.push(...(this.spawnRoutes[name] || []));
+      });
+    }
+
+    if (candidates.length === 0) {
+      candidates = this.routes.map((route, index) => index);
+    }
+
+    return candidates.length > 1 ? candidates[this.random.int(candidates.length)] : candidates[0];
+  }
+
+  /**
+   * Find an enemy by ID
+   * @param {string} enemyId - Enemy ID
+   * @returns {Object|undefined} Enemy entity
+   */
+  getEnemy(enemyId) {
+    return this.enemies.find(enemy => enemy.id === enemyId);
+  }
+
+  /**
+   * Damage an enemy, killing it at zero health
+   * @param {string} enemyId - Enemy ID
+   * @param {number} amount - Damage amount
+   * @param {string} sourceId - ID of the hero (or other source) dealing damage
+   * @param {boolean} isCrit - Whether the damage is a critical hit
+   * @returns {number} Damage dealt
+   */
+  damageEnemy(enemyId, amount, sourceId = null, isCrit = false) {
+    const enemy = this.getEnemy(enemyId);
+    if (!enemy || enemy.health <= 0) return 0;
+
+    let damage = Math.max(1, Math.round(amount));
+
+    // A shield soaks up damage before health
+    if (enemy.shield > 0) {
+      const absorbed = Math.min(enemy.shield, damage);
+      enemy.shield -= absorbed;
+      damage -= absorbed;
+
+      this.emit('enemyShieldChanged', {
+        enemyId: enemy.id,
+        shield: enemy.shield,
+        absorbed: absorbed
+      });
+
+      if (damage <= 0) return 0;
+    }
+
+    enemy.health -= damage;
+
+    this.emit('enemyDamaged', {
+      enemyId: enemy.id,
+      damage: damage,
+      sourceId: sourceId,
+      isCrit: isCrit,
+      remainingHealth: enemy.health
+    });
+
+    if (enemy.health <= 0) {
+      this.removeEnemy(enemy);
+
+      this.emit('enemyDied', {
+        enemyId: enemy.id,
+        enemyType: enemy.type,
+        value: enemy.value,
+        sourceId: sourceId,
+        position: { ...enemy.position }
+      });
+
+      if (enemy.isBoss) {
+        const bossData = enemyTypes[enemy.type].boss;
+
+        this.emit('bossDefeated', {
+          enemyId: enemy.id,
+          enemyType: enemy.type,
+          sourceId: sourceId,
+          reward: bossData ? bossData.reward : enemy.value
+        });
+      }
+    } else {
+      this.updateBossPhase(enemy);
+    }
+
+    return damage;
+  }
+
+  /**
+   * Start any boss phases whose health threshold has been passed
+   * A big hit can pass several thresholds at once; each phase still starts.
+   * @param {Object} enemy - Enemy entity
+   */
+  updateBossPhase(enemy) {
+    const bossData = enemyTypes[enemy.type].boss;
+    if (!bossData || !bossData.phases) return;
+
+    while (enemy.phase < bossData.phases.length &&
+      enemy.health <= enemy.maxHealth * bossData.phases[enemy.phase].threshold) {
+      this.startBossPhase(enemy, bossData.phases[enemy.phase]);
+    }
+  }
+
+  /**
+   * Start a boss phase: summon adds, raise a shield and/or enrage
+   * @param {Object} enemy - Boss entity
+   * @param {Object} phase - Phase definition
+   */
+  startBossPhase(enemy, phase) {
+    enemy.phase++;
+
+    // Adds come out around the boss, a little behind it
+    const summoned = [];
+    if (phase.summon) {
+      const halfWidth = Math.max(0, this.path.width / 2 - PATH_EDGE_MARGIN);
+
+      for (let i = 0; i < phase.summon.count; i++) {
+        const add = this.spawnEnemy(phase.summon.type, {
+          route: enemy.route,
+          distance: Math.max(0, enemy.distance - this.random.range(0.5, 2)),
+          x: this.random.range(-halfWidth, halfWidth)
+        });
+        if (add) summoned.push(add.id);
+      }
+    }
+
+    if (phase.shield) {
+      enemy.shield += phase.shield;
+    }
+
+    if (phase.enrage) {
+      enemy.enrage = { ...phase.enrage };
+    }
+
+    this.emit('bossPhaseChanged', {
+      enemyId: enemy.id,
+      phase: enemy.phase,
+      shield: enemy.shield,
+      enraged: enemy.enrage !== null,
+      summoned: summoned
+    });
+  }
+
+  /**
+   * Apply a status effect to an enemy, replacing any effect of the same type
+   * @param {string} enemyId - Enemy ID
+   * @param {Object} effectData - Effect type (slow, freeze, damage_over_time), duration and values
+   * @returns {boolean} True if the enemy exists
+   */
+  applyEffect(enemyId, effectData) {
+    const enemy = this.getEnemy(enemyId);
+    if (!enemy) return false;
+
+    const effect = {
+      type: effectData.type || 'slow',
+      duration: effectData.duration || 3000,
+      remainingDuration: effectData.duration || 3000,
+      sourceId: effectData.sourceId || null
+    };
+
+    switch (effect.type) {
+      case 'slow':
+      case 'freeze':
+        effect.slowFactor = effectData.slowFactor || 0.5; // Fraction of speed removed
+        break;
+
+      case 'damage_over_time':
+        effect.damagePerTick = effectData.damagePerTick || 5;
+        effect.tickInterval = effectData.tickInterval || 1000; // ms
+        effect.nextTickIn = effect.tickInterval;
+        break;
+    }
+
+    const existingIndex = enemy.effects.findIndex(e => e.type === effect.type);
+    if (existingIndex !== -1) {
+      enemy.effects[existingIndex] = effect;
+    } else {
+      enemy.effects.push(effect);
+    }
+
+    this.emit('enemyEffectApplied', {
+      enemyId: enemy.id,
+      effect: { ...effect }
+    });
+
+    return true;
+  }
+
+  /**
+   * Add a hero to the simulation
+   * @param {string} heroId - Hero ID
+   * @param {Object} stats - Position and combat stats (see updateHero)
+   * @returns {Object} The hero entity
+   */
+  addHero(heroId, stats = {}) {
+    const hero = {
+      id: heroId,
+      position: { x: 0, y: 0.5, z: 8 },
+      damage: 10,
+      attackRate: 1000, // ms
+      range: 2.5,
+      critChance: 0,
+      critDamage: 1.5,
+      autoAttack: true,
+      targetId: null, // Enemy the player picked, attacked ahead of closer ones
+      cooldown: 0
+    };
+
+    this.heroes.push(hero);
+    this.updateHero(heroId, stats);
+
+    return hero;
+  }
+
+  /**
+   * Update a hero's position and combat stats
+   * @param {string} heroId - Hero ID
+   * @param {Object} stats - Any of position, damage, attackRate, range, critChance, critDamage, autoAttack, targetId
+   */
+  updateHero(heroId, stats) {
+    const hero = this.getHero(heroId);
+    if (!hero) return;
+
+    ['damage', 'attackRate', 'range', 'critChance', 'critDamage', 'autoAttack', 'targetId'].forEach(key => {
+      if (stats[key] !== undefined) {
+        hero[key] = stats[key];
+      }
+    });
+
+    if (stats.position) {
+      hero.position = {
+        x: stats.position.x,
+        y: stats.position.y,
+        z: stats.position.z
+      };
+    }
+  }
+
+  /**
+   * Remove a hero from the simulation
+   * @param {string} heroId - Hero ID
+   */
+  removeHero(heroId) {
+    this.heroes = this.heroes.filter(hero => hero.id !== heroId);
+  }
+
+  /**
+   * Find a hero by ID
+   * @param {string} heroId - Hero ID
+   * @returns {Object|undefined} Hero entity
+   */
+  getHero(heroId) {
+    return this.heroes.find(hero => hero.id === heroId);
+  }
+
+  /**
+   * Get a plain copy of the simulation state
+   * @returns {Object} Snapshot that can be serialized to JSON
+   */
+  getSnapshot() {
+    return {
+      seed: this.seed,
+      randomState: this.random.state,
+      tick: this.tick,
+      time: this.time,
+      wave: this.wave,
+      waveInProgress: this.waveInProgress,
+      spawnsLeft: this.spawnsLeft,
+      spawnTimer: this.spawnTimer,
+      stepIndex: this.stepIndex,
+      stepSpawned: this.stepSpawned,
+      nextWaveTime: this.nextWaveTime,
+      nextEnemyId: this.nextEnemyId,
+      enemies: this.enemies.map(enemy => ({
+        ...enemy,
+        position: { ...enemy.position },
+        direction: { ...enemy.direction },
+        waypoints: enemy.waypoints.map(point => ({ ...point })),
+        auraBuff: enemy.auraBuff ? { ...enemy.auraBuff } : null,
+        enrage: enemy.enrage ? { ...enemy.enrage } : null,
+        effects: enemy.effects.map(effect => ({ ...effect }))
+      })),
+      heroes: this.heroes.map(hero => ({
+        ...hero,
+        position: { ...hero.position }
+      }))
+    };
+  }
+
+  /**
+   * Carry on from a snapshot taken with getSnapshot()
+   * The seed, path and wave script come from the options, which must match the
+   * ones the snapshot was taken with. Heroes are left alone: they rejoin under
+   * their own IDs. No events are emitted; callers build views for the enemies.
+   * @param {Object} snapshot - Snapshot from getSnapshot()
+   */
+  loadSnapshot(snapshot) {
+    this.random.state = snapshot.randomState >>> 0;
+    this.tick = snapshot.tick;
+    this.time = snapshot.time;
+
+    this.wave = snapshot.wave;
+    this.waveInProgress = snapshot.waveInProgress;
+    this.waveConfig = snapshot.wave > 0
+      ? getScriptedWave(this.options.waves, snapshot.wave, this.playerCount)
+      : null;
+    this.spawnsLeft = snapshot.spawnsLeft;
+    this.spawnTimer = snapshot.spawnTimer;
+    this.stepIndex = snapshot.stepIndex;
+    this.stepSpawned = snapshot.stepSpawned;
+    this.nextWaveTime = snapshot.nextWaveTime;
+
+    this.enemies = snapshot.enemies.map(enemy => ({
+      ...enemy,
+      position: { ...enemy.position },
+      direction: { ...enemy.direction },
+      waypoints: enemy.waypoints.map(point => ({ ...point })),
+      auraBuff: enemy.auraBuff ? { ...enemy.auraBuff } : null,
+      enrage: enemy.enrage ? { ...enemy.enrage } : null,
+      effects: enemy.effects.map(effect => ({ ...effect }))
+    }));
+    this.nextEnemyId = snapshot.nextEnemyId;
+
+    this.events = [];
+  }
+
+  /**
+   * Run the current wave's script: spawn groups, bosses and waits
+   * Each step starts once the one before it is done and its delay has passed.
+   */
+  updateSpawning() {
+    if (!this.waveInProgress || this.spawnsLeft <= 0) return;
+
+    this.spawnTimer -= this.tickMs;
+
+    // Several steps can finish in one tick, e.g. a boss straight after a wait
+    while (this.spawnTimer <= 0 && this.spawnsLeft > 0 && this.stepIndex < this.waveConfig.steps.length) {
+      const step = this.waveConfig.steps[this.stepIndex];
+
+      switch (step.type) {
+        case 'spawn':
+          this.spawnEnemy(this.random.pickWeighted(step.enemies), { spawnPoint: step.spawnPoint });
+          this.spawnsLeft--;
+          this.stepSpawned++;
+
+          if (this.stepSpawned < step.count) {
+            this.spawnTimer += step.interval;
+          } else {
+            this.nextStep();
+          }
+          break;
+
+        case 'boss':
+          this.spawnEnemy(step.enemy, {
+            spawnPoint: step.spawnPoint,
+            healthMultiplier: step.healthMultiplier,
+            valueMultiplier: step.valueMultiplier,
+            isBoss: true
+          });
+          this.spawnsLeft--;
+          this.nextStep();
+          break;
+
+        case 'waitUntilCleared':
+          // Check again next tick, without building up time for the steps after it
+          if (this.enemies.length > 0) {
+            this.spawnTimer = 0;
+            return;
+          }
+          this.nextStep();
+          break;
+
+        default:
+          // A wait is over once its delay has passed
+          this.nextStep();
+      }
+    }
+  }
+
+  /**
+   * Move on to the next step of the wave script, starting its delay
+   */
+  nextStep() {
+    this.stepIndex++;
+    this.stepSpawned = 0;
+
+    const step = this.waveConfig.steps[this.stepIndex];
+    if (step) {
+      this.spawnTimer += step.delay;
+    }
+  }
+
+  /**
+   * Give every enemy within a commander's aura range that commander's buff
+   * A commander doesn't buff itself and buffs don't stack. Buffs go as soon as
+   * the enemy leaves the range or the commander dies.
+   */
+  updateAuras() {
+    const commanders = this.enemies.filter(enemy => enemy.auraRange > 0 && enemy.auraEffect);
+
+    this.enemies.forEach(enemy => {
+      const source = commanders.find(commander =>
+        commander !== enemy && getDistance(commander.position, enemy.position) <= commander.auraRange
+      );
+
+      const sourceId = source ? source.id : null;
+      const previousId = enemy.auraBuff ? enemy.auraBuff.sourceId : null;
+      if (sourceId === previousId) return;
+
+      enemy.auraBuff = source
+        ? {
+          sourceId: source.id,
+          speedBonus: source.auraEffect.speedBonus || 0,
+          damageBonus: source.auraEffect.damageBonus || 0
+        }
+        : null;
+
+      this.emit('enemyAuraChanged', {
+        enemyId: enemy.id,
+        sourceId: sourceId
+      });
+    });
+  }
+
+  /**
+   * Tick status effects, attack heroes in range, move the rest along their routes and handle leaks
+   */
+  updateEnemies() {
+    const seconds = this.tickMs / 1000;
+
+    // Iterate over a copy since enemies can be removed mid-loop
+    this.enemies.slice().forEach(enemy => {
+      this.updateEffects(enemy);
+      if (enemy.health <= 0) return;
+
+      if (enemy.attackCooldown > 0) {
+        enemy.attackCooldown -= this.tickMs;
+      }
+
+      this.updateBossSpecial(enemy);
+
+      // Enemies stop to fight heroes in their way
+      const hero = this.getClosestHero(enemy.position, enemy.attackRange);
+      if (hero) {
+        if (enemy.attackCooldown <= 0) {
+          this.enemyAttack(enemy, hero);
+        }
+        return;
+      }
+
+      enemy.distance += enemy.speed * SPEED_SCALE * seconds * this.getSpeedMultiplier(enemy);
+
+      const point = getPointAtDistance(enemy.waypoints, enemy.distance);
+      enemy.position.x = point.x;
+      enemy.position.z = point.z;
+      enemy.direction.x = point.dx;
+      enemy.direction.z = point.dz;
+
+      if (enemy.distance >= enemy.pathLength) {
+        this.removeEnemy(enemy);
+
+        this.emit('enemyLeaked', {
+          enemyId: enemy.id,
+          enemyType: enemy.type,
+          damage: enemy.damage
+        });
+      }
+    });
+  }
+
+  /**
+   * Have an enemy attack a hero
+   * Melee damage lands straight away; ranged attacks are projectiles the client
+   * flies at the hero, so the hero can still step out of the way.
+   * @param {Object} enemy - Enemy entity
+   * @param {Object} hero - Hero entity
+   */
+  enemyAttack(enemy, hero) {
+    const ranged = enemy.projectileDamage > 0;
+
+    let damage = ranged ? enemy.projectileDamage : enemy.damage;
+    if (enemy.auraBuff) {
+      damage *= 1 + enemy.auraBuff.damageBonus;
+    }
+    if (enemy.enrage) {
+      damage *= enemy.enrage.damageMultiplier || 1;
+    }
+
+    const isCrit = enemy.critChance > 0 && this.random.chance(enemy.critChance);
+    if (isCrit) {
+      damage *= enemy.critMultiplier;
+    }
+
+    enemy.attackCooldown = enemy.attackSpeed;
+
+    this.emit('enemyAttacked', {
+      enemyId: enemy.id,
+      heroId: hero.id,
+      damage: Math.round(damage),
+      isCrit: isCrit,
+      ranged: ranged,
+      projectileSpeed: enemy.projectileSpeed
+    });
+  }
+
+  /**
+   * Count down a boss's special attack and use it on the closest hero in range
+   * @param {Object} enemy - Enemy entity
+   */
+  updateBossSpecial(enemy) {
+    const bossData = enemyTypes[enemy.type].boss;
+    if (!bossData || !bossData.special) return;
+
+    if (enemy.specialCooldown > 0) {
+      enemy.specialCooldown -= this.tickMs;
+      return;
+    }
+
+    const special = bossData.special;
+    const hero = this.getClosestHero(enemy.position, special.range);
+    if (!hero) return;
+
+    enemy.specialCooldown = special.cooldown;
+
+    // The slam lands where the hero stood; the client warns and resolves the hit
+    this.emit('bossSpecial', {
+      enemyId: enemy.id,
+      heroId: hero.id,
+      position: { x: hero.position.x, y: 0, z: hero.position.z },
+      radius: special.radius,
+      damage: Math.round(special.damage * this.difficulty.damageMultiplier *
+        (enemy.enrage ? enemy.enrage.damageMultiplier || 1 : 1)),
+      warning: special.warning
+    });
+  }
+
+  /**
+   * Tick an enemy's status effects
+   * @param {Object} enemy - Enemy entity
+   */
+  updateEffects(enemy) {
+    for (let i = enemy.effects.length - 1; i >= 0; i--) {
+      const effect = enemy.effects[i];
+      effect.remainingDuration -= this.tickMs;
+
+      if (effect.type === 'damage_over_time') {
+        effect.nextTickIn -= this.tickMs;
+
+        if (effect.nextTickIn <= 0) {
+          effect.nextTickIn += effect.tickInterval;
+          this.damageEnemy(enemy.id, effect.damagePerTick, effect.sourceId);
+          if (enemy.health <= 0) return;
+        }
+      }
+
+      if (effect.remainingDuration <= 0) {
+        enemy.effects.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Get the movement multiplier from slow and freeze effects, commander auras and enrage
+   * @param {Object} enemy - Enemy entity
+   * @returns {number} Multiplier (0 when frozen solid)
+   */
+  getSpeedMultiplier(enemy) {
+    let slow = 0;
+
+    enemy.effects.forEach(effect => {
+      if (effect.type === 'slow' || effect.type === 'freeze') {
+        slow = Math.max(slow, effect.slowFactor);
+      }
+    });
+
+    const auraBonus = enemy.auraBuff ? enemy.auraBuff.speedBonus : 0;
+    const enrage = enemy.enrage ? enemy.enrage.speedMultiplier || 1 : 1;
+
+    return (1 - Math.min(1, slow)) * (1 + auraBonus) * enrage;
+  }
+
+  /**
+   * Run hero auto-attacks against the closest enemy in range
+   */
+  updateHeroes() {
+    this.heroes.forEach(hero => {
+      if (hero.cooldown > 0) {
+        hero.cooldown -= this.tickMs;
+      }
+
+      if (!hero.autoAttack || hero.cooldown > 0) return;
+
+      const target = this.getHeroTarget(hero);
+      if (!target) return;
+
+      let damage = hero.damage;
+      const isCrit = hero.critChance > 0 && this.random.chance(hero.critChance);
+      if (isCrit) {
+        damage *= hero.critDamage;
+      }
+      damage = Math.round(damage);
+
+      hero.cooldown = hero.attackRate;
+
+      this.emit('heroAttacked', {
+        heroId: hero.id,
+        enemyId: target.id,
+        damage: damage,
+        isCrit: isCrit
+      });
+
+      this.damageEnemy(target.id, damage, hero.id, isCrit);
+    });
+  }
+
+  /**
+   * Complete the current wave once every enemy is spawned and gone, and start the next one
+   */
+  updateWaveProgress() {
+    if (this.waveInProgress && this.spawnsLeft <= 0 && this.enemies.length === 0) {
+      this.waveInProgress = false;
+
+      this.emit('waveCompleted', {
+        wave: this.wave,
+        bonus: 10 * this.wave
+      });
+
+      if (this.options.autoWaves) {
+        this.nextWaveTime = this.time + this.options.waveDelay;
+      }
+    } else if (!this.waveInProgress && this.nextWaveTime !== null && this.time >= this.nextWaveTime) {
+      this.startWave(this.wave + 1);
+    }
+  }
+
+  /**
+   * Pick the enemy a hero attacks: its forced target when in range, otherwise the closest enemy
+   * @param {Object} hero - Hero entity
+   * @returns {Object|null} Enemy entity
+   */
+  getHeroTarget(hero) {
+    if (hero.targetId) {
+      const target = this.getEnemy(hero.targetId);
+      if (target && getDistance(hero.position, target.position) <= hero.range) {
+        return target;
+      }
+    }
+
+    return this.getClosestEnemy(hero.position, hero.range);
+  }
+
+  /**
+   * Find the closest enemy within a range
+   * @param {Object} position - Center position
+   * @param {number} maxDistance - Maximum distance
+   * @returns {Object|null} Closest enemy entity
+   */
+  getClosestEnemy(position, maxDistance = Infinity) {
+    let closest = null;
+    let closestDistance = maxDistance;
+
+    this.enemies.forEach(enemy => {
+      const distance = getDistance(position, enemy.position);
+      if (distance <= closestDistance) {
+        closestDistance = distance;
+        closest = enemy;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Find the closest hero within a range
+   * @param {Object} position - Center position
+   * @param {number} maxDistance - Maximum distance
+   * @returns {Object|null} Closest hero entity
+   */
+  getClosestHero(position, maxDistance = Infinity) {
+    let closest = null;
+    let closestDistance = maxDistance;
+
+    this.heroes.forEach(hero => {
+      const distance = getDistance(position, hero.position);
+      if (distance <= closestDistance) {
+        closestDistance = distance;
+        closest = hero;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Remove an enemy entity
+   * @param {Object} enemy - Enemy entity
+   */
+  removeEnemy(enemy) {
+    const index = this.enemies.indexOf(enemy);
+    if (index !== -1) {
+      this.enemies.splice(index, 1);
+    }
+  }
+
+  /**
+   * Queue an event for the next step() result
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  emit(type, data) {
+    this.events.push({ type, ...data });
+  }
+}
+
+/**
+ * Get the distance between two positions
+ * @param {Object} a - First position
+ * @param {Object} b - Second position
+ * @returns {number} Distance
+ */
+function getDistance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+module.exports = { Simulation, SPEED_SCALE };
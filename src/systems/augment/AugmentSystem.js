@@ -0,0 +1,232 @@
+import { Logger } from '../../utils/Logger.js';
+import { CONFIG } from '../../config/GameConfig.js';
+import {
+  augmentRules,
+  getAugment,
+  checkAugment,
+  getAugmentPool,
+  draftAugments
+} from '../../shared/Augments.js';
+
+/**
+ * Runs the augment draft between waves
+ * Each cleared wave owes the hero a draft: a few augments drawn from its
+ * class's weighted pool (see shared/Augments.js), of which it keeps one for
+ * the rest of the run. Waves don't wait for the pick; drafts owed while one
+ * is open are offered one after another. In multiplayer each pick and reroll
+ * is also sent to the server, which applies augment stats to the player's
+ * attacks and checks rerolls against their gold.
+ */
+export class AugmentSystem {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = new Logger('AugmentSystem');
+
+    // Augment IDs taken this run, in the order they were picked
+    this.taken = [];
+
+    // Augment IDs on offer (null when no draft is open) and drafts still to offer
+    this.offer = null;
+    this.draftsOwed = 0;
+
+    this.game.events.on('waveCompleted', () => this.handleWaveCompleted());
+
+    this.logger.debug('Augment system created');
+  }
+
+  /**
+   * Owe the hero a draft for the wave it cleared
+   */
+  handleWaveCompleted() {
+    if (!this.game.state.hero || !this.game.state.gameActive) return;
+
+    this.draftsOwed++;
+    if (!this.offer) {
+      this.openDraft();
+    }
+  }
+
+  /**
+   * Offer the next draft owed, if the pool has anything left
+   * @returns {boolean} True if a draft was opened
+   */
+  openDraft() {
+    if (this.draftsOwed <= 0) return false;
+
+    const offer = draftAugments(getAugmentPool(this.game.state.heroClass, this.taken), augmentRules.choices);
+    if (offer.length === 0) {
+      // Every augment is taken; nothing more to offer this run
+      this.draftsOwed = 0;
+      return false;
+    }
+
+    this.draftsOwed--;
+    this.offer = offer;
+
+    this.game.uiManager.showAugmentDraft(offer);
+    this.game.events.emit('augmentDraft', { offer });
+
+    return true;
+  }
+
+  /**
+   * Pay gold to draw a new offer
+   * @returns {boolean} True if the offer was rerolled
+   */
+  reroll() {
+    if (!this.offer) return false;
+
+    if (this.game.state.gold < augmentRules.rerollCost) {
+      this.logger.debug("Can't reroll augments: insufficient_gold");
+      return false;
+    }
+
+    this.game.state.gold -= augmentRules.rerollCost;
+    this.game.uiManager.updateGoldUI(this.game.state.gold);
+
+    this.offer = draftAugments(getAugmentPool(this.game.state.heroClass, this.taken), augmentRules.choices);
+    this.game.uiManager.showAugmentDraft(this.offer);
+
+    // The server counts the gold spent
+    if (this.game.networkManager) {
+      this.game.networkManager.sendAugmentChange('reroll');
+    }
+
+    this.game.events.emit('augmentDraft', { offer: this.offer, rerolled: true });
+
+    return true;
+  }
+
+  /**
+   * Take one of the augments on offer
+   * @param {string} id - Augment ID
+   * @returns {boolean} True if the augment was taken
+   */
+  chooseAugment(id) {
+    if (!this.offer || !this.offer.includes(id)) {
+      this.logger.debug(`Augment ${id} is not on offer`);
+      return false;
+    }
+
+    this.offer = null;
+    this.game.uiManager.hideAugmentDraft();
+
+    this.addAugment(id);
+
+    // Keep the server's copy of the hero in sync
+    if (this.game.networkManager) {
+      this.game.networkManager.sendAugmentChange('choose', id);
+    }
+
+    this.logger.info(`Took augment ${getAugment(id).name}`);
+    this.game.events.emit('augmentChosen', { id });
+
+    this.openDraft();
+
+    return true;
+  }
+
+  /**
+   * Add an augment to the hero and the HUD
+   * @param {string} id - Augment ID
+   */
+  addAugment(id) {
+    this.taken.push(id);
+    this.apply(id);
+
+    this.game.uiManager.updateAugmentHud(this.taken);
+  }
+
+  /**
+   * Apply an augment's stats and ability changes to the hero
+   * @param {string} id - Augment ID
+   */
+  apply(id) {
+    const hero = this.game.state.hero;
+    const augment = getAugment(id);
+
+    try {
+      if (augment.stats) {
+        hero.applyBuff({
+          id: `augment_${id}`,
+          name: augment.name,
+          duration: Infinity, // Lasts for the rest of the run
+          ...augment.stats
+        });
+
+        // Extra maximum health comes filled, like a health upgrade
+        if (augment.stats.maxHealth) {
+          hero.heal(augment.stats.maxHealth, hero.getMaxHealth(CONFIG.upgrades));
+        }
+      }
+
+      if (augment.abilities) {
+        hero.abilities.forEach(ability => ability.applyModifiers(augment.abilities));
+      }
+
+      if (augment.ability) {
+        const ability = hero.abilities.find(other => other.name === augment.ability.name);
+        if (ability) {
+          ability.applyAugment(augment.ability);
+        } else {
+          this.logger.warn(`${augment.name} changes ${augment.ability.name}, which the hero doesn't have`);
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Error applying augment ${id}:`, error);
+    }
+  }
+
+  /**
+   * Get the draft state for a save
+   * @returns {Object} Taken augments, the open offer and drafts still owed
+   */
+  getSnapshot() {
+    return {
+      taken: [...this.taken],
+      offer: this.offer ? [...this.offer] : null,
+      draftsOwed: this.draftsOwed
+    };
+  }
+
+  /**
+   * Put saved augments back on a fresh hero and reopen the saved draft
+   * @param {Object} saved - Snapshot from getSnapshot()
+   */
+  restore(saved) {
+    this.reset();
+
+    const heroClass = this.game.state.heroClass;
+
+    saved.taken.forEach(id => {
+      if (checkAugment(heroClass, this.taken, id) === null) {
+        this.addAugment(id);
+      }
+    });
+
+    this.draftsOwed = saved.draftsOwed;
+
+    const offer = (saved.offer || []).filter(id => checkAugment(heroClass, this.taken, id) === null);
+    if (offer.length > 0) {
+      this.offer = offer;
+      this.game.uiManager.showAugmentDraft(offer);
+    }
+
+    this.logger.info('Restored saved augments');
+  }
+
+  /**
+   * Forget the run's augments (the hero they were applied to is replaced on reset)
+   */
+  reset() {
+    this.taken = [];
+    this.offer = null;
+    this.draftsOwed = 0;
+
+    this.game.uiManager.hideAugmentDraft();
+    this.game.uiManager.updateAugmentHud(this.taken);
+  }
+}
@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+
+import { Logger } from '../../utils/Logger.js';
+
+/**
+ * Shows boss fights: the boss health bar, phase changes, shields, the slam
+ * telegraph and the defeat reward
+ * Phases, summons and specials are decided by the simulation (solo) or the
+ * server (multiplayer); this system reacts to their events.
+ */
+export class BossSystem {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = new Logger('BossSystem');
+
+    // Boss enemy views currently in play
+    this.bosses = [];
+
+    this.logger.debug('Boss system created');
+  }
+
+  /**
+   * Start tracking a boss that just spawned
+   * @param {Enemy} enemy - Boss enemy view
+   */
+  handleBossSpawned(enemy) {
+    if (!enemy || this.bosses.includes(enemy)) return;
+
+    this.bosses.push(enemy);
+    this.game.uiManager.showAnnouncement(`${this.getBossName(enemy)} approaches!`);
+
+    this.logger.info(`Boss spawned: ${enemy.type} (${enemy.id})`);
+  }
+
+  /**
+   * Handle a boss reaching a new phase
+   * @param {Object} data - Enemy ID, phase, shield, enraged flag and number of adds summoned
+   */
+  handlePhaseChanged(data) {
+    const boss = this.getBoss(data.enemyId);
+    if (!boss) return;
+
+    boss.handlePhaseChanged(data);
+
+    const position = boss.position.clone().add(new THREE.Vector3(0, 2 * boss.scale, 0));
+    if (data.enraged) {
+      this.game.combatSystem.createFloatingText('Enraged!', position, 0xff2200, { scale: 1.5 });
+    } else if (data.shield > 0) {
+      this.game.combatSystem.createFloatingText('Shielded!', position, 0x66ccff, { scale: 1.5 });
+    }
+
+    this.logger.info(`Boss ${data.enemyId} entered phase ${data.phase}`);
+  }
+
+  /**
+   * Handle a boss shield soaking up damage
+   * @param {Object} data - Enemy ID and remaining shield
+   */
+  handleShieldChanged(data) {
+    const boss = this.getBoss(data.enemyId);
+    if (boss) {
+      boss.setShield(data.shield);
+    }
+  }
+
+  /**
+   * Telegraph a boss slam; it goes off when the warning runs out
+   * @param {Object} data - Enemy ID, position, radius, damage and warning time (ms)
+   */
+  handleSpecial(data) {
+    const boss = this.getBoss(data.enemyId);
+
+    this.game.combatSystem.createAreaEffect({
+      position: new THREE.Vector3(data.position.x, 0.05, data.position.z),
+      radius: data.radius,
+      duration: data.warning / 1000,
+      damage: data.damage,
+      color: 0xff2200,
+      effectType: 'boss_slam',
+      owner: boss || null,
+      hostile: true
+    });
+  }
+
+  /**
+   * Pay out the reward for a defeated boss
+   * @param {Object} data - Enemy ID, enemy type, killer ID and gold reward
+   */
+  handleBossDefeated(data) {
+    const boss = this.getBoss(data.enemyId);
+    const name = boss ? this.getBossName(boss) : 'Boss';
+
+    this.game.state.gold += data.reward;
+    this.game.uiManager.updateGoldUI(this.game.state.gold);
+
+    const position = boss ? boss.position.clone() : new THREE.Vector3(0, 0, 0);
+    this.game.combatSystem.createFloatingText(
+      `${name} defeated! +${data.reward} gold`,
+      position.add(new THREE.Vector3(0, 2.5, 0)),
+      0xffd700,
+      { scale: 1.5 }
+    );
+    this.game.uiManager.showAnnouncement(`${name} defeated!`);
+
+    this.bosses = this.bosses.filter(enemy => enemy.id !== data.enemyId);
+
+    this.game.events.emit('bossDefeated', {
+      enemyId: data.enemyId,
+      enemyType: data.enemyType,
+      killerId: data.sourceId,
+      reward: data.reward
+    });
+  }
+
+  /**
+   * Keep the boss bar in step with the first boss still alive
+   * @param {number} delta - Time since last update in seconds
+   */
+  update(delta) {
+    try {
+      this.bosses = this.bosses.filter(boss =>
+        !boss.deathAnimationStarted && this.game.state.enemies.includes(boss));
+
+      if (this.bosses.length === 0) {
+        this.game.uiManager.hideBossBar();
+        return;
+      }
+
+      const boss = this.bosses[0];
+      this.game.uiManager.updateBossBar({
+        name: this.getBossName(boss),
+        health: boss.health,
+        maxHealth: boss.maxHealth,
+        shield: boss.shield,
+        phase: boss.phase,
+        enraged: boss.enraged
+      });
+    } catch (error) {
+      this.logger.error('Error updating boss bar:', error);
+    }
+  }
+
+  /**
+   * Find a tracked boss
+   * @param {string} enemyId - Enemy ID
+   * @returns {Enemy|undefined} Boss enemy view
+   */
+  getBoss(enemyId) {
+    return this.bosses.find(boss => boss.id === enemyId);
+  }
+
+  /**
+   * Get the name shown for a boss
+   * @param {Enemy} boss - Boss enemy view
+   * @returns {string} Display name
+   */
+  getBossName(boss) {
+    return boss.type.charAt(0).toUpperCase() + boss.type.slice(1);
+  }
+
+  /**
+   * Reset the boss system
+   */
+  reset() {
+    this.bosses = [];
+    this.game.uiManager.hideBossBar();
+  }
+}
@@ -95,6 +95,16 @@ export class CombatSystem {
           this.handleAbilityUsed(data);
         });
 
+        // Listen for enemy attacks on heroes
+        this.game.events.on('enemyAttack', data => {
+          this.handleEnemyAttack(data);
+        });
+
+        // Listen for heroes levelling up
+        this.game.events.on('heroLevelUp', data => {
+          this.createLevelUpEffect(data.hero, data.level);
+        });
+
         this.logger.debug('Combat event listeners registered');
       } else {
         this.logger.warn('Game events system not available, skipping event registration');
@@ -266,9 +276,11 @@ export class CombatSystem {
 
         // Update position
         if (projectile.mesh.position && projectile.direction) {
+          const step = projectile.speed * delta * 60;
           projectile.mesh.position.add(
-            projectile.direction.clone().multiplyScalar(projectile.speed * delta * 60)
+            projectile.direction.clone().multiplyScalar(Math.min(step, projectile.remainingDistance))
           );
+          projectile.remainingDistance -= step;
         }
 
         // Update lifetime
@@ -280,8 +292,20 @@ export class CombatSystem {
           continue;
         }
 
-        // Check for collisions with enemies
         const projectilePos = projectile.mesh.position;
+
+        // Enemy projectiles only hit the hero
+        if (projectile.hostile) {
+          const hero = this.game && this.game.state ? this.game.state.hero : null;
+
+          if (hero && hero.position && projectilePos.distanceTo(hero.position) < 0.5 + projectile.radius) {
+            this.applyEnemyHit(hero, projectile.damage, projectile.owner, projectile.isCrit);
+            this.removeProjectile(i);
+          }
+          continue;
+        }
+
+        // Check for collisions with enemies
         let hitEnemy = null;
 
         // Check collision with all enemies
@@ -299,6 +323,17 @@ export class CombatSystem {
           }
         }
 
+        // Targeted projectiles burst when they reach their target position
+        if (!hitEnemy && projectile.remainingDistance <= 0) {
+          if (projectile.aoeRadius > 0) {
+            this.applyAreaDamage(projectilePos, projectile.aoeRadius, projectile.damage, projectile.owner, projectile.ability);
+            this.createExplosionEffect(projectilePos.clone(), projectile.aoeRadius, projectile.color);
+          }
+
+          this.removeProjectile(i);
+          continue;
+        }
+
         if (hitEnemy) {
           // Handle hit
           if (projectile.aoeRadius > 0) {
@@ -307,7 +342,8 @@ export class CombatSystem {
               projectilePos,
               projectile.aoeRadius,
               projectile.damage,
-              projectile.owner
+              projectile.owner,
+              projectile.ability
             );
 
             // Create explosion effect
@@ -318,7 +354,7 @@ export class CombatSystem {
             );
           } else {
             // Direct damage
-            hitEnemy.takeDamage(projectile.damage, projectile.owner);
+            this.damageEnemy(hitEnemy, projectile.damage, projectile.owner, projectile.ability);
           }
 
           // Remove projectile
@@ -346,13 +382,18 @@ export class CombatSystem {
         effect.lifetime -= delta;
 
         if (effect.lifetime <= 0) {
+          // Hostile effects are telegraphs: they go off when the warning runs out
+          if (effect.hostile) {
+            this.detonateHostileEffect(effect);
+          }
+
           // Effect expired
           this.removeAreaEffect(i);
           continue;
         }
 
-        // Apply effect
-        if (typeof effect.tickTime === 'number') {
+        // Apply effect (hostile effects only hurt heroes, when they go off)
+        if (!effect.hostile && typeof effect.tickTime === 'number') {
           effect.tickTime -= delta;
 
           if (effect.tickTime <= 0) {
@@ -472,8 +513,16 @@ export class CombatSystem {
         radius: data.radius || 0.15,
         lifetime: data.lifetime || 5, // seconds
         owner: data.owner || null,
+        ability: data.ability || null, // Hero ability that fired it
         aoeRadius: data.aoeRadius || 0,
-        color: data.color || 0xffff00
+        color: data.color || 0xffff00,
+        // Fired by an enemy at the hero
+        hostile: data.hostile || false,
+        isCrit: data.isCrit || false,
+        // Distance left to an optional target position, where the projectile detonates
+        remainingDistance: data.targetPosition && data.position
+          ? data.position.distanceTo(data.targetPosition)
+          : Infinity
       };
 
       // Add to projectiles array
@@ -557,7 +606,9 @@ export class CombatSystem {
         effectType: data.effectType || 'damage',
         effectValue: data.effectValue || 0,
         owner: data.owner || null,
-        color: data.color || 0x00ff00
+        ability: data.ability || null, // Hero ability that placed it
+        color: data.color || 0x00ff00,
+        hostile: data.hostile || false
       };
 
       // Add to area effects array
@@ -570,6 +621,25 @@ export class CombatSystem {
     }
   }
 
+  /**
+   * Set off a hostile area effect, hitting the local hero if it's still inside
+   * @param {Object} effect - Hostile area effect
+   */
+  detonateHostileEffect(effect) {
+    const hero = this.game && this.game.state ? this.game.state.hero : null;
+
+    if (hero && hero.position) {
+      const dx = hero.position.x - effect.position.x;
+      const dz = hero.position.z - effect.position.z;
+
+      if (Math.hypot(dx, dz) <= effect.radius) {
+        this.applyEnemyHit(hero, effect.damage, effect.owner, false);
+      }
+    }
+
+    this.createExplosionEffect(effect.position.clone(), effect.radius, effect.color);
+  }
+
   /**
    * Remove an area effect
    * @param {number} index - Index of area effect to remove
@@ -602,8 +672,9 @@ export class CombatSystem {
    * @param {number} radius - Damage radius
    * @param {number} damage - Damage amount
    * @param {Object} source - Damage source
+   * @param {Ability} ability - Hero ability that dealt the damage, if any
    */
-  applyAreaDamage(position, radius, damage, source) {
+  applyAreaDamage(position, radius, damage, source, ability = null) {
     try {
       // Validate inputs
       if (!position || typeof radius !== 'number' || typeof damage !== 'number') {
@@ -631,7 +702,7 @@ export class CombatSystem {
 
           // Apply damage
           if (finalDamage > 0 && typeof enemy.takeDamage === 'function') {
-            enemy.takeDamage(finalDamage, source);
+            this.damageEnemy(enemy, finalDamage, source, ability);
           }
         }
       });
@@ -668,32 +739,32 @@ export class CombatSystem {
         if (distance <= effect.radius) {
           // Apply damage if defined
           if (effect.damage > 0 && typeof enemy.takeDamage === 'function') {
-            enemy.takeDamage(effect.damage, effect.owner);
+            this.damageEnemy(enemy, effect.damage, effect.owner, effect.ability);
           }
 
           // Apply effect based on type
           if (effect.effectType === 'slow') {
-            enemy.applyEffect({
+            this.applyAbilityEffect(enemy, {
               type: 'slow',
               duration: (effect.tickInterval || 1) * 2000, // Convert to ms
               slowFactor: effect.effectValue || 0.5,
               source: effect.owner
-            });
+            }, effect.ability);
           } else if (effect.effectType === 'freeze') {
-            enemy.applyEffect({
+            this.applyAbilityEffect(enemy, {
               type: 'freeze',
               duration: (effect.tickInterval || 1) * 2000, // Convert to ms
               slowFactor: effect.effectValue || 0.9,
               source: effect.owner
-            });
+            }, effect.ability);
           } else if (effect.effectType === 'damage_over_time') {
-            enemy.applyEffect({
+            this.applyAbilityEffect(enemy, {
               type: 'damage_over_time',
               duration: (effect.tickInterval || 1) * 2000, // Convert to ms
               damagePerTick: effect.damage || 5,
               tickInterval: (effect.tickInterval || 1) * 1000, // Convert to ms
               source: effect.owner
-            });
+            }, effect.ability);
           }
         }
       });
@@ -1099,6 +1170,7 @@ export class CombatSystem {
 
       const hero = this.game.state.hero;
       const abilityIndex = data.abilityIndex;
+      const target = data.target || null;
 
       // Check ability index validity
       if (typeof abilityIndex !== 'number' || !hero.abilities || abilityIndex < 0 || abilityIndex >= hero.abilities.length) {
@@ -1106,315 +1178,149 @@ export class CombatSystem {
         return;
       }
 
-      // Handle different ability types based on hero class
-      switch (hero.type) {
-        case 'warrior':
-          this.handleWarriorAbility(hero, abilityIndex);
-          break;
-
-        case 'ranger':
-          this.handleRangerAbility(hero, abilityIndex);
-          break;
-
-        case 'mage':
-          this.handleMageAbility(hero, abilityIndex);
-          break;
-
-        default:
-          this.logger.warn(`Unknown hero type: ${hero.type}`);
-      }
+      // The ability runs its own effects (see components/ability/AbilityEffects.js)
+      hero.abilities[abilityIndex].use(hero, target);
     } catch (error) {
       this.logger.error('Error handling ability used:', error);
     }
   }
 
   /**
-   * Handle warrior ability
-   * @param {Hero} hero - Warrior hero
-   * @param {number} abilityIndex - Ability index
+   * Handle an enemy attacking a hero
+   * Melee attacks hit straight away; ranged attacks fire a projectile at the hero.
+   * @param {Object} data - Attack data (enemy, target, damage, isCrit, ranged, projectileSpeed)
    */
-  handleWarriorAbility(hero, abilityIndex) {
+  handleEnemyAttack(data) {
     try {
-      // Ensure hero has necessary methods
-      if (!hero || !hero.abilities || !this.game || !this.game.state) return;
-
-      const ability = hero.abilities[abilityIndex];
-      if (!ability) return;
-
-      switch (abilityIndex) {
-        case 0: // Whirlwind
-          // Find enemies in range
-          if (typeof hero.whirlwind === 'function' && this.game.state.enemies) {
-            const enemies = hero.whirlwind(this.game.state.enemies);
-
-            // Create area effect
-            this.createAreaEffect({
-              position: hero.position.clone(),
-              radius: hero.upgradeStats.range.value,
-              duration: 1,
-              color: ability.effectColor,
-              owner: hero
-            });
-          }
-          break;
-
-        case 1: // Shield Block
-          // Apply buff to hero
-          if (typeof hero.shieldBlock === 'function' && typeof hero.applyBuff === 'function') {
-            const shieldData = hero.shieldBlock();
-            hero.applyBuff({
-              name: shieldData.name,
-              duration: shieldData.duration,
-              damageReduction: shieldData.damageReduction,
-              effectColor: ability.effectColor
-            });
-          }
-          break;
-
-        case 2: // Heroic Strike
-          // Find closest enemy
-          let closestEnemy = this.getClosestEnemy(hero.position, hero.upgradeStats.range.value);
-
-          if (closestEnemy && typeof hero.heroicStrike === 'function') {
-            hero.heroicStrike(closestEnemy);
-
-            // Create attack effect
-            this.createAttackEffect(
-              hero.position.clone().add(new THREE.Vector3(0, 0.5, 0)),
-              closestEnemy.position.clone(),
-              'slash',
-              ability.effectColor
-            );
-          }
-          break;
-
-        case 3: // Battle Shout
-          // Apply buff to hero
-          if (typeof hero.battleShout === 'function' && typeof hero.applyBuff === 'function') {
-            const shoutData = hero.battleShout();
-            hero.applyBuff({
-              name: shoutData.name,
-              duration: shoutData.duration,
-              damageMultiplier: shoutData.damageMultiplier,
-              effectColor: ability.effectColor
-            });
-
-            // Create area effect
-            this.createAreaEffect({
-              position: hero.position.clone(),
-              radius: 2,
-              duration: 1,
-              color: ability.effectColor,
-              owner: hero
-            });
-          }
-          break;
+      const enemy = data.enemy;
+      const hero = data.target;
+      if (!enemy || !enemy.position || !hero || !hero.position) return;
+
+      if (data.ranged) {
+        const start = enemy.position.clone().add(new THREE.Vector3(0, 0.3, 0));
+        const direction = new THREE.Vector3().subVectors(hero.position, start).normalize();
+
+        this.createProjectile({
+          position: start,
+          direction: direction,
+          speed: data.projectileSpeed,
+          damage: data.damage,
+          color: enemy.color,
+          owner: enemy,
+          lifetime: 3,
+          hostile: true,
+          isCrit: data.isCrit
+        });
+        return;
       }
+
+      this.createAttackEffect(enemy.position.clone(), hero.position.clone(), 'slash', enemy.color);
+      this.applyEnemyHit(hero, data.damage, enemy, data.isCrit);
     } catch (error) {
-      this.logger.error('Error handling warrior ability:', error);
+      this.logger.error('Error handling enemy attack:', error);
     }
   }
 
   /**
-   * Handle ranger ability
-   * @param {Hero} hero - Ranger hero
-   * @param {number} abilityIndex - Ability index
+   * Show a hero reaching a new level
+   * @param {Hero} hero - Hero that levelled up
+   * @param {number} level - New level
    */
-  handleRangerAbility(hero, abilityIndex) {
+  createLevelUpEffect(hero, level) {
     try {
-      // Ensure hero has necessary methods
-      if (!hero || !hero.abilities || !this.game || !this.game.state) return;
-
-      const ability = hero.abilities[abilityIndex];
-      if (!ability) return;
-
-      switch (abilityIndex) {
-        case 0: // Multi-Shot
-          // Find enemies in range
-          if (typeof hero.multiShot === 'function' && this.game.state.enemies) {
-            const targets = hero.multiShot(this.game.state.enemies);
-
-            // Create attack effects for each target
-            targets.forEach(target => {
-              this.createAttackEffect(
-                hero.position.clone().add(new THREE.Vector3(0, 0.5, 0)),
-                target.position.clone(),
-                'beam',
-                ability.effectColor
-              );
-            });
-          }
-          break;
-
-        case 1: // Sniper Shot
-          // Find distant enemy
-          if (typeof hero.sniperShot === 'function' && this.game.state.enemies) {
-            const target = hero.sniperShot(this.game.state.enemies);
-
-            if (target) {
-              // Create attack effect
-              this.createAttackEffect(
-                hero.position.clone().add(new THREE.Vector3(0, 0.5, 0)),
-                target.position.clone(),
-                'beam',
-                ability.effectColor
-              );
-            }
-          }
-          break;
+      if (!hero || !hero.position) return;
+
+      const groundPosition = hero.position.clone();
+      groundPosition.y = 0.1;
+
+      this.createAreaEffect({
+        position: groundPosition,
+        radius: 1.5,
+        duration: 1.5,
+        color: 0xffd700,
+        effectType: 'visual',
+        owner: hero
+      });
 
-        case 2: // Trap
-          // Get position in front of ranger
-          if (hero.position && hero.rotation) {
-            const trapPosition = hero.position.clone().add(
-              new THREE.Vector3(0, 0, -3).applyEuler(new THREE.Euler(0, hero.rotation.y, 0))
-            );
+      this.createExplosionEffect(hero.position.clone(), 1, 0xffd700);
 
-            // Place trap
-            if (typeof hero.placeTrap === 'function') {
-              const trapData = hero.placeTrap(trapPosition);
-
-              // Create area effect
-              this.createAreaEffect({
-                position: trapPosition,
-                radius: trapData.radius,
-                duration: trapData.duration / 1000, // Convert ms to seconds
-                effectType: 'slow',
-                effectValue: trapData.slow,
-                color: ability.effectColor,
-                owner: hero
-              });
-            }
-          }
-          break;
-
-        case 3: // Evasion
-          // Apply buff to hero
-          if (typeof hero.evasion === 'function' && typeof hero.applyBuff === 'function') {
-            const evasionData = hero.evasion();
-            hero.applyBuff({
-              name: evasionData.name,
-              duration: evasionData.duration,
-              dodgeChance: evasionData.dodgeChance,
-              effectColor: ability.effectColor
-            });
-          }
-          break;
-      }
+      this.createFloatingText(
+        `Level ${level}!`,
+        hero.position.clone().add(new THREE.Vector3(0, 1.5, 0)),
+        0xffd700,
+        { scale: 1.5 }
+      );
     } catch (error) {
-      this.logger.error('Error handling ranger ability:', error);
+      this.logger.error('Error creating level up effect:', error);
     }
   }
 
   /**
-   * Handle mage ability
-   * @param {Hero} hero - Mage hero
-   * @param {number} abilityIndex - Ability index
+   * Land an enemy hit on a hero, unless the hero dodges it
+   * @param {Hero} hero - Hero that was hit
+   * @param {number} damage - Damage before the hero's damage reduction
+   * @param {Enemy} source - Enemy that attacked
+   * @param {boolean} isCrit - Whether the attack was a critical hit
    */
-  handleMageAbility(hero, abilityIndex) {
-    try {
-      // Ensure hero has necessary methods
-      if (!hero || !hero.abilities || !this.game || !this.game.state) return;
-
-      const ability = hero.abilities[abilityIndex];
-      if (!ability) return;
-
-      switch (abilityIndex) {
-        case 0: // Fireball
-          // Get position in front of mage
-          if (hero.position && hero.rotation) {
-            const targetPosition = hero.position.clone().add(
-              new THREE.Vector3(0, 0, -5).applyEuler(new THREE.Euler(0, hero.rotation.y, 0))
-            );
+  applyEnemyHit(hero, damage, source, isCrit = false) {
+    const textPosition = hero.position.clone().add(new THREE.Vector3(0, 1, 0));
 
-            // Create fireball
-            if (typeof hero.fireball === 'function' && this.game.state.enemies) {
-              const fireballData = hero.fireball(targetPosition, this.game.state.enemies);
-
-              // Create projectile
-              this.createProjectile({
-                position: fireballData.startPosition,
-                direction: fireballData.direction,
-                speed: fireballData.speed,
-                damage: fireballData.damage,
-                aoeRadius: fireballData.radius,
-                color: ability.effectColor,
-                owner: hero,
-                lifetime: 5
-              });
-            }
-          }
-          break;
-
-        case 1: // Frost Nova
-          // Apply frost nova
-          if (typeof hero.frostNova === 'function' && this.game.state.enemies) {
-            const hitEnemies = hero.frostNova(this.game.state.enemies);
-
-            // Create area effect
-            this.createAreaEffect({
-              position: hero.position.clone(),
-              radius: hero.upgradeStats.range.value,
-              duration: 1,
-              color: ability.effectColor,
-              owner: hero
-            });
-          }
-          break;
-
-        case 2: // Arcane Missiles
-          // Find closest enemy
-          let closestEnemy = this.getClosestEnemy(hero.position, hero.upgradeStats.range.value);
-
-          if (closestEnemy && typeof hero.arcaneMissiles === 'function') {
-            // Get missiles data
-            const missilesData = hero.arcaneMissiles(closestEnemy);
-
-            // Create missiles
-            if (missilesData) {
-              // Function to create a single missile with delay
-              const createMissile = (index) => {
-                // Create projectile
-                this.createProjectile({
-                  position: hero.position.clone().add(new THREE.Vector3(0, 0.5, 0)),
-                  direction: new THREE.Vector3().subVectors(closestEnemy.position, hero.position).normalize(),
-                  speed: 0.15,
-                  damage: missilesData.damagePerMissile,
-                  color: ability.effectColor,
-                  owner: hero,
-                  lifetime: 3
-                });
-
-                // Create next missile with delay
-                if (index < missilesData.missileCount - 1) {
-                  setTimeout(() => {
-                    createMissile(index + 1);
-                  }, missilesData.missileDelay);
-                }
-              };
-
-              // Start creating missiles
-              createMissile(0);
-            }
-          }
-          break;
-
-        case 3: // Mana Shield
-          // Apply buff to hero
-          if (typeof hero.manaShield === 'function' && typeof hero.applyBuff === 'function') {
-            const shieldData = hero.manaShield();
-            hero.applyBuff({
-              name: shieldData.name,
-              duration: shieldData.duration,
-              damageConversion: shieldData.damageConversion,
-              effectColor: ability.effectColor
-            });
-          }
-          break;
+    if (Math.random() < hero.getDodgeChance()) {
+      this.createFloatingText('Dodged!', textPosition, 0x1e90ff);
+      return;
+    }
+
+    const actualDamage = hero.takeDamage(damage, source);
+
+    this.createFloatingText(
+      isCrit ? `CRIT! -${actualDamage}` : `-${actualDamage}`,
+      textPosition,
+      0xff0000
+    );
+  }
+
+  /**
+   * Deal a hero's ability damage (effects, projectiles and areas) to an enemy
+   * In multiplayer the server owns the enemies, so the local hero's hits are
+   * sent to it as ability_hit, checked against the ability that dealt them,
+   * and come back to every player as enemy_damaged.
+   * @param {Enemy} enemy - Enemy hit
+   * @param {number} damage - Damage amount
+   * @param {Hero} source - Hero whose ability hit
+   * @param {Ability} ability - Ability that dealt the damage
+   * @param {boolean} isCrit - Whether to show the hit as critical
+   * @returns {number} Damage dealt here (0 when sent to the server)
+   */
+  damageEnemy(enemy, damage, source, ability = null, isCrit = false) {
+    const network = this.game.networkManager;
+
+    if (network && network.connected && network.roomId) {
+      if (source === this.game.state.hero) {
+        network.sendAbilityHit(enemy.id, Math.round(damage), source.abilities.indexOf(ability));
       }
-    } catch (error) {
-      this.logger.error('Error handling mage ability:', error);
+      return 0;
     }
+
+    return enemy.takeDamage(damage, source, isCrit);
+  }
+
+  /**
+   * Apply a status from a hero's ability (effects and zones) to an enemy
+   * In multiplayer the local hero's statuses are also sent to the server as
+   * ability_status, which works out their strength from the ability and
+   * slows the enemy for every player.
+   * @param {Enemy} enemy - Enemy affected
+   * @param {Object} effect - Effect data (see Enemy.applyEffect)
+   * @param {Ability} ability - Ability that applied the status
+   */
+  applyAbilityEffect(enemy, effect, ability = null) {
+    const network = this.game.networkManager;
+
+    if (network && network.connected && network.roomId && effect.source === this.game.state.hero) {
+      network.sendAbilityStatus(enemy.id, effect.type, effect.source.abilities.indexOf(ability));
+    }
+
+    enemy.applyEffect(effect);
   }
 
   /**
@@ -1434,8 +1340,8 @@ export class CombatSystem {
       let closestDistance = maxDistance;
 
       this.game.state.enemies.forEach(enemy => {
-        // Skip invalid enemies
-        if (!enemy || !enemy.position) return;
+        // Skip invalid and dying enemies
+        if (!enemy || !enemy.position || enemy.deathAnimationStarted) return;
 
         const distance = position.distanceTo(enemy.position);
         if (distance < closestDistance) {
@@ -1465,8 +1371,8 @@ export class CombatSystem {
       }
 
       return this.game.state.enemies.filter(enemy => {
-        // Skip invalid enemies
-        if (!enemy || !enemy.position) return false;
+        // Skip invalid and dying enemies
+        if (!enemy || !enemy.position || enemy.deathAnimationStarted) return false;
 
         return position.distanceTo(enemy.position) <= range;
       });
@@ -0,0 +1,541 @@
+import * as THREE from 'three';
+
+import { Logger } from '../../utils/Logger.js';
+import { CONFIG } from '../../config/GameConfig.js';
+
+// Half the size of the 50x50 ground plane - move orders are clamped to it
+
+// Abilities of these types are aimed with the mouse before they are cast
+const TARGETED_ABILITY_TYPES = ['projectile', 'zone', 'single'];
+
+// Enemies within this distance of a single-target line are on it
+const LINE_HALF_WIDTH = 0.75;
+
+// Line colour when nothing is lined up
+const NO_TARGET_COLOR = 0x888888;
+
+const MOUSE_BUTTONS = {
+  LEFT: 0,
+  RIGHT: 2
+};
+
+/**
+ * Turns mouse and keyboard input into hero orders
+ * Left-click on the ground moves the hero, left-click on an enemy force-targets it,
+ * and right-click cancels both. Ability hotkeys come from game.keyBindings.
+ *
+ * Projectile, zone and single-target abilities enter a targeting mode first: a
+ * reticle follows the cursor and the next left-click casts the ability there.
+ * Escape or right-click cancels targeting.
+ *
+ * While a tower is being placed (see TowerSystem) left-click builds it and
+ * right-click or Escape puts it away; left-clicking a tower selects it.
+ */
+export class ControlSystem {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = new Logger('ControlSystem');
+
+    // Horizontal plane at ground level, used to turn clicks into world positions
+    this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+    // Ring shown at the current move destination
+    this.moveMarker = null;
+
+    // Ability being aimed ({index, ability, shape, ...}) and its reticle
+    this.targeting = null;
+    this.reticle = null;
+
+    // Bind methods to maintain context
+    this.onMouseDown = this.onMouseDown.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+
+    this.logger.debug('Control system created');
+  }
+
+  /**
+   * Start listening for mouse and keyboard input
+   */
+  initialize() {
+    this.game.inputManager.events.on('mousedown', this.onMouseDown);
+    this.game.inputManager.events.on('keydown', this.onKeyDown);
+    this.logger.info('Control system initialized');
+  }
+
+  /**
+   * Handle a mouse click in the game view
+   * @param {Object} data - mousedown data from InputManager (button, normalized)
+   */
+  onMouseDown(data) {
+    const hero = this.game.state.hero;
+    if (!hero || !this.game.state.gameActive) return;
+
+    try {
+      // Clicks while aiming confirm or cancel the ability instead of giving orders
+      if (this.targeting) {
+        if (data.button === MOUSE_BUTTONS.LEFT) {
+          this.confirmTargeting();
+        } else if (data.button === MOUSE_BUTTONS.RIGHT) {
+          this.cancelTargeting();
+        }
+        return;
+      }
+
+      // Same for clicks while placing a tower
+      const towerSystem = this.game.towerSystem;
+      if (towerSystem.placing) {
+        if (data.button === MOUSE_BUTTONS.LEFT && data.normalized) {
+          towerSystem.confirmPlacing(this.pickGround(this.game.sceneManager.createRaycaster(data.normalized)));
+        } else if (data.button === MOUSE_BUTTONS.RIGHT) {
+          towerSystem.cancelPlacing();
+        }
+        return;
+      }
+
+      if (data.button === MOUSE_BUTTONS.RIGHT) {
+        hero.stop();
+        this.hideMoveMarker();
+        return;
+      }
+
+      if (data.button !== MOUSE_BUTTONS.LEFT || !data.normalized) return;
+
+      const raycaster = this.game.sceneManager.createRaycaster(data.normalized);
+
+      // Enemies take priority over the ground beneath them
+      const enemy = this.pickEnemy(raycaster);
+      if (enemy) {
+        hero.setTarget(enemy);
+        this.hideMoveMarker();
+        this.logger.debug(`Targeting enemy ${enemy.id}`);
+        return;
+      }
+
+      // Towers are selected rather than walked to
+      const tower = towerSystem.pickTower(raycaster);
+      if (tower || towerSystem.selected) {
+        towerSystem.selectTower(tower);
+      }
+      if (tower) return;
+
+      const point = this.pickGround(raycaster);
+      if (point) {
+        hero.clearTarget();
+        hero.moveTo(new THREE.Vector3(point.x, hero.position.y, point.z));
+        this.showMoveMarker(point);
+        this.logger.debug(`Moving hero to (${point.x.toFixed(2)}, ${point.z.toFixed(2)})`);
+      }
+    } catch (error) {
+      this.logger.error('Error handling mouse input:', error);
+    }
+  }
+
+  /**
+   * Cast the ability bound to a pressed key
+   * @param {Object} data - keydown data from InputManager
+   */
+  onKeyDown(data) {
+    const hero = this.game.state.hero;
+    if (!hero || !this.game.state.gameActive) return;
+
+    if (data.key === 'escape' && this.targeting) {
+      this.cancelTargeting();
+      return;
+    }
+
+    if (data.key === 'escape' && this.game.towerSystem.placing) {
+      this.game.towerSystem.cancelPlacing();
+      return;
+    }
+
+    // Modifier combos belong to other shortcuts (Ctrl+Q/E/U change render quality),
+    // and keys typed into chat aren't commands
+    if (data.ctrl || data.alt || data.meta || data.inInput || data.repeat) return;
+
+    const index = this.game.keyBindings.getAbilityIndex(data.key);
+    if (index === -1) return;
+
+    try {
+      this.castAbility(index);
+    } catch (error) {
+      this.logger.error(`Error using ability ${index}:`, error);
+    }
+  }
+
+  /**
+   * Cast an ability, or start aiming it if it needs a target
+   * Used by hotkeys and by clicks on the ability bar.
+   * @param {number} index - Ability index
+   * @returns {boolean} True if the ability was cast or targeting started
+   */
+  castAbility(index) {
+    const hero = this.game.state.hero;
+    if (!hero || !hero.abilities[index]) return false;
+
+    // Pressing the same ability again puts it away
+    if (this.targeting && this.targeting.index === index) {
+      this.cancelTargeting();
+      return false;
+    }
+
+    this.cancelTargeting();
+
+    const ability = hero.abilities[index];
+    if (TARGETED_ABILITY_TYPES.includes(ability.type) && !(hero.abilityCooldowns[index] > 0)) {
+      this.startTargeting(index);
+      return true;
+    }
+
+    return hero.useAbility(index);
+  }
+
+  /**
+   * Start aiming an ability
+   * @param {number} index - Ability index
+   */
+  startTargeting(index) {
+    const hero = this.game.state.hero;
+    const ability = hero.abilities[index];
+
+    this.game.towerSystem.cancelPlacing();
+
+    const shape = ability.type === 'single' ? 'line' : 'ring';
+
+    this.targeting = {
+      index: index,
+      ability: ability,
+      shape: shape,
+      radius: ability.aoeRadius || 1,
+      length: hero.upgradeStats.range.value * (ability.rangeMultiplier || 1),
+      point: null,  // Ground position under the reticle
+      enemy: null   // Enemy on the line (single-target only)
+    };
+
+    this.reticle = shape === 'ring'
+      ? this.createRingReticle(this.targeting.radius, ability.effectColor)
+      : this.createLineReticle(this.targeting.length);
+
+    this.updateTargeting();
+
+    this.logger.debug(`Aiming ${ability.name}`);
+  }
+
+  /**
+   * Move the reticle to the cursor and work out what the ability would hit
+   */
+  updateTargeting() {
+    const targeting = this.targeting;
+    const hero = this.game.state.hero;
+    if (!targeting || !hero) return;
+
+    const raycaster = this.game.sceneManager.createRaycaster(this.game.inputManager.getMousePosition());
+    const point = this.pickGround(raycaster);
+    if (!point) return;
+
+    const origin = new THREE.Vector3(hero.position.x, 0, hero.position.z);
+    const offset = new THREE.Vector3(point.x - origin.x, 0, point.z - origin.z);
+
+    if (targeting.shape === 'ring') {
+      // Zones and projectiles land where the cursor is, up to the cast distance
+      const maxDistance = CONFIG.controls.maxCastDistance;
+      if (offset.length() > maxDistance) {
+        offset.setLength(maxDistance);
+      }
+
+      targeting.point = origin.clone().add(offset);
+      this.reticle.position.set(targeting.point.x, 0.04, targeting.point.z);
+      return;
+    }
+
+    // Single-target: aim at the hovered enemy if it's in reach, otherwise along the cursor
+    const hovered = this.pickEnemy(raycaster);
+    if (hovered && origin.distanceTo(new THREE.Vector3(hovered.position.x, 0, hovered.position.z)) <= targeting.length) {
+      offset.set(hovered.position.x - origin.x, 0, hovered.position.z - origin.z);
+    }
+
+    if (offset.lengthSq() === 0) {
+      offset.set(0, 0, -1); // Up the lane
+    }
+
+    const direction = offset.normalize();
+
+    targeting.enemy = this.getEnemyOnLine(origin, direction, targeting.length);
+    targeting.point = targeting.enemy
+      ? targeting.enemy.position.clone()
+      : origin.clone().add(direction.clone().multiplyScalar(targeting.length));
+
+    this.reticle.position.set(origin.x, 0.04, origin.z);
+    this.reticle.rotation.y = Math.atan2(direction.x, direction.z);
+    this.reticle.userData.material.color.setHex(
+      targeting.enemy ? targeting.ability.effectColor : NO_TARGET_COLOR
+    );
+  }
+
+  /**
+   * Cast the ability being aimed at the reticle
+   * @returns {boolean} True if the ability was cast
+   */
+  confirmTargeting() {
+    const targeting = this.targeting;
+    const hero = this.game.state.hero;
+    if (!targeting || !hero) return false;
+
+    this.updateTargeting();
+
+    // A single-target ability needs something on the line - keep aiming
+    if (targeting.shape === 'line' && !targeting.enemy) return false;
+    if (!targeting.point) return false;
+
+    const target = {
+      position: new THREE.Vector3(targeting.point.x, hero.position.y, targeting.point.z),
+      enemy: targeting.enemy
+    };
+
+    this.cancelTargeting();
+
+    return hero.useAbility(targeting.index, target);
+  }
+
+  /**
+   * Stop aiming and remove the reticle
+   */
+  cancelTargeting() {
+    if (!this.targeting) return;
+
+    this.targeting = null;
+
+    if (this.reticle) {
+      this.game.sceneManager.removeFromScene(this.reticle);
+      this.reticle.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+      });
+      this.reticle = null;
+    }
+  }
+
+  /**
+   * Find the enemy nearest the hero along a line
+   * @param {THREE.Vector3} origin - Start of the line (on the ground)
+   * @param {THREE.Vector3} direction - Normalized direction of the line
+   * @param {number} length - Length of the line
+   * @returns {Enemy|null} First enemy on the line
+   */
+  getEnemyOnLine(origin, direction, length) {
+    let closest = null;
+    let closestAlong = Infinity;
+
+    this.game.state.enemies.forEach(enemy => {
+      if (!enemy || !enemy.position || enemy.deathAnimationStarted) return;
+
+      const offset = new THREE.Vector3(enemy.position.x - origin.x, 0, enemy.position.z - origin.z);
+      const along = offset.dot(direction);
+      if (along < 0 || along > length) return;
+
+      const across = Math.sqrt(Math.max(0, offset.lengthSq() - along * along));
+      if (across <= LINE_HALF_WIDTH + 0.5 * (enemy.scale || 1) && along < closestAlong) {
+        closestAlong = along;
+        closest = enemy;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Create the ring reticle for area abilities
+   * @param {number} radius - Area radius
+   * @param {number} color - Ability colour
+   * @returns {THREE.Group} Reticle
+   */
+  createRingReticle(radius, color) {
+    const reticle = new THREE.Group();
+
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(Math.max(0, radius - 0.08), radius, 48),
+      new THREE.MeshBasicMaterial({ color: color, transparent: true, opacity: 0.9, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+
+    const fill = new THREE.Mesh(
+      new THREE.CircleGeometry(radius, 48),
+      new THREE.MeshBasicMaterial({ color: color, transparent: true, opacity: 0.2, side: THREE.DoubleSide })
+    );
+    fill.rotation.x = -Math.PI / 2;
+
+    reticle.add(ring);
+    reticle.add(fill);
+
+    this.game.sceneManager.addToScene(reticle, 'effects');
+
+    return reticle;
+  }
+
+  /**
+   * Create the line reticle for single-target abilities
+   * The group sits on the hero and is rotated to aim; the line runs along its +Z axis.
+   * @param {number} length - Line length
+   * @returns {THREE.Group} Reticle
+   */
+  createLineReticle(length) {
+    const reticle = new THREE.Group();
+
+    const material = new THREE.MeshBasicMaterial({
+      color: NO_TARGET_COLOR,
+      transparent: true,
+      opacity: 0.5,
+      side: THREE.DoubleSide
+    });
+
+    const line = new THREE.Mesh(new THREE.PlaneGeometry(LINE_HALF_WIDTH * 2, length), material);
+    line.rotation.x = -Math.PI / 2;
+    line.position.z = length / 2;
+
+    reticle.add(line);
+    reticle.userData.material = material;
+
+    this.game.sceneManager.addToScene(reticle, 'effects');
+
+    return reticle;
+  }
+
+  /**
+   * Find the enemy under the cursor
+   * @param {THREE.Raycaster} raycaster - Raycaster from the camera through the cursor
+   * @returns {Enemy|null} Closest enemy hit, or null
+   */
+  pickEnemy(raycaster) {
+    const enemies = this.game.state.enemies.filter(enemy => enemy.mesh && !enemy.deathAnimationStarted);
+    if (enemies.length === 0) return null;
+
+    const intersects = raycaster.intersectObjects(enemies.map(enemy => enemy.mesh), true);
+
+    for (const intersect of intersects) {
+      // Health bars and effect visuals are children of the enemy mesh
+      for (let object = intersect.object; object; object = object.parent) {
+        const enemy = enemies.find(e => e.mesh === object);
+        if (enemy) return enemy;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the ground position under the cursor
+   * @param {THREE.Raycaster} raycaster - Raycaster from the camera through the cursor
+   * @returns {THREE.Vector3|null} Point on the ground, or null if the ray misses it
+   */
+  pickGround(raycaster) {
+    const point = new THREE.Vector3();
+    if (!raycaster.ray.intersectPlane(this.groundPlane, point)) return null;
+
+    // Keep the point on the map's ground
+    const halfWidth = this.game.map.ground.width / 2;
+    const halfDepth = this.game.map.ground.depth / 2;
+    point.x = THREE.MathUtils.clamp(point.x, -halfWidth, halfWidth);
+    point.z = THREE.MathUtils.clamp(point.z, -halfDepth, halfDepth);
+
+    return point;
+  }
+
+  /**
+   * Create the move destination marker
+   * @returns {THREE.Mesh} Marker mesh
+   */
+  createMoveMarker() {
+    const geometry = new THREE.RingGeometry(0.3, 0.45, 24);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x00ff66,
+      transparent: true,
+      opacity: 0.8,
+      side: THREE.DoubleSide
+    });
+
+    const marker = new THREE.Mesh(geometry, material);
+    marker.rotation.x = -Math.PI / 2;
+    marker.visible = false;
+
+    this.game.sceneManager.addToScene(marker, 'effects');
+
+    return marker;
+  }
+
+  /**
+   * Show the move marker at a ground position
+   * @param {THREE.Vector3} point - Destination on the ground
+   */
+  showMoveMarker(point) {
+    if (!this.moveMarker) {
+      this.moveMarker = this.createMoveMarker();
+    }
+
+    this.moveMarker.position.set(point.x, 0.03, point.z); // Just above the path
+    this.moveMarker.scale.set(1, 1, 1);
+    this.moveMarker.visible = true;
+  }
+
+  /**
+   * Hide the move marker
+   */
+  hideMoveMarker() {
+    if (this.moveMarker) {
+      this.moveMarker.visible = false;
+    }
+  }
+
+  /**
+   * Update the targeting reticle and the move marker
+   * @param {number} delta - Time since last update in seconds
+   */
+  update(delta) {
+    // Keep the reticle under the cursor
+    if (this.targeting) {
+      if (!this.game.state.hero || !this.game.state.gameActive) {
+        this.cancelTargeting();
+      } else {
+        this.updateTargeting();
+      }
+    }
+
+    if (!this.moveMarker || !this.moveMarker.visible) return;
+
+    // Hide once the hero arrives or is given another order
+    const hero = this.game.state.hero;
+    if (!hero || !hero.targetPosition || hero.targetEnemy) {
+      this.hideMoveMarker();
+      return;
+    }
+
+    // Gentle pulse while the hero is on the way
+    const pulse = 1 + 0.15 * Math.sin(Date.now() / 150);
+    this.moveMarker.scale.set(pulse, pulse, pulse);
+  }
+
+  /**
+   * Reset the control system
+   */
+  reset() {
+    this.cancelTargeting();
+    this.hideMoveMarker();
+  }
+
+  /**
+   * Stop listening for input and remove the marker
+   */
+  dispose() {
+    this.game.inputManager.events.off('mousedown', this.onMouseDown);
+    this.game.inputManager.events.off('keydown', this.onKeyDown);
+    this.cancelTargeting();
+
+    if (this.moveMarker) {
+      this.game.sceneManager.removeFromScene(this.moveMarker);
+      this.moveMarker.geometry.dispose();
+      this.moveMarker.material.dispose();
+      this.moveMarker = null;
+    }
+  }
+}
@@ -0,0 +1,309 @@
+import * as THREE from 'three';
+
+import { Logger } from '../../utils/Logger.js';
+import { CONFIG } from '../../config/GameConfig.js';
+import { abilityEffects } from '../../components/ability/AbilityEffects.js';
+import {
+  itemTypes,
+  itemRules,
+  getItem,
+  getItemSellValue,
+  checkItemPurchase
+} from '../../shared/Items.js';
+
+/**
+ * Runs the item shop and the local hero's inventory
+ * Items are bought and sold between waves (see shared/Items.js). Their stats
+ * go on the hero as permanent buffs, their ability changes onto its abilities,
+ * and their on-hit effects run here whenever one of the hero's attacks lands.
+ * In multiplayer each purchase and sale is also sent to the server, which
+ * checks it against the player's gold and applies item stats to their attacks.
+ */
+export class ItemSystem {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = new Logger('ItemSystem');
+
+    // Carried items in slot order ({id, type})
+    this.inventory = [];
+    this.nextItemId = 1;
+
+    this.game.events.on('heroAttack', data => this.handleHeroAttack(data));
+
+    // The shop opens between waves
+    this.game.events.on('waveCompleted', () => this.game.uiManager.showItemShop());
+    this.game.events.on('waveStarted', () => this.game.uiManager.hideItemShop());
+
+    this.logger.debug('Item system created');
+  }
+
+  /**
+   * Get the carried item types
+   * @returns {Array<string>} Item types in slot order
+   */
+  getInventory() {
+    return this.inventory.map(item => item.type);
+  }
+
+  /**
+   * Work out why an item can't be bought
+   * @param {string} type - Item type
+   * @returns {string|null} Reason, or null if it can be bought
+   */
+  getPurchaseError(type) {
+    if (!this.game.state.hero) return 'no_hero';
+    if (this.game.state.waveInProgress) return 'wave_in_progress';
+
+    const error = checkItemPurchase(this.getInventory(), type);
+    if (error) return error;
+
+    if (this.game.state.gold < getItem(type).cost) return 'insufficient_gold';
+
+    return null;
+  }
+
+  /**
+   * Buy an item and equip it
+   * @param {string} type - Item type
+   * @returns {boolean} True if the item was bought
+   */
+  buyItem(type) {
+    const error = this.getPurchaseError(type);
+    if (error) {
+      this.logger.debug(`Can't buy ${type}: ${error}`);
+      return false;
+    }
+
+    const cost = getItem(type).cost;
+    this.spendGold(cost);
+    this.addItem(type);
+
+    // Keep the server's copy of the hero in sync
+    if (this.game.networkManager) {
+      this.game.networkManager.sendItemChange('buy', type);
+    }
+
+    this.logger.info(`Bought ${itemTypes[type].name}`);
+    this.game.events.emit('itemBought', { type, cost });
+
+    return true;
+  }
+
+  /**
+   * Sell a carried item for part of its price
+   * @param {number} slot - Inventory slot
+   * @returns {boolean} True if the item was sold
+   */
+  sellItem(slot) {
+    const item = this.inventory[slot];
+    if (!item || !this.game.state.hero) return false;
+
+    if (this.game.state.waveInProgress) {
+      this.logger.debug(`Can't sell ${item.type}: wave_in_progress`);
+      return false;
+    }
+
+    const refund = getItemSellValue(item.type);
+    this.removeItem(slot);
+    this.spendGold(-refund);
+
+    if (this.game.networkManager) {
+      this.game.networkManager.sendItemChange('sell', item.type);
+    }
+
+    this.logger.info(`Sold ${itemTypes[item.type].name} for ${refund} gold`);
+    this.game.events.emit('itemSold', { type: item.type, refund });
+
+    return true;
+  }
+
+  /**
+   * Put an item in the next slot and apply it to the hero
+   * @param {string} type - Item type
+   */
+  addItem(type) {
+    const item = { id: `item_${this.nextItemId++}`, type: type };
+    this.inventory.push(item);
+    this.equip(item);
+
+    this.game.uiManager.updateItemShop();
+  }
+
+  /**
+   * Take an item out of its slot and off the hero
+   * @param {number} slot - Inventory slot
+   */
+  removeItem(slot) {
+    const [item] = this.inventory.splice(slot, 1);
+    this.unequip(item);
+
+    this.game.uiManager.updateItemShop();
+  }
+
+  /**
+   * Apply an item's stats and ability changes to the hero
+   * @param {Object} item - Carried item ({id, type})
+   */
+  equip(item) {
+    const hero = this.game.state.hero;
+    const definition = getItem(item.type);
+
+    try {
+      if (definition.stats) {
+        hero.applyBuff({
+          id: item.id,
+          name: definition.name,
+          duration: Infinity, // Lasts until the item is sold
+          ...definition.stats
+        });
+
+        // Extra maximum health comes filled, like a health upgrade
+        if (definition.stats.maxHealth) {
+          hero.heal(definition.stats.maxHealth, hero.getMaxHealth(CONFIG.upgrades));
+        }
+      }
+
+      if (definition.abilities) {
+        hero.abilities.forEach(ability => ability.applyModifiers(definition.abilities));
+      }
+    } catch (error) {
+      this.logger.error(`Error equipping ${item.type}:`, error);
+    }
+  }
+
+  /**
+   * Take an item's stats and ability changes back off the hero
+   * @param {Object} item - Carried item ({id, type})
+   */
+  unequip(item) {
+    const hero = this.game.state.hero;
+    const definition = getItem(item.type);
+
+    try {
+      hero.removeBuff(item.id);
+
+      // Lost maximum health can't leave the hero above the new maximum
+      if (definition.stats && definition.stats.maxHealth) {
+        const maxHealth = hero.getMaxHealth(CONFIG.upgrades);
+        if (hero.upgradeStats.health.value > maxHealth) {
+          const lost = hero.upgradeStats.health.value - maxHealth;
+          hero.upgradeStats.health.value = maxHealth;
+          hero.events.emit('healthChanged', { amount: -lost, source: 'item' });
+        }
+      }
+
+      if (definition.abilities) {
+        hero.abilities.forEach(ability => ability.applyModifiers(definition.abilities, true));
+      }
+    } catch (error) {
+      this.logger.error(`Error unequipping ${item.type}:`, error);
+    }
+  }
+
+  /**
+   * Run the carried items' on-hit effects when the local hero's attack lands
+   * @param {Object} data - heroAttack event data (heroId, targetId, damage)
+   */
+  handleHeroAttack(data) {
+    const hero = this.game.state.hero;
+    if (!hero || data.heroId !== hero.id || this.inventory.length === 0) return;
+
+    const enemy = this.game.state.enemies.find(other => other.id === data.targetId);
+
+    try {
+      this.inventory.forEach(item => {
+        const onHit = getItem(item.type).onHit;
+        if (!onHit) return;
+
+        if (onHit.lifesteal) {
+          this.applyLifesteal(hero, data.damage * onHit.lifesteal);
+        }
+
+        if (onHit.chainLightning && enemy && Math.random() < onHit.chainLightning.chance) {
+          this.castChainLightning(hero, enemy, onHit.chainLightning);
+        }
+      });
+    } catch (error) {
+      this.logger.error('Error running on-hit item effects:', error);
+    }
+  }
+
+  /**
+   * Heal the hero for part of the damage it dealt
+   * @param {Hero} hero - Local hero
+   * @param {number} amount - Health to restore
+   */
+  applyLifesteal(hero, amount) {
+    const healed = hero.heal(amount, hero.getMaxHealth(CONFIG.upgrades));
+
+    if (healed > 0) {
+      this.game.combatSystem.createFloatingText(
+        `+${healed}`,
+        hero.position.clone().add(new THREE.Vector3(0, 1, 0)),
+        0x00ff00
+      );
+    }
+  }
+
+  /**
+   * Send lightning jumping on from an enemy the hero hit
+   * Runs the chain ability effect, starting from the enemy hit.
+   * @param {Hero} hero - Local hero
+   * @param {Enemy} enemy - Enemy the attack hit
+   * @param {Object} lightning - damageMultiplier, jumps, range and color
+   */
+  castChainLightning(hero, enemy, lightning) {
+    const context = {
+      game: this.game,
+      caster: hero,
+      ability: { name: 'Chain Lightning', effectColor: lightning.color },
+      target: null,
+      targets: [enemy]
+    };
+
+    abilityEffects.chain(context, {
+      type: 'chain',
+      multiplier: lightning.damageMultiplier,
+      jumps: lightning.jumps,
+      range: lightning.range
+    });
+  }
+
+  /**
+   * Put saved items back on a fresh hero without charging gold
+   * @param {Array<string>} types - Item types in slot order
+   */
+  restoreItems(types = []) {
+    this.reset();
+
+    types.slice(0, itemRules.inventorySlots).forEach(type => {
+      if (getItem(type)) {
+        this.addItem(type);
+      }
+    });
+
+    this.logger.info('Restored saved items');
+  }
+
+  /**
+   * Change the player's gold (negative amounts give gold back)
+   * @param {number} amount - Gold spent
+   */
+  spendGold(amount) {
+    this.game.state.gold -= amount;
+    this.game.uiManager.updateGoldUI(this.game.state.gold);
+  }
+
+  /**
+   * Empty the inventory (the hero it was applied to is replaced on reset)
+   */
+  reset() {
+    this.inventory = [];
+    this.nextItemId = 1;
+
+    this.game.uiManager.updateItemShop();
+  }
+}
@@ -0,0 +1,72 @@
+import { Logger } from '../../utils/Logger.js';
+import { CONFIG } from '../../config/GameConfig.js';
+import { getEnemyXp } from '../../shared/HeroLeveling.js';
+
+/**
+ * Levels up the local hero during a run
+ * Every enemy that dies gives the hero XP (see shared/HeroLeveling.js); each
+ * level raises its stats and gives an ability point to spend on the ability bar.
+ * In multiplayer the server awards the XP and the hero is kept in step with it.
+ */
+export class LevelingSystem {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = new Logger('LevelingSystem');
+
+    this.game.events.on('enemyDied', data => this.handleEnemyDied(data));
+
+    this.logger.debug('Leveling system created');
+  }
+
+  /**
+   * Give the hero XP for an enemy dying
+   * @param {Object} data - enemyDied event data (value is the enemy's gold value)
+   */
+  handleEnemyDied(data) {
+    const hero = this.game.state.hero;
+    if (!hero || !this.game.state.gameActive) return;
+
+    try {
+      hero.gainExperience(getEnemyXp(data.value), CONFIG.upgrades);
+    } catch (error) {
+      this.logger.error('Error awarding hero XP:', error);
+    }
+  }
+
+  /**
+   * Bring the hero's XP up to the server's total in multiplayer
+   * The server awards XP for enemies dying in the room, so the hero gains the
+   * difference here and levels up just as it would solo.
+   * @param {number} experience - Hero's total XP on the server
+   */
+  syncExperience(experience) {
+    const hero = this.game.state.hero;
+    if (!hero) return;
+
+    try {
+      hero.gainExperience(experience - hero.experience, CONFIG.upgrades);
+    } catch (error) {
+      this.logger.error('Error syncing hero XP:', error);
+    }
+  }
+
+  /**
+   * Spend an ability point on one of the hero's abilities
+   * @param {number} abilityIndex - Index of the ability
+   * @returns {boolean} True if the ability levelled up
+   */
+  levelUpAbility(abilityIndex) {
+    const hero = this.game.state.hero;
+    if (!hero) return false;
+
+    const success = hero.levelUpAbility(abilityIndex);
+    if (success) {
+      this.logger.info(`${hero.abilities[abilityIndex].name} is now level ${hero.abilities[abilityIndex].level}`);
+    }
+
+    return success;
+  }
+}
@@ -44,12 +44,9 @@ export class RenderSystem {
       return;
     }
 
-    // Configure renderer
+    // Configure renderer (the map loader builds the environment)
     this.configureRenderer();
 
-    // Add environmental elements
-    this.createEnvironment();
-
     this.logger.info('Render system initialized');
   }
 
@@ -72,177 +69,6 @@ export class RenderSystem {
     this.renderer.outputColorSpace = THREE.SRGBColorSpace;
   }
 
-  /**
-   * Create environment elements (ground, skybox, etc.)
-   */
-  createEnvironment() {
-    // Create ground plane
-    const groundGeometry = new THREE.PlaneGeometry(50, 50);
-    const groundMaterial = new THREE.MeshStandardMaterial({
-      color: 0x333333,
-      roughness: 0.8,
-      metalness: 0.2
-    });
-
-    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-    ground.rotation.x = -Math.PI / 2;
-    ground.position.y = 0;
-    ground.receiveShadow = true;
-
-    this.sceneManager.addToScene(ground, 'environment');
-
-    // Create path
-    this.createPath();
-
-    // Create ambient lighting
-    this.createLighting();
-  }
-
-  /**
-   * Create the game path from start to end
-   */
-  createPath() {
-    // Main path
-    const pathGeometry = new THREE.PlaneGeometry(5, 30);
-    const pathMaterial = new THREE.MeshStandardMaterial({
-      color: 0x555555,
-      roughness: 0.7,
-      metalness: 0.1
-    });
-
-    const path = new THREE.Mesh(pathGeometry, pathMaterial);
-    path.rotation.x = -Math.PI / 2;
-    path.position.set(0, 0.01, 0); // Slightly above ground to prevent z-fighting
-    path.receiveShadow = true;
-
-    this.sceneManager.addToScene(path, 'environment');
-
-    // Path edges
-    const edgeGeometry = new THREE.BoxGeometry(0.3, 0.1, 30);
-    const edgeMaterial = new THREE.MeshStandardMaterial({
-      color: 0x333333,
-      roughness: 0.5,
-      metalness: 0.5
-    });
-
-    // Left edge
-    const leftEdge = new THREE.Mesh(edgeGeometry, edgeMaterial);
-    leftEdge.position.set(-2.65, 0.05, 0);
-    leftEdge.receiveShadow = true;
-    leftEdge.castShadow = true;
-
-    // Right edge
-    const rightEdge = new THREE.Mesh(edgeGeometry, edgeMaterial);
-    rightEdge.position.set(2.65, 0.05, 0);
-    rightEdge.receiveShadow = true;
-    rightEdge.castShadow = true;
-
-    this.sceneManager.addToScene(leftEdge, 'environment');
-    this.sceneManager.addToScene(rightEdge, 'environment');
-
-    // Path markings
-    const markerGeometry = new THREE.PlaneGeometry(0.5, 1);
-    const markerMaterial = new THREE.MeshStandardMaterial({
-      color: 0xffffff,
-      roughness: 0.7,
-      metalness: 0.0
-    });
-
-    // Create markers along path
-    for (let z = -12; z <= 12; z += 4) {
-      const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-      marker.rotation.x = -Math.PI / 2;
-      marker.position.set(0, 0.02, z);
-      marker.receiveShadow = true;
-
-      this.sceneManager.addToScene(marker, 'environment');
-    }
-
-    // Start area
-    const startGeometry = new THREE.CircleGeometry(2.5, 32);
-    const startMaterial = new THREE.MeshStandardMaterial({
-      color: 0x00ff00,
-      roughness: 0.7,
-      metalness: 0.1,
-      transparent: true,
-      opacity: 0.3
-    });
-
-    const startArea = new THREE.Mesh(startGeometry, startMaterial);
-    startArea.rotation.x = -Math.PI / 2;
-    startArea.position.set(0, 0.02, -12);
-    startArea.receiveShadow = true;
-
-    this.sceneManager.addToScene(startArea, 'environment');
-
-    // End area
-    const endGeometry = new THREE.CircleGeometry(2.5, 32);
-    const endMaterial = new THREE.MeshStandardMaterial({
-      color: 0xff0000,
-      roughness: 0.7,
-      metalness: 0.1,
-      transparent: true,
-      opacity: 0.3
-    });
-
-    const endArea = new THREE.Mesh(endGeometry, endMaterial);
-    endArea.rotation.x = -Math.PI / 2;
-    endArea.position.set(0, 0.02, 12);
-    endArea.receiveShadow = true;
-
-    this.sceneManager.addToScene(endArea, 'environment');
-  }
-
-  /**
-   * Create scene lighting
-   */
-  createLighting() {
-    // Ambient light
-    const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
-    this.sceneManager.scene.add(ambientLight);
-
-    // Directional light (sun)
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(5, 15, 5);
-    directionalLight.castShadow = true;
-
-    directionalLight.shadow.mapSize.width = 1024; // Reduce from 2048 to 1024
-    directionalLight.shadow.mapSize.height = 1024; // Reduce from 2048 to 1024
-    directionalLight.shadow.camera.near = 0.5;
-    directionalLight.shadow.camera.far = 50;
-    directionalLight.shadow.camera.left = -15;
-    directionalLight.shadow.camera.right = 15;
-    directionalLight.shadow.camera.top = 15;
-    directionalLight.shadow.camera.bottom = -15;
-    directionalLight.shadow.bias = -0.0005; // Reduce shadow acne
-
-    // Add automatic shadow camera sizing
-    directionalLight.shadow.autoUpdate = false; // Only update shadows when needed
-
-    this.sceneManager.scene.add(directionalLight);
-
-    // Add a helper for the directional light (useful for debugging)
-    // const helper = new THREE.CameraHelper(directionalLight.shadow.camera);
-    // this.sceneManager.scene.add(helper);
-
-    // Add hemisphere light for better ambient lighting
-    const hemisphereLight = new THREE.HemisphereLight(0x87ceeb, 0x505050, 0.6);
-    this.sceneManager.scene.add(hemisphereLight);
-
-    // Add a point light at the hero position for better visibility
-    const heroLight = new THREE.PointLight(0xffffff, 0.5, 10);
-    heroLight.position.set(0, 5, 8);
-    heroLight.castShadow = true;
-
-    // Configure hero light shadow properties
-    heroLight.shadow.mapSize.width = 512;
-    heroLight.shadow.mapSize.height = 512;
-    heroLight.shadow.camera.near = 0.5;
-    heroLight.shadow.camera.far = 10;
-
-    this.sceneManager.scene.add(heroLight);
-  }
-
   /**
    * Create a floor grid
    * @param {number} size - Grid size
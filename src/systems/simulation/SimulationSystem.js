@@ -0,0 +1,276 @@
+import * as THREE from 'three';
+
+import { Logger } from '../../utils/Logger.js';
+import { Simulation } from '../../shared/simulation/Simulation.js';
+
+// Cap on catch-up steps per frame so a long stall doesn't freeze the game
+const MAX_STEPS_PER_FRAME = 10;
+
+/**
+ * Runs the shared simulation for solo play and keeps the THREE views in sync with it
+ * In multiplayer the server runs the simulation instead, so none is created here.
+ */
+export class SimulationSystem {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = new Logger('SimulationSystem');
+
+    // Leftover real time not yet consumed by fixed ticks (ms)
+    this.accumulator = 0;
+
+    this.logger.debug('Simulation system created');
+  }
+
+  /**
+   * Create a new simulation and register the local hero with it
+   * @param {Object} options - Simulation options (seed, tickMs, ...)
+   * @returns {Simulation} The new simulation
+   */
+  start(options = {}) {
+    const seed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 0xffffffff);
+
+    this.game.simulation = new Simulation({ ...options, seed });
+    this.accumulator = 0;
+
+    const hero = this.game.state.hero;
+    if (hero) {
+      this.game.simulation.addHero(hero.id, hero.getCombatStats());
+    }
+
+    this.logger.info(`Simulation started with seed ${seed}`);
+
+    return this.game.simulation;
+  }
+
+  /**
+   * Stop and discard the current simulation
+   */
+  stop() {
+    this.game.simulation = null;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Advance the simulation by as many fixed ticks as real time allows
+   * @param {number} delta - Time since last update in seconds
+   */
+  update(delta) {
+    const simulation = this.game.simulation;
+    if (!simulation) return;
+
+    try {
+      // Feed the hero's current position and stats into the simulation
+      const hero = this.game.state.hero;
+      if (hero) {
+        simulation.updateHero(hero.id, hero.getCombatStats());
+      }
+
+      this.accumulator += delta * 1000;
+
+      let steps = 0;
+      while (this.accumulator >= simulation.tickMs && steps < MAX_STEPS_PER_FRAME) {
+        simulation.step().forEach(event => this.handleEvent(event));
+        this.accumulator -= simulation.tickMs;
+        steps++;
+      }
+
+      // Drop the backlog after a stall instead of fast-forwarding
+      if (steps === MAX_STEPS_PER_FRAME) {
+        this.accumulator = 0;
+      }
+    } catch (error) {
+      this.logger.error('Error updating simulation:', error);
+    }
+  }
+
+  /**
+   * Apply a simulation event to the game state and views
+   * @param {Object} event - Event produced by Simulation.step()
+   */
+  handleEvent(event) {
+    switch (event.type) {
+      case 'waveStarted':
+        this.game.waveSystem.handleWaveStarted(event);
+        break;
+
+      case 'waveCompleted':
+        this.game.waveSystem.handleWaveCompleted(event);
+        break;
+
+      case 'enemySpawned':
+        this.handleEnemySpawned(event);
+        break;
+
+      case 'enemyDamaged': {
+        const enemy = this.getEnemyView(event.enemyId);
+        if (enemy) {
+          enemy.handleDamaged(event, this.getSource(event.sourceId));
+        }
+        break;
+      }
+
+      case 'enemyDied': {
+        const enemy = this.getEnemyView(event.enemyId);
+        if (enemy) {
+          enemy.handleDied(this.getSource(event.sourceId));
+        }
+        break;
+      }
+
+      case 'enemyLeaked':
+        this.handleEnemyLeaked(event);
+        break;
+
+      case 'enemyAuraChanged': {
+        const enemy = this.getEnemyView(event.enemyId);
+        if (enemy) {
+          enemy.setAuraBuff(event.sourceId !== null);
+        }
+        break;
+      }
+
+      case 'bossPhaseChanged':
+        this.game.bossSystem.handlePhaseChanged(event);
+        break;
+
+      case 'enemyShieldChanged':
+        this.game.bossSystem.handleShieldChanged(event);
+        break;
+
+      case 'bossSpecial':
+        this.game.bossSystem.handleSpecial(event);
+        break;
+
+      case 'bossDefeated':
+        this.game.bossSystem.handleBossDefeated(event);
+        break;
+
+      case 'enemyAttacked': {
+        const hero = this.game.state.hero;
+        const enemy = this.getEnemyView(event.enemyId);
+        if (hero && hero.id === event.heroId && enemy) {
+          enemy.handleAttack(hero, event);
+        }
+        break;
+      }
+
+      case 'heroAttacked': {
+        const hero = this.game.state.hero;
+        const enemy = this.getEnemyView(event.enemyId);
+        if (hero && hero.id === event.heroId && enemy) {
+          hero.handleAttack(enemy, event.damage, event.isCrit);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Create the view for a newly spawned enemy
+   * @param {Object} event - enemySpawned event
+   */
+  handleEnemySpawned(event) {
+    const enemy = this.game.waveSystem.enemyFactory.createEnemy(event.enemyType, {
+      id: event.enemyId,
+      position: new THREE.Vector3(event.position.x, event.position.y, event.position.z),
+      health: event.health,
+      value: event.value,
+      isBoss: event.isBoss,
+      entity: this.game.simulation.getEnemy(event.enemyId)
+    });
+
+    if (enemy) {
+      this.game.state.enemies.push(enemy);
+
+      if (enemy.isBoss) {
+        this.game.bossSystem.handleBossSpawned(enemy);
+      }
+    }
+  }
+
+  /**
+   * Create views for the enemies of a simulation loaded from a snapshot
+   */
+  restoreEnemyViews() {
+    const simulation = this.game.simulation;
+    if (!simulation) return;
+
+    simulation.enemies.forEach(entity => {
+      this.handleEnemySpawned({
+        enemyId: entity.id,
+        enemyType: entity.type,
+        position: entity.position,
+        health: entity.maxHealth,
+        value: entity.value,
+        isBoss: entity.isBoss
+      });
+
+      const enemy = this.getEnemyView(entity.id);
+      if (!enemy) return;
+
+      enemy.health = entity.health;
+      enemy.updateHealthBar();
+      enemy.setAuraBuff(entity.auraBuff !== null);
+
+      if (entity.phase > 0 || entity.shield > 0) {
+        enemy.handlePhaseChanged({
+          phase: entity.phase,
+          shield: entity.shield,
+          enraged: !!entity.enrage
+        });
+      }
+    });
+  }
+
+  /**
+   * Damage the hero and remove the view of an enemy that reached the end of the lane
+   * @param {Object} event - enemyLeaked event
+   */
+  handleEnemyLeaked(event) {
+    const enemy = this.getEnemyView(event.enemyId);
+    const hero = this.game.state.hero;
+
+    if (hero) {
+      hero.takeDamage(event.damage, enemy);
+
+      this.game.combatSystem.createFloatingText(
+        `-${event.damage}`,
+        hero.position.clone().add(new THREE.Vector3(0, 1, 0)),
+        0xff0000
+      );
+    }
+
+    if (enemy) {
+      this.game.sceneManager.removeFromScene(enemy.mesh);
+
+      const index = this.game.state.enemies.indexOf(enemy);
+      if (index !== -1) {
+        this.game.state.enemies.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Find the view for an enemy entity
+   * @param {string} enemyId - Enemy ID
+   * @returns {Enemy|undefined} Enemy view
+   */
+  getEnemyView(enemyId) {
+    return this.game.state.enemies.find(enemy => enemy.id === enemyId);
+  }
+
+  /**
+   * Resolve a simulation source ID to the object the views expect
+   * @param {string} sourceId - Source ID from a simulation event
+   * @returns {Object|null} The local hero, or an object carrying the ID
+   */
+  getSource(sourceId) {
+    if (!sourceId) return null;
+
+    const hero = this.game.state.hero;
+    return hero && hero.id === sourceId ? hero : { id: sourceId };
+  }
+}
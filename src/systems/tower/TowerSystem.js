@@ -0,0 +1,571 @@
+import * as THREE from 'three';
+
+import { Logger } from '../../utils/Logger.js';
+import { Tower } from '../../components/tower/Tower.js';
+import {
+  getTowerType,
+  getTowerStats,
+  getTowerSellValue,
+  snapToGrid,
+  checkTowerPlacement
+} from '../../shared/Towers.js';
+
+// Ghost colours while placing a tower
+const VALID_COLOR = 0x00ff66;
+const INVALID_COLOR = 0xff3333;
+
+// Height shots leave the tower from
+const MUZZLE_HEIGHT = 2;
+
+// Height enemies walk at; range is measured from here so it matches the server's ground distance
+const ENEMY_HEIGHT = 0.4;
+
+/**
+ * Builds, upgrades, sells and fires towers
+ * In solo play towers are built straight away and hit enemies through the
+ * simulation. In multiplayer the server validates every build, upgrade and sale
+ * and tells every client about it; each client fires its own player's towers
+ * and the server checks the shots, the same way it checks hero attacks.
+ */
+export class TowerSystem {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = new Logger('TowerSystem');
+
+    // Towers on the field
+    this.towers = [];
+    this.nextTowerId = 1;
+
+    // Tower being placed ({type, ghost, cell, error}) and the selected tower
+    this.placing = null;
+    this.selected = null;
+
+    this.logger.debug('Tower system created');
+  }
+
+  /**
+   * Whether the game is a multiplayer game, where the server owns the towers
+   * @returns {boolean} True when connected to a room
+   */
+  isNetworked() {
+    const network = this.game.networkManager;
+    return !!(network && network.connected && network.roomId);
+  }
+
+  /**
+   * Whether this client fires a tower
+   * @param {Tower} tower - Tower
+   * @returns {boolean} True for solo towers and towers the local player built
+   */
+  isLocal(tower) {
+    return !this.isNetworked() || tower.ownerId === this.game.networkManager.playerId;
+  }
+
+  /**
+   * Start placing a tower; a ghost follows the cursor until the spot is confirmed
+   * @param {string} type - Tower type
+   * @returns {boolean} True if placement started
+   */
+  startPlacing(type) {
+    if (!getTowerType(type)) {
+      this.logger.warn(`Unknown tower type: ${type}`);
+      return false;
+    }
+
+    // Picking the same tower again puts it away
+    const again = this.placing && this.placing.type === type;
+    this.cancelPlacing();
+    if (again) return false;
+
+    this.game.controlSystem.cancelTargeting();
+    this.selectTower(null);
+
+    const range = getTowerStats(type, 1).range;
+    this.placing = {
+      type: type,
+      ghost: this.createGhost(range),
+      cell: null,
+      error: null
+    };
+
+    return true;
+  }
+
+  /**
+   * Move the placement ghost to the grid cell under a ground position
+   * @param {THREE.Vector3} point - Ground position under the cursor
+   */
+  updatePlacing(point) {
+    const placing = this.placing;
+    if (!placing || !point) return;
+
+    placing.cell = snapToGrid(point);
+    placing.error = this.getPlacementError(placing.type, placing.cell);
+
+    placing.ghost.position.set(placing.cell.x, 0, placing.cell.z);
+    placing.ghost.visible = true;
+    placing.ghost.userData.materials.forEach(material => {
+      material.color.setHex(placing.error ? INVALID_COLOR : VALID_COLOR);
+    });
+  }
+
+  /**
+   * Build the tower being placed at a ground position
+   * @param {THREE.Vector3} point - Ground position clicked
+   * @returns {boolean} True if the tower was built (or requested from the server)
+   */
+  confirmPlacing(point) {
+    if (!this.placing) return false;
+
+    this.updatePlacing(point);
+    if (this.placing.error) {
+      this.logger.debug(`Can't build here: ${this.placing.error}`);
+      return false;
+    }
+
+    const { type, cell } = this.placing;
+    this.cancelPlacing();
+
+    return this.placeTower(type, cell);
+  }
+
+  /**
+   * Stop placing and remove the ghost
+   */
+  cancelPlacing() {
+    if (!this.placing) return;
+
+    const ghost = this.placing.ghost;
+    this.game.sceneManager.removeFromScene(ghost);
+    ghost.traverse(object => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+    });
+
+    this.placing = null;
+  }
+
+  /**
+   * Work out why a tower can't be built somewhere
+   * @param {string} type - Tower type
+   * @param {Object} position - Cell middle ({x, z})
+   * @returns {string|null} Reason, or null if it can be built
+   */
+  getPlacementError(type, position) {
+    const stats = getTowerStats(type, 1);
+    if (!stats) return 'unknown_tower';
+
+    const error = checkTowerPlacement(this.game.map, position, this.towers);
+    if (error) return error;
+
+    if (this.game.state.gold < stats.cost) return 'insufficient_gold';
+
+    return null;
+  }
+
+  /**
+   * Build a tower
+   * @param {string} type - Tower type
+   * @param {Object} position - Cell middle ({x, z})
+   * @returns {boolean} True if the tower was built (or requested from the server)
+   */
+  placeTower(type, position) {
+    const error = this.getPlacementError(type, position);
+    if (error) {
+      this.logger.debug(`Can't build ${type} tower: ${error}`);
+      return false;
+    }
+
+    // The server builds it and tells everyone, us included
+    if (this.isNetworked()) {
+      this.game.networkManager.send({
+        type: 'place_tower',
+        towerType: type,
+        position: { x: position.x, z: position.z }
+      });
+      return true;
+    }
+
+    this.spendGold(getTowerStats(type, 1).cost);
+    this.addTower({
+      id: `tower_${this.nextTowerId++}`,
+      type: type,
+      position: position,
+      level: 1
+    });
+
+    return true;
+  }
+
+  /**
+   * Upgrade a tower to its next level
+   * @param {Tower} tower - Tower to upgrade
+   * @returns {boolean} True if upgraded (or requested from the server)
+   */
+  upgradeTower(tower) {
+    if (!tower || !this.isLocal(tower) || !tower.canUpgrade()) return false;
+
+    const cost = getTowerStats(tower.type, tower.level + 1).cost;
+    if (this.game.state.gold < cost) return false;
+
+    if (this.isNetworked()) {
+      this.game.networkManager.send({ type: 'upgrade_tower', towerId: tower.id });
+      return true;
+    }
+
+    this.spendGold(cost);
+    this.setTowerLevel(tower.id, tower.level + 1);
+
+    return true;
+  }
+
+  /**
+   * Sell a tower for part of what was paid for it
+   * @param {Tower} tower - Tower to sell
+   * @returns {boolean} True if sold (or requested from the server)
+   */
+  sellTower(tower) {
+    if (!tower || !this.isLocal(tower)) return false;
+
+    if (this.isNetworked()) {
+      this.game.networkManager.send({ type: 'sell_tower', towerId: tower.id });
+      return true;
+    }
+
+    this.spendGold(-getTowerSellValue(tower.type, tower.level));
+    this.removeTower(tower.id);
+
+    return true;
+  }
+
+  /**
+   * Create the view for a built tower
+   * @param {Object} data - Tower data (id, type, position, level, ownerId)
+   * @returns {Tower} The tower
+   */
+  addTower(data) {
+    const tower = new Tower(this.game, data);
+    this.game.sceneManager.addToScene(tower.createMesh(), 'towers');
+    this.towers.push(tower);
+
+    this.game.events.emit('towerPlaced', {
+      towerId: tower.id,
+      type: tower.type,
+      level: tower.level,
+      ownerId: tower.ownerId
+    });
+
+    this.logger.info(`Built ${tower.name} at (${tower.position.x}, ${tower.position.z})`);
+
+    return tower;
+  }
+
+  /**
+   * Set a tower's level
+   * @param {string} towerId - Tower ID
+   * @param {number} level - New level
+   */
+  setTowerLevel(towerId, level) {
+    const tower = this.getTower(towerId);
+    if (!tower) return;
+
+    tower.setLevel(level);
+    this.updateTowerUI();
+
+    this.game.events.emit('towerUpgraded', {
+      towerId: tower.id,
+      level: tower.level
+    });
+  }
+
+  /**
+   * Remove a tower from the field
+   * @param {string} towerId - Tower ID
+   */
+  removeTower(towerId) {
+    const tower = this.getTower(towerId);
+    if (!tower) return;
+
+    if (this.selected === tower) {
+      this.selectTower(null);
+    }
+
+    this.game.sceneManager.removeFromScene(tower.mesh);
+    tower.dispose();
+    this.towers.splice(this.towers.indexOf(tower), 1);
+
+    this.game.events.emit('towerRemoved', { towerId: towerId });
+  }
+
+  /**
+   * Select a tower to show its range and its upgrade and sell options
+   * @param {Tower|null} tower - Tower to select, or null to clear the selection
+   */
+  selectTower(tower) {
+    if (this.selected) {
+      this.selected.showRange(false);
+    }
+
+    this.selected = tower;
+
+    if (tower) {
+      tower.showRange(true);
+    }
+
+    this.updateTowerUI();
+  }
+
+  /**
+   * Show the selected tower in the UI
+   */
+  updateTowerUI() {
+    const tower = this.selected;
+
+    if (!tower) {
+      this.game.uiManager.hideTowerInfo();
+      return;
+    }
+
+    const next = getTowerStats(tower.type, tower.level + 1);
+    this.game.uiManager.showTowerInfo({
+      name: tower.name,
+      level: tower.level,
+      stats: tower.stats,
+      upgradeCost: next ? next.cost : null,
+      sellValue: getTowerSellValue(tower.type, tower.level),
+      owned: this.isLocal(tower)
+    });
+  }
+
+  /**
+   * Find the tower under the cursor
+   * @param {THREE.Raycaster} raycaster - Raycaster from the camera through the cursor
+   * @returns {Tower|null} Tower hit, or null
+   */
+  pickTower(raycaster) {
+    const meshes = this.towers.map(tower => tower.mesh).filter(Boolean);
+    if (meshes.length === 0) return null;
+
+    const intersects = raycaster.intersectObjects(meshes, true);
+
+    for (const intersect of intersects) {
+      for (let object = intersect.object; object; object = object.parent) {
+        const tower = this.towers.find(t => t.mesh === object);
+        if (tower) return tower;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a tower
+   * @param {string} towerId - Tower ID
+   * @returns {Tower|undefined} Tower
+   */
+  getTower(towerId) {
+    return this.towers.find(tower => tower.id === towerId);
+  }
+
+  /**
+   * Add or take away gold
+   * @param {number} amount - Gold to spend (negative to give gold back)
+   */
+  spendGold(amount) {
+    this.game.state.gold -= amount;
+    this.game.uiManager.updateGoldUI(this.game.state.gold);
+  }
+
+  /**
+   * Fire every ready tower this client runs at the closest enemy in range
+   * @param {number} delta - Time since last update in seconds
+   */
+  update(delta) {
+    try {
+      // Keep the ghost under the cursor
+      if (this.placing) {
+        const raycaster = this.game.sceneManager.createRaycaster(this.game.inputManager.getMousePosition());
+        this.updatePlacing(this.game.controlSystem.pickGround(raycaster));
+      }
+
+      this.towers.forEach(tower => {
+        tower.update(delta);
+        if (tower.attackCooldown > 0 || !this.isLocal(tower)) return;
+
+        const origin = tower.position.clone().setY(ENEMY_HEIGHT);
+        const target = this.game.combatSystem.getClosestEnemy(origin, tower.stats.range);
+        if (!target) return;
+
+        tower.resetCooldown();
+        this.fire(tower, target);
+      });
+    } catch (error) {
+      this.logger.error('Error updating towers:', error);
+    }
+  }
+
+  /**
+   * Fire a tower at an enemy
+   * @param {Tower} tower - Tower firing
+   * @param {Enemy} target - Enemy hit
+   */
+  fire(tower, target) {
+    this.showShot(tower, target);
+
+    // The server checks the shot and deals the damage
+    if (this.isNetworked()) {
+      this.game.networkManager.send({
+        type: 'tower_attack',
+        towerId: tower.id,
+        enemyId: target.id
+      });
+      return;
+    }
+
+    const stats = tower.stats;
+    const targets = stats.splashRadius
+      ? this.game.combatSystem.getEnemiesInRange(target.position, stats.splashRadius)
+      : [target];
+
+    targets.forEach(enemy => {
+      enemy.takeDamage(stats.damage, tower);
+
+      if (stats.slow && !enemy.deathAnimationStarted) {
+        enemy.applyEffect({
+          type: 'slow',
+          slowFactor: stats.slow.slowFactor,
+          duration: stats.slow.duration,
+          source: tower
+        });
+      }
+    });
+  }
+
+  /**
+   * Show a tower's shot
+   * @param {Tower} tower - Tower firing
+   * @param {Enemy} target - Enemy shot at
+   */
+  showShot(tower, target) {
+    const muzzle = tower.position.clone().add(new THREE.Vector3(0, MUZZLE_HEIGHT, 0));
+    this.game.combatSystem.createAttackEffect(muzzle, target.position.clone(), 'projectile', tower.projectileColor);
+
+    if (tower.stats.splashRadius) {
+      this.game.combatSystem.createExplosionEffect(target.position.clone(), tower.stats.splashRadius, tower.projectileColor);
+    }
+
+    // Aim the cannon
+    if (tower.mesh) {
+      tower.mesh.rotation.y = Math.atan2(target.position.x - tower.position.x, target.position.z - tower.position.z);
+    }
+  }
+
+  /**
+   * Show a shot another player's tower fired (multiplayer)
+   * @param {Object} data - Tower ID and enemy ID
+   */
+  handleTowerFired(data) {
+    const tower = this.getTower(data.towerId);
+    const enemy = this.game.state.enemies.find(e => e.id === data.enemyId);
+
+    if (tower && enemy) {
+      this.showShot(tower, enemy);
+    }
+  }
+
+  /**
+   * Add a tower the server built (multiplayer)
+   * Towers listed when joining a room come without a cost: nobody pays for them again.
+   * @param {Object} data - Tower ID, type, position, level, owner and cost
+   */
+  handleTowerPlaced(data) {
+    if (this.getTower(data.towerId)) return;
+
+    this.addTower({
+      id: data.towerId,
+      type: data.towerType,
+      position: data.position,
+      level: data.level,
+      ownerId: data.ownerId
+    });
+
+    if (data.cost && data.ownerId === this.game.networkManager.playerId) {
+      this.spendGold(data.cost);
+    }
+  }
+
+  /**
+   * Apply a tower upgrade the server accepted (multiplayer)
+   * @param {Object} data - Tower ID, level, owner and cost
+   */
+  handleTowerUpgraded(data) {
+    this.setTowerLevel(data.towerId, data.level);
+
+    if (data.ownerId === this.game.networkManager.playerId) {
+      this.spendGold(data.cost);
+    }
+  }
+
+  /**
+   * Remove a tower the server sold or took away (multiplayer)
+   * @param {Object} data - Tower ID, owner and refund
+   */
+  handleTowerRemoved(data) {
+    this.removeTower(data.towerId);
+
+    if (data.refund && data.ownerId === this.game.networkManager.playerId) {
+      this.spendGold(-data.refund);
+    }
+  }
+
+  /**
+   * Create the ghost shown while placing a tower
+   * @param {number} range - Range of the tower being placed
+   * @returns {THREE.Group} Ghost
+   */
+  createGhost(range) {
+    const ghost = new THREE.Group();
+    const materials = [];
+
+    const bodyMaterial = new THREE.MeshBasicMaterial({ color: VALID_COLOR, transparent: true, opacity: 0.4 });
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(0.55, 0.85, 2, 12), bodyMaterial);
+    body.position.y = 1;
+    ghost.add(body);
+    materials.push(bodyMaterial);
+
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: VALID_COLOR,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide
+    });
+    const ring = new THREE.Mesh(new THREE.RingGeometry(range - 0.08, range, 48), ringMaterial);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.03;
+    ghost.add(ring);
+    materials.push(ringMaterial);
+
+    ghost.visible = false;
+    ghost.userData.materials = materials;
+
+    this.game.sceneManager.addToScene(ghost, 'effects');
+
+    return ghost;
+  }
+
+  /**
+   * Remove every tower
+   */
+  reset() {
+    this.cancelPlacing();
+    if (this.selected) {
+      this.selectTower(null);
+    }
+
+    [...this.towers].forEach(tower => this.removeTower(tower.id));
+    this.nextTowerId = 1;
+  }
+}
@@ -86,7 +86,7 @@ export class UpgradeSystem {
       this.specialUpgrades[upgrade.name] = {
         description: upgrade.description,
         level: 0,
-        maxLevel: upgrade.maxLevel || 5,
+        maxLevel: upgrade.maxLevel || CONFIG.upgrades.maxSpecialLevel,
         cost: upgrade.cost || 50,
         costMultiplier: upgrade.costMultiplier || 1.5,
         effect: upgrade.effect
@@ -137,6 +137,11 @@ export class UpgradeSystem {
       
       // Increment cost for next upgrade
       this.increaseUpgradeCost(statType);
+
+      // Keep the server's copy of the hero in sync
+      if (this.game.networkManager) {
+        this.game.networkManager.sendHeroUpgrade('stat', statType);
+      }
       
       this.logger.info(`Upgraded ${statType} to level ${hero.upgradeStats[statType].level}`);
       
@@ -192,68 +197,18 @@ export class UpgradeSystem {
     upgrade.level++;
     
     // Apply effect to hero
-    if (upgrade.effect) {
-      const effectValue = upgrade.effect(upgrade.level);
-      
-      // Apply effect based on type
-      // This will depend on the hero implementation and the effect type
-      // Here's a simplified example:
-      const hero = this.game.state.hero;
-      
-      if (effectValue.damageReduction) {
-        hero.applyBuff({
-          name: upgradeName,
-          duration: Infinity, // Permanent buff
-          damageReduction: effectValue.damageReduction
-        });
-      }
-      
-      if (effectValue.critChance) {
-        hero.applyBuff({
-          name: upgradeName,
-          duration: Infinity, // Permanent buff
-          critChance: effectValue.critChance
-        });
-      }
-      
-      if (effectValue.critDamage) {
-        hero.applyBuff({
-          name: upgradeName,
-          duration: Infinity, // Permanent buff
-          critDamage: effectValue.critDamage
-        });
-      }
-      
-      if (effectValue.moveSpeed) {
-        hero.applyBuff({
-          name: upgradeName,
-          duration: Infinity, // Permanent buff
-          moveSpeedMultiplier: 1 + effectValue.moveSpeed
-        });
-      }
-      
-      if (effectValue.spellPower) {
-        // Apply to hero abilities
-        hero.abilities.forEach(ability => {
-          if (ability.damageMultiplier) {
-            ability.damageMultiplier *= (1 + effectValue.spellPower);
-          }
-        });
-      }
-      
-      if (effectValue.cooldownReduction) {
-        // Apply to hero abilities
-        hero.abilities.forEach(ability => {
-          ability.cooldown *= (1 - effectValue.cooldownReduction);
-        });
-      }
-    }
+    this.applySpecialEffect(upgradeName);
     
     // Deduct gold
     this.game.state.gold -= cost;
     
     // Update UI
     this.game.uiManager.updateGoldUI(this.game.state.gold);
+
+    // Keep the server's copy of the hero in sync
+    if (this.game.networkManager) {
+      this.game.networkManager.sendHeroUpgrade('special', upgradeName);
+    }
     
     this.logger.info(`Upgraded special ability ${upgradeName} to level ${upgrade.level}`);
     
@@ -267,6 +222,75 @@ export class UpgradeSystem {
     return true;
   }
   
+  /**
+   * Apply a special upgrade's effect for its current level to the hero
+   * @param {string} upgradeName - Name of the special upgrade
+   */
+  applySpecialEffect(upgradeName) {
+    const upgrade = this.specialUpgrades[upgradeName];
+    if (!upgrade || !upgrade.effect) return;
+
+    const effectValue = upgrade.effect(upgrade.level);
+    
+    // Apply effect based on type
+    // This will depend on the hero implementation and the effect type
+    // Here's a simplified example:
+    const hero = this.game.state.hero;
+    
+    if (effectValue.damageReduction) {
+      hero.applyBuff({
+        name: upgradeName,
+        duration: Infinity, // Permanent buff
+        damageReduction: effectValue.damageReduction
+      });
+    }
+    
+    if (effectValue.critChance) {
+      hero.applyBuff({
+        name: upgradeName,
+        duration: Infinity, // Permanent buff
+        critChance: effectValue.critChance
+      });
+    }
+    
+    if (effectValue.critDamage) {
+      hero.applyBuff({
+        name: upgradeName,
+        duration: Infinity, // Permanent buff
+        critDamage: effectValue.critDamage
+      });
+    }
+    
+    if (effectValue.moveSpeed) {
+      hero.applyBuff({
+        name: upgradeName,
+        duration: Infinity, // Permanent buff
+        moveSpeedMultiplier: 1 + effectValue.moveSpeed
+      });
+    }
+    
+    if (effectValue.spellPower) {
+      // Apply to hero abilities
+      hero.abilities.forEach(ability => {
+        if (ability.damageMultiplier) {
+          ability.damageMultiplier *= (1 + effectValue.spellPower);
+        }
+      });
+    }
+    
+    if (effectValue.cooldownReduction) {
+      // Apply to hero abilities
+      hero.abilities.forEach(ability => {
+        ability.cooldown *= (1 - effectValue.cooldownReduction);
+      });
+    }
+
+    if (effectValue.manaRegen) {
+      // The effect is the total bonus for this level
+      hero.manaRegen = (hero.baseStats.manaRegen || 0) * (1 + effectValue.manaRegen);
+    }
+  }
+  
   /**
    * Get the current cost for a stat upgrade
    * @param {string} statType - Stat type
@@ -327,6 +351,55 @@ export class UpgradeSystem {
     return { ...this.specialUpgrades };
   }
   
+  /**
+   * Get the level of every special upgrade
+   * @returns {Object} Levels keyed by upgrade name
+   */
+  getSpecialUpgradeLevels() {
+    const levels = {};
+    
+    Object.keys(this.specialUpgrades).forEach(name => {
+      levels[name] = this.specialUpgrades[name].level;
+    });
+    
+    return levels;
+  }
+  
+  /**
+   * Bring a fresh hero back up to saved upgrade levels without charging gold
+   * Levels are replayed one at a time so costs and effects stack as if bought.
+   * @param {Object} statLevels - Level of each stat (damage, attackSpeed, range, health)
+   * @param {Object} specialLevels - Level of each special upgrade, keyed by name
+   */
+  restoreUpgrades(statLevels = {}, specialLevels = {}) {
+    const hero = this.game.state.hero;
+    if (!hero) {
+      this.logger.error('Cannot restore upgrades: No hero selected');
+      return;
+    }
+    
+    Object.keys(statLevels).forEach(statType => {
+      if (!this.upgradeCosts[statType]) return;
+    
+      while (hero.upgradeStats[statType].level < statLevels[statType]) {
+        hero.upgradeStat(statType, CONFIG.upgrades);
+        this.increaseUpgradeCost(statType);
+      }
+    });
+    
+    Object.keys(specialLevels).forEach(name => {
+      const upgrade = this.specialUpgrades[name];
+      if (!upgrade) return;
+    
+      while (upgrade.level < Math.min(specialLevels[name], upgrade.maxLevel)) {
+        upgrade.level++;
+        this.applySpecialEffect(name);
+      }
+    });
+    
+    this.logger.info('Restored saved upgrades');
+  }
+  
   /**
    * Reset upgrade system
    */
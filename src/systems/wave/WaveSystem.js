@@ -1,11 +1,13 @@
 import * as THREE from 'three';
 
 import { Logger } from '../../utils/Logger.js';
-import { CONFIG } from '../../config/GameConfig.js';
 import { EnemyFactory } from '../../components/enemy/EnemyFactory.js';
 
 /**
- * Manages enemy waves, spawning, and progression
+ * Manages enemy waves and progression
+ * Spawning and wave completion are decided by the simulation (solo) or the
+ * server (multiplayer), both running the map's wave script (see shared/WaveScript.js);
+ * this system starts waves and reacts to their events.
  */
 export class WaveSystem {
   /**
@@ -16,12 +18,10 @@ export class WaveSystem {
     this.logger = new Logger('WaveSystem');
     this.enemyFactory = null; // Set during initialization
 
-    // Wave state
+    // Wave state (mirrors the simulation)
     this.currentWave = 0;
     this.waveInProgress = false;
-    this.waveEnemiesLeft = 0;
-    this.lastSpawnTime = 0;
-    this.spawnInterval = 2000;
+    this.waveEnemyCount = 0;
     this.enemyTypes = [];
 
     // Initialize the enemyFactory immediately
@@ -42,147 +42,79 @@ export class WaveSystem {
    * @param {number} waveNumber - Wave number to start
    */
   startWave(waveNumber) {
-    this.logger.info(`Starting wave ${waveNumber}`);
-
-    // Get wave configuration from config
-    let waveConfig;
-    if (waveNumber <= CONFIG.waveConfig.length) {
-      waveConfig = CONFIG.waveConfig[waveNumber - 1];
-    } else {
-      // Generate wave for levels beyond pre-configured ones
-      const lastWave = CONFIG.waveConfig[CONFIG.waveConfig.length - 1];
-      const multiplier = Math.pow(CONFIG.difficultyScaling.countMultiplier, waveNumber - CONFIG.waveConfig.length);
-
-      // Calculate scaled values
-      const scaledCount = Math.floor(lastWave.count * multiplier);
-      const scaledInterval = Math.max(500, lastWave.interval / Math.pow(CONFIG.difficultyScaling.intervalDivisor, waveNumber - CONFIG.waveConfig.length));
-
-      waveConfig = {
-        types: CONFIG.enemyTypes.map(t => t.name), // Use all enemy types for advanced waves
-        count: scaledCount,
-        interval: scaledInterval
-      };
+    if (!this.game.simulation) {
+      this.logger.warn(`Cannot start wave ${waveNumber}: no simulation running`);
+      return;
     }
 
-    // Apply multiplayer scaling
-    const playerCount = Object.keys(this.game.otherPlayers || {}).length + 1; // +1 for local player
-    if (playerCount > 1) {
-      waveConfig.count = Math.floor(waveConfig.count * (1 + (CONFIG.multiplayer.difficultyMultiplier * (playerCount - 1))));
-    }
+    this.logger.info(`Starting wave ${waveNumber}`);
+    this.game.simulation.startWave(waveNumber);
+  }
 
+  /**
+   * Handle a wave started by the simulation
+   * @param {Object} data - Wave number, enemy count and enemy types
+   */
+  handleWaveStarted(data) {
     // Update game state
-    this.currentWave = waveNumber;
-    this.waveEnemiesLeft = waveConfig.count;
-    this.spawnInterval = waveConfig.interval;
+    this.currentWave = data.wave;
     this.waveInProgress = true;
-    this.enemyTypes = waveConfig.types;
-    this.lastSpawnTime = Date.now();
+    this.waveEnemyCount = data.enemyCount;
+    this.enemyTypes = data.enemyTypes;
+    this.game.state.wave = data.wave;
+    this.game.state.waveInProgress = true;
 
     // Update UI
-    this.game.uiManager.updateWaveUI(waveNumber);
-    this.game.uiManager.showWaveAnnouncement(waveNumber);
+    this.game.uiManager.updateWaveUI(data.wave);
+    this.game.uiManager.showWaveAnnouncement(data.wave);
 
     // Log wave start
-    this.logger.info(`Wave ${waveNumber} started with ${waveConfig.count} enemies, types: ${waveConfig.types.join(', ')}`);
+    this.logger.info(`Wave ${data.wave} started with ${data.enemyCount} enemies, types: ${data.enemyTypes.join(', ')}`);
 
     // Emit wave started event
     this.game.events.emit('waveStarted', {
-      wave: waveNumber,
-      enemyCount: waveConfig.count,
-      enemyTypes: waveConfig.types
+      wave: data.wave,
+      enemyCount: data.enemyCount,
+      enemyTypes: data.enemyTypes
     });
   }
 
   /**
-   * Update wave logic
-   * @param {number} delta - Time since last update in seconds
+   * Handle a wave cleared in the simulation
+   * @param {Object} data - Wave number and gold bonus
    */
-  update(delta) {
-    // Skip if game is not active
-    if (!this.game.state.gameActive) return;
+  handleWaveCompleted(data) {
+    this.logger.info(`Wave ${data.wave} completed`);
+    this.waveInProgress = false;
+    this.game.state.waveInProgress = false;
 
-    // Handle enemy spawning for current wave
-    if (this.waveInProgress && this.waveEnemiesLeft > 0) {
-      const currentTime = Date.now();
+    // Award wave completion bonus
+    this.game.state.gold += data.bonus;
+    this.game.uiManager.updateGoldUI(this.game.state.gold);
 
-      if (currentTime - this.lastSpawnTime > this.spawnInterval) {
-        this.spawnEnemy();
-        this.lastSpawnTime = currentTime;
-      }
-    }
-  }
+    // Show bonus message
+    this.game.combatSystem.createFloatingText(
+      `Wave Completed! +${data.bonus} gold`,
+      new THREE.Vector3(0, 2, 0),
+      0xffd700
+    );
 
-  /**
-   * Spawn an enemy for the current wave
-   */
-  spawnEnemy() {
-    if (!this.waveInProgress || this.waveEnemiesLeft <= 0) return;
-  
-    // Randomly select an enemy type
-    const randomType = this.enemyTypes[Math.floor(Math.random() * this.enemyTypes.length)];
-    
-    // Generate spawn position
-    const spawnPosition = {
-      x: Math.random() * 3 - 1.5,
-      y: 0.4,
-      z: -12
-    };
-  
-    if (this.game.networkManager.connected) {
-      // Request enemy spawn from server
-      this.game.networkManager.requestEnemySpawn(randomType, spawnPosition);
-    } else {
-      // Local fallback for solo play
-      const enemy = this.enemyFactory.createEnemy(randomType);
-      this.game.state.enemies.push(enemy);
-    }
-  
-    // Decrement enemies left counter
-    this.waveEnemiesLeft--;
+    // Update UI
+    this.game.uiManager.updateWaveCompletedUI(data.wave);
+
+    // Emit wave completed event
+    this.game.events.emit('waveCompleted', {
+      wave: data.wave,
+      bonus: data.bonus
+    });
   }
 
   /**
-   * Check if the current wave is complete
-   */
-  /**
-   * Check if the current wave is complete
+   * Update wave logic
+   * @param {number} delta - Time since last update in seconds
    */
-  checkWaveCompletion() {
-    this.logger.debug(`Checking wave completion: waveInProgress=${this.waveInProgress}, waveEnemiesLeft=${this.waveEnemiesLeft}, enemies=${this.game.state.enemies.length}`);
-  
-    // Fix: Check only if no more enemies to spawn and no enemies on screen
-    if (this.waveInProgress && this.waveEnemiesLeft <= 0 && this.game.state.enemies.length === 0) {
-      this.logger.info(`Wave ${this.currentWave} completed`);
-      this.waveInProgress = false;
-  
-      // Award wave completion bonus
-      const waveBonus = 10 * this.currentWave;
-      this.game.state.gold += waveBonus;
-      this.game.uiManager.updateGoldUI(this.game.state.gold);
-  
-      // Show bonus message
-      this.game.combatSystem.createFloatingText(
-        `Wave Completed! +${waveBonus} gold`,
-        new THREE.Vector3(0, 2, 0),
-        0xffd700
-      );
-  
-      // Update UI
-      this.game.uiManager.updateWaveCompletedUI(this.currentWave);
-  
-      // Emit wave completed event
-      this.game.events.emit('waveCompleted', {
-        wave: this.currentWave,
-        bonus: waveBonus
-      });
-  
-      // Start next wave after delay
-      setTimeout(() => {
-        if (this.game.state.gameActive) {
-          this.startWave(this.currentWave + 1);
-        }
-      }, 5000);
-    }
+  update(delta) {
+    // Spawning is handled by the simulation
   }
 
   /**
@@ -193,9 +125,7 @@ export class WaveSystem {
 
     this.currentWave = 0;
     this.waveInProgress = false;
-    this.waveEnemiesLeft = 0;
-    this.lastSpawnTime = 0;
-    this.spawnInterval = 2000;
+    this.waveEnemyCount = 0;
     this.enemyTypes = [];
   }
-}
\ No newline at end of file
+}
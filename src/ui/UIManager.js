@@ -1,5 +1,14 @@
 import { Logger } from '../utils/Logger.js';
 import { EventEmitter } from '../utils/EventEmitter.js';
+import { KeyBindings } from '../core/KeyBindings.js';
+import { getMapList } from '../shared/Maps.js';
+import { towerTypes, getTowerStats } from '../shared/Towers.js';
+import { itemTypes, itemRules, getItem, getItemSellValue } from '../shared/Items.js';
+import { augmentRules, getAugment } from '../shared/Augments.js';
+import { heroUnlocks, heroColors, talents, getXpForLevel } from '../shared/Profile.js';
+import { getHeroClasses } from '../components/hero/HeroClasses.js';
+import { multiplayer, difficultyPresets, getDifficulty } from '../shared/GameData.js';
+import { CONFIG } from '../config/GameConfig.js';
 import * as THREE from 'three';
 
 /**
@@ -20,10 +29,12 @@ export class UIManager {
     // UI state
     this.activePanel = null;
     this.floatingTexts = [];
+    this.bindingCapture = null; // Ability key waiting for a new binding
 
     // Bind methods to maintain context
     this.showPanel = this.showPanel.bind(this);
     this.hidePanel = this.hidePanel.bind(this);
+    this.onBindingKeyDown = this.onBindingKeyDown.bind(this);
 
     this.logger.info('UI manager created');
   }
@@ -142,6 +153,11 @@ export class UIManager {
       this.elements.abilityBar = this.createAbilityBar();
     }
 
+    this.elements.settingsPanel = document.getElementById('settingsPanel');
+    if (!this.elements.settingsPanel) {
+      this.elements.settingsPanel = this.createSettingsPanel();
+    }
+
     // Multiplayer UI
     this.elements.playerList = document.getElementById('playerList');
     if (!this.elements.playerList) {
@@ -165,6 +181,18 @@ export class UIManager {
       this.elements.waveInfo = this.createWaveInfoPanel();
     }
 
+    // Boss health bar
+    this.elements.bossBar = document.getElementById('bossBar');
+    if (!this.elements.bossBar) {
+      this.elements.bossBar = this.createBossBar();
+    }
+
+    // Tower build panel
+    this.elements.towerPanel = document.getElementById('towerPanel');
+    if (!this.elements.towerPanel) {
+      this.elements.towerPanel = this.createTowerPanel();
+    }
+
     // Game over panel
     this.elements.gameOverPanel = document.getElementById('gameOverPanel');
     if (!this.elements.gameOverPanel) {
@@ -247,12 +275,20 @@ export class UIManager {
       abilitySlots.forEach((slot, index) => {
         slot.addEventListener('click', () => {
           if (this.game.state.hero) {
-            this.game.state.hero.useAbility(index);
+            this.game.controlSystem.castAbility(index);
           }
         });
       });
     }
 
+    // Keep key labels in sync with rebinding
+    if (this.game.keyBindings) {
+      this.game.keyBindings.events.on('changed', () => {
+        this.updateKeyBindLabels();
+        this.updateSettingsPanel();
+      });
+    }
+
     // Upgrade buttons
     if (this.elements.upgradePanel) {
       // Upgrade buttons are dynamically created and updated, 
@@ -374,50 +410,22 @@ export class UIManager {
     const optionsContainer = document.createElement('div');
     optionsContainer.className = 'heroOptionsContainer';
 
-    // Warrior option
-    const warrior = document.createElement('div');
-    warrior.className = 'heroOption';
-    warrior.setAttribute('data-class', 'warrior');
-
-    const warriorName = document.createElement('h3');
-    warriorName.textContent = 'Warrior';
+    // One option per registered hero class
+    getHeroClasses().forEach(heroClass => {
+      const option = document.createElement('div');
+      option.className = 'heroOption';
+      option.setAttribute('data-class', heroClass.id);
 
-    const warriorDesc = document.createElement('p');
-    warriorDesc.textContent = 'High defense, melee attacks, and crowd control abilities.';
+      const name = document.createElement('h3');
+      name.textContent = heroClass.name;
 
-    warrior.appendChild(warriorName);
-    warrior.appendChild(warriorDesc);
-    optionsContainer.appendChild(warrior);
-
-    // Ranger option
-    const ranger = document.createElement('div');
-    ranger.className = 'heroOption';
-    ranger.setAttribute('data-class', 'ranger');
-
-    const rangerName = document.createElement('h3');
-    rangerName.textContent = 'Ranger';
-
-    const rangerDesc = document.createElement('p');
-    rangerDesc.textContent = 'Long range attacks, high precision, and trap abilities.';
-
-    ranger.appendChild(rangerName);
-    ranger.appendChild(rangerDesc);
-    optionsContainer.appendChild(ranger);
-
-    // Mage option
-    const mage = document.createElement('div');
-    mage.className = 'heroOption';
-    mage.setAttribute('data-class', 'mage');
-
-    const mageName = document.createElement('h3');
-    mageName.textContent = 'Mage';
-
-    const mageDesc = document.createElement('p');
-    mageDesc.textContent = 'Powerful area damage, magical abilities, and control effects.';
+      const description = document.createElement('p');
+      description.textContent = heroClass.description;
 
-    mage.appendChild(mageName);
-    mage.appendChild(mageDesc);
-    optionsContainer.appendChild(mage);
+      option.appendChild(name);
+      option.appendChild(description);
+      optionsContainer.appendChild(option);
+    });
 
     panel.appendChild(optionsContainer);
 
@@ -594,39 +602,794 @@ export class UIManager {
   }
 
   /**
-   * Create ability bar
-   * @returns {HTMLElement} Ability bar
+   * Create the tower panel: build buttons plus info on the selected tower
+   * @returns {HTMLElement} Tower panel
+   */
+  createTowerPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'towerPanel';
+    panel.className = 'ui-panel';
+    panel.style.display = 'none';
+
+    // Title
+    const title = document.createElement('h3');
+    title.textContent = 'Towers';
+    panel.appendChild(title);
+
+    // One build button per tower type
+    const buildContainer = document.createElement('div');
+    buildContainer.className = 'tower-build-list';
+
+    Object.keys(towerTypes).forEach(type => {
+      const button = document.createElement('button');
+      button.className = 'tower-build';
+      button.dataset.tower = type;
+      button.textContent = `${towerTypes[type].name} (${getTowerStats(type, 1).cost} gold)`;
+
+      button.addEventListener('click', () => {
+        this.game.towerSystem.startPlacing(type);
+      });
+
+      buildContainer.appendChild(button);
+    });
+
+    panel.appendChild(buildContainer);
+
+    // Selected tower info, hidden until a tower is clicked
+    const info = document.createElement('div');
+    info.className = 'tower-info';
+    info.style.display = 'none';
+
+    const name = document.createElement('h4');
+    name.className = 'tower-name';
+    info.appendChild(name);
+
+    const stats = document.createElement('div');
+    stats.className = 'tower-stats';
+    info.appendChild(stats);
+
+    const upgradeButton = document.createElement('button');
+    upgradeButton.className = 'tower-upgrade';
+    upgradeButton.addEventListener('click', () => {
+      const towerSystem = this.game.towerSystem;
+      if (towerSystem.selected) {
+        towerSystem.upgradeTower(towerSystem.selected);
+      }
+    });
+    info.appendChild(upgradeButton);
+
+    const sellButton = document.createElement('button');
+    sellButton.className = 'tower-sell';
+    sellButton.addEventListener('click', () => {
+      const towerSystem = this.game.towerSystem;
+      if (towerSystem.selected) {
+        towerSystem.sellTower(towerSystem.selected);
+      }
+    });
+    info.appendChild(sellButton);
+
+    panel.appendChild(info);
+
+    // Add to game container
+    (this.elements.gameContainer || document.body).appendChild(panel);
+
+    return panel;
+  }
+
+  /**
+   * Show the selected tower's stats and actions
+   * @param {Object} tower - Tower info (name, level, stats, upgradeCost, sellValue, owned)
+   */
+  showTowerInfo(tower) {
+    if (!this.elements.towerPanel) {
+      this.elements.towerPanel = document.getElementById('towerPanel') || this.createTowerPanel();
+    }
+
+    const info = this.elements.towerPanel.querySelector('.tower-info');
+    const { stats } = tower;
+
+    info.querySelector('.tower-name').textContent = `${tower.name} - Level ${tower.level}`;
+
+    const lines = [
+      `Damage: ${stats.damage}`,
+      `Range: ${stats.range}`,
+      `Attack speed: ${(stats.attackSpeed / 1000).toFixed(1)}s`
+    ];
+    if (stats.splashRadius) {
+      lines.push(`Splash: ${stats.splashRadius}`);
+    }
+    if (stats.slow) {
+      lines.push(`Slow: ${Math.round(stats.slow.slowFactor * 100)}%`);
+    }
+    info.querySelector('.tower-stats').textContent = lines.join(' | ');
+
+    const upgradeButton = info.querySelector('.tower-upgrade');
+    upgradeButton.textContent = tower.upgradeCost === null
+      ? 'Max level'
+      : `Upgrade (${tower.upgradeCost} gold)`;
+    upgradeButton.disabled = !tower.owned || tower.upgradeCost === null || this.game.state.gold < tower.upgradeCost;
+
+    const sellButton = info.querySelector('.tower-sell');
+    sellButton.textContent = `Sell (${tower.sellValue} gold)`;
+    sellButton.disabled = !tower.owned;
+
+    info.style.display = 'block';
+  }
+
+  /**
+   * Hide the selected tower's info
+   */
+  hideTowerInfo() {
+    if (this.elements.towerPanel) {
+      this.elements.towerPanel.querySelector('.tower-info').style.display = 'none';
+    }
+  }
+
+  /**
+   * Create the item shop: the hero's inventory slots plus a buy button per item
+   * @returns {HTMLElement} Item shop panel
+   */
+  createItemShopPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'itemShopPanel';
+    panel.className = 'ui-panel';
+    panel.style.display = 'none';
+
+    // Title
+    const title = document.createElement('h3');
+    title.textContent = 'Item Shop';
+    panel.appendChild(title);
+
+    // Inventory slots; clicking a carried item sells it
+    const inventory = document.createElement('div');
+    inventory.className = 'item-inventory';
+
+    for (let slot = 0; slot < itemRules.inventorySlots; slot++) {
+      const slotButton = document.createElement('button');
+      slotButton.className = 'item-slot';
+      slotButton.dataset.slot = slot;
+
+      slotButton.addEventListener('click', () => {
+        this.game.itemSystem.sellItem(slot);
+      });
+
+      inventory.appendChild(slotButton);
+    }
+
+    panel.appendChild(inventory);
+
+    // One buy button per item
+    const shop = document.createElement('div');
+    shop.className = 'item-shop-list';
+
+    Object.keys(itemTypes).forEach(type => {
+      const item = itemTypes[type];
+
+      const button = document.createElement('button');
+      button.className = 'item-buy';
+      button.dataset.item = type;
+      button.title = item.description;
+      button.textContent = `${item.name} (${item.cost} gold)`;
+
+      button.addEventListener('click', () => {
+        this.game.itemSystem.buyItem(type);
+      });
+
+      shop.appendChild(button);
+    });
+
+    panel.appendChild(shop);
+
+    // Add to game container
+    (this.elements.gameContainer || document.body).appendChild(panel);
+
+    return panel;
+  }
+
+  /**
+   * Open the item shop (between waves)
+   */
+  showItemShop() {
+    if (!this.elements.itemShopPanel) {
+      this.elements.itemShopPanel = this.createItemShopPanel();
+    }
+
+    this.showPanel(this.elements.itemShopPanel, false);
+    this.elements.itemShopPanel.style.zIndex = '10';
+    this.updateItemShop();
+  }
+
+  /**
+   * Close the item shop
+   */
+  hideItemShop() {
+    if (this.elements.itemShopPanel) {
+      this.hidePanel(this.elements.itemShopPanel);
+    }
+  }
+
+  /**
+   * Show the carried items and enable the ones the player can buy
+   */
+  updateItemShop() {
+    const panel = this.elements.itemShopPanel;
+    if (!panel || !this.game.itemSystem) return;
+
+    const inventory = this.game.itemSystem.getInventory();
+
+    panel.querySelectorAll('.item-slot').forEach(slotButton => {
+      const type = inventory[Number(slotButton.dataset.slot)];
+      const item = getItem(type);
+
+      slotButton.textContent = item ? item.name : 'Empty';
+      slotButton.title = item ? `${item.description} - sell for ${getItemSellValue(type)} gold` : '';
+      slotButton.disabled = !item;
+    });
+
+    panel.querySelectorAll('.item-buy').forEach(button => {
+      button.disabled = this.game.itemSystem.getPurchaseError(button.dataset.item) !== null;
+    });
+  }
+
+  /**
+   * Create the augment draft: a card per augment on offer plus a reroll button
+   * @returns {HTMLElement} Augment draft panel
+   */
+  createAugmentDraftPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'augmentDraft';
+    panel.className = 'ui-panel';
+    panel.style.display = 'none';
+
+    // Title
+    const title = document.createElement('h3');
+    title.textContent = 'Choose an Augment';
+    panel.appendChild(title);
+
+    // Cards are filled in by showAugmentDraft
+    const choices = document.createElement('div');
+    choices.className = 'augment-choices';
+    panel.appendChild(choices);
+
+    const rerollButton = document.createElement('button');
+    rerollButton.className = 'augment-reroll';
+    rerollButton.textContent = `Reroll (${augmentRules.rerollCost} gold)`;
+    rerollButton.addEventListener('click', () => {
+      this.game.augmentSystem.reroll();
+    });
+    panel.appendChild(rerollButton);
+
+    // Add to game container
+    (this.elements.gameContainer || document.body).appendChild(panel);
+
+    return panel;
+  }
+
+  /**
+   * Show a draft of augments to pick from
+   * @param {Array<string>} offer - Augment IDs on offer
+   */
+  showAugmentDraft(offer) {
+    if (!this.elements.augmentDraft) {
+      this.elements.augmentDraft = this.createAugmentDraftPanel();
+    }
+
+    const panel = this.elements.augmentDraft;
+    const choices = panel.querySelector('.augment-choices');
+    choices.innerHTML = '';
+
+    offer.forEach(id => {
+      const augment = getAugment(id);
+
+      const card = document.createElement('button');
+      card.className = 'augment-card';
+      card.dataset.augment = id;
+
+      const name = document.createElement('div');
+      name.className = 'augment-name';
+      name.textContent = augment.name;
+      card.appendChild(name);
+
+      const description = document.createElement('div');
+      description.className = 'augment-description';
+      description.textContent = augment.description;
+      card.appendChild(description);
+
+      card.addEventListener('click', () => {
+        this.game.augmentSystem.chooseAugment(id);
+      });
+
+      choices.appendChild(card);
+    });
+
+    this.showPanel(panel, false);
+    panel.style.zIndex = '20';
+    this.updateAugmentReroll();
+  }
+
+  /**
+   * Close the augment draft
+   */
+  hideAugmentDraft() {
+    if (this.elements.augmentDraft) {
+      this.hidePanel(this.elements.augmentDraft);
+    }
+  }
+
+  /**
+   * Enable the reroll button if the player can afford it
+   */
+  updateAugmentReroll() {
+    if (!this.elements.augmentDraft) return;
+
+    this.elements.augmentDraft.querySelector('.augment-reroll').disabled =
+      this.game.state.gold < augmentRules.rerollCost;
+  }
+
+  /**
+   * Show the augments taken this run on the HUD
+   * @param {Array<string>} taken - Augment IDs
+   */
+  updateAugmentHud(taken) {
+    if (!this.elements.augmentHud) {
+      const hud = document.createElement('div');
+      hud.id = 'augmentHud';
+      hud.className = 'ui-panel';
+      hud.style.display = 'none';
+      (this.elements.gameContainer || document.body).appendChild(hud);
+
+      this.elements.augmentHud = hud;
+    }
+
+    const hud = this.elements.augmentHud;
+    hud.innerHTML = '';
+
+    taken.forEach(id => {
+      const augment = getAugment(id);
+
+      const badge = document.createElement('span');
+      badge.className = 'augment-badge';
+      badge.textContent = augment.name;
+      badge.title = augment.description;
+      hud.appendChild(badge);
+    });
+
+    hud.style.display = taken.length > 0 ? 'flex' : 'none';
+  }
+
+  /**
+   * Create ability bar
+   * @returns {HTMLElement} Ability bar
+   */
+  createAbilityBar() {
+    const bar = document.createElement('div');
+    bar.id = 'abilityBar';
+    bar.className = 'ui-panel';
+
+    // Mana bar along the top of the ability bar
+    const manaBar = document.createElement('div');
+    manaBar.className = 'manaBar';
+
+    const manaFill = document.createElement('div');
+    manaFill.className = 'manaFill';
+    manaBar.appendChild(manaFill);
+
+    const manaText = document.createElement('span');
+    manaText.className = 'manaText';
+    manaBar.appendChild(manaText);
+
+    bar.appendChild(manaBar);
+
+    // Hero level and XP towards the next one
+    const levelBadge = document.createElement('div');
+    levelBadge.className = 'levelBadge';
+    bar.appendChild(levelBadge);
+
+    const xpBar = document.createElement('div');
+    xpBar.className = 'xpBar';
+
+    const xpFill = document.createElement('div');
+    xpFill.className = 'xpFill';
+    xpBar.appendChild(xpFill);
+
+    bar.appendChild(xpBar);
+
+    // Create ability slots
+    for (let i = 0; i < 4; i++) {
+      const slot = document.createElement('div');
+      slot.className = 'abilitySlot';
+      slot.id = `abilitySlot${i}`;
+
+      // Key binding display
+      const keyBind = document.createElement('div');
+      keyBind.className = 'keyBind';
+      keyBind.textContent = this.getKeyBindLabel(i);
+
+      // Cooldown overlay
+      const cooldown = document.createElement('div');
+      cooldown.className = 'cooldownOverlay';
+      cooldown.style.display = 'none';
+
+      // Ability level, and a button to spend an ability point on it
+      const abilityLevel = document.createElement('div');
+      abilityLevel.className = 'abilityLevel';
+
+      const levelUpButton = document.createElement('button');
+      levelUpButton.className = 'abilityLevelUp';
+      levelUpButton.textContent = '+';
+      levelUpButton.title = 'Spend an ability point';
+      levelUpButton.style.display = 'none';
+      levelUpButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.game.levelingSystem.levelUpAbility(i);
+      });
+
+      slot.appendChild(keyBind);
+      slot.appendChild(cooldown);
+      slot.appendChild(abilityLevel);
+      slot.appendChild(levelUpButton);
+      bar.appendChild(slot);
+    }
+
+    // Key binding settings
+    const settingsButton = document.createElement('button');
+    settingsButton.className = 'settingsButton';
+    settingsButton.textContent = '\u2699';
+    settingsButton.title = 'Key bindings';
+    settingsButton.addEventListener('click', () => this.toggleSettingsPanel());
+    bar.appendChild(settingsButton);
+
+    // Add to game container
+    this.elements.gameContainer.appendChild(bar);
+
+    return bar;
+  }
+
+  /**
+   * Get the label shown on an ability slot for its bound keys
+   * @param {number} index - Ability index
+   * @returns {string} Label, e.g. "1/Q"
+   */
+  getKeyBindLabel(index) {
+    if (!this.game.keyBindings) return (index + 1).toString();
+
+    const keys = this.game.keyBindings.getAbilityKeys(index).filter(key => key);
+    return keys.length > 0 ? keys.map(key => KeyBindings.formatKey(key)).join('/') : '-';
+  }
+
+  /**
+   * Refresh the key labels on the ability bar
+   */
+  updateKeyBindLabels() {
+    if (!this.elements.abilityBar) return;
+
+    this.elements.abilityBar.querySelectorAll('.abilitySlot').forEach((slot, index) => {
+      const keyBind = slot.querySelector('.keyBind');
+      if (keyBind) {
+        keyBind.textContent = this.getKeyBindLabel(index);
+      }
+    });
+  }
+
+  /**
+   * Create the settings panel for rebinding ability keys
+   * @returns {HTMLElement} Settings panel
+   */
+  createSettingsPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'settingsPanel';
+    panel.className = 'ui-panel';
+    panel.style.display = 'none';
+
+    // Title
+    const title = document.createElement('h3');
+    title.textContent = 'Key Bindings';
+    panel.appendChild(title);
+
+    // One row per ability slot, filled in by updateSettingsPanel
+    const rows = document.createElement('div');
+    rows.className = 'keybind-rows';
+    panel.appendChild(rows);
+
+    // Hint / error line
+    const hint = document.createElement('p');
+    hint.className = 'keybind-hint';
+    hint.textContent = 'Click a key, then press the new key. Esc cancels.';
+    panel.appendChild(hint);
+
+    // Buttons
+    const resetButton = document.createElement('button');
+    resetButton.className = 'resetBindingsButton';
+    resetButton.textContent = 'Reset to Defaults';
+    resetButton.addEventListener('click', () => {
+      this.cancelBindingCapture();
+      this.game.keyBindings.reset();
+    });
+    panel.appendChild(resetButton);
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'closeSettingsButton';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', () => this.hideSettingsPanel());
+    panel.appendChild(closeButton);
+
+    // Add to game container
+    this.elements.gameContainer.appendChild(panel);
+
+    this.elements.settingsPanel = panel;
+    this.updateSettingsPanel();
+
+    return panel;
+  }
+
+  /**
+   * Rebuild the key binding rows of the settings panel
+   */
+  updateSettingsPanel() {
+    const panel = this.elements.settingsPanel;
+    if (!panel || !this.game.keyBindings) return;
+
+    const rows = panel.querySelector('.keybind-rows');
+    rows.innerHTML = '';
+
+    const abilities = this.game.state.hero ? this.game.state.hero.abilities : [];
+
+    this.game.keyBindings.abilityKeys.forEach((keys, index) => {
+      const row = document.createElement('div');
+      row.className = 'keybind-row';
+
+      const label = document.createElement('span');
+      label.className = 'keybind-label';
+      label.textContent = abilities[index] ? abilities[index].name : `Ability ${index + 1}`;
+      row.appendChild(label);
+
+      keys.forEach((key, slot) => {
+        const button = document.createElement('button');
+        button.className = 'keybind-button';
+        button.textContent = KeyBindings.formatKey(key);
+        button.addEventListener('click', () => this.startBindingCapture(index, slot, button));
+        row.appendChild(button);
+      });
+
+      rows.appendChild(row);
+    });
+  }
+
+  /**
+   * Show or hide the settings panel
+   */
+  toggleSettingsPanel() {
+    const panel = this.elements.settingsPanel;
+    if (!panel) return;
+
+    if (panel.style.display === 'none') {
+      this.updateSettingsPanel();
+      this.showPanel(panel, false);
+    } else {
+      this.hideSettingsPanel();
+    }
+  }
+
+  /**
+   * Hide the settings panel
+   */
+  hideSettingsPanel() {
+    this.cancelBindingCapture();
+
+    if (this.elements.settingsPanel) {
+      this.hidePanel(this.elements.settingsPanel);
+    }
+  }
+
+  /**
+   * Wait for the next key press and bind it to an ability
+   * @param {number} index - Ability index
+   * @param {number} slot - Which of the ability's keys to replace
+   * @param {HTMLElement} button - Button showing the key
+   */
+  startBindingCapture(index, slot, button) {
+    this.cancelBindingCapture();
+
+    this.bindingCapture = { index, slot, button };
+    button.classList.add('listening');
+    button.textContent = '...';
+
+    // Capture phase on document runs before InputManager and the quality shortcuts
+    document.addEventListener('keydown', this.onBindingKeyDown, true);
+  }
+
+  /**
+   * Stop waiting for a key press
+   */
+  cancelBindingCapture() {
+    if (!this.bindingCapture) return;
+
+    document.removeEventListener('keydown', this.onBindingKeyDown, true);
+    this.bindingCapture = null;
+    this.updateSettingsPanel();
+  }
+
+  /**
+   * Handle the key pressed while rebinding
+   * @param {KeyboardEvent} event - Key down event
+   */
+  onBindingKeyDown(event) {
+    if (!this.bindingCapture) return;
+
+    // Swallow the key so it doesn't also cast an ability
+    event.preventDefault();
+    event.stopPropagation();
+
+    const key = event.key.toLowerCase();
+    if (['control', 'shift', 'alt', 'meta'].includes(key)) return; // Wait for the real key
+
+    const { index, slot } = this.bindingCapture;
+    const hint = this.elements.settingsPanel.querySelector('.keybind-hint');
+
+    if (key === 'escape') {
+      this.cancelBindingCapture();
+      return;
+    }
+
+    if (event.ctrlKey || event.altKey || event.metaKey || !this.game.keyBindings.bind(index, slot, key)) {
+      hint.textContent = `${KeyBindings.formatKey(key)} can't be bound. Try another key.`;
+      return;
+    }
+
+    hint.textContent = 'Click a key, then press the new key. Esc cancels.';
+    this.cancelBindingCapture();
+  }
+
+  /**
+   * Create the profile panel: level, talents and hero colours
+   * @returns {HTMLElement} Profile panel
+   */
+  createProfilePanel() {
+    const panel = document.createElement('div');
+    panel.id = 'profilePanel';
+    panel.className = 'ui-panel';
+    panel.style.display = 'none';
+
+    // Title
+    const title = document.createElement('h3');
+    title.textContent = 'Profile';
+    panel.appendChild(title);
+
+    // Level and XP, filled in by updateProfilePanel
+    const level = document.createElement('p');
+    level.className = 'profile-level';
+    panel.appendChild(level);
+
+    // Talents
+    const talentTitle = document.createElement('h4');
+    talentTitle.className = 'profile-points';
+    panel.appendChild(talentTitle);
+
+    const talentRows = document.createElement('div');
+    talentRows.className = 'talent-rows';
+    panel.appendChild(talentRows);
+
+    // Hero colours
+    const colorTitle = document.createElement('h4');
+    colorTitle.textContent = 'Hero Colour';
+    panel.appendChild(colorTitle);
+
+    const colorRow = document.createElement('div');
+    colorRow.className = 'color-swatches';
+    panel.appendChild(colorRow);
+
+    // Buttons
+    const resetButton = document.createElement('button');
+    resetButton.className = 'resetTalentsButton';
+    resetButton.textContent = 'Reset Talents';
+    resetButton.addEventListener('click', () => this.game.profileManager.resetTalents());
+    panel.appendChild(resetButton);
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'closeProfileButton';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', () => this.hidePanel(panel));
+    panel.appendChild(closeButton);
+
+    // Add to game container
+    (this.elements.gameContainer || document.body).appendChild(panel);
+
+    this.elements.profilePanel = panel;
+    this.game.profileManager.events.on('changed', () => {
+      this.updateProfilePanel();
+      this.updateHeroLocks();
+    });
+    this.updateProfilePanel();
+
+    return panel;
+  }
+
+  /**
+   * Fill in the profile panel from the profile
    */
-  createAbilityBar() {
-    const bar = document.createElement('div');
-    bar.id = 'abilityBar';
-    bar.className = 'ui-panel';
+  updateProfilePanel() {
+    const panel = this.elements.profilePanel;
+    if (!panel) return;
+
+    const profile = this.game.profileManager;
+    const level = profile.getLevel();
+    const points = profile.getUnspentPoints();
+    const ranks = profile.getTalents();
+
+    panel.querySelector('.profile-level').textContent =
+      `Level ${level} - ${profile.profile.xp} / ${getXpForLevel(level + 1)} XP`;
+    panel.querySelector('.profile-points').textContent = `Talents (${points} point${points === 1 ? '' : 's'} to spend)`;
+
+    const talentRows = panel.querySelector('.talent-rows');
+    talentRows.innerHTML = '';
+
+    Object.keys(talents).forEach(id => {
+      const talent = talents[id];
+      const rank = ranks[id] || 0;
+
+      const row = document.createElement('div');
+      row.className = 'talent-row';
+
+      const label = document.createElement('span');
+      label.className = 'talent-label';
+      label.textContent = `${talent.name} ${rank}/${talent.maxRank}`;
+      label.title = talent.requires
+        ? `${talent.description} (needs ${talents[talent.requires.talent].name} ${talent.requires.rank})`
+        : talent.description;
+      row.appendChild(label);
+
+      const learnButton = document.createElement('button');
+      learnButton.className = 'talent-learn';
+      learnButton.dataset.talent = id;
+      learnButton.textContent = '+';
+      learnButton.disabled = points <= 0 || rank >= talent.maxRank ||
+        (talent.requires && (ranks[talent.requires.talent] || 0) < talent.requires.rank);
+      learnButton.addEventListener('click', () => profile.learnTalent(id));
+      row.appendChild(learnButton);
+
+      talentRows.appendChild(row);
+    });
 
-    // Create ability slots
-    for (let i = 0; i < 4; i++) {
-      const slot = document.createElement('div');
-      slot.className = 'abilitySlot';
-      slot.id = `abilitySlot${i}`;
+    const colorRow = panel.querySelector('.color-swatches');
+    colorRow.innerHTML = '';
 
-      // Key binding display
-      const keyBind = document.createElement('div');
-      keyBind.className = 'keyBind';
-      keyBind.textContent = (i + 1).toString();
+    [null, ...Object.keys(heroColors)].forEach(id => {
+      const swatch = document.createElement('button');
+      swatch.className = 'color-swatch';
+      swatch.dataset.color = id || 'default';
 
-      // Cooldown overlay
-      const cooldown = document.createElement('div');
-      cooldown.className = 'cooldownOverlay';
-      cooldown.style.display = 'none';
+      if (id) {
+        swatch.style.backgroundColor = `#${heroColors[id].color.toString(16).padStart(6, '0')}`;
+        swatch.title = profile.isColorUnlocked(id)
+          ? heroColors[id].name
+          : `${heroColors[id].name} (level ${heroColors[id].level})`;
+        swatch.disabled = !profile.isColorUnlocked(id);
+      } else {
+        swatch.textContent = 'Class';
+        swatch.title = 'Class colour';
+      }
 
-      slot.appendChild(keyBind);
-      slot.appendChild(cooldown);
-      bar.appendChild(slot);
-    }
+      swatch.classList.toggle('selected', profile.profile.color === id);
+      swatch.addEventListener('click', () => profile.selectColor(id));
+      colorRow.appendChild(swatch);
+    });
+  }
 
-    // Add to game container
-    this.elements.gameContainer.appendChild(bar);
+  /**
+   * Show or hide the profile panel
+   */
+  toggleProfilePanel() {
+    if (!this.elements.profilePanel) {
+      this.elements.profilePanel = this.createProfilePanel();
+    }
 
-    return bar;
+    const panel = this.elements.profilePanel;
+    if (panel.style.display === 'none') {
+      this.updateProfilePanel();
+      this.showPanel(panel, false);
+    } else {
+      this.hidePanel(panel);
+    }
   }
 
   /**
@@ -715,6 +1478,90 @@ export class UIManager {
     return panel;
   }
 
+  /**
+   * Create the boss health bar shown at the top of the screen while a boss is alive
+   * @returns {HTMLElement} Boss bar
+   */
+  createBossBar() {
+    const panel = document.createElement('div');
+    panel.id = 'bossBar';
+    panel.style.display = 'none';
+
+    const name = document.createElement('div');
+    name.className = 'boss-name';
+    panel.appendChild(name);
+
+    const track = document.createElement('div');
+    track.className = 'boss-track';
+
+    const health = document.createElement('div');
+    health.className = 'boss-health';
+    track.appendChild(health);
+
+    const shield = document.createElement('div');
+    shield.className = 'boss-shield';
+    track.appendChild(shield);
+
+    panel.appendChild(track);
+
+    const phase = document.createElement('div');
+    phase.className = 'boss-phase';
+    panel.appendChild(phase);
+
+    // Add to game container
+    (this.elements.gameContainer || document.body).appendChild(panel);
+
+    return panel;
+  }
+
+  /**
+   * Show the boss bar and fill it in
+   * @param {Object} boss - Boss state (name, health, maxHealth, shield, phase, enraged)
+   */
+  updateBossBar(boss) {
+    if (!this.elements.bossBar) {
+      this.elements.bossBar = document.getElementById('bossBar') || this.createBossBar();
+    }
+
+    const bar = this.elements.bossBar;
+    const healthPercent = Math.max(0, Math.min(1, boss.health / boss.maxHealth)) * 100;
+    const shieldPercent = Math.max(0, Math.min(1, boss.shield / boss.maxHealth)) * 100;
+
+    bar.querySelector('.boss-name').textContent = boss.name;
+    bar.querySelector('.boss-health').style.width = `${healthPercent}%`;
+    bar.querySelector('.boss-shield').style.width = `${shieldPercent}%`;
+    bar.querySelector('.boss-phase').textContent = boss.enraged
+      ? `Phase ${boss.phase + 1} - Enraged!`
+      : `Phase ${boss.phase + 1}`;
+
+    bar.classList.toggle('enraged', boss.enraged);
+    bar.style.display = 'block';
+  }
+
+  /**
+   * Hide the boss bar
+   */
+  hideBossBar() {
+    if (this.elements.bossBar) {
+      this.elements.bossBar.style.display = 'none';
+    }
+  }
+
+  /**
+   * Show a big announcement in the middle of the screen
+   * @param {string} text - Announcement text
+   */
+  showAnnouncement(text) {
+    if (!this.elements.waveInfo) return;
+
+    this.elements.waveInfo.textContent = text;
+    this.elements.waveInfo.style.opacity = '1';
+
+    setTimeout(() => {
+      this.elements.waveInfo.style.opacity = '0';
+    }, 3000);
+  }
+
   /**
    * Create game over panel
    * @returns {HTMLElement} Game over panel
@@ -728,9 +1575,24 @@ export class UIManager {
     title.textContent = 'Game Over';
     panel.appendChild(title);
 
+    // Tabs: this run's stats and the server leaderboard
+    const tabs = document.createElement('div');
+    tabs.className = 'game-over-tabs';
+
+    [['stats', 'This Run'], ['leaderboard', 'Leaderboard']].forEach(([tab, label]) => {
+      const tabButton = document.createElement('button');
+      tabButton.className = 'tab-button';
+      tabButton.dataset.tab = tab;
+      tabButton.textContent = label;
+      tabButton.addEventListener('click', () => this.showGameOverTab(tab));
+      tabs.appendChild(tabButton);
+    });
+    panel.appendChild(tabs);
+
     // Stats
     const stats = document.createElement('div');
-    stats.className = 'game-stats';
+    stats.className = 'game-stats tab-content';
+    stats.dataset.tab = 'stats';
 
     const wavesCleared = document.createElement('p');
     wavesCleared.innerHTML = 'Waves Cleared: <span id="wavesClearedValue">0</span>';
@@ -738,10 +1600,21 @@ export class UIManager {
     const enemiesDefeated = document.createElement('p');
     enemiesDefeated.innerHTML = 'Enemies Defeated: <span id="enemiesDefeatedValue">0</span>';
 
+    const difficulty = document.createElement('p');
+    difficulty.innerHTML = 'Difficulty: <span id="difficultyValue"></span>';
+
+    // XP earned for the profile, filled in by showGameOverPanel
+    const xpEarned = document.createElement('p');
+    xpEarned.className = 'xp-earned';
+
     stats.appendChild(wavesCleared);
     stats.appendChild(enemiesDefeated);
+    stats.appendChild(difficulty);
+    stats.appendChild(xpEarned);
     panel.appendChild(stats);
 
+    panel.appendChild(this.createLeaderboardSection());
+
     // Restart button
     const restartButton = document.createElement('button');
     restartButton.className = 'restartButton';
@@ -757,6 +1630,151 @@ export class UIManager {
     return panel;
   }
 
+  /**
+   * Create the leaderboard tab of the game over panel
+   * @returns {HTMLElement} Leaderboard section
+   */
+  createLeaderboardSection() {
+    const section = document.createElement('div');
+    section.className = 'leaderboard tab-content';
+    section.dataset.tab = 'leaderboard';
+
+    // Filters
+    const filters = document.createElement('div');
+    filters.className = 'leaderboard-filters';
+
+    const classFilter = document.createElement('select');
+    classFilter.className = 'leaderboard-class';
+    classFilter.appendChild(new Option('All heroes', ''));
+    Object.keys(CONFIG.heroClasses).forEach(heroClass => {
+      classFilter.appendChild(new Option(CONFIG.heroClasses[heroClass].name, heroClass));
+    });
+
+    const playerFilter = document.createElement('select');
+    playerFilter.className = 'leaderboard-players';
+    playerFilter.appendChild(new Option('Any players', ''));
+    for (let count = 1; count <= multiplayer.maxPlayers; count++) {
+      playerFilter.appendChild(new Option(count === 1 ? '1 player' : `${count} players`, String(count)));
+    }
+
+    const difficultyFilter = document.createElement('select');
+    difficultyFilter.className = 'leaderboard-difficulty';
+    difficultyFilter.appendChild(new Option('Any difficulty', ''));
+    Object.keys(difficultyPresets).forEach(difficulty => {
+      difficultyFilter.appendChild(new Option(difficultyPresets[difficulty].name, difficulty));
+    });
+
+    classFilter.addEventListener('change', () => this.loadLeaderboard());
+    playerFilter.addEventListener('change', () => this.loadLeaderboard());
+    difficultyFilter.addEventListener('change', () => this.loadLeaderboard());
+
+    filters.appendChild(classFilter);
+    filters.appendChild(playerFilter);
+    filters.appendChild(difficultyFilter);
+    section.appendChild(filters);
+
+    // Loading, error and empty messages
+    const status = document.createElement('p');
+    status.className = 'leaderboard-status';
+    section.appendChild(status);
+
+    // Runs
+    const table = document.createElement('table');
+    table.className = 'leaderboard-table';
+    table.innerHTML = '<thead><tr><th>#</th><th>Players</th><th>Difficulty</th><th>Wave</th><th>Kills</th><th>Time</th></tr></thead><tbody></tbody>';
+    section.appendChild(table);
+
+    return section;
+  }
+
+  /**
+   * Switch the game over panel between its tabs
+   * @param {string} tab - 'stats' or 'leaderboard'
+   */
+  showGameOverTab(tab) {
+    const panel = this.elements.gameOverPanel;
+    if (!panel) return;
+
+    panel.querySelectorAll('.tab-button').forEach(button => {
+      button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    panel.querySelectorAll('.tab-content').forEach(content => {
+      content.style.display = content.dataset.tab === tab ? 'block' : 'none';
+    });
+
+    if (tab === 'leaderboard') {
+      this.loadLeaderboard();
+    }
+  }
+
+  /**
+   * Fetch the leaderboard for the chosen filters and show it
+   * @returns {Promise} Resolves once the leaderboard is shown
+   */
+  loadLeaderboard() {
+    const panel = this.elements.gameOverPanel;
+    if (!panel) return Promise.resolve();
+
+    const status = panel.querySelector('.leaderboard-status');
+    const filters = {
+      heroClass: panel.querySelector('.leaderboard-class').value,
+      players: panel.querySelector('.leaderboard-players').value,
+      difficulty: panel.querySelector('.leaderboard-difficulty').value
+    };
+
+    status.textContent = 'Loading...';
+    this.renderLeaderboard([]);
+
+    return this.game.networkManager.fetchLeaderboard(filters)
+      .then(runs => {
+        status.textContent = runs.length > 0 ? '' : 'No runs recorded yet';
+        this.renderLeaderboard(runs);
+      })
+      .catch(error => {
+        this.logger.warn('Could not load leaderboard:', error);
+        status.textContent = 'Could not reach the leaderboard server';
+      });
+  }
+
+  /**
+   * Fill the leaderboard table
+   * @param {Array<Object>} runs - Runs, best first
+   */
+  renderLeaderboard(runs) {
+    const body = this.elements.gameOverPanel.querySelector('.leaderboard-table tbody');
+    body.innerHTML = '';
+
+    runs.forEach((run, index) => {
+      const row = document.createElement('tr');
+      if (run.id === this.game.networkManager.lastRunId) {
+        row.className = 'current-run';
+      }
+
+      const seconds = Math.round(run.duration / 1000);
+      const players = run.players
+        .map(player => {
+          const heroClass = CONFIG.heroClasses[player.heroClass];
+          return heroClass ? `${player.username} (${heroClass.name})` : player.username;
+        })
+        .join(', ');
+
+      [
+        index + 1,
+        players,
+        getDifficulty(run.difficulty).name, // Runs from before difficulties were on Normal
+        run.wave,
+        run.enemiesDefeated,
+        `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      body.appendChild(row);
+    });
+  }
+
   /**
    * Show a panel
    * @param {HTMLElement|string} panel - Panel element or panel ID
@@ -865,6 +1883,10 @@ export class UIManager {
       this.elements.abilityBar = this.createAbilityBar();
     }
 
+    if (!this.elements.towerPanel) {
+      this.elements.towerPanel = this.createTowerPanel();
+    }
+
     // Force hide loading screen
     this.hideLoadingScreen();
 
@@ -895,6 +1917,11 @@ export class UIManager {
       this.elements.abilityBar.style.zIndex = '10';
     }
 
+    this.showPanel(this.elements.towerPanel, false);
+    if (this.elements.towerPanel) {
+      this.elements.towerPanel.style.zIndex = '10';
+    }
+
     // Always show chat in both multiplayer and single player
     this.showPanel(this.elements.chatContainer, false);
     if (this.elements.chatContainer) {
@@ -913,8 +1940,13 @@ export class UIManager {
     this.hidePanel(this.elements.gameInfo);
     this.hidePanel(this.elements.upgradePanel);
     this.hidePanel(this.elements.abilityBar);
+    this.hidePanel(this.elements.towerPanel);
+    this.hidePanel(this.elements.itemShopPanel);
+    this.hidePanel(this.elements.augmentDraft);
+    this.hidePanel(this.elements.augmentHud);
     this.hidePanel(this.elements.playerList);
     this.hidePanel(this.elements.chatContainer);
+    this.hideBossBar();
   }
 
   /**
@@ -943,6 +1975,59 @@ export class UIManager {
     if (this.elements.multiplayerPanel) {
       this.elements.multiplayerPanel.style.display = 'block';
     }
+
+    this.updateContinueButton();
+    this.updateHeroLocks();
+  }
+
+  /**
+   * Lock the hero options on the start panel the profile hasn't unlocked yet
+   * The first unlocked hero is picked if the chosen one is locked.
+   */
+  updateHeroLocks() {
+    const panel = this.elements.multiplayerPanel;
+    if (!panel) return;
+
+    const profile = this.game.profileManager;
+
+    panel.querySelectorAll('.hero-option').forEach(option => {
+      const locked = !profile.isHeroUnlocked(option.getAttribute('data-hero'));
+      const radioInput = option.querySelector('input[type="radio"]');
+
+      radioInput.disabled = locked;
+      if (locked) {
+        radioInput.checked = false;
+        option.classList.remove('selected');
+      }
+      option.classList.toggle('locked', locked);
+    });
+
+    if (!panel.querySelector('input[name="heroClass"]:checked')) {
+      const firstUnlocked = panel.querySelector('input[name="heroClass"]:not(:disabled)');
+      if (firstUnlocked) {
+        firstUnlocked.checked = true;
+        firstUnlocked.closest('.hero-option').classList.add('selected');
+      }
+    }
+  }
+
+  /**
+   * Show the Continue button on the start panel when there's a saved run
+   */
+  updateContinueButton() {
+    const panel = this.elements.multiplayerPanel;
+    const button = panel ? panel.querySelector('.continueButton') : null;
+    if (!button) return;
+
+    const save = this.game.saveManager.load();
+    if (!save) {
+      button.style.display = 'none';
+      return;
+    }
+
+    const heroName = save.heroClass.charAt(0).toUpperCase() + save.heroClass.slice(1);
+    button.textContent = `Continue (${heroName}, wave ${save.wave})`;
+    button.style.display = 'block';
   }
 
   /**
@@ -960,6 +2045,22 @@ export class UIManager {
     title.textContent = 'Hero Defense';
     panel.appendChild(title);
 
+    // Continue a saved solo run (shown by updateContinueButton when there is one)
+    const continueButton = document.createElement('button');
+    continueButton.className = 'continueButton';
+    continueButton.style.display = 'none';
+
+    continueButton.addEventListener('click', () => {
+      if (this.game.continueGame()) {
+        this.hidePanel(panel);
+      } else {
+        this.showError('The saved run could not be loaded');
+        this.updateContinueButton();
+      }
+    });
+
+    panel.appendChild(continueButton);
+
     // Username input
     const usernameContainer = document.createElement('div');
     usernameContainer.className = 'input-container';
@@ -992,6 +2093,121 @@ export class UIManager {
     serverContainer.appendChild(serverInput);
     panel.appendChild(serverContainer);
 
+    // Room input
+    const roomContainer = document.createElement('div');
+    roomContainer.className = 'input-container';
+
+    const roomLabel = document.createElement('label');
+    roomLabel.textContent = 'Room ID:';
+
+    const roomInput = document.createElement('input');
+    roomInput.type = 'text';
+    roomInput.className = 'roomInput';
+    roomInput.placeholder = 'Leave empty to create a new room';
+
+    const browseButton = document.createElement('button');
+    browseButton.className = 'browseButton';
+    browseButton.textContent = 'Browse Rooms';
+
+    roomContainer.appendChild(roomLabel);
+    roomContainer.appendChild(roomInput);
+    roomContainer.appendChild(browseButton);
+    panel.appendChild(roomContainer);
+
+    // Open rooms list (filled by Browse Rooms)
+    const roomList = document.createElement('div');
+    roomList.className = 'room-list';
+    roomList.style.display = 'none';
+    panel.appendChild(roomList);
+
+    // Map picker (used when this player opens a new room)
+    const mapContainer = document.createElement('div');
+    mapContainer.className = 'input-container map-select';
+
+    const mapLabel = document.createElement('label');
+    mapLabel.textContent = 'Map:';
+
+    const mapSelect = document.createElement('select');
+    mapSelect.className = 'mapSelect';
+
+    const mapDescription = document.createElement('p');
+    mapDescription.className = 'map-description';
+
+    const maps = getMapList();
+    maps.forEach(map => {
+      const option = document.createElement('option');
+      option.value = map.id;
+      option.textContent = map.name;
+      mapSelect.appendChild(option);
+    });
+
+    mapSelect.value = this.game.state.mapId;
+
+    const showMapDescription = () => {
+      const map = maps.find(entry => entry.id === mapSelect.value);
+      mapDescription.textContent = map ? map.description : '';
+    };
+    showMapDescription();
+
+    // Show the picked map behind the lobby
+    mapSelect.addEventListener('change', () => {
+      showMapDescription();
+      this.game.loadMap(mapSelect.value);
+    });
+
+    mapContainer.appendChild(mapLabel);
+    mapContainer.appendChild(mapSelect);
+    mapContainer.appendChild(mapDescription);
+    panel.appendChild(mapContainer);
+
+    // Difficulty picker (used for solo games and when this player opens a new room)
+    const difficultyContainer = document.createElement('div');
+    difficultyContainer.className = 'input-container difficulty-select';
+
+    const difficultyLabel = document.createElement('label');
+    difficultyLabel.textContent = 'Difficulty:';
+
+    const difficultySelect = document.createElement('select');
+    difficultySelect.className = 'difficultySelect';
+
+    const difficultyDescription = document.createElement('p');
+    difficultyDescription.className = 'difficulty-description';
+
+    Object.keys(difficultyPresets).forEach(difficulty => {
+      difficultySelect.appendChild(new Option(difficultyPresets[difficulty].name, difficulty));
+    });
+
+    difficultySelect.value = this.game.state.difficulty;
+
+    const showDifficultyDescription = () => {
+      difficultyDescription.textContent = getDifficulty(difficultySelect.value).description;
+    };
+    showDifficultyDescription();
+
+    difficultySelect.addEventListener('change', () => {
+      showDifficultyDescription();
+      this.game.state.difficulty = difficultySelect.value;
+    });
+
+    difficultyContainer.appendChild(difficultyLabel);
+    difficultyContainer.appendChild(difficultySelect);
+    difficultyContainer.appendChild(difficultyDescription);
+    panel.appendChild(difficultyContainer);
+
+    browseButton.addEventListener('click', () => {
+      this.ensureConnected(serverInput.value.trim())
+        .then(() => {
+          this.game.networkManager.events.once('roomList', data => {
+            this.updateRoomList(roomList, data.rooms, roomInput);
+          });
+
+          this.game.networkManager.listRooms();
+        })
+        .catch(error => {
+          this.showError(`Failed to connect: ${error.message}`);
+        });
+    });
+
     // Hero selection
     const heroSelectionContainer = document.createElement('div');
     heroSelectionContainer.className = 'hero-selection-container';
@@ -1004,14 +2220,8 @@ export class UIManager {
     const heroOptionsContainer = document.createElement('div');
     heroOptionsContainer.className = 'hero-options';
 
-    // Create hero options
-    const heroes = [
-      { id: 'warrior', name: 'Warrior', desc: 'High defense, melee attacks' },
-      { id: 'ranger', name: 'Ranger', desc: 'Long range attacks, high precision' },
-      { id: 'mage', name: 'Mage', desc: 'Powerful area damage, magical abilities' }
-    ];
-
-    heroes.forEach(hero => {
+    // Create an option for each registered hero class
+    getHeroClasses().forEach(hero => {
       const heroOption = document.createElement('div');
       heroOption.className = 'hero-option';
       heroOption.setAttribute('data-hero', hero.id);
@@ -1028,14 +2238,22 @@ export class UIManager {
       label.textContent = hero.name;
 
       const description = document.createElement('p');
-      description.textContent = hero.desc;
+      description.textContent = hero.description;
+
+      // Shown instead of the description until the profile unlocks the hero
+      const lockNote = document.createElement('p');
+      lockNote.className = 'hero-lock';
+      lockNote.textContent = `Unlocks at profile level ${heroUnlocks[hero.id]}`;
 
       heroOption.appendChild(radioInput);
       heroOption.appendChild(label);
       heroOption.appendChild(description);
+      heroOption.appendChild(lockNote);
 
       // Add click handler to select hero
       heroOption.addEventListener('click', () => {
+        if (radioInput.disabled) return;
+
         radioInput.checked = true;
 
         // Remove selected class from all options
@@ -1053,6 +2271,13 @@ export class UIManager {
     heroSelectionContainer.appendChild(heroOptionsContainer);
     panel.appendChild(heroSelectionContainer);
 
+    // Profile (talents and hero colours)
+    const profileButton = document.createElement('button');
+    profileButton.className = 'profileButton';
+    profileButton.textContent = 'Profile';
+    profileButton.addEventListener('click', () => this.toggleProfilePanel());
+    panel.appendChild(profileButton);
+
     // Join button
     const joinButton = document.createElement('button');
     joinButton.className = 'joinButton';
@@ -1068,7 +2293,9 @@ export class UIManager {
         return;
       }
 
-      this.game.networkManager.connect(serverUrl)
+      const roomId = roomInput.value.trim();
+
+      this.ensureConnected(serverUrl)
         .then(() => {
           // Set the selected hero class
           this.game.state.heroClass = selectedHero;
@@ -1084,6 +2311,23 @@ export class UIManager {
           // Register with the server
           this.game.networkManager.registerPlayer(username);
 
+          // Show the room ID once the server has placed us in a room
+          this.game.networkManager.events.once('roomJoined', data => {
+            this.showRoomInfo(data.roomId);
+          });
+
+          // Surface "room not found" / "room full" replies
+          this.game.networkManager.events.once('error', data => {
+            this.showError(data.message);
+          });
+
+          // Join the requested room, or open a new one
+          if (roomId) {
+            this.game.networkManager.joinRoom(roomId);
+          } else {
+            this.game.networkManager.createRoom(`${username}'s room`, mapSelect.value, difficultySelect.value);
+          }
+
           // Show game UI
           this.showGameUI();
         })
@@ -1168,6 +2412,22 @@ export class UIManager {
     healthContainer.appendChild(healthValue);
     panel.appendChild(healthContainer);
 
+    // Room ID (shown once in a multiplayer room)
+    const roomContainer = document.createElement('div');
+    roomContainer.className = 'info-row';
+    roomContainer.id = 'roomInfo';
+    roomContainer.style.display = 'none';
+
+    const roomLabel = document.createElement('span');
+    roomLabel.textContent = 'Room: ';
+
+    const roomValue = document.createElement('span');
+    roomValue.id = 'roomIdValue';
+
+    roomContainer.appendChild(roomLabel);
+    roomContainer.appendChild(roomValue);
+    panel.appendChild(roomContainer);
+
     // Add to game container
     this.elements.gameContainer.appendChild(panel);
 
@@ -1225,6 +2485,54 @@ export class UIManager {
     }, 2000);
   }
 
+  /**
+   * Connect to the server unless a connection is already open
+   * @param {string} serverUrl - Server URL to connect to
+   * @returns {Promise} Promise that resolves when connected
+   */
+  ensureConnected(serverUrl) {
+    if (this.game.networkManager.connected) {
+      return Promise.resolve();
+    }
+
+    return this.game.networkManager.connect(serverUrl || 'ws://localhost:3001');
+  }
+
+  /**
+   * Fill the lobby room list
+   * @param {HTMLElement} container - Room list element
+   * @param {Array<Object>} rooms - Room summaries from the server
+   * @param {HTMLInputElement} roomInput - Input that receives the picked room ID
+   */
+  updateRoomList(container, rooms, roomInput) {
+    container.innerHTML = '';
+    container.style.display = 'block';
+
+    if (rooms.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No open rooms - leave the Room ID empty to create one.';
+      container.appendChild(empty);
+      return;
+    }
+
+    rooms.forEach(room => {
+      const roomElement = document.createElement('div');
+      roomElement.className = 'room-item';
+      roomElement.textContent = `${room.name} (${room.roomId}) - ${room.mapName}, ${getDifficulty(room.difficulty).name}, ` +
+        `${room.playerCount}/${room.maxPlayers} players, wave ${room.wave}`;
+
+      if (room.playerCount >= room.maxPlayers) {
+        roomElement.classList.add('full');
+      } else {
+        roomElement.addEventListener('click', () => {
+          roomInput.value = room.roomId;
+        });
+      }
+
+      container.appendChild(roomElement);
+    });
+  }
+
   /**
    * Show room information
    * @param {string} roomId - Room ID
@@ -1281,8 +2589,12 @@ export class UIManager {
    * Show game over panel
    * @param {number} enemiesDefeated - Enemies defeated
    * @param {number} wavesCleared - Waves cleared
+   * @param {Object} [reward] - Profile XP earned (see ProfileManager.awardRun)
+   * @param {string} [difficulty] - Difficulty the run was played on
    */
-  showGameOverPanel(enemiesDefeated, wavesCleared) {
+  showGameOverPanel(enemiesDefeated, wavesCleared, reward = null, difficulty = null) {
+    this.showGameOverTab('stats');
+
     // Update stats
     const wavesClearedValue = document.getElementById('wavesClearedValue');
     if (wavesClearedValue) {
@@ -1294,6 +2606,20 @@ export class UIManager {
       enemiesDefeatedValue.textContent = enemiesDefeated.toString();
     }
 
+    const difficultyValue = document.getElementById('difficultyValue');
+    if (difficultyValue) {
+      difficultyValue.textContent = getDifficulty(difficulty).name;
+    }
+
+    const xpEarned = this.elements.gameOverPanel && this.elements.gameOverPanel.querySelector('.xp-earned');
+    if (xpEarned) {
+      xpEarned.textContent = !reward
+        ? ''
+        : reward.levelsGained > 0
+          ? `+${reward.xp} XP - Profile level ${reward.level}!`
+          : `+${reward.xp} XP`;
+    }
+
     // Show panel
     if (this.elements.gameOverPanel) {
       this.elements.gameOverPanel.style.display = 'block';
@@ -1313,13 +2639,15 @@ export class UIManager {
     // Update enemies defeated
     this.updateEnemiesDefeatedUI(this.game.state.enemiesDefeated);
 
-    // Update health
+    // Update health and mana
     if (this.game.state.hero) {
       this.updateHealthUI(this.game.state.hero.upgradeStats.health.value);
+      this.updateManaUI(this.game.state.hero.mana, this.game.state.hero.maxMana);
     }
 
-    // Update abilities
+    // Update abilities and hero level
     this.updateAbilitiesUI();
+    this.updateHeroLevelUI();
 
     // Update upgrade buttons
     this.updateUpgradeButtons();
@@ -1362,6 +2690,9 @@ export class UIManager {
 
     // Update upgrade buttons (to enable/disable based on affordability)
     this.updateUpgradeButtons();
+    this.updateTowerButtons();
+    this.updateItemShop();
+    this.updateAugmentReroll();
   }
 
   /**
@@ -1386,6 +2717,71 @@ export class UIManager {
     }
   }
 
+  /**
+   * Update the mana bar and grey out abilities the hero can't afford
+   * @param {number} mana - Current mana
+   * @param {number} maxMana - Maximum mana
+   */
+  updateManaUI(mana, maxMana) {
+    if (!this.elements.abilityBar) return;
+
+    const manaBar = this.elements.abilityBar.querySelector('.manaBar');
+    if (manaBar) {
+      const percent = maxMana > 0 ? Math.max(0, Math.min(1, mana / maxMana)) * 100 : 0;
+      manaBar.querySelector('.manaFill').style.width = `${percent}%`;
+      manaBar.querySelector('.manaText').textContent = `${Math.floor(mana)} / ${maxMana}`;
+    }
+
+    const hero = this.game.state.hero;
+    if (!hero) return;
+
+    this.elements.abilityBar.querySelectorAll('.abilitySlot').forEach((slot, index) => {
+      const ability = hero.abilities[index];
+      slot.classList.toggle('noMana', !!ability && (ability.manaCost || 0) > mana);
+    });
+  }
+
+  /**
+   * Update the hero level badge, XP bar and ability levels
+   * Shows a "+" on each ability that an unspent ability point can level up.
+   */
+  updateHeroLevelUI() {
+    const hero = this.game.state.hero;
+    if (!hero || !this.elements.abilityBar) return;
+
+    const bar = this.elements.abilityBar;
+
+    const levelBadge = bar.querySelector('.levelBadge');
+    if (levelBadge) {
+      levelBadge.textContent = `Lv ${hero.level}`;
+      levelBadge.title = hero.abilityPoints > 0
+        ? `${hero.abilityPoints} ability point${hero.abilityPoints === 1 ? '' : 's'} to spend`
+        : '';
+    }
+
+    const xpFill = bar.querySelector('.xpFill');
+    if (xpFill) {
+      const progress = hero.getLevelProgress();
+      const percent = progress.needed > 0 ? Math.min(1, progress.current / progress.needed) * 100 : 100;
+      xpFill.style.width = `${percent}%`;
+    }
+
+    bar.querySelectorAll('.abilitySlot').forEach((slot, index) => {
+      const ability = hero.abilities[index];
+      const abilityLevel = slot.querySelector('.abilityLevel');
+      const levelUpButton = slot.querySelector('.abilityLevelUp');
+
+      if (abilityLevel) {
+        abilityLevel.textContent = ability ? ability.level.toString() : '';
+      }
+
+      if (levelUpButton) {
+        const canLevel = !!ability && hero.abilityPoints > 0 && ability.level < ability.maxLevel;
+        levelUpButton.style.display = canLevel ? 'block' : 'none';
+      }
+    });
+  }
+
   /**
    * Update wave completed UI
    * @param {number} wave - Completed wave
@@ -1414,7 +2810,8 @@ export class UIManager {
         slot.style.backgroundColor = '#' + ability.effectColor.toString(16).padStart(6, '0');
 
         // Add title (tooltip)
-        slot.title = `${ability.name}: ${ability.description}`;
+        const cost = ability.manaCost ? `, ${ability.manaCost} mana` : '';
+        slot.title = `${ability.name} (level ${ability.level}${cost}): ${ability.description}`;
       }
     });
   }
@@ -1487,6 +2884,22 @@ export class UIManager {
     });
   }
 
+  /**
+   * Enable the tower build buttons the player can afford
+   */
+  updateTowerButtons() {
+    if (!this.elements.towerPanel) return;
+
+    this.elements.towerPanel.querySelectorAll('.tower-build').forEach(button => {
+      button.disabled = this.game.state.gold < getTowerStats(button.dataset.tower, 1).cost;
+    });
+
+    // Keep the selected tower's upgrade button in step with the gold
+    if (this.game.towerSystem && this.game.towerSystem.selected) {
+      this.game.towerSystem.updateTowerUI();
+    }
+  }
+
   /**
    * Add a chat message to the chat panel
    * @param {string} sender - Message sender
@@ -1560,6 +2973,7 @@ export class UIManager {
 
     // Clear event listeners
     this.events.clear();
+    this.cancelBindingCapture();
 
     // Other cleanup as needed
   }
@@ -0,0 +1,168 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+import { Ability } from '../../src/components/ability/Ability.js';
+import { registerAbilityEffect, abilityEffects } from '../../src/components/ability/AbilityEffects.js';
+
+describe('ability effects', () => {
+  let game;
+  let hero;
+
+  const start = heroClass => {
+    game = createTestGame({ heroClass });
+    hero = game.state.hero;
+    game.simulation.spawnsLeft = 0;
+  };
+
+  // Line enemies up across the path and stand the hero just behind the middle one
+  const spawnLine = (type, offsets) => {
+    offsets.forEach((x, index) => game.simulation.spawnEnemy(type, { id: `e${index}`, x }));
+    advance(game, 50);
+
+    const middle = game.simulation.getEnemy('e0').position;
+    hero.mesh.position.set(0, 0.5, middle.z + 1);
+    hero.position.copy(hero.mesh.position);
+  };
+
+  const health = id => game.simulation.getEnemy(id).health;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Whirlwind hits every enemy in range', () => {
+    start('warrior');
+    spawnLine('brute', [0, -1, 1]);
+    game.simulation.spawnEnemy('brute', { id: 'far', x: 0, distance: 8 });
+    const before = ['e0', 'e1', 'e2', 'far'].map(health);
+
+    expect(hero.useAbility(0)).toBe(true);
+
+    expect(['e0', 'e1', 'e2', 'far'].map((id, index) => before[index] - health(id))).toEqual([8, 8, 8, 0]);
+  });
+
+  test('in multiplayer, ability hits are sent to the server instead of applied here', () => {
+    start('warrior');
+    spawnLine('brute', [0, -1, 1]);
+    const before = ['e0', 'e1', 'e2'].map(health);
+    game.networkManager = { connected: true, roomId: 'ROOM', sendAbilityChange: jest.fn(), sendAbilityHit: jest.fn() };
+
+    hero.useAbility(0); // Whirlwind
+    hero.useAbility(2); // Heroic Strike
+
+    expect(game.networkManager.sendAbilityHit.mock.calls).toEqual([
+      ['e0', 8, 0], ['e1', 8, 0], ['e2', 8, 0],
+      [expect.any(String), 20, 2]
+    ]);
+    expect(game.networkManager.sendAbilityChange.mock.calls).toEqual([['use', 0], ['use', 2]]);
+    expect(['e0', 'e1', 'e2'].map(health)).toEqual(before);
+  });
+
+  test('Frost Nova damages then freezes the enemies it hit', () => {
+    start('mage');
+    spawnLine('brute', [0]);
+    const before = health('e0');
+
+    hero.useAbility(1);
+
+    expect(before - health('e0')).toBe(6);
+    expect(game.simulation.getEnemy('e0').effects).toEqual([
+      expect.objectContaining({ type: 'freeze', slowFactor: 0.9, duration: 3000 })
+    ]);
+  });
+
+  test('in multiplayer, ability statuses are sent to the server as well', () => {
+    start('mage');
+    spawnLine('brute', [0]);
+    game.networkManager = {
+      connected: true,
+      roomId: 'ROOM',
+      sendAbilityChange: jest.fn(),
+      sendAbilityHit: jest.fn(),
+      sendAbilityStatus: jest.fn()
+    };
+
+    hero.useAbility(1); // Frost Nova
+
+    expect(game.networkManager.sendAbilityStatus.mock.calls).toEqual([['e0', 'freeze', 1]]);
+    expect(game.simulation.getEnemy('e0').effects).toEqual([expect.objectContaining({ type: 'freeze' })]);
+  });
+
+  test('in multiplayer, zones send the statuses they apply with their ability', () => {
+    start('ranger');
+    spawnLine('brute', [0]);
+    game.networkManager.connected = true;
+    game.networkManager.roomId = 'ROOM';
+    const send = jest.spyOn(game.networkManager, 'send').mockImplementation(() => {});
+
+    hero.useAbility(2, { position: game.state.enemies[0].position.clone() }); // Trap
+    advance(game, 1100);
+
+    expect(send).toHaveBeenCalledWith({ type: 'ability_status', enemyId: 'e0', status: 'slow', abilityIndex: 2 });
+  });
+
+  test('Multi-Shot hits as many of the closest enemies as the ability allows', () => {
+    start('ranger');
+    spawnLine('brute', [0, -1, 1, 1.5]);
+    const before = ['e0', 'e1', 'e2', 'e3'].map(health);
+
+    hero.useAbility(0);
+
+    expect(['e0', 'e1', 'e2', 'e3'].map((id, index) => before[index] - health(id))).toEqual([6, 6, 6, 0]);
+  });
+
+  test('buffs take their strength and duration from the ability', () => {
+    start('warrior');
+    hero.getAbility('Battle Shout').effectValue = 1.5;
+
+    hero.useAbility(3);
+
+    expect(hero.buffs).toEqual([
+      expect.objectContaining({ name: 'Battle Shout', damageMultiplier: 1.5, duration: 10000 })
+    ]);
+    expect(game.combatSystem.areaEffects.some(effect => effect.radius === 2)).toBe(true);
+  });
+
+  test('new abilities are built from data without touching the combat system', () => {
+    start('mage');
+    spawnLine('brute', [0, 1.5, 3]);
+    hero.abilities.push(new Ability({
+      name: 'Chain Lightning',
+      type: 'single',
+      damageMultiplier: 2,
+      effects: [{ type: 'chain', jumps: 2, range: 2, falloff: 0.5 }]
+    }));
+    const before = ['e0', 'e1', 'e2'].map(health);
+
+    expect(hero.useAbility(4)).toBe(true);
+
+    expect(['e0', 'e1', 'e2'].map((id, index) => before[index] - health(id))).toEqual([24, 12, 6]);
+  });
+
+  test('custom effect types can be registered', () => {
+    start('warrior');
+    const heal = jest.fn((context, effect) => {
+      context.caster.upgradeStats.health.value += effect.amount;
+    });
+    registerAbilityEffect('heal', heal);
+    const ability = new Ability({ name: 'Second Wind', effects: [{ type: 'heal', amount: 15 }] });
+    const before = hero.upgradeStats.health.value;
+
+    expect(ability.use(hero)).toMatchObject({ success: true });
+
+    expect(hero.upgradeStats.health.value).toBe(before + 15);
+    delete abilityEffects.heal;
+  });
+
+  test('unknown effect types stop the ability', () => {
+    start('warrior');
+    const ability = new Ability({ name: 'Broken', effects: [{ type: 'teleport' }] });
+
+    expect(ability.use(hero)).toMatchObject({ success: false });
+  });
+});
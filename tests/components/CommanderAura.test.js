@@ -0,0 +1,46 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+
+describe('commander aura visuals', () => {
+  let game;
+
+  const getView = id => game.state.enemies.find(enemy => enemy.id === id);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    game = createTestGame({ heroClass: 'warrior' });
+    game.simulation.spawnsLeft = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('commanders show their aura range', () => {
+    game.simulation.spawnEnemy('commander', { id: 'commander', x: 0 });
+    advance(game, 50);
+
+    const commander = getView('commander');
+    expect(commander.auraRing.geometry.parameters.outerRadius).toBe(3);
+    expect(commander.mesh.children).toContain(commander.auraRing);
+  });
+
+  test('buffed enemies show an icon until the commander dies', () => {
+    game.simulation.spawnEnemy('commander', { id: 'commander', x: 0 });
+    game.simulation.spawnEnemy('grunt', { id: 'grunt', x: 1 });
+    advance(game, 100);
+
+    const grunt = getView('grunt');
+    const commander = getView('commander');
+    expect(grunt.buffIcon).not.toBeNull();
+    expect(grunt.mesh.children).toContain(grunt.buffIcon);
+    expect(commander.buffIcon).toBeNull();
+
+    game.simulation.damageEnemy('commander', 1000);
+    advance(game, 100);
+
+    expect(grunt.buffIcon).toBeNull();
+  });
+});
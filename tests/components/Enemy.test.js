@@ -0,0 +1,99 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+
+describe('Enemy.applyEffect', () => {
+  let game;
+  let enemy;
+  let control;
+
+  const getView = id => game.state.enemies.find(e => e.id === id);
+  const distanceTravelled = view => view.entity.distance;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    game = createTestGame({ heroClass: 'warrior' });
+
+    // Two grunts side by side, one as a control
+    game.simulation.spawnEnemy('grunt', { id: 'target', x: -1 });
+    game.simulation.spawnEnemy('grunt', { id: 'control', x: 1 });
+    advance(game, 50);
+
+    enemy = getView('target');
+    control = getView('control');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('slow halves movement speed', () => {
+    enemy.applyEffect({ type: 'slow', slowFactor: 0.5, duration: 5000 });
+    const start = distanceTravelled(enemy);
+    const controlStart = distanceTravelled(control);
+
+    advance(game, 1000);
+
+    const moved = distanceTravelled(enemy) - start;
+    const controlMoved = distanceTravelled(control) - controlStart;
+    expect(moved).toBeCloseTo(controlMoved * 0.5, 5);
+  });
+
+  test('freeze almost stops the enemy', () => {
+    enemy.applyEffect({ type: 'freeze', slowFactor: 0.9, duration: 5000 });
+    const start = distanceTravelled(enemy);
+    const controlStart = distanceTravelled(control);
+
+    advance(game, 1000);
+
+    const moved = distanceTravelled(enemy) - start;
+    const controlMoved = distanceTravelled(control) - controlStart;
+    expect(moved).toBeCloseTo(controlMoved * 0.1, 5);
+  });
+
+  test('slow wears off after its duration', () => {
+    enemy.applyEffect({ type: 'slow', slowFactor: 0.5, duration: 500 });
+    advance(game, 600);
+
+    expect(enemy.entity.effects).toHaveLength(0);
+
+    const start = distanceTravelled(enemy);
+    const controlStart = distanceTravelled(control);
+    advance(game, 500);
+
+    expect(distanceTravelled(enemy) - start).toBeCloseTo(distanceTravelled(control) - controlStart, 5);
+  });
+
+  test('damage over time ticks on its interval', () => {
+    enemy.applyEffect({ type: 'damage_over_time', damagePerTick: 5, tickInterval: 500, duration: 3000 });
+
+    advance(game, 1100);
+
+    expect(enemy.entity.health).toBe(20);
+    expect(enemy.health).toBe(20);
+    expect(control.health).toBe(30);
+  });
+
+  test('damage over time kills the enemy', () => {
+    enemy.applyEffect({ type: 'damage_over_time', damagePerTick: 10, tickInterval: 200, duration: 3000 });
+
+    advance(game, 1000);
+
+    expect(game.simulation.getEnemy('target')).toBeUndefined();
+    expect(enemy.deathAnimationStarted).toBe(true);
+    expect(enemy.health).toBeLessThanOrEqual(0);
+  });
+
+  test('reapplying an effect replaces it and its visual', () => {
+    const children = enemy.mesh.children.length;
+
+    enemy.applyEffect({ type: 'slow', slowFactor: 0.3, duration: 5000 });
+    enemy.applyEffect({ type: 'slow', slowFactor: 0.6, duration: 5000 });
+
+    expect(enemy.effects).toHaveLength(1);
+    expect(enemy.mesh.children).toHaveLength(children + 1);
+    expect(enemy.entity.effects).toHaveLength(1);
+    expect(enemy.entity.effects[0].slowFactor).toBe(0.6);
+  });
+});
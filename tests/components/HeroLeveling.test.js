@@ -0,0 +1,127 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+import { CONFIG } from '../../src/config/GameConfig.js';
+
+describe('Hero leveling', () => {
+  let game;
+  let hero;
+
+  const moveHero = (x, z) => {
+    hero.mesh.position.set(x, 0.5, z);
+    hero.position.copy(hero.mesh.position);
+  };
+
+  const kill = (type, id) => {
+    game.simulation.spawnEnemy(type, { id, x: 0 });
+    advance(game, 100);
+    game.simulation.damageEnemy(id, 10000);
+    advance(game, 100);
+  };
+
+  const health = () => hero.upgradeStats.health.value;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    game = createTestGame({ heroClass: 'warrior' });
+    hero = game.state.hero;
+    game.simulation.spawnsLeft = 0;
+
+    // Keep the hero out of the fight
+    moveHero(8, 8);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('enemies that die give the hero XP', () => {
+    kill('brute', 'brute');
+
+    expect(hero.experience).toBe(20);
+    expect(hero.level).toBe(1);
+    expect(hero.getLevelProgress()).toEqual({ current: 20, needed: 60 });
+  });
+
+  test('in multiplayer the hero levels up with the XP the server awards', () => {
+    const levelUps = [];
+    hero.events.on('levelUp', data => levelUps.push(data.level));
+
+    game.networkManager.handleMessage(JSON.stringify({ type: 'hero_experience', experience: 40 }));
+    expect(hero.experience).toBe(40);
+    expect(hero.level).toBe(1);
+
+    game.networkManager.handleMessage(JSON.stringify({ type: 'hero_experience', experience: 70 }));
+    expect(hero.experience).toBe(70);
+    expect(hero.level).toBe(2);
+    expect(hero.abilityPoints).toBe(1);
+    expect(levelUps).toEqual([2]);
+  });
+
+  test('levelling up raises base stats and grants an ability point', () => {
+    const before = health();
+
+    kill('commander', 'commander');
+    kill('brute', 'brute');
+
+    expect(hero.level).toBe(2);
+    expect(hero.abilityPoints).toBe(1);
+    expect(hero.upgradeStats.damage.value).toBe(11);
+    expect(health()).toBe(before + 10);
+    expect(hero.maxMana).toBe(53);
+  });
+
+  test('levelling up shows a visual and refreshes the ability bar', () => {
+    const createFloatingText = jest.spyOn(game.combatSystem, 'createFloatingText');
+
+    hero.gainExperience(60, CONFIG.upgrades);
+
+    expect(createFloatingText).toHaveBeenCalledWith('Level 2!', expect.anything(), 0xffd700, { scale: 1.5 });
+    expect(game.combatSystem.areaEffects.some(effect => effect.effectType === 'visual')).toBe(true);
+    expect(game.uiManager.updateAbilitiesUI).toHaveBeenCalled();
+    expect(game.uiManager.updateHeroLevelUI).toHaveBeenCalled();
+  });
+
+  test('ability points level up abilities', () => {
+    const heroicStrike = hero.getAbility('Heroic Strike');
+    hero.gainExperience(60, CONFIG.upgrades);
+    game.networkManager.connected = true;
+    const send = jest.spyOn(game.networkManager, 'send').mockImplementation(() => {});
+
+    expect(game.levelingSystem.levelUpAbility(2)).toBe(true);
+
+    expect(heroicStrike.level).toBe(2);
+    expect(heroicStrike.damageMultiplier).toBeCloseTo(2.4);
+    expect(heroicStrike.cooldown).toBe(5400);
+    expect(hero.abilityPoints).toBe(0);
+    expect(send).toHaveBeenCalledWith({ type: 'level_ability', abilityIndex: 2 });
+  });
+
+  test('saved runs keep the level, XP and ability levels', () => {
+    localStorage.clear();
+    game.state.gold = 1000;
+    hero.gainExperience(200, CONFIG.upgrades);
+    game.levelingSystem.levelUpAbility(2);
+    game.upgradeSystem.upgradeHeroStat('damage');
+
+    expect(game.saveManager.save()).toBe(true);
+
+    const restored = createTestGame();
+    expect(restored.continueGame()).toBe(true);
+
+    const restoredHero = restored.state.hero;
+    expect(restoredHero.level).toBe(3);
+    expect(restoredHero.experience).toBe(200);
+    expect(restoredHero.abilityPoints).toBe(1);
+    expect(restoredHero.abilities[2].level).toBe(2);
+    expect(restoredHero.upgradeStats.damage).toEqual(hero.upgradeStats.damage);
+    expect(restoredHero.maxMana).toBe(hero.maxMana);
+  });
+
+  test('abilities cannot level up without a point', () => {
+    expect(game.levelingSystem.levelUpAbility(0)).toBe(false);
+    expect(hero.abilities[0].level).toBe(1);
+  });
+});
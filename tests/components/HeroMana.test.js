@@ -0,0 +1,92 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+
+describe('Hero mana', () => {
+  let game;
+  let hero;
+
+  const start = heroClass => {
+    game = createTestGame({ heroClass });
+    game.simulation.spawnsLeft = 0;
+    hero = game.state.hero;
+  };
+
+  const health = () => hero.upgradeStats.health.value;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('heroes start with a full pool from their class config', () => {
+    start('mage');
+
+    expect(hero.maxMana).toBe(100);
+    expect(hero.mana).toBe(100);
+    expect(hero.getStats()).toMatchObject({ mana: 100, maxMana: 100 });
+  });
+
+  test('abilities cost mana and are refused without enough', () => {
+    start('mage');
+    hero.mana = 40;
+
+    expect(hero.useAbility(1)).toBe(true);
+    expect(hero.mana).toBe(10);
+
+    expect(hero.useAbility(0)).toBe(false);
+    expect(hero.mana).toBe(10);
+    expect(hero.abilityCooldowns[0]).toBe(0);
+  });
+
+  test('mana regenerates up to the maximum', () => {
+    start('mage');
+    hero.mana = 50;
+
+    advance(game, 2000);
+    expect(hero.mana).toBeCloseTo(60, 0);
+
+    // Long enough for the next wave, whose kills can level the hero up
+    advance(game, 20000);
+    expect(hero.mana).toBe(hero.maxMana);
+    expect(hero.maxMana).toBeGreaterThanOrEqual(100);
+  });
+
+  test('Mana Shield drains mana for part of the damage taken', () => {
+    start('mage');
+    expect(hero.useAbility(3)).toBe(true);
+    const mana = hero.mana;
+    const before = health();
+
+    expect(hero.takeDamage(20)).toBe(14);
+
+    expect(health()).toBe(before - 14);
+    expect(hero.mana).toBe(mana - 6);
+  });
+
+  test('Mana Shield only absorbs what the remaining mana covers', () => {
+    start('mage');
+    hero.useAbility(3);
+    hero.mana = 2;
+    const before = health();
+
+    hero.takeDamage(20);
+
+    expect(health()).toBe(before - 18);
+    expect(hero.mana).toBe(0);
+  });
+
+  test('Mana Flow speeds up regeneration', () => {
+    start('mage');
+    game.state.gold = 1000;
+
+    game.upgradeSystem.upgradeSpecialAbility('Mana Flow');
+    game.upgradeSystem.upgradeSpecialAbility('Mana Flow');
+
+    expect(hero.manaRegen).toBeCloseTo(7);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as THREE from 'three';
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+import { registerHeroClass, getHeroClasses } from '../../src/components/hero/HeroClasses.js';
+import { CONFIG } from '../../src/config/GameConfig.js';
+import { UIManager } from '../../src/ui/UIManager.js';
+import { sanitizeHeroClassStats } from '../../src/shared/HeroStats.js';
+
+describe('hero class registration', () => {
+  let game;
+  let hero;
+
+  const start = heroClass => {
+    game = createTestGame({ heroClass });
+    hero = game.state.hero;
+    game.simulation.spawnsLeft = 0;
+  };
+
+  const health = () => hero.upgradeStats.health.value;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the built-in classes and the cleric are registered in order', () => {
+    expect(getHeroClasses().map(heroClass => heroClass.id)).toEqual(['warrior', 'ranger', 'mage', 'cleric']);
+    expect(CONFIG.heroClasses.cleric.abilities.map(ability => ability.name))
+      .toEqual(['Smite', 'Holy Light', 'Consecration', 'Divine Shield']);
+  });
+
+  test('the cleric is built from its definition, mesh builder included', () => {
+    start('cleric');
+
+    expect(hero.type).toBe('cleric');
+    expect(hero.name).toBe('Cleric');
+    expect(hero.upgradeStats.damage.value).toBe(9);
+    expect(hero.maxMana).toBe(90);
+    expect(hero.mesh.children.some(child => child.geometry instanceof THREE.TorusGeometry)).toBe(true);
+  });
+
+  test('Holy Light heals up to maximum health', () => {
+    start('cleric');
+    hero.upgradeStats.health.value = 40;
+
+    expect(hero.useAbility(1)).toBe(true);
+    expect(health()).toBe(67);
+
+    hero.abilityCooldowns[1] = 0;
+    hero.useAbility(1);
+    expect(health()).toBe(90);
+  });
+
+  test('Holy Light heals allies in range through the server', () => {
+    start('cleric');
+    const ally = position => ({ hero: { position } });
+    game.otherPlayers = {
+      near: ally(hero.position.clone().add(new THREE.Vector3(3, 0, 0))),
+      far: ally(hero.position.clone().add(new THREE.Vector3(6, 0, 0))),
+      joining: { hero: null }
+    };
+    game.networkManager = { sendAbilityChange: jest.fn(), sendAllyHeal: jest.fn() };
+    const { sendAbilityChange, sendAllyHeal } = game.networkManager;
+
+    expect(hero.useAbility(1)).toBe(true);
+
+    // The server is told about the cast first, so it accepts the heal
+    expect(sendAbilityChange.mock.calls).toEqual([['use', 1]]);
+    expect(sendAllyHeal.mock.calls).toEqual([['near', 0.3]]);
+    expect(sendAbilityChange.mock.invocationCallOrder[0]).toBeLessThan(sendAllyHeal.mock.invocationCallOrder[0]);
+  });
+
+  test('Consecration damages enemies standing on it', () => {
+    start('cleric');
+    game.simulation.spawnEnemy('brute', { id: 'brute', x: 0, distance: 2 });
+    advance(game, 50);
+    const enemy = game.state.enemies[0];
+    const before = game.simulation.getEnemy('brute').health;
+
+    hero.useAbility(2, { position: enemy.position.clone() });
+    advance(game, 1100);
+
+    expect(game.simulation.getEnemy('brute').health).toBeLessThan(before);
+  });
+
+  test('cleric special upgrades apply', () => {
+    start('cleric');
+    game.state.gold = 1000;
+
+    game.upgradeSystem.upgradeSpecialAbility('Devotion');
+    game.upgradeSystem.upgradeSpecialAbility('Sanctuary');
+
+    expect(hero.manaRegen).toBeCloseTo(5.75);
+    expect(hero.buffs.some(buff => buff.name === 'Sanctuary' && buff.damageReduction === 0.04)).toBe(true);
+  });
+
+  test('registered classes show up on the start panel with their unlock level', () => {
+    registerHeroClass({
+      id: 'bard',
+      name: 'Bard',
+      description: 'Songs that inspire',
+      unlockLevel: 5,
+      baseStats: { damage: 7, attackRate: 900, range: 3, health: 80, mana: 70, manaRegen: 4 },
+      abilities: [{ name: 'Rally', type: 'buff', duration: 5000, effectValue: 1.2, effects: [{ type: 'buff', stat: 'damageMultiplier' }] }]
+    });
+
+    const setup = createTestGame();
+    const ui = new UIManager(setup);
+    ui.elements.gameContainer = document.body;
+    ui.elements.multiplayerPanel = ui.createSimplifiedMultiplayerPanel();
+    ui.showMultiplayerPanel();
+
+    const option = document.querySelector('.hero-option[data-hero="bard"]');
+    expect(option.querySelector('label').textContent).toBe('Bard');
+    expect(option.querySelector('.hero-lock').textContent).toBe('Unlocks at profile level 5');
+    expect(option.classList.contains('locked')).toBe(true);
+
+    start('bard');
+    expect(hero.useAbility(0)).toBe(true);
+    expect(hero.buffs).toEqual([expect.objectContaining({ name: 'Rally', damageMultiplier: 1.2 })]);
+  });
+
+  test('registered classes send their stats for the server to check', () => {
+    registerHeroClass({
+      id: 'skald',
+      name: 'Skald',
+      baseStats: { damage: 9, attackRate: 1000, range: 3, health: 85, mana: 80, manaRegen: 4 },
+      abilities: [{ name: 'Rally', type: 'buff', cooldown: 15000, manaCost: 20, duration: 5000, effects: [] }],
+      specialUpgrades: [
+        { name: 'War Chant', cost: 50, costMultiplier: 1.5, effect: level => ({ critDamage: 0.05 * level, critChance: 0.02 * level }) }
+      ]
+    });
+
+    const sentStats = heroClass => {
+      start(heroClass);
+      game.networkManager.connected = true;
+      const send = jest.spyOn(game.networkManager, 'send').mockImplementation(() => {});
+
+      game.networkManager.sendPlayerUpdate();
+      return send.mock.calls[0][0].data.classStats;
+    };
+
+    const skald = sentStats('skald');
+    expect(skald).toEqual({
+      baseStats: { damage: 9, attackRate: 1000, range: 3, health: 85, mana: 80, manaRegen: 4 },
+      abilities: [{ name: 'Rally', type: 'buff', cooldown: 15000, manaCost: 20, duration: 5000, effects: [] }],
+      specialUpgrades: { 'War Chant': { cost: 50, costMultiplier: 1.5, critDamage: 0.05 } }
+    });
+    expect(sanitizeHeroClassStats('skald', skald)).toEqual(skald);
+
+    // The server has its own stats for the built-in classes
+    expect(sentStats('cleric')).toBeNull();
+  });
+
+  test('incomplete definitions are refused', () => {
+    expect(() => registerHeroClass({ id: 'ghost', name: 'Ghost' })).toThrow('needs an id, name, baseStats and abilities');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @jest-environment jsdom
+ */
+import { KeyBindings } from '../../src/core/KeyBindings.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+describe('KeyBindings', () => {
+  beforeEach(() => {
+    Logger.logLevel = 0;
+    localStorage.clear();
+  });
+
+  test('defaults to 1-4 and Q-W-E-R', () => {
+    const bindings = new KeyBindings();
+
+    expect(bindings.getAbilityIndex('1')).toBe(0);
+    expect(bindings.getAbilityIndex('W')).toBe(1);
+    expect(bindings.getAbilityIndex('e')).toBe(2);
+    expect(bindings.getAbilityIndex('4')).toBe(3);
+    expect(bindings.getAbilityIndex('u')).toBe(-1);
+  });
+
+  test('rebinding moves a key away from its old ability', () => {
+    const bindings = new KeyBindings();
+
+    expect(bindings.bind(0, 1, 'E')).toBe(true);
+
+    expect(bindings.getAbilityKeys(0)).toEqual(['1', 'e']);
+    expect(bindings.getAbilityKeys(2)).toEqual(['3', null]);
+    expect(bindings.getAbilityIndex('q')).toBe(-1);
+  });
+
+  test('reserved keys cannot be bound', () => {
+    const bindings = new KeyBindings();
+
+    expect(bindings.bind(0, 0, 'Escape')).toBe(false);
+    expect(bindings.bind(0, 0, 'Control')).toBe(false);
+    expect(bindings.getAbilityKeys(0)).toEqual(['1', 'q']);
+  });
+
+  test('bindings persist in localStorage', () => {
+    new KeyBindings().bind(3, 0, 'f');
+
+    expect(new KeyBindings().getAbilityIndex('f')).toBe(3);
+  });
+
+  test('corrupt or outdated saves fall back to the defaults', () => {
+    localStorage.setItem('heroDefense.keyBindings', '{not json');
+    expect(new KeyBindings().getAbilityKeys(0)).toEqual(['1', 'q']);
+
+    localStorage.setItem('heroDefense.keyBindings', JSON.stringify([['a', 'b']]));
+    expect(new KeyBindings().getAbilityKeys(0)).toEqual(['1', 'q']);
+  });
+
+  test('reset restores the defaults and notifies listeners', () => {
+    const bindings = new KeyBindings();
+    const changed = jest.fn();
+    bindings.events.on('changed', changed);
+
+    bindings.bind(0, 0, 'z');
+    bindings.reset();
+
+    expect(bindings.getAbilityKeys(0)).toEqual(['1', 'q']);
+    expect(changed).toHaveBeenCalledTimes(2);
+    expect(new KeyBindings().getAbilityKeys(0)).toEqual(['1', 'q']);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame } from '../helpers/createTestGame.js';
+import { maps } from '../../src/shared/Maps.js';
+
+describe('MapLoader', () => {
+  let game;
+
+  const parts = name => game.sceneManager.objects.environment.filter(object => object.userData.mapPart === name);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    game = createTestGame();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('builds ground, lanes, zones and decorations through the scene manager', () => {
+    const addToScene = jest.spyOn(game.sceneManager, 'addToScene');
+
+    expect(game.loadMap('crossroads')).toBe(true);
+
+    const map = maps.crossroads;
+    const [ground] = parts('ground');
+    expect(ground.geometry.parameters).toMatchObject({ width: map.ground.width, height: map.ground.depth });
+
+    expect(parts('lane').length).toBeGreaterThan(0);
+    expect(parts('spawn')).toHaveLength(map.spawnPoints.length);
+    expect(parts('goal')).toHaveLength(map.goalZones.length);
+    expect(parts('decoration')).toHaveLength(map.decorations.length);
+
+    addToScene.mock.calls.forEach(([, category]) => expect(category).toBe('environment'));
+    expect(game.state.mapId).toBe('crossroads');
+  });
+
+  test('loading another map replaces the previous scene and lighting', () => {
+    game.loadMap('corridor');
+    const dayBackground = game.sceneManager.scene.background.getHex();
+
+    game.loadMap('twin-rivers');
+
+    expect(parts('decoration')).toHaveLength(maps['twin-rivers'].decorations.length);
+    expect(parts('ground')).toHaveLength(1);
+    expect(game.sceneManager.scene.background.getHex()).not.toBe(dayBackground);
+    expect(game.sceneManager.objects.environment.every(object => object.parent === game.sceneManager.scene)).toBe(true);
+  });
+
+  test('unknown maps are rejected and leave the current one in place', () => {
+    game.loadMap('corridor');
+
+    expect(game.loadMap('atlantis')).toBe(false);
+    expect(game.state.mapId).toBe('corridor');
+    expect(parts('ground')).toHaveLength(1);
+  });
+
+  test('a solo game runs on the chosen map', () => {
+    game.startGame('warrior', { seed: 1, mapId: 'crossroads' });
+
+    expect(game.map).toBe(maps.crossroads);
+    expect(game.simulation.routes).toHaveLength(2);
+  });
+});
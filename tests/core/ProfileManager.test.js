@@ -0,0 +1,101 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame } from '../helpers/createTestGame.js';
+import { ProfileManager } from '../../src/core/ProfileManager.js';
+import { UIManager } from '../../src/ui/UIManager.js';
+import { heroColors } from '../../src/shared/Profile.js';
+
+describe('ProfileManager', () => {
+  const STORAGE_KEY = 'heroDefense.profile';
+
+  const saveProfile = profile => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ runs: 0, talents: {}, color: null, ...profile }));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('losing a run awards XP once and saves it', () => {
+    const game = createTestGame({ heroClass: 'warrior' });
+    game.state.wave = 3;
+    game.state.enemiesDefeated = 12;
+
+    game.gameOver();
+    game.gameOver();
+
+    expect(game.uiManager.showGameOverPanel).toHaveBeenCalledTimes(1);
+    expect(game.uiManager.showGameOverPanel).toHaveBeenCalledWith(12, 2, { xp: 110, level: 2, levelsGained: 1 }, 'normal');
+    expect(new ProfileManager().profile).toMatchObject({ xp: 110, runs: 1 });
+  });
+
+  test('learned talents raise the hero base stats', () => {
+    saveProfile({ xp: 1000 });
+
+    const profile = new ProfileManager();
+    expect(profile.getUnspentPoints()).toBe(4);
+    expect(profile.learnTalent('quickness')).toBe('locked');
+    expect(profile.learnTalent('sharpness')).toBeNull();
+    expect(profile.learnTalent('toughness')).toBeNull();
+    expect(profile.getUnspentPoints()).toBe(2);
+
+    const hero = createTestGame({ heroClass: 'warrior' }).state.hero;
+    expect(hero.upgradeStats.damage.value).toBe(11);
+    expect(hero.upgradeStats.health.value).toBe(105);
+  });
+
+  test('colours unlock by level and tint the hero', () => {
+    saveProfile({ xp: 100 });
+
+    const profile = new ProfileManager();
+    expect(profile.selectColor('crimson')).toBe(false);
+    expect(profile.selectColor('azure')).toBe(true);
+
+    expect(createTestGame({ heroClass: 'warrior' }).state.hero.color).toBe(heroColors.azure.color);
+  });
+
+  test('edited saves are cleaned up', () => {
+    saveProfile({ xp: 100, talents: { sharpness: 3, vigilance: 2, flight: 1 }, color: 'obsidian' });
+
+    // Level 2 only pays for one point
+    const profile = new ProfileManager();
+    expect(profile.getTalents()).toEqual({});
+    expect(profile.profile.color).toBeNull();
+  });
+
+  test('colours inherited from Object.prototype are not colours', () => {
+    saveProfile({ xp: 10000, color: 'constructor' });
+
+    const profile = new ProfileManager();
+    expect(profile.profile.color).toBeNull();
+    expect(profile.isColorUnlocked('toString')).toBe(false);
+  });
+
+  test('the start panel locks heroes the profile has not unlocked', () => {
+    saveProfile({ xp: 100 });
+
+    const game = createTestGame();
+    const ui = new UIManager(game);
+    ui.elements.gameContainer = document.body;
+    ui.elements.multiplayerPanel = ui.createSimplifiedMultiplayerPanel();
+    ui.showMultiplayerPanel();
+
+    const option = hero => document.querySelector(`.hero-option[data-hero="${hero}"]`);
+    expect(option('ranger').classList.contains('locked')).toBe(false);
+    expect(option('mage').classList.contains('locked')).toBe(true);
+
+    option('mage').click();
+    expect(document.querySelector('input[name="heroClass"]:checked').value).toBe('warrior');
+
+    // Reaching level 3 unlocks the mage straight away
+    ui.toggleProfilePanel();
+    game.profileManager.awardRun(40, 0);
+    expect(option('mage').classList.contains('locked')).toBe(false);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+import { SAVE_VERSION, migrateSave } from '../../src/core/SaveManager.js';
+
+describe('SaveManager', () => {
+  const STORAGE_KEY = 'heroDefense.savedRun';
+
+  let game;
+
+  const clearWave = () => {
+    game.simulation.spawnsLeft = 0;
+    advance(game, 100);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+
+    game = createTestGame({ heroClass: 'warrior' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saves the run when a wave is cleared', () => {
+    expect(game.saveManager.hasSave()).toBe(false);
+
+    clearWave();
+
+    const save = game.saveManager.load();
+    expect(save).toMatchObject({ version: SAVE_VERSION, heroClass: 'warrior', mapId: 'corridor', wave: 1, gold: 10 });
+    expect(save.simulation.waveInProgress).toBe(false);
+  });
+
+  test('continuing restores the hero, upgrades, towers and enemies', () => {
+    game.state.gold = 1000;
+    game.upgradeSystem.upgradeHeroStat('damage');
+    game.upgradeSystem.upgradeHeroStat('damage');
+    game.upgradeSystem.upgradeSpecialAbility('Defense Mastery');
+    game.towerSystem.placeTower('frost', { x: 5, z: 1 });
+    game.state.hero.abilityCooldowns[1] = 2500;
+    game.state.hero.upgradeStats.health.value -= 30;
+
+    game.simulation.spawnsLeft = 0;
+    game.simulation.spawnEnemy('grunt', { id: 'survivor', x: 0, distance: 4 });
+    game.simulation.damageEnemy('survivor', 12);
+    game.simulation.applyEffect('survivor', { type: 'slow', slowFactor: 0.5, duration: 4000 });
+    advance(game, 50);
+
+    expect(game.saveManager.save()).toBe(true);
+    const saved = game.saveManager.load();
+
+    const restored = createTestGame();
+    expect(restored.continueGame()).toBe(true);
+
+    const hero = restored.state.hero;
+    expect(restored.state.heroClass).toBe('warrior');
+    expect(restored.state.gold).toBe(saved.gold);
+    expect(hero.upgradeStats.damage).toEqual(game.state.hero.upgradeStats.damage);
+    expect(hero.upgradeStats.health.value).toBe(game.state.hero.upgradeStats.health.value);
+    expect(hero.abilityCooldowns[1]).toBeCloseTo(saved.hero.abilityCooldowns[1]);
+    expect(restored.upgradeSystem.getUpgradeCost('damage')).toBe(game.upgradeSystem.getUpgradeCost('damage'));
+    expect(restored.upgradeSystem.getSpecialUpgradeLevels()['Defense Mastery']).toBe(1);
+    expect(hero.buffs.some(buff => buff.name === 'Defense Mastery')).toBe(true);
+
+    expect(restored.towerSystem.towers).toHaveLength(1);
+    expect(restored.towerSystem.towers[0]).toMatchObject({ type: 'frost', level: 1 });
+
+    const entity = restored.simulation.getEnemy('survivor');
+    expect(entity.health).toBe(18);
+    expect(entity.position).toEqual(game.simulation.getEnemy('survivor').position);
+    expect(entity.effects).toEqual([expect.objectContaining({ type: 'slow', slowFactor: 0.5 })]);
+
+    const view = restored.state.enemies.find(enemy => enemy.id === 'survivor');
+    expect(view.health).toBe(18);
+    expect(view.maxHealth).toBe(30);
+
+    // The enemy keeps walking from where it was
+    const z = entity.position.z;
+    advance(restored, 500);
+    expect(entity.position.z).toBeGreaterThan(z);
+  });
+
+  test('multiplayer games are not saved', () => {
+    game.networkManager.connected = true;
+
+    expect(game.saveManager.autoSave()).toBe(false);
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+  });
+
+  test('losing the run deletes the save', () => {
+    clearWave();
+    expect(game.saveManager.hasSave()).toBe(true);
+
+    game.gameOver();
+
+    expect(game.saveManager.hasSave()).toBe(false);
+  });
+
+  test('unreadable, newer and invalid saves are discarded', () => {
+    localStorage.setItem(STORAGE_KEY, '{not json');
+    expect(game.saveManager.load()).toBeNull();
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+
+    clearWave();
+    const save = JSON.parse(localStorage.getItem(STORAGE_KEY));
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...save, version: SAVE_VERSION + 1 }));
+    expect(game.saveManager.load()).toBeNull();
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...save, heroClass: 'bard' }));
+    expect(game.saveManager.load()).toBeNull();
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+
+    expect(createTestGame().continueGame()).toBe(false);
+  });
+
+  test('a save from before mana, levels, items, augments and difficulties can still be continued', () => {
+    game = createTestGame({ heroClass: 'warrior', difficulty: 'hard' });
+    clearWave();
+    const { items, augments, difficulty, hero: { mana, experience, abilityPoints, abilityLevels, ...hero }, ...save } =
+      JSON.parse(localStorage.getItem(STORAGE_KEY));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...save, hero, version: 1 }));
+
+    const migrated = game.saveManager.load();
+    expect(migrated.version).toBe(SAVE_VERSION);
+    expect(migrated.hero).toMatchObject({ mana: 50, experience: 0, abilityPoints: 0, abilityLevels: [1, 1, 1, 1] });
+    expect(migrated.items).toEqual([]);
+    expect(migrated.augments).toEqual({ taken: [], offer: null, draftsOwed: 0 });
+    expect(migrated.difficulty).toBe('normal');
+
+    const restored = createTestGame();
+    expect(restored.continueGame()).toBe(true);
+    expect(restored.state.hero.mana).toBe(restored.state.hero.maxMana);
+    expect(restored.state.hero.level).toBe(1);
+    expect(restored.augmentSystem.taken).toEqual([]);
+    expect(restored.state.difficulty).toBe('normal');
+  });
+
+  test('saves with an unknown difficulty or broken hero progress, items or augments are discarded', () => {
+    clearWave();
+    const save = JSON.parse(localStorage.getItem(STORAGE_KEY));
+
+    [
+      { ...save, difficulty: 'impossible' },
+      { ...save, difficulty: 'hasOwnProperty' },
+      { ...save, hero: { ...save.hero, mana: -5 } },
+      { ...save, hero: { ...save.hero, experience: 'lots' } },
+      { ...save, hero: { ...save.hero, abilityLevels: [1, 0, 1, 1] } },
+      { ...save, items: ['toString'] },
+      { ...save, items: null },
+      { ...save, augments: { ...save.augments, taken: ['constructor'] } },
+      { ...save, augments: { ...save.augments, draftsOwed: -1 } },
+      { ...save, augments: undefined }
+    ].forEach(broken => {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(broken));
+      expect(game.saveManager.load()).toBeNull();
+    });
+  });
+
+  test('old saves are migrated one version at a time', () => {
+    const migrations = {
+      1: ({ coins, ...save }) => ({ ...save, gold: coins }),
+      2: save => ({ ...save, towers: [] })
+    };
+
+    expect(migrateSave({ version: 1, coins: 40 }, migrations, 3)).toEqual({ version: 3, gold: 40, towers: [] });
+    expect(migrateSave({ version: 3, gold: 5 }, migrations, 3)).toEqual({ version: 3, gold: 5 });
+
+    // No way forward from version 0, and nothing without a version
+    expect(migrateSave({ version: 0 }, migrations, 3)).toBeNull();
+    expect(migrateSave({ gold: 5 }, migrations, 3)).toBeNull();
+  });
+});
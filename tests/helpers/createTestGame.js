@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+
+import { Game } from '../../src/core/Game.js';
+import { SceneManager } from '../../src/core/SceneManager.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+/**
+ * Scene manager that builds the scene graph and camera but no WebGL renderer
+ * Everything else (addToScene, removeFromScene, categories) is the real implementation.
+ */
+export class HeadlessSceneManager extends SceneManager {
+  initialize() {
+    this.scene = new THREE.Scene();
+
+    this.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    this.camera.position.set(0, 12, 20);
+    this.camera.lookAt(0, 0, 0);
+  }
+
+  dispose() {
+    Object.keys(this.objects).forEach(category => this.clearCategory(category));
+  }
+}
+
+/**
+ * Create an object whose every method is a jest mock
+ * Used in place of the DOM-heavy UIManager and the WebGL RenderSystem.
+ * @param {Object} overrides - Properties to return instead of mocks
+ * @returns {Object} Stub
+ */
+export function createStub(overrides = {}) {
+  const mocks = { ...overrides };
+
+  return new Proxy(mocks, {
+    get(target, property) {
+      if (!(property in target)) {
+        // Keep the stub from looking like a thenable
+        if (property === 'then') return undefined;
+        target[property] = jest.fn();
+      }
+      return target[property];
+    }
+  });
+}
+
+/**
+ * Give jsdom canvases a minimal 2D context so floating text and health bars can draw
+ */
+function stubCanvasContext() {
+  if (typeof HTMLCanvasElement === 'undefined') return;
+
+  HTMLCanvasElement.prototype.getContext = function () {
+    return {
+      fillRect: () => {},
+      clearRect: () => {},
+      fillText: () => {},
+      strokeText: () => {},
+      measureText: text => ({ width: text.length * 8 }),
+      beginPath: () => {},
+      arc: () => {},
+      fill: () => {},
+      stroke: () => {}
+    };
+  };
+}
+
+/**
+ * Create a Game that runs without WebGL or the DOM UI
+ * @param {Object} options - heroClass to start a solo game with, simulation seed, difficulty and log level
+ * @returns {Game} Game instance
+ */
+export function createTestGame(options = {}) {
+  Logger.logLevel = options.logLevel !== undefined ? options.logLevel : 0;
+  stubCanvasContext();
+
+  const game = new Game();
+
+  game.sceneManager = new HeadlessSceneManager();
+  game.sceneManager.game = game;
+  game.sceneManager.initialize();
+  game.camera = game.sceneManager.camera;
+
+  game.renderSystem = createStub();
+  game.uiManager = createStub();
+
+  game.physicsSystem.initialize();
+  game.combatSystem.initialize();
+  game.controlSystem.initialize();
+
+  // Start the clock so the first advance() frame has a real delta
+  game.clock.lastTime = 1000;
+
+  if (options.heroClass) {
+    game.startGame(options.heroClass, {
+      seed: options.seed !== undefined ? options.seed : 1,
+      difficulty: options.difficulty
+    });
+  }
+
+  return game;
+}
+
+/**
+ * Get the normalized mouse position that points at a world position
+ * @param {Game} game - Game instance
+ * @param {Object} position - World position {x, y, z}
+ * @returns {THREE.Vector2} Normalized device coordinates
+ */
+export function toScreen(game, position) {
+  game.sceneManager.scene.updateMatrixWorld();
+  game.camera.updateMatrixWorld();
+
+  const projected = new THREE.Vector3(position.x, position.y, position.z).project(game.camera);
+  return new THREE.Vector2(projected.x, projected.y);
+}
+
+/**
+ * Advance a game by running its update loop with fixed frame times
+ * @param {Game} game - Game instance
+ * @param {number} ms - Time to advance in milliseconds
+ * @param {number} frameMs - Length of each frame in milliseconds
+ */
+export function advance(game, ms, frameMs = 50) {
+  for (let elapsed = 0; elapsed < ms; elapsed += frameMs) {
+    game.update(game.clock.lastTime + frameMs);
+  }
+}
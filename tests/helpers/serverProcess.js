@@ -0,0 +1,155 @@
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import WebSocket from 'ws';
+
+const SERVER_PATH = path.resolve(__dirname, '../../server.js');
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port number
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run server.js in a child process on a free port
+ * @param {Object} env - Extra environment variables for the server
+ * @returns {Promise<Object>} The child process and its port
+ */
+export async function startServer(env = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Server did not start')), 10000);
+
+    child.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+
+  return { child, port };
+}
+
+/**
+ * Stop a server started with startServer()
+ * @param {Object} server - Result of startServer()
+ * @returns {Promise<void>} Resolves once the process has exited
+ */
+export function stopServer(server) {
+  if (!server || server.child.exitCode !== null) return Promise.resolve();
+
+  return new Promise(resolve => {
+    server.child.once('exit', () => resolve());
+    server.child.kill();
+  });
+}
+
+/**
+ * WebSocket client that records every message it receives
+ */
+export class TestClient {
+  /**
+   * @param {number} port - Server port
+   */
+  constructor(port) {
+    this.ws = new WebSocket(`ws://localhost:${port}`);
+    this.messages = [];
+    this.waiters = [];
+
+    this.ws.on('message', raw => {
+      const message = JSON.parse(raw);
+      this.messages.push(message);
+
+      this.waiters = this.waiters.filter(waiter => {
+        if (!waiter.matches(message)) return true;
+        waiter.resolve(message);
+        return false;
+      });
+    });
+  }
+
+  /**
+   * Wait for the connection to open
+   * @returns {Promise<void>}
+   */
+  open() {
+    if (this.ws.readyState === WebSocket.OPEN) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+  }
+
+  /**
+   * Send a message to the server
+   * @param {Object} message - Message to send
+   */
+  send(message) {
+    this.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Wait for the next message of a type that was not seen yet
+   * @param {string} type - Message type
+   * @param {Function} predicate - Optional extra condition
+   * @param {number} timeout - Time to wait in ms
+   * @returns {Promise<Object>} The message
+   */
+  waitFor(type, predicate = () => true, timeout = 3000) {
+    const matches = message => message.type === type && predicate(message);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${type}`)), timeout);
+
+      this.waiters.push({
+        matches,
+        resolve: message => {
+          clearTimeout(timer);
+          resolve(message);
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a message and wait for the reply
+   * @param {Object} message - Message to send
+   * @param {string} replyType - Expected reply type
+   * @param {Function} predicate - Optional extra condition
+   * @returns {Promise<Object>} The reply
+   */
+  request(message, replyType, predicate) {
+    const reply = this.waitFor(replyType, predicate);
+    this.send(message);
+    return reply;
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.ws.close();
+  }
+}
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+describe('server abilities', () => {
+  let dataDir;
+  let server;
+
+  beforeAll(() => {
+    // The leaderboard file is read when server.js loads, so point it somewhere disposable first
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hero-defense-abilities-'));
+    process.env.LEADERBOARD_FILE = path.join(dataDir, 'leaderboard.json');
+    server = require('../../server.js');
+  });
+
+  afterAll(() => {
+    delete process.env.LEADERBOARD_FILE;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const createHero = heroClass => {
+    const hero = server.createHeroState();
+    server.updateHeroState(hero, { heroClass });
+    return hero;
+  };
+
+  // An enemy right next to the hero's spawn
+  const enemy = { id: 'e1', position: { x: 0, y: 0.5, z: 7 } };
+
+  test('hits are capped by the multiplier of the ability that dealt them, at its level', () => {
+    const hero = createHero('warrior'); // 10 damage
+    const hit = (index, damage) => server.validateAbilityHit(hero, index, enemy, damage);
+
+    expect(hit(2, 20)).toBe('not_cast');
+    expect(server.castAbility(hero, 2)).toBeNull(); // Heroic Strike, 200%
+    expect(hit(2, 20)).toBeNull();
+    expect(hit(2, 21)).toBe('invalid_damage');
+
+    expect(server.castAbility(hero, 0)).toBeNull(); // Whirlwind, 80%
+    expect(hit(0, 8)).toBeNull();
+    expect(hit(0, 9)).toBe('invalid_damage');
+
+    hero.xp = 60; // Hero level 2, 11 damage
+    expect(server.levelAbility(hero, 2)).toBeNull(); // 240%
+    expect(hit(2, 27)).toBeNull();
+    expect(hit(2, 28)).toBe('invalid_damage');
+    expect(server.levelAbility(hero, 2)).toBe('no_ability_points');
+
+    expect(hit(7, 8)).toBe('unknown_ability');
+  });
+
+  test('items and special upgrades raise the cap the way they raise the ability', () => {
+    const hero = createHero('mage'); // 12 damage
+    server.castAbility(hero, 0); // Fireball, 150%
+
+    expect(server.validateAbilityHit(hero, 0, enemy, 18)).toBeNull();
+    expect(server.validateAbilityHit(hero, 0, enemy, 19)).toBe('invalid_damage');
+
+    hero.items.push('tomeOfPower');
+    hero.specialUpgrades['Spell Power'] = 2;
+    expect(server.validateAbilityHit(hero, 0, enemy, 27)).toBeNull(); // 12 * 1.5 * 1.2 * 1.08 * 1.16
+    expect(server.validateAbilityHit(hero, 0, enemy, 29)).toBe('invalid_damage');
+  });
+
+  test('abilities cost their cooldown and mana', () => {
+    const hero = createHero('warrior'); // 50 mana
+
+    expect(server.castAbility(hero, 0)).toBeNull(); // Whirlwind, 20
+    expect(server.castAbility(hero, 0)).toBe('on_cooldown');
+    expect(server.castAbility(hero, 3)).toBeNull(); // Battle Shout, 25
+    expect(server.castAbility(hero, 1)).toBe('not_enough_mana'); // Shield Block, 15
+  });
+
+  test('hits only count while what the cast left behind could still land', () => {
+    const hero = createHero('mage');
+    server.castAbility(hero, 2); // Arcane Missiles fire over 3 seconds
+
+    expect(server.validateAbilityHit(hero, 2, enemy, 7)).toBeNull();
+
+    hero.abilityUsedAt[2] -= 9000;
+    expect(server.validateAbilityHit(hero, 2, enemy, 7)).toBe('not_cast');
+  });
+
+  test('statuses are worked out from the ability that applied them', () => {
+    const mage = createHero('mage');
+    const status = (hero, index, type) => server.validateAbilityStatus(hero, index, enemy, type);
+
+    expect(status(mage, 1, 'freeze')).toBe('not_cast');
+    server.castAbility(mage, 1); // Frost Nova
+    expect(status(mage, 1, 'freeze')).toBeNull();
+    expect(status(mage, 1, 'damage_over_time')).toBe('invalid_status');
+    expect(server.getAbilityStatus(server.getHeroAbility(mage, 1), 'freeze'))
+      .toMatchObject({ type: 'freeze', slowFactor: 0.9, duration: 3000 });
+
+    // Augments add statuses, and zones reapply theirs while enemies stand in them
+    const warrior = createHero('warrior');
+    server.castAbility(warrior, 0); // Whirlwind
+    expect(status(warrior, 0, 'slow')).toBe('invalid_status');
+    warrior.augments.push('chillingWhirlwind');
+    expect(status(warrior, 0, 'slow')).toBeNull();
+    expect(server.getAbilityStatus(server.getHeroAbility(warrior, 0), 'slow'))
+      .toMatchObject({ type: 'slow', slowFactor: 0.4, duration: 2000 });
+
+    const ranger = createHero('ranger');
+    expect(server.getAbilityStatus(server.getHeroAbility(ranger, 2), 'slow')) // Trap
+      .toEqual({ type: 'slow', slowFactor: 0.5, duration: 2000 });
+  });
+});
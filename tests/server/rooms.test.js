@@ -0,0 +1,83 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+
+describe('server rooms', () => {
+  let dataDir;
+  let players;
+  let createRoom;
+  let updateRoom;
+
+  beforeAll(() => {
+    // The leaderboard file is read when server.js loads, so point it somewhere disposable first
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hero-defense-rooms-'));
+    process.env.LEADERBOARD_FILE = path.join(dataDir, 'leaderboard.json');
+    ({ players, createRoom, updateRoom } = require('../../server.js'));
+  });
+
+  afterAll(() => {
+    delete process.env.LEADERBOARD_FILE;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete players.alice;
+    jest.restoreAllMocks();
+  });
+
+  // A running room with one player whose messages are collected, and a simulation that replays events
+  const createRunningRoom = events => {
+    const room = createRoom('Test', 'corridor', 'normal');
+    const messages = [];
+
+    players.alice = {
+      username: 'alice',
+      roomId: room.id,
+      ws: { readyState: WebSocket.OPEN, send: message => messages.push(JSON.parse(message)) },
+      hero: { heroClass: 'warrior', xp: 0 }
+    };
+    room.players.alice = players.alice;
+    room.gameActive = true;
+    room.startedAt = Date.now();
+    room.simulation = { tickMs: 100, enemies: [], step: () => events };
+
+    return { room, messages };
+  };
+
+  test('a step that ends the game stops there instead of touching the reset room', () => {
+    const { room, messages } = createRunningRoom([
+      { type: 'enemyLeaked', enemyId: 'e1', damage: 600 },
+      { type: 'enemyLeaked', enemyId: 'e2', damage: 50 },
+      { type: 'enemyDied', enemyId: 'e3', value: 10 }
+    ]);
+
+    updateRoom(room);
+    clearTimeout(room.resetTimeout);
+
+    expect(messages.map(message => message.type)).toEqual([
+      'server_damaged', 'enemy_remove', 'game_over', 'game_reset'
+    ]);
+    expect(room.serverHealth).toBe(500);
+    expect(room.enemiesDefeated).toBe(0);
+    expect(room.players.alice.hero.xp).toBe(0);
+    expect(JSON.parse(fs.readFileSync(process.env.LEADERBOARD_FILE, 'utf8'))).toHaveLength(1);
+  });
+
+  test('every player is told their hero\'s XP when an enemy dies', () => {
+    const { room, messages } = createRunningRoom([{ type: 'enemyDied', enemyId: 'e1', value: 25 }]);
+
+    updateRoom(room);
+    updateRoom(room);
+
+    expect(messages.filter(message => message.type === 'hero_experience')).toEqual([
+      { type: 'hero_experience', experience: 25 },
+      { type: 'hero_experience', experience: 50 }
+    ]);
+    expect(room.players.alice.hero.xp).toBe(50);
+  });
+});
@@ -0,0 +1,471 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startServer, stopServer, TestClient } from '../helpers/serverProcess.js';
+
+describe('server.js', () => {
+  let server;
+  let clients = [];
+  let dataDir;
+
+  const run = (id, wave, players, difficulty) => ({
+    id,
+    players: players.map(([username, heroClass]) => ({ username, heroClass })),
+    playerCount: players.length,
+    mapId: 'corridor',
+    difficulty,
+    wave,
+    enemiesDefeated: wave * 10,
+    duration: 60000,
+    endedAt: '2024-01-01T00:00:00.000Z'
+  });
+
+  const connect = async username => {
+    const client = new TestClient(server.port);
+    clients.push(client);
+    await client.open();
+
+    if (username) {
+      await client.request({ type: 'register_player', username }, 'player_registered');
+    }
+
+    return client;
+  };
+
+  beforeAll(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hero-defense-'));
+    const leaderboardFile = path.join(dataDir, 'leaderboard.json');
+
+    fs.writeFileSync(leaderboardFile, JSON.stringify([
+      run('solo', 4, [['ann', 'warrior']]),
+      run('duo', 7, [['bob', 'mage'], ['cat', 'ranger']], 'hard'),
+      run('trio', 5, [['dan', 'mage'], ['eve', 'warrior'], ['fay', 'warrior']], 'normal')
+    ]));
+
+    server = await startServer({ LEADERBOARD_FILE: leaderboardFile });
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.close());
+    clients = [];
+  });
+
+  afterAll(async () => {
+    await stopServer(server);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('registers players under their username', async () => {
+    const client = await connect();
+    const reply = await client.request({ type: 'register_player', username: 'alice' }, 'player_registered');
+
+    expect(reply.playerId).toBe('alice');
+  });
+
+  test('a username already connected gets its own player ID', async () => {
+    const first = await connect();
+    const { playerId: firstId } = await first.request({ type: 'register_player', username: 'zoe' }, 'player_registered');
+    const { roomId } = await first.request({ type: 'create_room' }, 'room_joined');
+
+    const second = await connect();
+    const { playerId: secondId } = await second.request({ type: 'register_player', username: 'zoe' }, 'player_registered');
+    expect(firstId).toBe('zoe');
+    expect(secondId).toMatch(/^zoe_/);
+
+    // The first player keeps their room and still receives their messages
+    const playerJoined = first.waitFor('player_joined', message => message.playerId === secondId);
+    const joined = await second.request({ type: 'join_room', roomId }, 'room_joined');
+    expect(joined.playerCount).toBe(2);
+    expect((await playerJoined).playerCount).toBe(2);
+
+    const received = second.waitFor('chat');
+    first.send({ type: 'chat', message: 'still me' });
+    expect(await received).toMatchObject({ playerId: 'zoe', message: 'still me' });
+  });
+
+  test('creating a room joins it and starts the countdown', async () => {
+    const client = await connect('bob');
+
+    const created = client.waitFor('room_created');
+    const joined = client.waitFor('room_joined');
+    const countdown = client.waitFor('countdown_started');
+    client.send({ type: 'create_room', name: "bob's room" });
+
+    const { roomId, name } = await created;
+    expect(name).toBe("bob's room");
+    expect(roomId).toMatch(/^[A-Z0-9]+$/);
+    expect((await joined).roomId).toBe(roomId);
+    expect((await countdown).countdown).toBe(5);
+  });
+
+  test('lists rooms and lets a second player join by ID', async () => {
+    const host = await connect('carol');
+    const { roomId } = await host.request({ type: 'create_room', name: 'lobby test' }, 'room_joined');
+
+    const guest = await connect('dave');
+    const { rooms } = await guest.request({ type: 'list_rooms' }, 'room_list');
+    expect(rooms.find(room => room.roomId === roomId)).toMatchObject({ name: 'lobby test', playerCount: 1 });
+
+    const playerJoined = host.waitFor('player_joined', message => message.playerId === 'dave');
+    const joined = await guest.request({ type: 'join_room', roomId: roomId.toLowerCase() }, 'room_joined');
+
+    expect(joined.playerCount).toBe(2);
+    expect((await playerJoined).playerCount).toBe(2);
+  });
+
+  test('rooms remember their map, falling back to the default for unknown ones', async () => {
+    const host = await connect('mallory');
+    const joined = await host.request({ type: 'create_room', mapId: 'crossroads' }, 'room_joined');
+    expect(joined).toMatchObject({ mapId: 'crossroads', mapName: 'Crossroads' });
+
+    const guest = await connect('nina');
+    const { rooms } = await guest.request({ type: 'list_rooms' }, 'room_list');
+    expect(rooms.find(room => room.roomId === joined.roomId)).toMatchObject({ mapId: 'crossroads' });
+
+    const other = await connect('oscar');
+    const fallback = await other.request({ type: 'create_room', mapId: 'atlantis' }, 'room_joined');
+    expect(fallback.mapId).toBe('corridor');
+  });
+
+  test('rooms remember their difficulty, falling back to normal for unknown ones', async () => {
+    const host = await connect('rita');
+    const joined = await host.request({ type: 'create_room', difficulty: 'nightmare' }, 'room_joined');
+    expect(joined.difficulty).toBe('nightmare');
+
+    const guest = await connect('sam');
+    const { rooms } = await guest.request({ type: 'list_rooms' }, 'room_list');
+    expect(rooms.find(room => room.roomId === joined.roomId)).toMatchObject({ difficulty: 'nightmare' });
+
+    const other = await connect('tess');
+    const fallback = await other.request({ type: 'create_room', difficulty: 'impossible' }, 'room_joined');
+    expect(fallback.difficulty).toBe('normal');
+  });
+
+  test('rejects unknown and full rooms', async () => {
+    const missing = await connect('erin');
+    const notFound = await missing.request({ type: 'join_room', roomId: 'NOPE' }, 'error');
+    expect(notFound.message).toMatch(/Room not found/);
+
+    const host = await connect('frank');
+    const { roomId } = await host.request({ type: 'create_room' }, 'room_joined');
+
+    for (const username of ['gina', 'hank', 'ivan']) {
+      const guest = await connect(username);
+      await guest.request({ type: 'join_room', roomId }, 'room_joined');
+    }
+
+    const late = await connect('judy');
+    const full = await late.request({ type: 'join_room', roomId }, 'error');
+    expect(full.message).toMatch(/is full/);
+  });
+
+  test('chat is broadcast to the room and leaving confirms', async () => {
+    const host = await connect('kate');
+    const { roomId } = await host.request({ type: 'create_room' }, 'room_joined');
+    const guest = await connect('liam');
+    await guest.request({ type: 'join_room', roomId }, 'room_joined');
+
+    const received = guest.waitFor('chat');
+    host.send({ type: 'chat', message: 'hello' });
+    expect(await received).toMatchObject({ playerId: 'kate', message: 'hello' });
+
+    const left = await guest.request({ type: 'leave_room' }, 'room_left');
+    expect(left.roomId).toBe(roomId);
+  });
+
+  test('forwards heals from a hero who just cast a heal and rejects the rest', async () => {
+    const healer = await connect('quinn');
+    const started = healer.waitFor('game_started', () => true, 8000);
+    const { roomId } = await healer.request({ type: 'create_room' }, 'room_joined');
+    healer.send({ type: 'player_update', data: { heroClass: 'cleric' } });
+
+    const ally = await connect('ruth');
+    await ally.request({ type: 'join_room', roomId }, 'room_joined');
+    ally.send({ type: 'player_update', data: { heroClass: 'warrior' } });
+    const classless = await connect('sid');
+    await classless.request({ type: 'join_room', roomId }, 'room_joined');
+    await connect('tom');
+
+    const rejected = async (sender, targetId, share) => (await sender.request(
+      { type: 'heal_ally', targetId, share },
+      'heal_rejected',
+      message => message.targetId === targetId
+    )).reason;
+
+    expect(await rejected(healer, 'ruth', 0.3)).toBe('game_not_active');
+    await started;
+
+    // Only a class with a heal ability heals, and only right after casting it
+    expect(await rejected(classless, 'ruth', 0.3)).toBe('unknown_hero');
+    expect(await rejected(ally, 'quinn', 0.3)).toBe('no_heal_ability');
+    expect(await rejected(healer, 'ruth', 0.3)).toBe('not_cast');
+
+    const healed = ally.waitFor('hero_healed');
+    healer.send({ type: 'use_ability', abilityIndex: 1 }); // Holy Light
+    healer.send({ type: 'heal_ally', targetId: 'ruth', share: 0.3 });
+    expect(await healed).toMatchObject({ healerId: 'quinn', share: 0.3 });
+
+    expect(await rejected(healer, 'ruth', 0.3)).toBe('already_healed');
+    expect(await rejected(healer, 'sid', 0.5)).toBe('invalid_heal'); // Holy Light restores 30%
+    expect(await rejected(healer, 'quinn', 0.3)).toBe('unknown_target');
+    expect(await rejected(healer, 'tom', 0.3)).toBe('unknown_target');
+    expect(await rejected(healer, 'constructor', 0.3)).toBe('unknown_target');
+  }, 15000);
+
+  test('spends ability cooldowns, mana and ability points on the server', async () => {
+    const client = await connect('vic');
+    await client.request({ type: 'create_room' }, 'room_joined');
+
+    const rejected = async (type, abilityIndex) => client.request(
+      { type, abilityIndex },
+      'ability_rejected',
+      message => message.abilityIndex === abilityIndex
+    );
+
+    expect((await rejected('use_ability', 0)).reason).toBe('unknown_hero');
+    client.send({ type: 'player_update', data: { heroClass: 'warrior' } });
+
+    client.send({ type: 'use_ability', abilityIndex: 0 }); // Whirlwind, 20 mana
+    expect((await rejected('use_ability', 0)).reason).toBe('on_cooldown');
+
+    client.send({ type: 'use_ability', abilityIndex: 3 }); // Battle Shout, 25 of the last 30 mana
+    expect((await rejected('use_ability', 1)).reason).toBe('not_enough_mana');
+
+    expect((await rejected('use_ability', 4)).reason).toBe('unknown_ability');
+    expect(await rejected('level_ability', 2)).toMatchObject({ action: 'level', reason: 'no_ability_points' });
+  });
+
+  test('rejects upgrades the player cannot have paid for', async () => {
+    const client = await connect('mona');
+    await client.request({ type: 'create_room' }, 'room_joined');
+
+    const noClass = await client.request(
+      { type: 'hero_upgrade', upgradeType: 'stat', name: 'damage' },
+      'upgrade_rejected'
+    );
+    expect(noClass.reason).toBe('unknown_hero');
+
+    client.send({ type: 'player_update', data: { heroClass: 'warrior' } });
+
+    const invalid = await client.request(
+      { type: 'hero_upgrade', upgradeType: 'stat', name: 'flying' },
+      'upgrade_rejected'
+    );
+    expect(invalid.reason).toBe('invalid_upgrade');
+
+    const unpaid = await client.request(
+      { type: 'hero_upgrade', upgradeType: 'stat', name: 'damage' },
+      'upgrade_rejected'
+    );
+    expect(unpaid.reason).toBe('insufficient_gold');
+  });
+
+  test('knows the special upgrades of every class in the shared hero stats', async () => {
+    const client = await connect('pete');
+    await client.request({ type: 'create_room' }, 'room_joined');
+    client.send({ type: 'player_update', data: { heroClass: 'cleric' } });
+
+    const unpaid = await client.request(
+      { type: 'hero_upgrade', upgradeType: 'special', name: 'Devotion' },
+      'upgrade_rejected'
+    );
+    expect(unpaid.reason).toBe('insufficient_gold');
+
+    const otherClass = await client.request(
+      { type: 'hero_upgrade', upgradeType: 'special', name: 'Eagle Eye' },
+      'upgrade_rejected'
+    );
+    expect(otherClass.reason).toBe('invalid_upgrade');
+  });
+
+  test('takes the stats of classes registered on the client if they are within bounds', async () => {
+    const client = await connect('bea');
+    await client.request({ type: 'create_room' }, 'room_joined');
+
+    const bard = {
+      baseStats: { damage: 9, attackRate: 1000, range: 3, health: 85, mana: 80, manaRegen: 4 },
+      abilities: [],
+      specialUpgrades: { 'Ballad': { cost: 50, costMultiplier: 1.5 } }
+    };
+    const buyBallad = () => client.request(
+      { type: 'hero_upgrade', upgradeType: 'special', name: 'Ballad' },
+      'upgrade_rejected'
+    );
+
+    const overpowered = { ...bard, baseStats: { ...bard.baseStats, damage: 500 } };
+    client.send({ type: 'player_update', data: { heroClass: 'bard', classStats: overpowered } });
+    expect((await buyBallad()).reason).toBe('unknown_hero');
+
+    client.send({ type: 'player_update', data: { heroClass: 'bard', classStats: bard } });
+    expect((await buyBallad()).reason).toBe('insufficient_gold');
+
+    // The built-in classes keep the server's stats
+    const other = await connect('cole');
+    await other.request({ type: 'create_room' }, 'room_joined');
+    other.send({ type: 'player_update', data: { heroClass: 'warrior', classStats: bard } });
+
+    const rejected = await other.request(
+      { type: 'hero_upgrade', upgradeType: 'special', name: 'Ballad' },
+      'upgrade_rejected'
+    );
+    expect(rejected.reason).toBe('invalid_upgrade');
+  });
+
+  test('rejects upgrade names and hero classes inherited from Object.prototype', async () => {
+    const client = await connect('otto');
+    await client.request({ type: 'create_room' }, 'room_joined');
+
+    client.send({ type: 'player_update', data: { heroClass: 'constructor' } });
+    const noClass = await client.request(
+      { type: 'hero_upgrade', upgradeType: 'stat', name: 'damage' },
+      'upgrade_rejected'
+    );
+    expect(noClass.reason).toBe('unknown_hero');
+
+    client.send({ type: 'player_update', data: { heroClass: 'warrior' } });
+
+    for (const upgradeType of ['stat', 'special']) {
+      for (const name of ['constructor', '__proto__', 'toString']) {
+        const rejected = await client.request(
+          { type: 'hero_upgrade', upgradeType, name },
+          'upgrade_rejected',
+          message => message.upgradeType === upgradeType && message.name === name
+        );
+        expect(rejected.reason).toBe('invalid_upgrade');
+      }
+    }
+
+    // Gold spent is still a number, so unpaid upgrades stay rejected
+    const unpaid = await client.request(
+      { type: 'hero_upgrade', upgradeType: 'stat', name: 'damage' },
+      'upgrade_rejected',
+      message => message.name === 'damage'
+    );
+    expect(unpaid.reason).toBe('insufficient_gold');
+  });
+
+  test('rejects towers that are unknown, on the lane or unpaid', async () => {
+    const client = await connect('olga');
+    await client.request({ type: 'create_room' }, 'room_joined');
+    client.send({ type: 'player_update', data: { heroClass: 'warrior' } });
+
+    const unknown = await client.request(
+      { type: 'place_tower', towerType: 'ballista', position: { x: 5, z: 1 } },
+      'tower_rejected'
+    );
+    expect(unknown.reason).toBe('unknown_tower');
+
+    const inherited = await client.request(
+      { type: 'place_tower', towerType: 'constructor', position: { x: 5, z: 1 } },
+      'tower_rejected'
+    );
+    expect(inherited.reason).toBe('unknown_tower');
+
+    const onPath = await client.request(
+      { type: 'place_tower', towerType: 'arrow', position: { x: 1, z: 1 } },
+      'tower_rejected'
+    );
+    expect(onPath.reason).toBe('on_path');
+
+    const unpaid = await client.request(
+      { type: 'place_tower', towerType: 'arrow', position: { x: 5, z: 1 } },
+      'tower_rejected'
+    );
+    expect(unpaid.reason).toBe('insufficient_gold');
+  });
+
+  test('rejects items that are unknown, unpaid or not carried', async () => {
+    const client = await connect('pia');
+    await client.request({ type: 'create_room' }, 'room_joined');
+    client.send({ type: 'player_update', data: { heroClass: 'mage' } });
+
+    const unknown = await client.request({ type: 'buy_item', itemType: 'excalibur' }, 'item_rejected');
+    expect(unknown).toMatchObject({ action: 'buy', reason: 'unknown_item' });
+
+    const unpaid = await client.request({ type: 'buy_item', itemType: 'longsword' }, 'item_rejected');
+    expect(unpaid.reason).toBe('insufficient_gold');
+
+    const notCarried = await client.request({ type: 'sell_item', itemType: 'longsword' }, 'item_rejected');
+    expect(notCarried).toMatchObject({ action: 'sell', reason: 'not_carried' });
+  });
+
+  test('rejects augments for another class, taken twice or unpaid rerolls', async () => {
+    const client = await connect('quin');
+    await client.request({ type: 'create_room' }, 'room_joined');
+    client.send({ type: 'player_update', data: { heroClass: 'ranger' } });
+
+    const wrongClass = await client.request({ type: 'choose_augment', augmentId: 'deepFreeze' }, 'augment_rejected');
+    expect(wrongClass).toMatchObject({ action: 'choose', reason: 'wrong_class' });
+
+    client.send({ type: 'choose_augment', augmentId: 'extraArrow' });
+    const repeat = await client.request({ type: 'choose_augment', augmentId: 'extraArrow' }, 'augment_rejected');
+    expect(repeat.reason).toBe('already_taken');
+
+    const reroll = await client.request({ type: 'reroll_augments' }, 'augment_rejected');
+    expect(reroll).toMatchObject({ action: 'reroll', reason: 'insufficient_gold' });
+  });
+
+  test('validates attacks once the game has started', async () => {
+    const client = await connect('nick');
+
+    const started = client.waitFor('game_started', () => true, 8000);
+    const spawned = client.waitFor('enemy_spawn', () => true, 8000);
+    client.send({ type: 'create_room' });
+    client.send({ type: 'player_update', data: { heroClass: 'warrior' } });
+
+    expect(typeof (await started).seed).toBe('number');
+    const enemy = await spawned;
+
+    const unknown = await client.request(
+      { type: 'attack_enemy', enemyId: 'enemy_missing', damage: 10 },
+      'attack_rejected'
+    );
+    expect(unknown.reason).toBe('unknown_enemy');
+
+    // The hero stands at the bottom of the lane, far from a fresh spawn
+    const farAway = await client.request(
+      { type: 'attack_enemy', enemyId: enemy.enemyId, damage: 10 },
+      'attack_rejected'
+    );
+    expect(farAway.reason).toBe('out_of_range');
+
+    // Ability hits reach further than attacks, but not across the map
+    const unknownHit = await client.request(
+      { type: 'ability_hit', enemyId: 'enemy_missing', damage: 10 },
+      'attack_rejected',
+      message => message.ability
+    );
+    expect(unknownHit.reason).toBe('unknown_enemy');
+
+    client.send({ type: 'use_ability', abilityIndex: 0 });
+    const farHit = await client.request(
+      { type: 'ability_hit', enemyId: enemy.enemyId, damage: 8, abilityIndex: 0 },
+      'attack_rejected',
+      message => message.ability
+    );
+    expect(farHit.reason).toBe('out_of_range');
+  }, 15000);
+
+  test('serves the leaderboard best first, filtered by hero class, player count and difficulty', async () => {
+    const leaderboard = async query => {
+      const response = await fetch(`http://localhost:${server.port}/api/leaderboard${query}`);
+      return { status: response.status, body: await response.json() };
+    };
+    const ids = ({ body }) => body.runs.map(entry => entry.id);
+
+    expect(ids(await leaderboard(''))).toEqual(['duo', 'trio', 'solo']);
+    expect(ids(await leaderboard('?heroClass=warrior'))).toEqual(['trio', 'solo']);
+    expect(ids(await leaderboard('?heroClass=mage&players=3'))).toEqual(['trio']);
+    expect(ids(await leaderboard('?players=2'))).toEqual(['duo']);
+
+    // Runs from before difficulties count as normal
+    expect(ids(await leaderboard('?difficulty=normal'))).toEqual(['trio', 'solo']);
+    expect(ids(await leaderboard('?difficulty=hard'))).toEqual(['duo']);
+
+    expect((await leaderboard('?heroClass=bard')).status).toBe(400);
+    expect((await leaderboard('?heroClass=constructor')).status).toBe(400);
+    expect((await leaderboard('?heroClass=toString')).status).toBe(400);
+    expect((await leaderboard('?players=9')).status).toBe(400);
+    expect((await leaderboard('?difficulty=insane')).status).toBe(400);
+  });
+});
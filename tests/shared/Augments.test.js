@@ -0,0 +1,53 @@
+import {
+  augmentTypes,
+  getAugment,
+  checkAugment,
+  getAugmentPool,
+  draftAugments,
+  getAugmentStats
+} from '../../src/shared/Augments.js';
+
+describe('Augments', () => {
+  test('pools hold the general augments plus the class ones, minus those taken', () => {
+    const pool = getAugmentPool('warrior');
+
+    expect(pool).toContain('sharpenedEdge');
+    expect(pool).toContain('chillingWhirlwind');
+    expect(pool).not.toContain('extraArrow');
+
+    expect(getAugmentPool('warrior', ['sharpenedEdge'])).not.toContain('sharpenedEdge');
+  });
+
+  test('checks the class and repeats', () => {
+    expect(checkAugment('ranger', [], 'extraArrow')).toBeNull();
+    expect(checkAugment('mage', [], 'extraArrow')).toBe('wrong_class');
+    expect(checkAugment('ranger', ['extraArrow'], 'extraArrow')).toBe('already_taken');
+    expect(checkAugment('ranger', [], 'toString')).toBe('unknown_augment');
+    expect(getAugment('toString')).toBeNull();
+  });
+
+  test('drafts draw different augments by weight', () => {
+    const pool = ['sharpenedEdge', 'luckyStrikes', 'quickCasting'];
+
+    // A roll of 0 always lands on the first remaining augment
+    expect(draftAugments(pool, 3, () => 0)).toEqual(pool);
+
+    // Just under the total weight lands on the last
+    const total = pool.reduce((sum, id) => sum + augmentTypes[id].weight, 0);
+    expect(draftAugments(pool, 1, () => (total - 0.5) / total)).toEqual(['quickCasting']);
+
+    // Rolls between the first two weights land on the second
+    expect(draftAugments(pool, 1, () => 12 / total)).toEqual(['luckyStrikes']);
+
+    expect(draftAugments(['toughness'], 3)).toEqual(['toughness']);
+  });
+
+  test('augment stats combine', () => {
+    const stats = getAugmentStats(['sharpenedEdge', 'quickHands', 'fleetFooted', 'toughness', 'extraArrow']);
+
+    expect(stats.damageMultiplier).toBeCloseTo(1.1);
+    expect(stats.attackSpeedMultiplier).toBeCloseTo(0.92);
+    expect(stats.moveSpeedMultiplier).toBeCloseTo(1.15);
+    expect(stats.maxHealth).toBe(30);
+  });
+});
@@ -0,0 +1,56 @@
+import { Simulation } from '../../src/shared/simulation/Simulation.js';
+import { getScriptedWave } from '../../src/shared/WaveScript.js';
+import { enemyTypes, difficultyPresets, difficultyScaling, getDifficulty } from '../../src/shared/GameData.js';
+
+describe('Difficulty presets', () => {
+  test('unknown difficulties fall back to normal', () => {
+    expect(getDifficulty('hard')).toMatchObject({ id: 'hard', name: 'Hard' });
+    expect(getDifficulty('impossible')).toMatchObject({ id: 'normal', healthMultiplier: 1, startingGold: 0 });
+    expect(getDifficulty(undefined).id).toBe('normal');
+    expect(getDifficulty('toString').id).toBe('normal');
+  });
+
+  test('harder presets scale enemies up and pay less', () => {
+    const order = ['easy', 'normal', 'hard', 'nightmare'].map(id => difficultyPresets[id]);
+
+    for (let i = 1; i < order.length; i++) {
+      expect(order[i].healthMultiplier).toBeGreaterThan(order[i - 1].healthMultiplier);
+      expect(order[i].damageMultiplier).toBeGreaterThan(order[i - 1].damageMultiplier);
+      expect(order[i].speedMultiplier).toBeGreaterThan(order[i - 1].speedMultiplier);
+      expect(order[i].valueMultiplier).toBeLessThan(order[i - 1].valueMultiplier);
+    }
+  });
+
+  test('the simulation scales every spawned enemy by its difficulty', () => {
+    const spawn = difficulty => {
+      const simulation = new Simulation({ autoWaves: false, difficulty });
+      return simulation.spawnEnemy('mage', { id: 'enemy', x: 0 });
+    };
+
+    const normal = spawn('normal');
+    const nightmare = spawn('nightmare');
+    const { healthMultiplier, damageMultiplier, speedMultiplier, valueMultiplier } = difficultyPresets.nightmare;
+
+    expect(normal).toMatchObject({
+      health: enemyTypes.mage.health,
+      value: enemyTypes.mage.value,
+      speed: enemyTypes.mage.speed,
+      damage: enemyTypes.mage.damage,
+      projectileDamage: enemyTypes.mage.projectileDamage
+    });
+    expect(nightmare).toMatchObject({
+      health: Math.round(enemyTypes.mage.health * healthMultiplier),
+      value: Math.round(enemyTypes.mage.value * valueMultiplier),
+      damage: Math.round(enemyTypes.mage.damage * damageMultiplier),
+      projectileDamage: Math.round(enemyTypes.mage.projectileDamage * damageMultiplier)
+    });
+    expect(nightmare.speed).toBeCloseTo(enemyTypes.mage.speed * speedMultiplier);
+  });
+
+  test('waves past the end of a script are worth more gold', () => {
+    const script = { waves: [{ steps: [{ type: 'spawn', enemies: ['grunt'], count: 4, interval: 500 }] }] };
+
+    expect(getScriptedWave(script, 1).valueMultiplier).toBe(1);
+    expect(getScriptedWave(script, 3).valueMultiplier).toBeCloseTo(Math.pow(difficultyScaling.valueMultiplier, 2));
+  });
+});
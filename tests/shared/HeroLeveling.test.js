@@ -0,0 +1,38 @@
+import {
+  heroLeveling,
+  getHeroXpForLevel,
+  getHeroLevelForXp,
+  getEnemyXp,
+  applyHeroLevel
+} from '../../src/shared/HeroLeveling.js';
+
+describe('HeroLeveling', () => {
+  test('each level needs a little more XP than the last', () => {
+    expect(getHeroXpForLevel(1)).toBe(0);
+    expect(getHeroXpForLevel(2)).toBe(60);
+    expect(getHeroXpForLevel(3)).toBe(180);
+
+    expect(getHeroLevelForXp(0)).toBe(1);
+    expect(getHeroLevelForXp(59)).toBe(1);
+    expect(getHeroLevelForXp(60)).toBe(2);
+    expect(getHeroLevelForXp(200)).toBe(3);
+  });
+
+  test('levels stop at the maximum', () => {
+    expect(getHeroLevelForXp(1000000)).toBe(heroLeveling.maxLevel);
+  });
+
+  test('enemies give XP for their gold value', () => {
+    expect(getEnemyXp(25)).toBe(25);
+    expect(getEnemyXp(undefined)).toBe(0);
+    expect(getEnemyXp(-5)).toBe(0);
+  });
+
+  test('levels raise damage, health and mana from their level 1 value', () => {
+    const base = { damage: 10, health: 100, mana: 50, attackRate: 1000 };
+
+    expect(applyHeroLevel(base, 1)).toEqual(base);
+    expect(applyHeroLevel(base, 3)).toEqual({ damage: 12, health: 120, mana: 55, attackRate: 1000 });
+    expect(base.damage).toBe(10);
+  });
+});
@@ -0,0 +1,125 @@
+import {
+  heroClassStats,
+  getHeroClassStats,
+  getSpecialUpgradeCost,
+  getAbilityLevelStats,
+  registerHeroClassStats,
+  sanitizeHeroClassStats
+} from '../../src/shared/HeroStats.js';
+import { getHeroClasses } from '../../src/components/hero/HeroClasses.js';
+import { CONFIG } from '../../src/config/GameConfig.js';
+import { Ability } from '../../src/components/ability/Ability.js';
+
+describe('HeroStats', () => {
+  test('looks classes up by ID', () => {
+    expect(getHeroClassStats('cleric')).toBe(heroClassStats.cleric);
+    expect(getHeroClassStats('bard')).toBeNull();
+    expect(getHeroClassStats('constructor')).toBeNull();
+  });
+
+  test('looks special upgrade costs up by class and name', () => {
+    expect(getSpecialUpgradeCost('ranger', 'Eagle Eye')).toEqual({ cost: 60, costMultiplier: 1.5 });
+    expect(getSpecialUpgradeCost('ranger', 'Devotion')).toBeNull();
+    expect(getSpecialUpgradeCost('ranger', '__proto__')).toBeNull();
+    expect(getSpecialUpgradeCost('bard', 'Eagle Eye')).toBeNull();
+  });
+
+  test('every listed class is registered with the same stats and upgrade costs', () => {
+    const registered = getHeroClasses().map(heroClass => heroClass.id);
+
+    Object.entries(heroClassStats).forEach(([id, stats]) => {
+      expect(registered).toContain(id);
+      expect(CONFIG.heroClasses[id].baseStats).toEqual(stats.baseStats);
+
+      const costs = Object.fromEntries(CONFIG.heroClasses[id].specialUpgrades.map(upgrade => [
+        upgrade.name, { cost: upgrade.cost, costMultiplier: upgrade.costMultiplier }
+      ]));
+      expect(costs).toEqual(Object.fromEntries(
+        Object.keys(stats.specialUpgrades).map(name => [name, getSpecialUpgradeCost(id, name)])
+      ));
+    });
+  });
+
+  test('ability stats grow with their level the way abilities do', () => {
+    Object.values(heroClassStats).forEach(stats => {
+      stats.abilities.forEach(config => {
+        const ability = new Ability(config);
+
+        for (let level = 1; level <= 5; level++) {
+          const expected = getAbilityLevelStats(config, level);
+
+          ['cooldown', 'manaCost', 'targetCount', 'missileCount', 'slow', 'maxLevel'].forEach(stat => {
+            expect(ability[stat]).toBe(expected[stat]);
+          });
+          ['damageMultiplier', 'duration', 'aoeRadius', 'effectValue'].forEach(stat => {
+            expect(ability[stat]).toBeCloseTo(expected[stat]);
+          });
+
+          ability.levelUp();
+        }
+      });
+    });
+  });
+
+  test('classes registered at runtime are checked against the limits', () => {
+    const lullaby = {
+      name: 'Lullaby',
+      type: 'aoe',
+      cooldown: 12000,
+      manaCost: 30,
+      damageMultiplier: 0.5,
+      aoeRadius: 3,
+      effects: [{ type: 'aoe', radius: 'aoeRadius' }, { type: 'status', status: 'slow', slowFactor: 0.5, duration: 2000 }]
+    };
+    const bard = {
+      baseStats: { damage: 9, attackRate: 1000, range: 3, health: 85, mana: 80, manaRegen: 4 },
+      abilities: [lullaby],
+      specialUpgrades: { 'Ballad': { cost: 50, costMultiplier: 1.5, moveSpeed: 0.05 } }
+    };
+    const withBase = changes => ({ ...bard, baseStats: { ...bard.baseStats, ...changes } });
+    const withAbility = changes => ({ ...bard, abilities: [{ ...lullaby, ...changes }] });
+
+    // Only the parts of abilities the server reads are kept
+    expect(sanitizeHeroClassStats('bard', { ...bard, extra: true })).toEqual({
+      ...bard,
+      abilities: [{ ...lullaby, effects: [{ type: 'aoe' }, lullaby.effects[1]] }]
+    });
+
+    // Every built-in class would fit
+    Object.values(heroClassStats).forEach(stats => {
+      const sanitized = sanitizeHeroClassStats('copy', stats);
+
+      expect(sanitized).toMatchObject({ baseStats: stats.baseStats, specialUpgrades: stats.specialUpgrades });
+      expect(sanitized.abilities.map(ability => ability.name)).toEqual(stats.abilities.map(ability => ability.name));
+    });
+
+    expect(sanitizeHeroClassStats('bard', withAbility({ damageMultiplier: 50 }))).toBeNull();
+    expect(sanitizeHeroClassStats('bard', withAbility({ cooldown: undefined }))).toBeNull();
+    expect(sanitizeHeroClassStats('bard', withAbility({ type: 'nuke' }))).toBeNull();
+    expect(sanitizeHeroClassStats('bard', withAbility({ effects: [{ type: 'status', status: 'charm' }] }))).toBeNull();
+    expect(sanitizeHeroClassStats('bard', withAbility({ effects: [{ type: 'damage', multiplier: 20 }] }))).toBeNull();
+    expect(sanitizeHeroClassStats('bard', { ...bard, abilities: Array(5).fill(lullaby) })).toBeNull();
+    expect(sanitizeHeroClassStats('bard', { ...bard, abilities: undefined })).toBeNull();
+
+    expect(sanitizeHeroClassStats('bard', withBase({ damage: 500 }))).toBeNull();
+    expect(sanitizeHeroClassStats('bard', withBase({ attackRate: '1000' }))).toBeNull();
+    expect(sanitizeHeroClassStats('bard', withBase({ mana: undefined }))).toBeNull();
+    expect(sanitizeHeroClassStats('bard', { ...bard, specialUpgrades: { 'Ballad': { cost: 1, costMultiplier: 1.5 } } })).toBeNull();
+    expect(sanitizeHeroClassStats('bard', { ...bard, specialUpgrades: JSON.parse('{"__proto__": {"cost": 50, "costMultiplier": 1.5}}') })).toBeNull();
+    expect(sanitizeHeroClassStats('warrior', bard)).toBeNull();
+    expect(sanitizeHeroClassStats('Bard Of <b>', bard)).toBeNull();
+    expect(sanitizeHeroClassStats('bard', null)).toBeNull();
+  });
+
+  test('registering stats at runtime never replaces a built-in class', () => {
+    const warrior = heroClassStats.warrior;
+    const stats = { baseStats: { ...warrior.baseStats, damage: 15 }, abilities: [], specialUpgrades: {} };
+
+    registerHeroClassStats('warrior', stats);
+    registerHeroClassStats('skald', stats);
+
+    expect(getHeroClassStats('warrior')).toBe(warrior);
+    expect(getHeroClassStats('skald')).toBe(stats);
+    delete heroClassStats.skald;
+  });
+});
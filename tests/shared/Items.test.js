@@ -0,0 +1,39 @@
+import {
+  itemTypes,
+  itemRules,
+  getItem,
+  getItemSellValue,
+  checkItemPurchase,
+  getItemStats
+} from '../../src/shared/Items.js';
+
+describe('Items', () => {
+  test('looks items up by type', () => {
+    expect(getItem('longsword')).toBe(itemTypes.longsword);
+    expect(getItem('excalibur')).toBeNull();
+    expect(getItem('toString')).toBeNull();
+  });
+
+  test('selling refunds part of the price', () => {
+    expect(getItemSellValue('longsword')).toBe(Math.floor(itemTypes.longsword.cost * itemRules.sellRefund));
+    expect(getItemSellValue('excalibur')).toBe(0);
+  });
+
+  test('purchases need a known item and a free slot', () => {
+    const full = Array(itemRules.inventorySlots).fill('longsword');
+
+    expect(checkItemPurchase([], 'longsword')).toBeNull();
+    expect(checkItemPurchase(['longsword'], 'longsword')).toBeNull();
+    expect(checkItemPurchase([], 'excalibur')).toBe('unknown_item');
+    expect(checkItemPurchase(full, 'heartAmulet')).toBe('inventory_full');
+  });
+
+  test('item stats combine across the inventory', () => {
+    expect(getItemStats([])).toEqual({ damageMultiplier: 1, attackSpeedMultiplier: 1, maxHealth: 0 });
+
+    const stats = getItemStats(['longsword', 'longsword', 'swiftGloves', 'heartAmulet', 'vampiricFang']);
+    expect(stats.damageMultiplier).toBeCloseTo(1.15 * 1.15);
+    expect(stats.attackSpeedMultiplier).toBeCloseTo(0.88);
+    expect(stats.maxHealth).toBe(40);
+  });
+});
@@ -0,0 +1,62 @@
+import { maps, defaultMap, validateMap, getMap, getMapPath, getMapWaves, getMapList } from '../../src/shared/Maps.js';
+import { waveScripts } from '../../src/shared/WaveScript.js';
+import { Simulation } from '../../src/shared/simulation/Simulation.js';
+
+describe('Maps', () => {
+  const clone = map => JSON.parse(JSON.stringify(map));
+
+  test('every bundled map is valid and keyed by its id', () => {
+    Object.keys(maps).forEach(id => {
+      expect(validateMap(maps[id])).toEqual([]);
+      expect(maps[id].id).toBe(id);
+    });
+
+    expect(getMap(defaultMap)).toBe(maps[defaultMap]);
+    expect(getMap('atlantis')).toBeNull();
+    expect(getMap('toString')).toBeNull();
+  });
+
+  test('the validator reports broken maps', () => {
+    const map = clone(maps.crossroads);
+    map.lanes.links.start = ['nowhere'];
+    map.spawnPoints = ['gate'];
+    map.goalZones = [];
+    map.decorations.push({ type: 'castle', x: 0, z: 0 });
+    map.lighting = 'noon';
+    map.waves = 'endless';
+
+    const errors = validateMap(map);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'Link from start to unknown waypoint nowhere',
+      'Spawn point gate is not a waypoint',
+      expect.stringMatching(/has no goal zone/),
+      expect.stringMatching(/unknown type castle/),
+      'Unknown lighting preset: noon',
+      'Unknown wave script: endless'
+    ]));
+    expect(validateMap(null)).toEqual(['Map must be an object']);
+  });
+
+  test('a map converts to the simulation path and wave script', () => {
+    const map = maps['twin-rivers'];
+    const path = getMapPath(map);
+
+    expect(path.width).toBe(map.lanes.width);
+    expect(path.spawns).toEqual(map.spawnPoints);
+    expect(getMapWaves(map)).toBe(waveScripts[map.waves]);
+
+    const simulation = new Simulation({ seed: 3, autoWaves: false, path, waves: getMapWaves(map) });
+    expect(simulation.routes).toHaveLength(map.spawnPoints.length);
+  });
+
+  test('the map list carries names and descriptions for pickers', () => {
+    const list = getMapList();
+
+    expect(list.map(entry => entry.id)).toEqual(Object.keys(maps));
+    list.forEach(entry => {
+      expect(entry.name).toEqual(expect.any(String));
+      expect(entry.description).toEqual(expect.any(String));
+    });
+  });
+});
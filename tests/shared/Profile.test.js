@@ -0,0 +1,54 @@
+import {
+  getXpForLevel,
+  getLevelForXp,
+  getRunXp,
+  checkTalent,
+  sanitizeTalents,
+  applyTalents
+} from '../../src/shared/Profile.js';
+
+describe('Profile', () => {
+  test('each level needs a little more XP than the last', () => {
+    expect(getXpForLevel(1)).toBe(0);
+    expect(getXpForLevel(2)).toBe(100);
+    expect(getXpForLevel(3)).toBe(300);
+
+    expect(getLevelForXp(0)).toBe(1);
+    expect(getLevelForXp(99)).toBe(1);
+    expect(getLevelForXp(100)).toBe(2);
+    expect(getLevelForXp(350)).toBe(3);
+  });
+
+  test('runs earn XP for waves cleared and enemies defeated', () => {
+    expect(getRunXp(10, 2)).toBe(100);
+    expect(getRunXp(0, 0)).toBe(0);
+    expect(getRunXp(-5, -1)).toBe(0);
+  });
+
+  test('talents need points, free ranks and their requirement', () => {
+    expect(checkTalent({}, 'sharpness', 1)).toBeNull();
+    expect(checkTalent({}, 'sharpness', 0)).toBe('no_points');
+    expect(checkTalent({ sharpness: 3 }, 'sharpness', 10)).toBe('max_rank');
+    expect(checkTalent({ sharpness: 1 }, 'quickness', 10)).toBe('locked');
+    expect(checkTalent({ sharpness: 2 }, 'quickness', 10)).toBeNull();
+    expect(checkTalent({}, 'flight', 10)).toBe('unknown_talent');
+    expect(checkTalent({}, 'constructor', 10)).toBe('unknown_talent');
+  });
+
+  test('untrusted talents are capped and stripped of unmet requirements', () => {
+    expect(sanitizeTalents(null)).toEqual({});
+    expect(sanitizeTalents({ sharpness: 9, flight: 2, toughness: -1 })).toEqual({ sharpness: 3 });
+
+    // Vigilance needs sharpness 3, which is dropped along with it
+    expect(sanitizeTalents({ sharpness: 1, quickness: 2, vigilance: 1 })).toEqual({ sharpness: 1 });
+  });
+
+  test('talents add to the hero base stats', () => {
+    const base = { damage: 10, attackRate: 1000, range: 2.5, health: 100 };
+    const stats = applyTalents(base, { toughness: 3, fortitude: 1, sharpness: 2, quickness: 2, vigilance: 1 });
+
+    expect(stats).toEqual({ damage: 12, attackRate: 940, range: 2.7, health: 125 });
+    expect(base.damage).toBe(10);
+    expect(applyTalents(base, { constructor: 1, toString: 2 })).toEqual(base);
+  });
+});
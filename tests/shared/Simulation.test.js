@@ -0,0 +1,319 @@
+import { Simulation } from '../../src/shared/simulation/Simulation.js';
+import { getPathRoutes, offsetPolyline } from '../../src/shared/simulation/Path.js';
+import { maps, getMapPath } from '../../src/shared/Maps.js';
+import { enemyTypes } from '../../src/shared/GameData.js';
+
+/**
+ * Run a simulation for a number of ticks and collect its events
+ * @param {Simulation} simulation - Simulation to run
+ * @param {number} ticks - Ticks to run
+ * @returns {Array<Object>} Events
+ */
+function run(simulation, ticks) {
+  const events = [];
+  for (let i = 0; i < ticks; i++) {
+    events.push(...simulation.step());
+  }
+  return events;
+}
+
+describe('Simulation', () => {
+  const createSimulation = seed => {
+    const simulation = new Simulation({ seed });
+    simulation.addHero('hero', { position: { x: 0, y: 0.5, z: 4 }, range: 4, critChance: 0.3 });
+    simulation.startWave(3);
+    return simulation;
+  };
+
+  test('the same seed produces the same events', () => {
+    const first = run(createSimulation(42), 1200);
+    const second = run(createSimulation(42), 1200);
+
+    expect(first.length).toBeGreaterThan(0);
+    expect(second).toEqual(first);
+  });
+
+  test('different seeds diverge', () => {
+    const first = run(createSimulation(1), 400);
+    const second = run(createSimulation(2), 400);
+
+    expect(second).not.toEqual(first);
+  });
+
+  test('a simulation loaded from a snapshot carries on identically', () => {
+    const original = createSimulation(7);
+    run(original, 300);
+
+    // Round-trip through JSON like a save would
+    const snapshot = JSON.parse(JSON.stringify(original.getSnapshot()));
+    const restored = new Simulation({ seed: 7 });
+    restored.addHero('hero', { position: { x: 0, y: 0.5, z: 4 }, range: 4, critChance: 0.3 });
+    restored.heroes[0].cooldown = original.heroes[0].cooldown;
+    restored.loadSnapshot(snapshot);
+
+    expect(restored.enemies.length).toBeGreaterThan(0);
+    expect(run(restored, 600)).toEqual(run(original, 600));
+  });
+
+  test('enemies that reach the end of the lane leak', () => {
+    const simulation = new Simulation({ autoWaves: false });
+    simulation.spawnEnemy('scout', { id: 'runner', x: 0 });
+
+    const events = run(simulation, 400);
+    const leaked = events.find(event => event.type === 'enemyLeaked');
+
+    expect(leaked).toMatchObject({ enemyId: 'runner' });
+    expect(simulation.getEnemy('runner')).toBeUndefined();
+  });
+});
+
+describe('Simulation enemy attacks', () => {
+  const createSimulation = () => {
+    const simulation = new Simulation({ autoWaves: false });
+    // A hero that doesn't fight back
+    simulation.addHero('hero', { position: { x: 0, y: 0.4, z: -10 }, autoAttack: false });
+    return simulation;
+  };
+
+  test('melee enemies stop at a hero and attack on their attack speed', () => {
+    const simulation = createSimulation();
+    simulation.spawnEnemy('grunt', { id: 'grunt', x: 0 });
+
+    const events = run(simulation, 100);
+    const attacks = events.filter(event => event.type === 'enemyAttacked');
+
+    expect(simulation.getEnemy('grunt').position.z).toBeCloseTo(-11, 0);
+    expect(attacks[0]).toMatchObject({ enemyId: 'grunt', heroId: 'hero', damage: 5, ranged: false });
+
+    // 5 seconds at one attack per second, after the walk up
+    expect(attacks.length).toBeGreaterThanOrEqual(4);
+    expect(attacks.length).toBeLessThanOrEqual(5);
+  });
+
+  test('enemies walk past heroes out of their range', () => {
+    const simulation = createSimulation();
+    simulation.spawnEnemy('grunt', { id: 'grunt', x: 1.5 });
+
+    const events = run(simulation, 40);
+
+    expect(events.some(event => event.type === 'enemyAttacked')).toBe(false);
+    expect(simulation.getEnemy('grunt').position.z).toBeGreaterThan(-10);
+  });
+
+  test('mages attack from range with projectiles', () => {
+    const simulation = createSimulation();
+    simulation.updateHero('hero', { position: { x: 0, y: 0.4, z: -6 } });
+    simulation.spawnEnemy('mage', { id: 'mage', x: 0 });
+
+    const attack = run(simulation, 100).find(event => event.type === 'enemyAttacked');
+
+    expect(attack).toMatchObject({ damage: 8, ranged: true, projectileSpeed: 0.1 });
+    expect(simulation.getEnemy('mage').position.z).toBeCloseTo(-10, 0);
+  });
+
+  test('assassins land critical hits', () => {
+    const simulation = createSimulation();
+    simulation.spawnEnemy('assassin', { id: 'assassin', x: 0 });
+
+    const attacks = run(simulation, 400).filter(event => event.type === 'enemyAttacked');
+    const crits = attacks.filter(attack => attack.isCrit);
+
+    expect(crits.length).toBeGreaterThan(0);
+    expect(crits.length).toBeLessThan(attacks.length);
+    crits.forEach(attack => expect(attack.damage).toBe(30));
+  });
+});
+
+describe('Simulation commander auras', () => {
+  const createSimulation = () => new Simulation({ autoWaves: false });
+
+  test('commanders speed up enemies within their aura range', () => {
+    const simulation = createSimulation();
+    simulation.spawnEnemy('commander', { id: 'commander', x: 0 });
+    simulation.spawnEnemy('grunt', { id: 'near', x: 1 });
+    simulation.spawnEnemy('grunt', { id: 'far', x: -1 });
+    // Halfway down the lane, out of the aura
+    simulation.getEnemy('far').distance = 12;
+    simulation.getEnemy('far').position.z = 0;
+
+    const events = run(simulation, 1);
+
+    expect(events.filter(event => event.type === 'enemyAuraChanged')).toEqual([
+      { type: 'enemyAuraChanged', enemyId: 'near', sourceId: 'commander' }
+    ]);
+    expect(simulation.getEnemy('commander').auraBuff).toBeNull();
+
+    const near = simulation.getEnemy('near');
+    const far = simulation.getEnemy('far');
+    expect(near.distance).toBeCloseTo((far.distance - 12) * 1.2, 5);
+  });
+
+  test('buffed enemies hit harder', () => {
+    const simulation = createSimulation();
+    simulation.addHero('hero', { position: { x: 1, y: 0.4, z: -11.5 }, autoAttack: false });
+    simulation.spawnEnemy('commander', { id: 'commander', x: -2 });
+    simulation.spawnEnemy('grunt', { id: 'grunt', x: 1 });
+
+    const attack = run(simulation, 2).find(event => event.type === 'enemyAttacked' && event.enemyId === 'grunt');
+
+    expect(attack.damage).toBe(Math.round(5 * 1.3));
+  });
+
+  test('the buff goes when the commander dies', () => {
+    const simulation = createSimulation();
+    simulation.spawnEnemy('commander', { id: 'commander', x: 0 });
+    simulation.spawnEnemy('grunt', { id: 'grunt', x: 1 });
+    run(simulation, 1);
+
+    simulation.damageEnemy('commander', 1000);
+    const events = run(simulation, 1);
+
+    expect(events).toContainEqual({ type: 'enemyAuraChanged', enemyId: 'grunt', sourceId: null });
+    expect(simulation.getEnemy('grunt').auraBuff).toBeNull();
+  });
+});
+
+describe('Simulation bosses', () => {
+  const createSimulation = () => {
+    const simulation = new Simulation({ autoWaves: false });
+    simulation.spawnEnemy('warlord', { id: 'boss', x: 0 });
+    return simulation;
+  };
+
+  test('phases start at their health thresholds, summoning adds and raising a shield', () => {
+    const simulation = createSimulation();
+
+    simulation.damageEnemy('boss', 1500 * 0.35);
+    const events = run(simulation, 1);
+
+    const phase = events.find(event => event.type === 'bossPhaseChanged');
+    expect(phase).toMatchObject({ enemyId: 'boss', phase: 1, shield: 300, enraged: false });
+    expect(phase.summoned).toHaveLength(4);
+    expect(events.filter(event => event.type === 'enemySpawned' && event.enemyType === 'grunt')).toHaveLength(4);
+
+    // The shield soaks up damage before health
+    const health = simulation.getEnemy('boss').health;
+    expect(simulation.damageEnemy('boss', 100)).toBe(0);
+    expect(simulation.getEnemy('boss').health).toBe(health);
+    expect(run(simulation, 1)).toContainEqual({ type: 'enemyShieldChanged', enemyId: 'boss', shield: 200, absorbed: 100 });
+  });
+
+  test('a big hit starts every phase it passes', () => {
+    const simulation = createSimulation();
+
+    simulation.damageEnemy('boss', 1500 * 0.65);
+    const phases = run(simulation, 1).filter(event => event.type === 'bossPhaseChanged');
+
+    expect(phases.map(event => event.phase)).toEqual([1, 2]);
+    expect(phases[1]).toMatchObject({ shield: 300, enraged: true });
+  });
+
+  test('enraged bosses move faster', () => {
+    const calm = createSimulation();
+    const enraged = createSimulation();
+    enraged.getEnemy('boss').enrage = { speedMultiplier: 1.8, damageMultiplier: 1.5 };
+
+    run(calm, 10);
+    run(enraged, 10);
+
+    expect(enraged.getEnemy('boss').distance).toBeCloseTo(calm.getEnemy('boss').distance * 1.8, 5);
+  });
+
+  test('bosses slam the closest hero in range after their cooldown', () => {
+    const simulation = createSimulation();
+    simulation.addHero('hero', { position: { x: 1, y: 0.4, z: -6 }, autoAttack: false });
+
+    const special = enemyTypes.warlord.boss.special;
+    const slams = run(simulation, special.cooldown / simulation.tickMs + 2)
+      .filter(event => event.type === 'bossSpecial');
+
+    expect(slams).toEqual([{
+      type: 'bossSpecial',
+      enemyId: 'boss',
+      heroId: 'hero',
+      position: { x: 1, y: 0, z: -6 },
+      radius: special.radius,
+      damage: special.damage,
+      warning: special.warning
+    }]);
+  });
+
+  test('killing a boss pays its reward', () => {
+    const simulation = createSimulation();
+
+    simulation.damageEnemy('boss', 1500 * 0.3, 'hero');
+    simulation.getEnemy('boss').shield = 0;
+    simulation.damageEnemy('boss', 5000, 'hero');
+
+    expect(run(simulation, 1)).toContainEqual({
+      type: 'bossDefeated',
+      enemyId: 'boss',
+      enemyType: 'warlord',
+      sourceId: 'hero',
+      reward: enemyTypes.warlord.boss.reward
+    });
+  });
+});
+
+describe('Simulation paths', () => {
+  const forkPath = getMapPath(maps.crossroads);
+
+  test('enemies follow the waypoints of their route', () => {
+    const simulation = new Simulation({ autoWaves: false, path: forkPath });
+    simulation.spawnEnemy('scout', { id: 'left', route: 0, x: 0 });
+
+    const positions = [];
+    for (let i = 0; i < 400 && simulation.getEnemy('left'); i++) {
+      simulation.step();
+      const enemy = simulation.getEnemy('left');
+      if (enemy) positions.push({ ...enemy.position });
+    }
+
+    // Passes through the left branch waypoint on its way to the exit
+    expect(positions.some(p => Math.abs(p.x + 7) < 0.2 && Math.abs(p.z + 2) < 0.2)).toBe(true);
+    expect(positions.every(p => p.x <= 0.001)).toBe(true);
+
+    // Never jumps more than a tick's worth of movement
+    for (let i = 1; i < positions.length; i++) {
+      const step = Math.hypot(positions[i].x - positions[i - 1].x, positions[i].z - positions[i - 1].z);
+      expect(step).toBeLessThan(0.2);
+    }
+  });
+
+  test('enemies leak at the exit of branching paths', () => {
+    const simulation = new Simulation({ autoWaves: false, path: forkPath });
+    simulation.spawnEnemy('scout', { id: 'right', route: 1 });
+
+    const leaked = run(simulation, 800).find(event => event.type === 'enemyLeaked');
+
+    expect(leaked).toMatchObject({ enemyId: 'right' });
+  });
+
+  test('spawns are spread over every lane and route', () => {
+    const simulation = new Simulation({ seed: 7, autoWaves: false, path: getMapPath(maps['twin-rivers']) });
+    for (let i = 0; i < 20; i++) {
+      simulation.spawnEnemy('grunt');
+    }
+
+    const starts = simulation.enemies.map(enemy => Math.sign(enemy.position.x));
+    expect(starts).toContain(-1);
+    expect(starts).toContain(1);
+    expect(simulation.enemies.every(enemy => Math.abs(Math.abs(enemy.position.x) - 12) <= 1)).toBe(true);
+  });
+
+  test('sideways offsets keep their distance through corners', () => {
+    const waypoints = offsetPolyline([{ x: 0, z: 0 }, { x: 0, z: 10 }, { x: 10, z: 10 }], 1);
+
+    // Right of a lane heading down +z is +x; after turning towards +x it's -z
+    expect(waypoints[0]).toEqual({ x: 1, z: 0 });
+    expect(waypoints[1].x).toBeCloseTo(1);
+    expect(waypoints[1].z).toBeCloseTo(9);
+    expect(waypoints[2]).toEqual({ x: 10, z: 9 });
+  });
+
+  test('routes cover every branch from every spawn', () => {
+    expect(getPathRoutes(getMapPath(maps.corridor))).toHaveLength(1);
+    expect(getPathRoutes(forkPath)).toHaveLength(2);
+    expect(getPathRoutes(getMapPath(maps['twin-rivers']))).toHaveLength(2);
+  });
+});
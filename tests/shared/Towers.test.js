@@ -0,0 +1,53 @@
+import {
+  towerTypes,
+  getTowerType,
+  getTowerStats,
+  getTowerTotalCost,
+  getTowerSellValue,
+  snapToGrid,
+  checkTowerPlacement
+} from '../../src/shared/Towers.js';
+import { maps } from '../../src/shared/Maps.js';
+
+describe('Towers', () => {
+  const corridor = maps.corridor;
+
+  test('snaps positions to the middle of a grid cell', () => {
+    expect(snapToGrid({ x: 4.2, z: 1.9 })).toEqual({ x: 5, z: 1 });
+    expect(snapToGrid({ x: -0.5, z: -3.9 })).toEqual({ x: -1, z: -3 });
+  });
+
+  test('towers go beside the lane, not on it or far from it', () => {
+    expect(checkTowerPlacement(corridor, { x: 5, z: 1 })).toBeNull();
+    expect(checkTowerPlacement(corridor, { x: -7, z: -5 })).toBeNull();
+
+    expect(checkTowerPlacement(corridor, { x: 1, z: 1 })).toBe('on_path');
+    expect(checkTowerPlacement(corridor, { x: -3, z: 1 })).toBe('on_path');
+    expect(checkTowerPlacement(corridor, { x: 9, z: 1 })).toBe('too_far_from_path');
+    expect(checkTowerPlacement(corridor, { x: 25, z: 1 })).toBe('out_of_bounds');
+  });
+
+  test('refuses bad positions and occupied cells', () => {
+    expect(checkTowerPlacement(corridor, { x: 4.5, z: 1 })).toBe('off_grid');
+    expect(checkTowerPlacement(corridor, { x: NaN, z: 1 })).toBe('invalid_position');
+    expect(checkTowerPlacement(corridor, null)).toBe('invalid_position');
+
+    const towers = [{ position: { x: 5, z: 1 } }];
+    expect(checkTowerPlacement(corridor, { x: 5, z: 1 }, towers)).toBe('occupied');
+    expect(checkTowerPlacement(corridor, { x: 5, z: 3 }, towers)).toBeNull();
+  });
+
+  test('costs add up across levels and selling refunds part of them', () => {
+    expect(getTowerStats('arrow', 1)).toBe(towerTypes.arrow.levels[0]);
+    expect(getTowerStats('arrow', 4)).toBeNull();
+    expect(getTowerStats('ballista', 1)).toBeNull();
+    expect(getTowerStats('constructor', 1)).toBeNull();
+    expect(getTowerType('toString')).toBeNull();
+    expect(getTowerTotalCost('constructor', 1)).toBe(0);
+
+    expect(getTowerTotalCost('cannon', 1)).toBe(80);
+    expect(getTowerTotalCost('cannon', 3)).toBe(80 + 60 + 120);
+    expect(getTowerSellValue('cannon', 1)).toBe(48);
+    expect(getTowerSellValue('frost', 2)).toBe(Math.floor((60 + 50) * 0.6));
+  });
+});
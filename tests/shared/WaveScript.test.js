@@ -0,0 +1,219 @@
+import { Simulation } from '../../src/shared/simulation/Simulation.js';
+import { maps, getMapPath, validateMap } from '../../src/shared/Maps.js';
+import { waveScripts, validateWaveScript, getScriptedWave } from '../../src/shared/WaveScript.js';
+import { enemyTypes, waveConfig, bossWaves } from '../../src/shared/GameData.js';
+
+/**
+ * Run a simulation for a number of ticks and collect its events
+ * @param {Simulation} simulation - Simulation to run
+ * @param {number} ticks - Ticks to run
+ * @returns {Array<Object>} Events
+ */
+function run(simulation, ticks) {
+  const events = [];
+  for (let i = 0; i < ticks; i++) {
+    events.push(...simulation.step());
+  }
+  return events;
+}
+
+/**
+ * Run a simulation and note the tick each enemy spawned on
+ * @param {Simulation} simulation - Simulation to run
+ * @param {number} ticks - Ticks to run
+ * @returns {Array<Object>} Spawns ({tick, event})
+ */
+function runSpawns(simulation, ticks) {
+  const spawns = [];
+  for (let i = 0; i < ticks; i++) {
+    simulation.step()
+      .filter(event => event.type === 'enemySpawned')
+      .forEach(event => spawns.push({ tick: simulation.tick, event }));
+  }
+  return spawns;
+}
+
+describe('WaveScript', () => {
+  const createSimulation = (steps, options = {}) => new Simulation({
+    seed: 5,
+    autoWaves: false,
+    waves: { waves: [{ steps, ...options.wave }] },
+    ...options.simulation
+  });
+
+  test('every bundled script is valid', () => {
+    Object.keys(waveScripts).forEach(name => {
+      expect(validateWaveScript(waveScripts[name])).toEqual([]);
+    });
+
+    // The standard script is the configured wave list
+    expect(waveScripts.default.waves).toHaveLength(waveConfig.length);
+    expect(getScriptedWave(waveScripts.default, 4)).toMatchObject({
+      enemyCount: waveConfig[3].count,
+      enemyTypes: waveConfig[3].types
+    });
+  });
+
+  test('the validator explains what is wrong and where', () => {
+    const errors = validateWaveScript({
+      waves: [
+        {
+          healthMultiplier: -1,
+          steps: [
+            { type: 'spawn', enemies: { grunt: 2, gobbo: 1 }, count: 0 },
+            { type: 'boss', enemy: 'dragon', spawnPoint: 'north' },
+            { type: 'spawn', enemies: { constructor: 1 }, count: 1 },
+            { type: 'boss', enemy: 'toString' },
+            { type: 'wait' },
+            { type: 'dance' }
+          ]
+        },
+        { steps: [{ type: 'waitUntilCleared' }] }
+      ]
+    }, ['west', 'east']);
+
+    expect(errors).toEqual([
+      'Wave 1 healthMultiplier must be a positive number',
+      'Wave 1, step 1: unknown enemy type "gobbo"',
+      'Wave 1, step 1: count must be a whole number of at least 1',
+      'Wave 1, step 2: unknown boss enemy type "dragon"',
+      'Wave 1, step 2: unknown spawn point "north"',
+      'Wave 1, step 3: unknown enemy type "constructor"',
+      'Wave 1, step 4: unknown boss enemy type "toString"',
+      'Wave 1, step 5: wait needs a positive duration',
+      'Wave 1, step 6: unknown step type "dance"',
+      'Wave 2 never spawns an enemy'
+    ]);
+    expect(validateWaveScript({ waves: [] })).toEqual(['Wave script needs at least one wave']);
+  });
+
+  test('maps with broken scripts fail validation', () => {
+    const map = { ...maps['twin-rivers'], spawnPoints: ['west'], lanes: maps['twin-rivers'].lanes };
+
+    // The script sends enemies from the east, which this copy of the map no longer spawns from
+    const errors = validateMap(map);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^Wave script twin-assault: Wave 1, step 2: unknown spawn point "east"$/)
+    ]));
+  });
+
+  test('spawn groups run in order, each after its delay', () => {
+    const simulation = createSimulation([
+      { type: 'spawn', enemies: ['grunt'], count: 2, interval: 500 },
+      { type: 'spawn', enemies: ['scout'], count: 1, delay: 1000 }
+    ]);
+    simulation.startWave(1);
+
+    const spawns = runSpawns(simulation, 60);
+
+    expect(spawns.map(({ event }) => event.enemyType)).toEqual(['grunt', 'grunt', 'scout']);
+
+    // 50ms ticks: straight away, 500ms into the wave, then 1000ms after the group ended
+    expect(spawns.map(({ tick }) => tick)).toEqual([1, 10, 30]);
+    expect(simulation.waveConfig.enemyCount).toBe(3);
+  });
+
+  test('waits and wait-until-cleared steps hold the script', () => {
+    const simulation = createSimulation([
+      { type: 'spawn', enemies: ['grunt'], count: 1 },
+      { type: 'waitUntilCleared' },
+      { type: 'wait', duration: 1000 },
+      { type: 'spawn', enemies: ['scout'], count: 1 }
+    ]);
+    simulation.startWave(1);
+
+    run(simulation, 100);
+    expect(simulation.enemies.map(enemy => enemy.type)).toEqual(['grunt']);
+
+    simulation.damageEnemy(simulation.enemies[0].id, 1000);
+    run(simulation, 19);
+    expect(simulation.enemies).toHaveLength(0);
+
+    run(simulation, 2);
+    expect(simulation.enemies.map(enemy => enemy.type)).toEqual(['scout']);
+  });
+
+  test('weighted mixes favour the heavier enemy types', () => {
+    const simulation = createSimulation([
+      { type: 'spawn', enemies: { grunt: 9, scout: 1 }, count: 200, interval: 50 }
+    ]);
+    simulation.startWave(1);
+
+    const types = runSpawns(simulation, 200).map(({ event }) => event.enemyType);
+    const grunts = types.filter(type => type === 'grunt').length;
+
+    expect(types).toHaveLength(200);
+    expect(grunts).toBeGreaterThan(160);
+    expect(grunts).toBeLessThan(200);
+  });
+
+  test('spawn points pick the lane enemies come from', () => {
+    const map = maps['twin-rivers'];
+    const simulation = createSimulation([
+      { type: 'spawn', enemies: ['grunt'], count: 5, interval: 50, spawnPoint: 'east' }
+    ], { simulation: { path: getMapPath(map) } });
+    simulation.startWave(1);
+
+    run(simulation, 5);
+
+    expect(simulation.enemies).toHaveLength(5);
+    simulation.enemies.forEach(enemy => {
+      expect(enemy.route).toBe(simulation.spawnRoutes.east[0]);
+      expect(enemy.waypoints[0].x).toBeGreaterThan(0);
+    });
+  });
+
+  test('bosses and wave modifiers scale health and value', () => {
+    const simulation = createSimulation([
+      { type: 'spawn', enemies: ['grunt'], count: 1 },
+      { type: 'boss', enemy: 'brute', healthMultiplier: 3, valueMultiplier: 4 }
+    ], { wave: { healthMultiplier: 2, valueMultiplier: 1.5 } });
+    simulation.startWave(1);
+
+    const spawns = runSpawns(simulation, 1).map(({ event }) => event);
+
+    expect(spawns[0]).toMatchObject({
+      enemyType: 'grunt',
+      health: enemyTypes.grunt.health * 2,
+      value: enemyTypes.grunt.value * 1.5,
+      isBoss: false
+    });
+    expect(spawns[1]).toMatchObject({
+      enemyType: 'brute',
+      health: enemyTypes.brute.health * 6,
+      value: enemyTypes.brute.value * 6,
+      isBoss: true
+    });
+  });
+
+  test('extra players add enemies to spawn groups but not bosses', () => {
+    const wave = getScriptedWave({
+      waves: [{
+        steps: [
+          { type: 'spawn', enemies: ['grunt'], count: 4, interval: 100 },
+          { type: 'boss', enemy: 'commander' }
+        ]
+      }]
+    }, 1, 3);
+
+    expect(wave.steps[0].count).toBe(8);
+    expect(wave.enemyCount).toBe(9);
+    expect(wave.healthMultiplier).toBe(2);
+  });
+
+  test('every few waves ends with a boss', () => {
+    const bossWave = getScriptedWave(waveScripts.default, bossWaves.every);
+    const lastStep = bossWave.steps[bossWave.steps.length - 1];
+
+    expect(lastStep).toEqual({ type: 'boss', enemy: bossWaves.enemy, delay: bossWaves.delay });
+    expect(bossWave.enemyTypes).toContain(bossWaves.enemy);
+
+    // Other waves, and scripts that turn bosses off, have none
+    const steps = wave => wave.steps.map(step => step.type);
+    expect(steps(getScriptedWave(waveScripts.default, bossWaves.every - 1))).not.toContain('boss');
+    expect(steps(getScriptedWave({ ...waveScripts.default, bossEvery: 0 }, bossWaves.every))).not.toContain('boss');
+
+    expect(validateWaveScript({ ...waveScripts.default, bossEvery: -1 }))
+      .toEqual(['bossEvery must be a whole number (0 for no boss waves)']);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame } from '../helpers/createTestGame.js';
+import { augmentRules } from '../../src/shared/Augments.js';
+
+describe('AugmentSystem', () => {
+  let game;
+  let hero;
+
+  const start = heroClass => {
+    game = createTestGame({ heroClass });
+    game.simulation.spawnsLeft = 0;
+    game.state.gold = 100;
+    hero = game.state.hero;
+  };
+
+  const clearWave = () => game.events.emit('waveCompleted', { wave: game.state.wave, bonus: 0 });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('clearing a wave offers three different augments for the class', () => {
+    start('warrior');
+    clearWave();
+
+    const offer = game.augmentSystem.offer;
+    expect(offer).toHaveLength(augmentRules.choices);
+    expect(new Set(offer).size).toBe(offer.length);
+    expect(offer).not.toContain('extraArrow');
+    expect(game.uiManager.showAugmentDraft).toHaveBeenCalledWith(offer);
+  });
+
+  test('picking an augment applies it and shows it on the HUD', () => {
+    start('warrior');
+    const damage = hero.getCombatStats().damage;
+
+    clearWave();
+    game.augmentSystem.offer = ['sharpenedEdge', 'toughness', 'quickHands'];
+
+    expect(game.augmentSystem.chooseAugment('extraArrow')).toBe(false);
+    expect(game.augmentSystem.chooseAugment('sharpenedEdge')).toBe(true);
+
+    expect(game.augmentSystem.taken).toEqual(['sharpenedEdge']);
+    expect(game.augmentSystem.offer).toBeNull();
+    expect(hero.getCombatStats().damage).toBeCloseTo(damage * 1.1);
+    expect(game.uiManager.updateAugmentHud).toHaveBeenLastCalledWith(['sharpenedEdge']);
+
+    // Taken augments aren't offered again
+    clearWave();
+    expect(game.augmentSystem.offer).not.toContain('sharpenedEdge');
+  });
+
+  test('ability augments change the named ability', () => {
+    start('warrior');
+    const whirlwind = hero.abilities[0];
+    const shieldBlock = hero.abilities[1];
+    const duration = shieldBlock.duration;
+
+    clearWave();
+    game.augmentSystem.offer = ['chillingWhirlwind', 'steadfast'];
+    game.augmentSystem.chooseAugment('chillingWhirlwind');
+    clearWave();
+    game.augmentSystem.offer = ['steadfast'];
+    game.augmentSystem.chooseAugment('steadfast');
+
+    expect(whirlwind.effects.map(effect => effect.type)).toEqual(['aoe', 'status']);
+    expect(shieldBlock.duration).toBe(duration * 1.5);
+
+    // The class config isn't changed for later heroes
+    expect(game.heroFactory.createHero('warrior').abilities[0].effects).toHaveLength(1);
+  });
+
+  test('rerolling costs gold and draws a new offer', () => {
+    start('ranger');
+    clearWave();
+
+    jest.spyOn(Math, 'random').mockReturnValue(0.999);
+    expect(game.augmentSystem.reroll()).toBe(true);
+    expect(game.state.gold).toBe(100 - augmentRules.rerollCost);
+    expect(game.augmentSystem.offer).toHaveLength(3);
+
+    game.state.gold = augmentRules.rerollCost - 1;
+    expect(game.augmentSystem.reroll()).toBe(false);
+  });
+
+  test('drafts owed while one is open are offered after the pick', () => {
+    start('mage');
+    clearWave();
+    clearWave();
+
+    const first = game.augmentSystem.offer;
+    expect(game.augmentSystem.draftsOwed).toBe(1);
+
+    game.augmentSystem.chooseAugment(first[0]);
+    expect(game.augmentSystem.offer).toHaveLength(3);
+    expect(game.augmentSystem.offer).not.toContain(first[0]);
+    expect(game.augmentSystem.draftsOwed).toBe(0);
+  });
+
+  test('augments and the open draft are saved with the run', () => {
+    start('ranger');
+    const targets = hero.abilities[0].targetCount;
+
+    clearWave();
+    game.augmentSystem.offer = ['extraArrow'];
+    game.augmentSystem.chooseAugment('extraArrow');
+    clearWave();
+    const offer = game.augmentSystem.offer;
+
+    const snapshot = JSON.parse(JSON.stringify(game.getSnapshot()));
+    expect(snapshot.augments).toEqual({ taken: ['extraArrow'], offer: offer, draftsOwed: 0 });
+
+    const restored = createTestGame();
+    restored.restoreSnapshot(snapshot);
+
+    expect(restored.augmentSystem.taken).toEqual(['extraArrow']);
+    expect(restored.augmentSystem.offer).toEqual(offer);
+    expect(restored.state.hero.abilities[0].targetCount).toBe(targets + 1);
+  });
+});
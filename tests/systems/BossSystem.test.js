@@ -0,0 +1,115 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+import { enemyTypes } from '../../src/shared/GameData.js';
+
+describe('boss fights', () => {
+  let game;
+  let hero;
+
+  const moveHero = (x, z) => {
+    hero.mesh.position.set(x, 0.5, z);
+    hero.position.copy(hero.mesh.position);
+  };
+
+  const health = () => hero.upgradeStats.health.value;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    game = createTestGame({ heroClass: 'warrior' });
+    hero = game.state.hero;
+    game.simulation.spawnsLeft = 0;
+
+    // Keep the hero out of the fight unless a test moves it in
+    moveHero(8, 8);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a spawned boss fills in the boss bar', () => {
+    game.simulation.spawnEnemy('warlord', { id: 'boss', x: 0 });
+    advance(game, 100);
+
+    expect(game.bossSystem.getBoss('boss')).toBeDefined();
+    expect(game.uiManager.updateBossBar).toHaveBeenLastCalledWith({
+      name: 'Warlord',
+      health: 1500,
+      maxHealth: 1500,
+      shield: 0,
+      phase: 0,
+      enraged: false
+    });
+  });
+
+  test('phase changes show the shield and enrage on the boss', () => {
+    game.simulation.spawnEnemy('warlord', { id: 'boss', x: 0 });
+    advance(game, 100);
+
+    game.simulation.damageEnemy('boss', 1500 * 0.65);
+    advance(game, 100);
+
+    const boss = game.bossSystem.getBoss('boss');
+    expect(boss).toMatchObject({ phase: 2, shield: 300, enraged: true });
+    expect(boss.shieldBubble).not.toBeNull();
+    expect(boss.enrageRing).not.toBeNull();
+
+    // The adds from both phases are on the field
+    expect(game.state.enemies.filter(enemy => enemy.type === 'grunt')).toHaveLength(4);
+    expect(game.state.enemies.filter(enemy => enemy.type === 'scout')).toHaveLength(4);
+  });
+
+  test('the slam hits a hero that stays in the warning circle', () => {
+    moveHero(3, -7);
+    game.simulation.spawnEnemy('warlord', { id: 'boss', x: 0 });
+    game.simulation.getEnemy('boss').specialCooldown = 0;
+    const before = health();
+
+    advance(game, 100);
+    const [slam] = game.combatSystem.areaEffects;
+    expect(slam).toMatchObject({ hostile: true, effectType: 'boss_slam', damage: 30 });
+    expect(health()).toBe(before);
+
+    advance(game, enemyTypes.warlord.boss.special.warning);
+    expect(health()).toBe(before - 30);
+  });
+
+  test('stepping out of the warning circle dodges the slam', () => {
+    moveHero(3, -7);
+    game.simulation.spawnEnemy('warlord', { id: 'boss', x: 0 });
+    game.simulation.getEnemy('boss').specialCooldown = 0;
+    const before = health();
+
+    advance(game, 100);
+    moveHero(8, -7);
+    advance(game, enemyTypes.warlord.boss.special.warning);
+
+    expect(game.combatSystem.areaEffects).toHaveLength(0);
+    expect(health()).toBe(before);
+  });
+
+  test('defeating a boss pays its reward', () => {
+    const defeated = jest.fn();
+    game.events.on('bossDefeated', defeated);
+
+    game.simulation.spawnEnemy('warlord', { id: 'boss', x: 0 });
+    // Keeps the wave (and its completion bonus) going
+    game.simulation.spawnEnemy('grunt', { id: 'straggler', x: 1 });
+    advance(game, 100);
+    const gold = game.state.gold;
+
+    game.simulation.getEnemy('boss').phase = 3;
+    game.simulation.damageEnemy('boss', 5000, hero.id);
+    advance(game, 100);
+
+    expect(game.state.gold).toBe(gold + enemyTypes.warlord.boss.reward);
+    expect(defeated).toHaveBeenCalledWith(expect.objectContaining({ enemyId: 'boss', reward: 500, killerId: hero.id }));
+
+    advance(game, 100);
+    expect(game.bossSystem.bosses).toHaveLength(0);
+    expect(game.uiManager.hideBossBar).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance, toScreen } from '../helpers/createTestGame.js';
+
+describe('ControlSystem', () => {
+  let game;
+  let hero;
+
+  const click = (position, button = 0) => {
+    game.inputManager.events.emit('mousedown', {
+      button: button,
+      normalized: toScreen(game, position)
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+    game = createTestGame({ heroClass: 'warrior' });
+    hero = game.state.hero;
+
+    // Keep the lane empty unless a test spawns enemies itself
+    game.simulation.spawnsLeft = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('left-click on the ground moves the hero there and shows a marker', () => {
+    click({ x: 3, y: 0, z: 6 });
+
+    expect(hero.targetPosition.x).toBeCloseTo(3, 1);
+    expect(hero.targetPosition.z).toBeCloseTo(6, 1);
+    expect(game.controlSystem.moveMarker.visible).toBe(true);
+    expect(game.controlSystem.moveMarker.position.x).toBeCloseTo(3, 1);
+
+    advance(game, 2000);
+
+    expect(hero.position.x).toBeCloseTo(3, 0);
+    expect(hero.position.z).toBeCloseTo(6, 0);
+    expect(hero.position.y).toBe(0.5);
+    expect(game.controlSystem.moveMarker.visible).toBe(false);
+  });
+
+  test('right-click cancels the move', () => {
+    click({ x: -4, y: 0, z: 2 });
+    click({ x: -4, y: 0, z: 2 }, 2);
+
+    expect(hero.targetPosition).toBeNull();
+    expect(game.controlSystem.moveMarker.visible).toBe(false);
+  });
+
+  test('left-click on an enemy force-targets it over a closer enemy', () => {
+    game.simulation.spawnEnemy('brute', { id: 'near', x: -1 });
+    game.simulation.spawnEnemy('brute', { id: 'far', x: 1 });
+    advance(game, 50);
+
+    const near = game.state.enemies.find(enemy => enemy.id === 'near');
+    const far = game.state.enemies.find(enemy => enemy.id === 'far');
+
+    // Park the hero in range of both, a little closer to the first
+    hero.mesh.position.set(-0.5, 0.5, -10.5);
+    hero.position.copy(hero.mesh.position);
+
+    click(far.position);
+    expect(hero.targetEnemy).toBe(far);
+
+    advance(game, 1000);
+
+    expect(game.simulation.getHero(hero.id).targetId).toBe('far');
+    expect(far.health).toBeLessThan(far.maxHealth);
+    expect(near.health).toBe(near.maxHealth);
+  });
+
+  test('a forced target out of range is chased', () => {
+    game.simulation.spawnEnemy('grunt', { id: 'target', x: 0 });
+    advance(game, 50);
+
+    const enemy = game.state.enemies.find(e => e.id === 'target');
+    click(enemy.position);
+    advance(game, 50);
+
+    expect(hero.targetPosition).not.toBeNull();
+    expect(hero.targetPosition.z).toBeLessThan(0);
+  });
+
+  test('the forced target is dropped when the enemy dies', () => {
+    game.simulation.spawnEnemy('grunt', { id: 'target', x: 0 });
+    advance(game, 50);
+
+    const enemy = game.state.enemies.find(e => e.id === 'target');
+    click(enemy.position);
+    game.simulation.damageEnemy('target', 1000);
+    advance(game, 100);
+
+    expect(hero.targetEnemy).toBeNull();
+    expect(hero.targetPosition).toBeNull();
+  });
+
+  test('right-click clears the forced target', () => {
+    game.simulation.spawnEnemy('grunt', { id: 'target', x: 0 });
+    advance(game, 50);
+
+    click(game.state.enemies[0].position);
+    click({ x: 0, y: 0, z: 0 }, 2);
+
+    expect(hero.targetEnemy).toBeNull();
+    expect(game.simulation.getHero(hero.id).targetId).not.toBe('target');
+    advance(game, 50);
+    expect(game.simulation.getHero(hero.id).targetId).toBeNull();
+  });
+
+  describe('ability hotkeys', () => {
+    const press = (key, modifiers = {}) => {
+      game.inputManager.events.emit('keydown', { key, ...modifiers });
+    };
+
+    beforeEach(() => {
+      jest.spyOn(hero, 'useAbility').mockImplementation(() => true);
+    });
+
+    test('number keys and Q-W-E-R cast abilities', () => {
+      press('1');
+      press('w');
+      press('r');
+
+      expect(hero.useAbility.mock.calls).toEqual([[0], [1], [3]]);
+
+      // Heroic Strike needs a target, so its key starts aiming instead
+      press('3');
+      expect(game.controlSystem.targeting.index).toBe(2);
+      expect(hero.useAbility).toHaveBeenCalledTimes(3);
+    });
+
+    test('quality shortcuts and typing in chat do not cast', () => {
+      press('q', { ctrl: true });
+      press('e', { ctrl: true });
+      press('q', { inInput: true });
+      press('q', { repeat: true });
+
+      expect(hero.useAbility).not.toHaveBeenCalled();
+    });
+
+    test('rebound keys cast the new ability', () => {
+      game.keyBindings.bind(3, 1, 'f');
+
+      press('f');
+      press('r');
+
+      expect(hero.useAbility.mock.calls).toEqual([[3]]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+import { enemyTypes, difficultyPresets } from '../../src/shared/GameData.js';
+import { migrateSave } from '../../src/core/SaveManager.js';
+
+describe('Game difficulty', () => {
+  let game;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('starting a game sets the difficulty, its simulation and starting gold', () => {
+    game = createTestGame({ heroClass: 'warrior', difficulty: 'easy' });
+
+    expect(game.state.difficulty).toBe('easy');
+    expect(game.simulation.difficulty.id).toBe('easy');
+    expect(game.state.gold).toBe(difficultyPresets.easy.startingGold);
+    expect(game.uiManager.updateGoldUI).toHaveBeenLastCalledWith(difficultyPresets.easy.startingGold);
+  });
+
+  test('the difficulty picked in the lobby is used when none is given', () => {
+    game = createTestGame();
+    game.state.difficulty = 'hard';
+    game.startGame('warrior', { seed: 1 });
+
+    expect(game.simulation.difficulty.id).toBe('hard');
+
+    game.startGame('warrior', { seed: 1, difficulty: 'legendary' });
+    expect(game.state.difficulty).toBe('normal');
+  });
+
+  test('enemy views get the difficulty speed and damage', () => {
+    game = createTestGame({ heroClass: 'warrior', difficulty: 'nightmare' });
+    const { damageMultiplier, speedMultiplier } = difficultyPresets.nightmare;
+
+    game.simulation.spawnEnemy('grunt', { id: 'grunt', x: 0 });
+    advance(game, 50);
+
+    const enemy = game.state.enemies.find(view => view.id === 'grunt');
+    expect(enemy.health).toBe(enemy.entity.health);
+    expect(enemy.damage).toBe(Math.round(enemyTypes.grunt.damage * damageMultiplier));
+    expect(enemy.speed).toBeCloseTo(enemyTypes.grunt.speed * speedMultiplier);
+  });
+
+  test('enemies the server did not scale get the difficulty health and value', () => {
+    game = createTestGame();
+    game.state.difficulty = 'hard';
+    const { healthMultiplier, valueMultiplier } = difficultyPresets.hard;
+
+    const enemy = game.waveSystem.enemyFactory.createEnemy('brute');
+
+    expect(enemy.health).toBe(Math.round(enemyTypes.brute.health * healthMultiplier));
+    expect(enemy.value).toBe(Math.round(enemyTypes.brute.value * valueMultiplier));
+  });
+
+  test('saves keep the difficulty and resets give the starting gold back', () => {
+    game = createTestGame({ heroClass: 'warrior', difficulty: 'easy' });
+    game.simulation.spawnsLeft = 0;
+
+    const restored = createTestGame();
+    restored.restoreSnapshot(JSON.parse(JSON.stringify(game.getSnapshot())));
+    expect(restored.state.difficulty).toBe('easy');
+    expect(restored.simulation.difficulty.id).toBe('easy');
+
+    jest.useFakeTimers();
+    game.state.gold = 7;
+    game.resetGame();
+    jest.advanceTimersByTime(1000);
+
+    expect(game.state.gold).toBe(difficultyPresets.easy.startingGold);
+    expect(game.simulation.difficulty.id).toBe('easy');
+  });
+
+  test('old saves without a difficulty continue on normal', () => {
+    game = createTestGame({ heroClass: 'warrior', difficulty: 'hard' });
+    const snapshot = JSON.parse(JSON.stringify(game.getSnapshot()));
+    delete snapshot.difficulty;
+
+    const restored = createTestGame();
+    restored.restoreSnapshot(migrateSave({ ...snapshot, version: 5 }));
+
+    expect(restored.state.difficulty).toBe('normal');
+  });
+});
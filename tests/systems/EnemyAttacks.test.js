@@ -0,0 +1,103 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+
+describe('enemy attacks on heroes', () => {
+  let game;
+  let hero;
+
+  const start = heroClass => {
+    game = createTestGame({ heroClass });
+    hero = game.state.hero;
+    game.simulation.spawnsLeft = 0;
+  };
+
+  const moveHero = (x, z) => {
+    hero.mesh.position.set(x, 0.5, z);
+    hero.position.copy(hero.mesh.position);
+  };
+
+  const health = () => hero.upgradeStats.health.value;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('melee enemies hit a hero standing in the lane', () => {
+    start('warrior');
+    moveHero(0, -11.2);
+    const before = health();
+
+    game.simulation.spawnEnemy('brute', { id: 'brute', x: 0 });
+    advance(game, 100);
+
+    expect(health()).toBe(before - 10);
+  });
+
+  test('Shield Block halves melee damage', () => {
+    start('warrior');
+    moveHero(0, -11.2);
+    hero.useAbility(1);
+    const before = health();
+
+    game.simulation.spawnEnemy('brute', { id: 'brute', x: 0 });
+    advance(game, 100);
+
+    expect(health()).toBe(before - 5);
+  });
+
+  test('Evasion dodges attacks', () => {
+    start('ranger');
+    moveHero(0, -11.2);
+    hero.useAbility(3);
+    const before = health();
+
+    jest.spyOn(Math, 'random').mockReturnValue(0.1);
+    game.simulation.spawnEnemy('brute', { id: 'brute', x: 0 });
+    advance(game, 100);
+
+    expect(health()).toBe(before);
+  });
+
+  test('mage enemies fire projectiles that hit the hero', () => {
+    start('warrior');
+    moveHero(0, -6);
+    const before = health();
+
+    game.simulation.spawnEnemy('mage', { id: 'mage', x: 0 });
+    advance(game, 1500);
+
+    const [bolt] = game.combatSystem.projectiles;
+    expect(bolt).toMatchObject({ hostile: true, damage: 8 });
+    expect(health()).toBe(before);
+
+    advance(game, 1000);
+
+    expect(health()).toBe(before - 8);
+  });
+
+  test('stepping out of the way avoids a projectile', () => {
+    start('warrior');
+    moveHero(0, -6);
+    const before = health();
+
+    game.simulation.spawnEnemy('mage', { id: 'mage', x: 0 });
+    advance(game, 1500);
+    expect(game.combatSystem.projectiles).toHaveLength(1);
+
+    // Sidestep out of the mage's range so it doesn't fire again
+    moveHero(5, -3);
+    advance(game, 1000);
+    expect(health()).toBe(before);
+
+    // The bolt flies on until it expires
+    advance(game, 2000);
+    expect(game.combatSystem.projectiles).toHaveLength(0);
+    expect(health()).toBe(before);
+  });
+});
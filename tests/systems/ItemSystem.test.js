@@ -0,0 +1,159 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+import { CONFIG } from '../../src/config/GameConfig.js';
+import { itemRules } from '../../src/shared/Items.js';
+
+describe('ItemSystem', () => {
+  let game;
+  let hero;
+
+  const start = heroClass => {
+    game = createTestGame({ heroClass });
+    game.simulation.spawnsLeft = 0;
+    game.state.waveInProgress = false;
+    game.state.gold = 1000;
+    hero = game.state.hero;
+
+    // Keep the hero out of the fight
+    hero.mesh.position.set(-20, 0.5, 20);
+    hero.position.copy(hero.mesh.position);
+  };
+
+  const maxHealth = () => hero.getMaxHealth(CONFIG.upgrades);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('buying an item costs gold and applies its stats as a buff', () => {
+    start('warrior');
+    const damage = hero.getCombatStats().damage;
+
+    expect(game.itemSystem.buyItem('longsword')).toBe(true);
+
+    expect(game.state.gold).toBe(940);
+    expect(game.itemSystem.getInventory()).toEqual(['longsword']);
+    expect(hero.getCombatStats().damage).toBeCloseTo(damage * 1.15);
+  });
+
+  test('refuses items during a wave, without the gold or without a free slot', () => {
+    start('warrior');
+
+    game.state.waveInProgress = true;
+    expect(game.itemSystem.buyItem('longsword')).toBe(false);
+    game.state.waveInProgress = false;
+
+    game.state.gold = 10;
+    expect(game.itemSystem.buyItem('longsword')).toBe(false);
+    game.state.gold = 1000;
+
+    for (let slot = 0; slot < itemRules.inventorySlots; slot++) {
+      expect(game.itemSystem.buyItem('heartAmulet')).toBe(true);
+    }
+    expect(game.itemSystem.getPurchaseError('longsword')).toBe('inventory_full');
+    expect(game.itemSystem.buyItem('longsword')).toBe(false);
+  });
+
+  test('selling refunds half the price and takes the item off the hero', () => {
+    start('warrior');
+    const stats = hero.getCombatStats();
+
+    game.itemSystem.buyItem('longsword');
+    game.itemSystem.buyItem('swiftGloves');
+    expect(hero.getCombatStats().attackRate).toBeCloseTo(stats.attackRate * 0.88);
+
+    expect(game.itemSystem.sellItem(0)).toBe(true);
+
+    expect(game.state.gold).toBe(1000 - 60 - 60 + 30);
+    expect(game.itemSystem.getInventory()).toEqual(['swiftGloves']);
+    expect(hero.getCombatStats().damage).toBeCloseTo(stats.damage);
+    expect(game.itemSystem.sellItem(3)).toBe(false);
+  });
+
+  test('extra maximum health comes filled and goes with the item', () => {
+    start('warrior');
+    const before = maxHealth();
+
+    game.itemSystem.buyItem('heartAmulet');
+    expect(maxHealth()).toBe(before + 40);
+    expect(hero.upgradeStats.health.value).toBe(before + 40);
+
+    game.itemSystem.sellItem(0);
+    expect(maxHealth()).toBe(before);
+    expect(hero.upgradeStats.health.value).toBe(before);
+  });
+
+  test('lifesteal heals the hero for part of each attack', () => {
+    start('warrior');
+    game.itemSystem.buyItem('vampiricFang');
+    hero.upgradeStats.health.value -= 50;
+    const health = hero.upgradeStats.health.value;
+
+    game.events.emit('heroAttack', { heroId: hero.id, targetId: 'none', damage: 40, isCrit: false });
+
+    expect(hero.upgradeStats.health.value).toBe(health + 6);
+  });
+
+  test('chain lightning jumps on from the enemy hit', () => {
+    start('warrior');
+    game.itemSystem.buyItem('stormcaller');
+
+    game.simulation.spawnEnemy('grunt', { id: 'first', x: 0, distance: 12 });
+    game.simulation.spawnEnemy('grunt', { id: 'second', x: 1, distance: 12 });
+    game.simulation.spawnEnemy('grunt', { id: 'third', x: -1, distance: 12 });
+    advance(game, 50);
+
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    game.events.emit('heroAttack', { heroId: hero.id, targetId: 'first', damage: 10, isCrit: false });
+
+    expect(game.simulation.getEnemy('first').health).toBe(30);
+    expect(game.simulation.getEnemy('second').health).toBeLessThan(30);
+    expect(game.simulation.getEnemy('third').health).toBeLessThan(30);
+  });
+
+  test('ability items change every ability until sold, through level-ups', () => {
+    start('ranger');
+    const trap = hero.abilities[2];
+    const cooldown = trap.cooldown;
+    const radius = trap.aoeRadius;
+
+    game.itemSystem.buyItem('arcaneFocus');
+    game.itemSystem.buyItem('orbOfExpanse');
+    expect(trap.cooldown).toBeCloseTo(cooldown * 0.85);
+    expect(trap.aoeRadius).toBeCloseTo(radius * 1.25);
+
+    hero.abilityPoints = 1;
+    expect(hero.levelUpAbility(2)).toBe(true);
+    expect(trap.aoeRadius).toBeCloseTo(radius * 1.25 * 1.1);
+
+    game.itemSystem.sellItem(1);
+    game.itemSystem.sellItem(0);
+    expect(trap.aoeRadius).toBeCloseTo(radius * 1.1);
+    expect(trap.cooldown).toBeCloseTo(cooldown);
+  });
+
+  test('carried items are saved with the run and equipped again on continue', () => {
+    start('warrior');
+    game.itemSystem.buyItem('heartAmulet');
+    game.itemSystem.buyItem('longsword');
+    hero.upgradeStats.health.value -= 20;
+
+    const snapshot = game.getSnapshot();
+    expect(snapshot.items).toEqual(['heartAmulet', 'longsword']);
+
+    const restored = createTestGame();
+    restored.restoreSnapshot(JSON.parse(JSON.stringify(snapshot)));
+
+    const restoredHero = restored.state.hero;
+    expect(restored.itemSystem.getInventory()).toEqual(['heartAmulet', 'longsword']);
+    expect(restoredHero.getMaxHealth(CONFIG.upgrades)).toBe(maxHealth());
+    expect(restoredHero.upgradeStats.health.value).toBe(hero.upgradeStats.health.value);
+    expect(restored.state.gold).toBe(game.state.gold);
+  });
+});
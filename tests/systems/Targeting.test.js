@@ -0,0 +1,168 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance, toScreen } from '../helpers/createTestGame.js';
+
+describe('ability targeting', () => {
+  let game;
+  let hero;
+
+  const hover = position => {
+    game.inputManager.mouse.copy(toScreen(game, position));
+  };
+
+  const click = (position, button = 0) => {
+    hover(position);
+    game.inputManager.events.emit('mousedown', {
+      button: button,
+      normalized: toScreen(game, position)
+    });
+  };
+
+  const press = key => {
+    game.inputManager.events.emit('keydown', { key });
+  };
+
+  const start = heroClass => {
+    game = createTestGame({ heroClass });
+    hero = game.state.hero;
+    game.simulation.spawnsLeft = 0;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an area ability shows a ring sized from its radius under the cursor', () => {
+    start('mage');
+    hover({ x: 2, y: 0, z: 4 });
+
+    press('1');
+
+    const { targeting, reticle } = game.controlSystem;
+    expect(targeting).toMatchObject({ index: 0, shape: 'ring', radius: 2 });
+    expect(reticle.children[0].geometry.parameters.outerRadius).toBe(2);
+    expect(reticle.position.x).toBeCloseTo(2, 1);
+    expect(reticle.position.z).toBeCloseTo(4, 1);
+
+    // The reticle follows the mouse
+    hover({ x: -3, y: 0, z: 5 });
+    advance(game, 50);
+    expect(reticle.position.x).toBeCloseTo(-3, 1);
+  });
+
+  test('Fireball is cast at the clicked spot and bursts there', () => {
+    start('mage');
+    const areaDamage = jest.spyOn(game.combatSystem, 'applyAreaDamage');
+
+    press('q');
+    click({ x: 3, y: 0, z: 4 });
+
+    expect(game.controlSystem.targeting).toBeNull();
+    expect(game.controlSystem.reticle).toBeNull();
+    expect(hero.abilityCooldowns[0]).toBeGreaterThan(0);
+
+    advance(game, 1000);
+
+    expect(areaDamage).toHaveBeenCalled();
+    const [position, radius] = areaDamage.mock.calls[0];
+    expect(position.x).toBeCloseTo(3, 1);
+    expect(position.z).toBeCloseTo(4, 1);
+    expect(radius).toBe(2);
+  });
+
+  test('cast distance is clamped', () => {
+    start('mage');
+    press('1');
+    click({ x: 0, y: 0, z: -20 });
+
+    const fireball = game.combatSystem.projectiles[0];
+    expect(fireball.remainingDistance).toBeLessThanOrEqual(12.5);
+  });
+
+  test('Trap is placed at the clicked spot', () => {
+    start('ranger');
+
+    press('3');
+    expect(game.controlSystem.targeting.shape).toBe('ring');
+    click({ x: -2, y: 0, z: 3 });
+
+    const trap = game.combatSystem.areaEffects[game.combatSystem.areaEffects.length - 1];
+    expect(trap.effectType).toBe('slow');
+    expect(trap.position.x).toBeCloseTo(-2, 1);
+    expect(trap.position.z).toBeCloseTo(3, 1);
+  });
+
+  test('Sniper Shot aims along a line and hits the enemy on it', () => {
+    start('ranger');
+    game.simulation.spawnEnemy('brute', { id: 'left', x: -2 });
+    game.simulation.spawnEnemy('brute', { id: 'right', x: 2 });
+    advance(game, 50);
+
+    const left = game.state.enemies.find(enemy => enemy.id === 'left');
+    const right = game.state.enemies.find(enemy => enemy.id === 'right');
+
+    // Both in Sniper Shot range; without aiming it would pick the farther right one
+    hero.mesh.position.set(-0.5, 0.5, -8);
+    hero.position.copy(hero.mesh.position);
+
+    press('w');
+    expect(game.controlSystem.targeting.shape).toBe('line');
+
+    hover(left.position);
+    game.controlSystem.updateTargeting();
+    expect(game.controlSystem.targeting.enemy).toBe(left);
+    expect(game.controlSystem.reticle.rotation.y).toBeLessThan(0);
+
+    click(left.position);
+    advance(game, 50);
+
+    expect(left.health).toBeLessThan(left.maxHealth);
+    expect(right.health).toBe(right.maxHealth);
+  });
+
+  test('a single-target click with no enemy on the line keeps aiming', () => {
+    start('warrior');
+    jest.spyOn(hero, 'useAbility');
+
+    press('3');
+    click({ x: 0, y: 0, z: 4 });
+
+    expect(hero.useAbility).not.toHaveBeenCalled();
+    expect(game.controlSystem.targeting).not.toBeNull();
+  });
+
+  test('Escape and right-click cancel without using the ability', () => {
+    start('mage');
+    jest.spyOn(hero, 'useAbility');
+
+    press('1');
+    const reticle = game.controlSystem.reticle;
+    expect(reticle.parent).toBe(game.sceneManager.scene);
+    press('escape');
+    expect(game.controlSystem.targeting).toBeNull();
+    expect(reticle.parent).toBeNull();
+
+    press('1');
+    click({ x: 2, y: 0, z: 2 }, 2);
+    expect(game.controlSystem.targeting).toBeNull();
+
+    expect(hero.useAbility).not.toHaveBeenCalled();
+    expect(hero.abilityCooldowns[0] || 0).toBe(0);
+  });
+
+  test('instant abilities still cast straight away', () => {
+    start('mage');
+    jest.spyOn(hero, 'useAbility');
+
+    press('2');
+
+    expect(hero.useAbility).toHaveBeenCalledWith(1);
+    expect(game.controlSystem.targeting).toBeNull();
+  });
+});
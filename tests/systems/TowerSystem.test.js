@@ -0,0 +1,89 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+
+describe('TowerSystem', () => {
+  let game;
+
+  const build = (type, x = 5, z = 1) => {
+    game.towerSystem.placeTower(type, { x, z });
+    return game.towerSystem.towers[game.towerSystem.towers.length - 1];
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    game = createTestGame({ heroClass: 'warrior' });
+    game.simulation.spawnsLeft = 0;
+    game.state.gold = 500;
+
+    // Keep the hero out of the fight
+    const hero = game.state.hero;
+    hero.mesh.position.set(-20, 0.5, 20);
+    hero.position.copy(hero.mesh.position);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('building a tower costs gold and adds it to the scene', () => {
+    const tower = build('arrow');
+
+    expect(tower).toMatchObject({ type: 'arrow', level: 1 });
+    expect(game.state.gold).toBe(450);
+    expect(game.sceneManager.objects.towers).toContain(tower.mesh);
+  });
+
+  test('refuses towers on the lane or without the gold', () => {
+    expect(game.towerSystem.placeTower('arrow', { x: 1, z: 1 })).toBe(false);
+
+    game.state.gold = 40;
+    expect(game.towerSystem.placeTower('arrow', { x: 5, z: 1 })).toBe(false);
+
+    expect(game.towerSystem.towers).toHaveLength(0);
+    expect(game.state.gold).toBe(40);
+  });
+
+  test('an arrow tower shoots the closest enemy in range', () => {
+    build('arrow');
+    game.simulation.spawnEnemy('grunt', { id: 'target', x: 0, distance: 12 });
+    advance(game, 100);
+
+    expect(game.simulation.getEnemy('target').health).toBe(30 - 8);
+  });
+
+  test('a cannon hurts everything around its target', () => {
+    build('cannon');
+    game.simulation.spawnEnemy('grunt', { id: 'first', x: 0, distance: 12 });
+    game.simulation.spawnEnemy('grunt', { id: 'second', x: 1, distance: 12 });
+    advance(game, 100);
+
+    expect(game.simulation.getEnemy('first').health).toBe(10);
+    expect(game.simulation.getEnemy('second').health).toBe(10);
+  });
+
+  test('a frost tower slows its target', () => {
+    build('frost');
+    game.simulation.spawnEnemy('grunt', { id: 'target', x: 0, distance: 12 });
+    advance(game, 100);
+
+    const enemy = game.simulation.getEnemy('target');
+    expect(enemy.health).toBe(30 - 3);
+    expect(enemy.effects).toEqual([expect.objectContaining({ type: 'slow', slowFactor: 0.3 })]);
+  });
+
+  test('upgrading raises the level and selling refunds part of the cost', () => {
+    const tower = build('arrow');
+
+    expect(game.towerSystem.upgradeTower(tower)).toBe(true);
+    expect(tower.level).toBe(2);
+    expect(tower.stats.damage).toBe(12);
+    expect(game.state.gold).toBe(500 - 50 - 40);
+
+    expect(game.towerSystem.sellTower(tower)).toBe(true);
+    expect(game.towerSystem.towers).toHaveLength(0);
+    expect(game.state.gold).toBe(500 - 90 + 54);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame } from '../helpers/createTestGame.js';
+
+describe('UpgradeSystem', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createTestGame({ heroClass: 'warrior' });
+    game.state.gold = 1000;
+  });
+
+  test('stat upgrade cost grows by the configured multiplier', () => {
+    const costs = [];
+
+    for (let i = 0; i < 4; i++) {
+      costs.push(game.upgradeSystem.getUpgradeCost('damage'));
+      expect(game.upgradeSystem.upgradeHeroStat('damage')).toBe(true);
+    }
+
+    expect(costs).toEqual([20, 28, 39, 55]);
+    expect(game.state.gold).toBe(1000 - 20 - 28 - 39 - 55);
+    expect(game.state.hero.upgradeStats.damage.level).toBe(5);
+  });
+
+  test('stat upgrade is refused without enough gold', () => {
+    game.state.gold = 19;
+
+    expect(game.upgradeSystem.upgradeHeroStat('damage')).toBe(false);
+    expect(game.state.gold).toBe(19);
+    expect(game.upgradeSystem.getUpgradeCost('damage')).toBe(20);
+  });
+
+  test('special upgrade cost compounds per level and stops at max level', () => {
+    const name = 'Defense Mastery';
+    const costs = [];
+
+    for (let i = 0; i < 5; i++) {
+      costs.push(game.upgradeSystem.getSpecialUpgradeCosts()[name]);
+      expect(game.upgradeSystem.upgradeSpecialAbility(name)).toBe(true);
+    }
+
+    expect(costs).toEqual([50, 75, 113, 169, 253]);
+    expect(game.upgradeSystem.upgradeSpecialAbility(name)).toBe(false);
+  });
+
+  test('reset restores base costs', () => {
+    game.upgradeSystem.upgradeHeroStat('range');
+    game.upgradeSystem.reset();
+
+    expect(game.upgradeSystem.getUpgradeCosts()).toEqual({
+      damage: 20,
+      attackSpeed: 25,
+      range: 15,
+      health: 10
+    });
+  });
+});
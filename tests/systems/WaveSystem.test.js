@@ -0,0 +1,69 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createTestGame, advance } from '../helpers/createTestGame.js';
+import { enemyTypes, getWaveConfig, getRegularEnemyTypes } from '../../src/shared/GameData.js';
+
+describe('WaveSystem', () => {
+  let game;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    game = createTestGame({ heroClass: 'warrior' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('configured waves use their config entry', () => {
+    game.waveSystem.startWave(3);
+    advance(game, 50);
+
+    expect(game.state.wave).toBe(3);
+    expect(game.waveSystem.waveEnemyCount).toBe(10);
+    expect(game.waveSystem.enemyTypes).toEqual(['grunt', 'scout', 'brute']);
+  });
+
+  test('waves past the configured ones scale count, interval and health', () => {
+    game.waveSystem.startWave(12);
+    advance(game, 50);
+
+    // Two waves past the last configured wave (30 enemies, 800ms)
+    expect(game.state.wave).toBe(12);
+    expect(game.waveSystem.waveEnemyCount).toBe(Math.floor(30 * 1.1 * 1.1));
+    expect(game.waveSystem.enemyTypes).toEqual(getRegularEnemyTypes());
+    expect(game.simulation.waveConfig.steps[0].interval).toBeCloseTo(800 / (1.05 * 1.05));
+
+    // The first enemy spawns straight away with 21% extra health
+    const enemy = game.state.enemies[0];
+    expect(enemy).toBeDefined();
+    expect(enemy.maxHealth).toBe(Math.round(enemyTypes[enemy.type].health * 1.21));
+  });
+
+  test('spawn interval never drops below 500ms', () => {
+    expect(getWaveConfig(40).interval).toBe(500);
+  });
+
+  test('extra players add enemies', () => {
+    expect(getWaveConfig(12, 1).count).toBe(36);
+    expect(getWaveConfig(12, 2).count).toBe(54);
+    expect(getWaveConfig(1, 4).count).toBe(12);
+  });
+
+  test('clearing a wave awards the bonus gold', () => {
+    const completed = jest.fn();
+    game.events.on('waveCompleted', completed);
+    game.waveSystem.startWave(1);
+    advance(game, 50);
+
+    game.simulation.spawnsLeft = 0;
+    [...game.simulation.enemies].forEach(enemy => game.simulation.damageEnemy(enemy.id, 1000));
+    const goldBefore = game.state.gold;
+    advance(game, 100);
+
+    expect(game.waveSystem.waveInProgress).toBe(false);
+    expect(completed).toHaveBeenCalledWith({ wave: 1, bonus: 10 });
+    expect(game.state.gold).toBeGreaterThanOrEqual(goldBefore + 10);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment jsdom
+ */
+import { UIManager } from '../../src/ui/UIManager.js';
+import { createTestGame } from '../helpers/createTestGame.js';
+
+describe('UIManager leaderboard tab', () => {
+  let game;
+  let ui;
+
+  const runs = [
+    {
+      id: 'ABC-1',
+      players: [{ username: 'ann', heroClass: 'mage' }, { username: 'bob', heroClass: 'ranger' }],
+      playerCount: 2,
+      difficulty: 'hard',
+      wave: 7,
+      enemiesDefeated: 80,
+      duration: 125000
+    },
+    {
+      id: 'ABC-2',
+      players: [{ username: 'cat', heroClass: 'warrior' }],
+      playerCount: 1,
+      wave: 3,
+      enemiesDefeated: 20,
+      duration: 61000
+    }
+  ];
+
+  const rows = () => [...document.querySelectorAll('.leaderboard-table tbody tr')];
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="gameContainer"></div>';
+
+    game = createTestGame();
+    ui = new UIManager(game);
+    ui.elements.gameContainer = document.getElementById('gameContainer');
+    ui.elements.gameOverPanel = ui.createGameOverPanel();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the game over panel opens on the run stats', () => {
+    ui.showGameOverPanel(12, 2, null, 'nightmare');
+
+    expect(document.querySelector('.game-stats').style.display).toBe('block');
+    expect(document.getElementById('difficultyValue').textContent).toBe('Nightmare');
+    expect(document.querySelector('.leaderboard').style.display).toBe('none');
+  });
+
+  test('the leaderboard tab lists runs and highlights the one just played', async () => {
+    jest.spyOn(game.networkManager, 'fetchLeaderboard').mockResolvedValue(runs);
+    game.networkManager.lastRunId = 'ABC-2';
+
+    ui.showGameOverPanel(12, 2);
+    document.querySelector('.tab-button[data-tab="leaderboard"]').click();
+    await ui.loadLeaderboard();
+
+    expect(document.querySelector('.leaderboard').style.display).toBe('block');
+    expect(rows().map(row => [...row.cells].map(cell => cell.textContent))).toEqual([
+      ['1', 'ann (Mage), bob (Ranger)', 'Hard', '7', '80', '2:05'],
+      ['2', 'cat (Warrior)', 'Normal', '3', '20', '1:01']
+    ]);
+    expect(rows()[1].classList.contains('current-run')).toBe(true);
+  });
+
+  test('changing a filter fetches matching runs', async () => {
+    const fetchLeaderboard = jest.spyOn(game.networkManager, 'fetchLeaderboard').mockResolvedValue([]);
+
+    const classFilter = document.querySelector('.leaderboard-class');
+    classFilter.value = 'ranger';
+    classFilter.dispatchEvent(new Event('change'));
+    await ui.loadLeaderboard();
+
+    expect(fetchLeaderboard).toHaveBeenLastCalledWith({ heroClass: 'ranger', players: '', difficulty: '' });
+
+    const difficultyFilter = document.querySelector('.leaderboard-difficulty');
+    difficultyFilter.value = 'nightmare';
+    difficultyFilter.dispatchEvent(new Event('change'));
+    await ui.loadLeaderboard();
+
+    expect(fetchLeaderboard).toHaveBeenLastCalledWith({ heroClass: 'ranger', players: '', difficulty: 'nightmare' });
+    expect(document.querySelector('.leaderboard-status').textContent).toBe('No runs recorded yet');
+  });
+
+  test('an unreachable server is reported', async () => {
+    jest.spyOn(game.networkManager, 'fetchLeaderboard').mockRejectedValue(new Error('offline'));
+
+    await ui.loadLeaderboard();
+
+    expect(document.querySelector('.leaderboard-status').textContent).toBe('Could not reach the leaderboard server');
+    expect(rows()).toHaveLength(0);
+  });
+});
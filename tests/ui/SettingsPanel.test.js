@@ -0,0 +1,67 @@
+/**
+ * @jest-environment jsdom
+ */
+import { UIManager } from '../../src/ui/UIManager.js';
+import { createTestGame } from '../helpers/createTestGame.js';
+
+describe('UIManager key binding settings', () => {
+  let game;
+  let ui;
+
+  const pressKey = (key, options = {}) => {
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<div id="gameContainer"></div>';
+
+    game = createTestGame();
+    ui = new UIManager(game);
+    ui.elements.gameContainer = document.getElementById('gameContainer');
+    ui.elements.abilityBar = ui.createAbilityBar();
+    ui.elements.settingsPanel = ui.createSettingsPanel();
+    ui.setupEventListeners();
+  });
+
+  afterEach(() => {
+    ui.dispose();
+  });
+
+  test('ability slots show both default keys', () => {
+    const labels = [...document.querySelectorAll('.abilitySlot .keyBind')].map(el => el.textContent);
+
+    expect(labels).toEqual(['1/Q', '2/W', '3/E', '4/R']);
+  });
+
+  test('clicking a key and pressing another rebinds it', () => {
+    document.querySelector('.settingsButton').click();
+    expect(ui.elements.settingsPanel.style.display).toBe('block');
+
+    document.querySelectorAll('.keybind-button')[1].click();
+    pressKey('z');
+
+    expect(game.keyBindings.getAbilityKeys(0)).toEqual(['1', 'z']);
+    expect(document.querySelector('#abilitySlot0 .keyBind').textContent).toBe('1/Z');
+    expect(ui.bindingCapture).toBeNull();
+  });
+
+  test('modifier combos and Escape do not rebind', () => {
+    document.querySelectorAll('.keybind-button')[0].click();
+
+    pressKey('q', { ctrlKey: true });
+    expect(game.keyBindings.getAbilityKeys(0)).toEqual(['1', 'q']);
+    expect(ui.elements.settingsPanel.querySelector('.keybind-hint').textContent).toMatch(/can't be bound/);
+
+    pressKey('Escape');
+    expect(ui.bindingCapture).toBeNull();
+    expect(game.keyBindings.getAbilityKeys(0)).toEqual(['1', 'q']);
+  });
+
+  test('reset restores the default keys', () => {
+    game.keyBindings.bind(1, 0, 'x');
+    document.querySelector('.resetBindingsButton').click();
+
+    expect(document.querySelector('#abilitySlot1 .keyBind').textContent).toBe('2/W');
+  });
+});
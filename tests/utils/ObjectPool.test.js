@@ -0,0 +1,77 @@
+import { ObjectPool } from '../../src/utils/ObjectPool.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+describe('ObjectPool', () => {
+  let created;
+  let pool;
+
+  beforeEach(() => {
+    Logger.logLevel = 0;
+    created = 0;
+    pool = new ObjectPool(
+      () => ({ id: ++created, used: false }),
+      obj => { obj.used = false; },
+      2
+    );
+  });
+
+  test('pre-creates the initial objects', () => {
+    expect(created).toBe(2);
+    expect(pool.size()).toBe(2);
+    expect(pool.activeCount()).toBe(0);
+  });
+
+  test('reuses released objects and resets them', () => {
+    const obj = pool.get();
+    obj.used = true;
+
+    expect(pool.release(obj)).toBe(true);
+    expect(obj.used).toBe(false);
+    expect(pool.get()).toBe(obj);
+    expect(created).toBe(2);
+  });
+
+  test('creates new objects when empty', () => {
+    pool.get();
+    pool.get();
+    pool.get();
+
+    expect(created).toBe(3);
+    expect(pool.size()).toBe(0);
+    expect(pool.activeCount()).toBe(3);
+  });
+
+  test('refuses objects it does not manage', () => {
+    expect(pool.release({ id: 99 })).toBe(false);
+    expect(pool.release(null)).toBe(false);
+
+    const obj = pool.get();
+    pool.release(obj);
+    expect(pool.release(obj)).toBe(false);
+    expect(pool.size()).toBe(2);
+  });
+
+  test('releaseAll returns every active object', () => {
+    pool.get();
+    pool.get();
+    pool.get();
+
+    expect(pool.releaseAll()).toBe(3);
+    expect(pool.activeCount()).toBe(0);
+    expect(pool.size()).toBe(3);
+  });
+
+  test('reinitialize starts over at the initial size', () => {
+    pool.get();
+    pool.reinitialize();
+
+    expect(pool.size()).toBe(2);
+    expect(pool.activeCount()).toBe(0);
+  });
+
+  test('falls back to a default factory', () => {
+    const fallback = new ObjectPool(null, null, 1);
+
+    expect(fallback.get()).toEqual({});
+  });
+});
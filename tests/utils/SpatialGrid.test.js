@@ -0,0 +1,79 @@
+import { SpatialGrid } from '../../src/utils/SpatialGrid.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const boundsAt = (position, size = 0.5) => ({
+  minX: position.x - size,
+  minY: position.y - size,
+  minZ: position.z - size,
+  maxX: position.x + size,
+  maxY: position.y + size,
+  maxZ: position.z + size
+});
+
+const entityAt = (x, y, z) => ({ position: { x, y, z } });
+
+describe('SpatialGrid', () => {
+  let grid;
+
+  beforeEach(() => {
+    Logger.logLevel = 0;
+    grid = new SpatialGrid(5);
+  });
+
+  test('queryRadius filters grid candidates by distance', () => {
+    const near = entityAt(1, 0, 1);
+    const sameCell = entityAt(4, 0, 4);
+    const far = entityAt(20, 0, 20);
+    [near, sameCell, far].forEach(entity => grid.insert(entity, boundsAt(entity.position)));
+
+    const result = grid.queryRadius({ x: 0, y: 0, z: 0 }, 2);
+
+    expect(result.has(near)).toBe(true);
+    expect(result.has(sameCell)).toBe(false);
+    expect(result.has(far)).toBe(false);
+  });
+
+  test('queryRadius includes entities exactly on the radius', () => {
+    const edge = entityAt(3, 0, 0);
+    grid.insert(edge, boundsAt(edge.position));
+
+    expect(grid.queryRadius({ x: 0, y: 0, z: 0 }, 3).has(edge)).toBe(true);
+  });
+
+  test('queryRadius finds entities across cell boundaries', () => {
+    const left = entityAt(-1, 0, 0);
+    const right = entityAt(1, 0, 0);
+    [left, right].forEach(entity => grid.insert(entity, boundsAt(entity.position)));
+
+    const result = grid.queryRadius({ x: 0, y: 0, z: 0 }, 1.5);
+
+    expect(result.size).toBe(2);
+  });
+
+  test('queryRadius skips entities without a position', () => {
+    grid.insert({}, boundsAt({ x: 0, y: 0, z: 0 }));
+
+    expect(grid.queryRadius({ x: 0, y: 0, z: 0 }, 5).size).toBe(0);
+  });
+
+  test('updateEntity moves an entity between cells', () => {
+    const entity = entityAt(0, 0, 0);
+    grid.insert(entity, boundsAt(entity.position));
+
+    entity.position.x = 30;
+    grid.updateEntity(entity, boundsAt(entity.position));
+
+    expect(grid.queryRadius({ x: 0, y: 0, z: 0 }, 2).has(entity)).toBe(false);
+    expect(grid.queryRadius({ x: 30, y: 0, z: 0 }, 2).has(entity)).toBe(true);
+    expect(grid.grid['0,0,0']).toBeUndefined();
+  });
+
+  test('remove drops the entity and empty cells', () => {
+    const entity = entityAt(0, 0, 0);
+    grid.insert(entity, boundsAt(entity.position));
+    grid.remove(entity);
+
+    expect(grid.getAllEntities().size).toBe(0);
+    expect(Object.keys(grid.grid)).toHaveLength(0);
+  });
+});